@@ -0,0 +1,128 @@
+// public/admin.js — operator dashboard over /api/admin/* (settings, cache, crawls, upstream failures, metrics, comment moderation)
+(function(){
+  const $admin = document.getElementById('admin');
+  const esc = s => String(s == null ? '' : s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+  const token = () => { try{ return localStorage.getItem('manhwa_token'); }catch(e){ return null; } };
+  const client = TowerApi.createClient({ token });
+  const when = ms => ms ? new Date(ms).toLocaleString() : '—';
+  const bytes = n => `${(n / 1048576).toFixed(1)} MB`;
+  const duration = ms => ms >= 3600000 ? `${(ms / 3600000).toFixed(1)} h` : ms >= 60000 ? `${Math.round(ms / 60000)} min` : `${Math.round(ms / 1000)} s`;
+
+  function section(id, title){
+    let el = document.getElementById(id);
+    if(!el){ el = document.createElement('section'); el.className = 'section'; el.id = id; $admin.appendChild(el); }
+    el.innerHTML = `<h3>${esc(title)}</h3>`;
+    return el;
+  }
+  const fail = (el, err) => el.insertAdjacentHTML('beforeend', `<p class="error">${esc(err.message || err)}</p>`);
+
+  async function showOverview(){
+    const el = section('overview', 'Overview');
+    const o = await client.getAdminOverview();
+    const stat = (label, value) => `<div class="stat"><span class="muted">${esc(label)}</span><b>${esc(value)}</b></div>`;
+    el.insertAdjacentHTML('beforeend', `<div class="stats">
+      ${stat('status', o.status)}${stat('uptime', duration(o.uptime * 1000))}${stat('memory (rss)', bytes(o.memory.rss))}
+      ${stat('requests', `${o.requests.total} (${o.requests.errors} 5xx)`)}${stat('cache entries', `${o.cache.entries} · hit ${o.cache.hit} / miss ${o.cache.miss}`)}
+      ${stat('catalog', `${o.crawl.size} series${o.crawl.crawling ? ' · crawling' : ''}`)}
+      ${Object.entries(o.upstream).map(([host, h]) => stat(host, `${h.breaker} · ${h.requests} req`)).join('')}
+    </div><div class="row"><button class="btn small" data-refresh>Refresh all</button></div>`);
+    el.querySelector('[data-refresh]').addEventListener('click', load);
+  }
+
+  async function showConfig(){
+    const el = section('config', 'Settings');
+    const r = await client.getConfig();
+    el.insertAdjacentHTML('beforeend', `${r.errors.map(e => `<p class="error">config.json: ${esc(e.param)} ${esc(e.message)} (ignored)</p>`).join('')}
+      <table><tr><th>setting</th><th>value</th><th>source</th><th></th></tr>
+      ${r.settings.map(s => `<tr data-key="${esc(s.key)}" data-type="${s.type}"><td><span class="mono">${esc(s.key)}</span><div class="muted">${esc(s.description)}${s.min != null ? ` (${s.min}–${s.max})` : ''}</div></td>
+        <td>${s.values ? `<select data-initial="${esc(s.value)}">${s.values.map(v => `<option${v === s.value ? ' selected' : ''}>${esc(v)}</option>`).join('')}</select>` : `<input value="${esc(s.value)}" data-initial="${esc(s.value)}" size="${s.type === 'url' ? 32 : 10}">`}</td>
+        <td class="muted">${s.source}${s.source === 'file' ? `<div>env/default: <span class="mono">${esc(s.bootValue)}</span></div>` : ''}</td>
+        <td>${s.source === 'file' ? '<button class="btn small ghost" data-reset>reset</button>' : ''}</td></tr>`).join('')}
+      </table><div class="row"><button class="btn" data-save>Save changes</button><span class="muted" data-result></span></div>`);
+    el.querySelectorAll('input, select').forEach(i => i.addEventListener('input', ()=> i.closest('tr').classList.toggle('changed', i.value !== i.dataset.initial)));
+    const save = async changes => {
+      try{ const res = await client.updateConfig(changes); await showConfig(); document.querySelector('#config [data-result]').textContent = `saved: ${res.changed.join(', ')}`; }
+      catch(err){ el.querySelector('[data-result]').textContent = err.body && err.body.details ? err.body.details.map(d => `${d.param} ${d.message}`).join('; ') : err.message; }
+    };
+    el.querySelector('[data-save]').addEventListener('click', ()=>{
+      const changes = {};
+      el.querySelectorAll('tr.changed').forEach(tr => { const v = tr.querySelector('input, select').value.trim(); changes[tr.dataset.key] = tr.dataset.type === 'int' || tr.dataset.type === 'number' ? Number(v) : v; });
+      if(Object.keys(changes).length) save(changes);
+    });
+    el.querySelectorAll('[data-reset]').forEach(b => b.addEventListener('click', ()=> save({ [b.closest('tr').dataset.key]: null })));
+  }
+
+  async function showCache(prefix = ''){
+    const el = section('cache', 'Cache');
+    const r = await client.listCache({ prefix, limit: 200 });
+    el.insertAdjacentHTML('beforeend', `<div class="row"><input placeholder="key prefix, e.g. detail:" value="${esc(prefix)}" size="32" data-prefix>
+        <button class="btn small ghost" data-filter>List</button><button class="btn small" data-purge>Purge prefix</button><button class="btn small" data-purge-all>Purge everything</button>
+        <span class="muted">${r.total} in memory${r.total > r.items.length ? ` (showing ${r.items.length})` : ''}${r.stats.disk ? ' · disk tier on' : ''}</span></div>
+      <table><tr><th>key</th><th>state</th><th>stored</th><th>expires</th></tr>
+      ${r.items.map(e => `<tr><td class="mono">${esc(e.key)}</td><td>${e.state}</td><td>${when(e.storedAt)}</td><td>${when(e.expires)}</td></tr>`).join('')}</table>`);
+    const $prefix = el.querySelector('[data-prefix]');
+    el.querySelector('[data-filter]').addEventListener('click', ()=> showCache($prefix.value.trim()));
+    const purge = async params => { try{ const p = await client.purgeCache(params); await showCache($prefix.value.trim()); el.insertAdjacentHTML('beforeend', `<p class="muted">removed ${p.removed}</p>`); }catch(err){ fail(el, err); } };
+    el.querySelector('[data-purge]').addEventListener('click', ()=>{ if($prefix.value.trim()) purge({ prefix: $prefix.value.trim() }); });
+    el.querySelector('[data-purge-all]').addEventListener('click', ()=>{ if(confirm('Empty the whole cache?')) purge({ all: true }); });
+  }
+
+  async function showCrawl(){
+    const el = section('crawl', 'Catalog crawl');
+    const { crawl } = await client.getCrawl();
+    const last = crawl.lastRun;
+    el.insertAdjacentHTML('beforeend', `<table>
+      <tr><th>catalog</th><td>${crawl.size} series, built ${when(crawl.builtAt)}${crawl.crawling ? ' · <b>crawling now</b>' : ''}</td></tr>
+      <tr><th>recurring</th><td>${crawl.refreshMs ? `every ${duration(crawl.refreshMs)}, next ${when(crawl.nextAt)}` : 'off'} <span class="muted">(setting catalog.refreshMs)</span></td></tr>
+      <tr><th>one-off</th><td>${crawl.scheduledAt ? `${when(crawl.scheduledAt)} <button class="btn small ghost" data-cancel>cancel</button>` : '—'}</td></tr>
+      <tr><th>last run</th><td>${last ? `${when(last.startedAt)} · ${duration(last.ms)}${last.error ? ` · <span class="error">${esc(last.error)}</span>` : ` · ${last.seen} seen`}` : '—'}</td></tr>
+    </table><div class="row"><button class="btn small" data-now ${crawl.crawling ? 'disabled' : ''}>Crawl now</button><input type="datetime-local" data-at><button class="btn small ghost" data-schedule>Schedule</button></div>`);
+    const start = async body => { try{ await client.startCrawl(body); await showCrawl(); }catch(err){ fail(el, err); } };
+    el.querySelector('[data-now]').addEventListener('click', ()=> start({}));
+    el.querySelector('[data-schedule]').addEventListener('click', ()=>{ const v = el.querySelector('[data-at]').value; if(v) start({ at: new Date(v).toISOString() }); });
+    const cancel = el.querySelector('[data-cancel]'); if(cancel) cancel.addEventListener('click', ()=> start({ cancel: true }));
+  }
+
+  async function showUpstream(){
+    const el = section('upstream', 'Recent upstream failures');
+    const r = await client.getUpstream({ limit: 50 });
+    el.insertAdjacentHTML('beforeend', r.count ? `<table><tr><th>when</th><th>request</th><th>result</th><th>attempt</th></tr>
+      ${r.failures.map(f => `<tr><td>${when(f.at)}</td><td class="mono">${esc(f.method.toUpperCase())} ${esc(f.url)}</td><td>${f.status ? `HTTP ${f.status}` : esc(`${f.code || ''} ${f.message || ''}`)}</td><td>${f.attempt}${f.willRetry ? ' (retrying)' : ''}</td></tr>`).join('')}</table>` : '<p class="muted">No failures since start.</p>');
+  }
+
+  async function showMetrics(){
+    const el = section('metrics', 'Requests');
+    const m = await client.getMetrics();
+    el.insertAdjacentHTML('beforeend', `<p class="muted">${m.total} requests since ${when(m.since)}</p><table><tr><th>route</th><th>count</th><th>status</th><th>avg</th><th>p50</th><th>p95</th><th>max</th></tr>
+      ${m.routes.map(r => `<tr><td class="mono">${esc(r.route)}</td><td>${r.count}</td><td>${Object.entries(r.status).map(([k, v]) => `${k}: ${v}`).join(' ')}</td><td>${r.avgMs} ms</td><td>${r.p50Ms} ms</td><td>${r.p95Ms} ms</td><td>${r.maxMs} ms</td></tr>`).join('')}</table>`);
+  }
+
+  async function showComments(status = 'reported'){
+    const el = section('comments', 'Comment moderation');
+    const r = await client.listModerationQueue({ status, limit: 100 });
+    el.insertAdjacentHTML('beforeend', `<div class="row"><select data-status>${['reported', 'hidden'].map(s => `<option${s === status ? ' selected' : ''}>${s}</option>`).join('')}</select><span class="muted">${r.total} comments</span></div>
+      ${r.count ? `<table><tr><th>comment</th><th>where</th><th>reports</th><th></th></tr>
+      ${r.items.map(c => `<tr data-id="${c.id}"><td><b>${esc(c.author || '—')}</b> <span class="muted">${when(c.createdAt)}${c.spoiler ? ' · spoiler' : ''}</span><div dir="auto">${esc(c.body)}</div></td>
+        <td class="mono"><a href="/reader?slug=${encodeURIComponent(c.slug)}&chapter=${encodeURIComponent(c.chapterId)}#comments">${esc(c.slug)} / ${esc(c.chapterId)}</a></td>
+        <td>${c.reports}${c.hiddenBy ? ` · hidden by ${c.hiddenBy}` : ''}${c.reasons.length ? `<div class="muted">${c.reasons.map(esc).join('<br>')}</div>` : ''}</td>
+        <td><button class="btn small ghost" data-hidden="${c.status === 'hidden' ? 'false' : 'true'}">${c.status === 'hidden' ? 'show' : 'hide'}</button> <button class="btn small" data-delete>delete</button></td></tr>`).join('')}</table>` : '<p class="muted">Nothing to review.</p>'}`);
+    el.querySelector('[data-status]').addEventListener('change', e => showComments(e.target.value));
+    const act = async fn => { try{ await fn(); await showComments(status); }catch(err){ fail(el, err); } };
+    el.querySelectorAll('tr[data-id]').forEach(tr => {
+      const id = tr.dataset.id; const hide = tr.querySelector('[data-hidden]');
+      hide.addEventListener('click', ()=> act(()=> client.hideComment({ id }, { hidden: hide.dataset.hidden === 'true' })));
+      tr.querySelector('[data-delete]').addEventListener('click', ()=>{ if(confirm('Delete this comment?')) act(()=> client.deleteComment({ id })); });
+    });
+  }
+
+  async function load(){
+    try{ await showOverview(); }
+    catch(err){
+      $admin.innerHTML = `<p class="error">${err.status === 401 || err.status === 403 ? 'This page needs an admin login.' : esc(err.message)}</p><p class="muted">Sign in on the <a href="/">main site</a> with an admin account (ADMIN_USERS) or store an ADMIN_TOKEN as <span class="mono">manhwa_token</span>, then reload.</p>`;
+      return;
+    }
+    for(const show of [showConfig, showCache, showCrawl, showComments, showUpstream, showMetrics]) await show().catch(err => console.error(err));
+  }
+  $admin.innerHTML = '';
+  load();
+})();
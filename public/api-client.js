@@ -0,0 +1,846 @@
+// public/api-client.js — generated from /api/openapi.json by `node server.js --write-client`; do not edit by hand
+// Manhwa Vault API 1.0.0. Browser: window.TowerApi; Node 18+: require('./public/api-client.js')
+(function(root){
+  /**
+   * @typedef {object} ErrorResponse
+   * @property {false} ok
+   * @property {string} error
+   * @property {'BAD_REQUEST'|'UNAUTHORIZED'|'FORBIDDEN'|'NOT_FOUND'|'CONFLICT'|'RATE_LIMITED'|'INTERNAL'|'EXTRACTION_FAILED'|'UPSTREAM_UNAVAILABLE'|'UNAVAILABLE'|'UPSTREAM_TIMEOUT'} code
+   * @property {string} [requestId]
+   * @property {Array<{ in: string, param: string, message: string }>} [details]
+   */
+  /**
+   * @typedef {object} ChapterRef
+   * @property {string} chapterId
+   * @property {number|null} chapterNum
+   * @property {string} title
+   */
+  /**
+   * @typedef {object} Chapter
+   * @property {string} chapterId
+   * @property {number|null} chapterNum
+   * @property {string|null} internalId
+   * @property {string} title
+   * @property {string} link
+   */
+  /**
+   * @typedef {object} SeriesItem
+   * @property {string} slug
+   * @property {string} title
+   * @property {string|null} cover
+   * @property {string|null} link
+   * @property {string} source
+   * @property {string[]} [genres]
+   * @property {ChapterRef|null} [latestChapter]
+   * @property {number} [score]
+   */
+  /**
+   * @typedef {object} RecommendedItem
+   * @property {string} slug
+   * @property {string} title
+   * @property {string|null} cover
+   * @property {string|null} link
+   * @property {string} source
+   * @property {string[]} [genres]
+   * @property {ChapterRef|null} [latestChapter]
+   * @property {number} [score]
+   * @property {{ kind: 'readers'|'genre'|'daily', because: { slug: string, title: string }|null, genres: string[], readers?: number }} reason
+   */
+  /**
+   * @typedef {object} BrowseItem
+   * @property {string} slug
+   * @property {string} title
+   * @property {string|null} cover
+   * @property {string|null} link
+   * @property {string} source
+   * @property {string[]} [genres]
+   * @property {ChapterRef|null} [latestChapter]
+   * @property {number} [score]
+   * @property {'ongoing'|'completed'|'hiatus'|'dropped'|null} status
+   * @property {number|null} chapterCount
+   */
+  /**
+   * @typedef {object} PopularItem
+   * @property {string} slug
+   * @property {string} title
+   * @property {string|null} cover
+   * @property {string|null} link
+   * @property {string} source
+   * @property {string[]} [genres]
+   * @property {ChapterRef|null} [latestChapter]
+   * @property {number} [score]
+   * @property {{ views: number, reads: number, follows: number }} [stats]
+   */
+  /**
+   * @typedef {object} Genre
+   * @property {string} name
+   * @property {string} slug
+   * @property {string} link
+   */
+  /**
+   * @typedef {object} Manga
+   * @property {string} slug
+   * @property {string} source
+   * @property {string} title
+   * @property {string} description
+   * @property {string[]} genres
+   * @property {'ongoing'|'completed'|'hiatus'|'dropped'|null} [status]
+   * @property {string|null} internalId
+   * @property {string} cover
+   * @property {Chapter[]} chapters
+   * @property {string} url
+   */
+  /**
+   * @typedef {object} ChapterPages
+   * @property {true} ok
+   * @property {string} method
+   * @property {string[]} pages
+   * @property {'exact'|'partial'|'guess'} confidence
+   * @property {number} [pageCount]
+   * @property {string} [note]
+   * @property {string} source
+   * @property {string} mirror
+   * @property {Chapter|null} matchedChapter
+   * @property {ChapterRef|null} [prevChapter]
+   * @property {ChapterRef|null} [nextChapter]
+   * @property {number|null} [chapterIndex]
+   * @property {number} [chapterCount]
+   */
+  /**
+   * @typedef {object} Source
+   * @property {string} id
+   * @property {string} name
+   * @property {string} base
+   * @property {boolean} default
+   * @property {Array<{ id: string, name: string }>} mirrors
+   */
+  /**
+   * @typedef {object} User
+   * @property {string} id
+   * @property {string} username
+   * @property {number} createdAt
+   * @property {number} following
+   * @property {boolean} [admin]
+   */
+  /**
+   * @typedef {object} Credentials
+   * @property {string} username
+   * @property {string} password
+   */
+  /**
+   * @typedef {object} ChapterProgress
+   * @property {number} page
+   * @property {number|null} pageCount
+   * @property {boolean} read
+   * @property {number} updatedAt
+   */
+  /**
+   * @typedef {object} LibraryItem
+   * @property {string} slug
+   * @property {string} source
+   * @property {string} title
+   * @property {string|null} cover
+   * @property {ChapterRef|null} latestChapter
+   * @property {number} followedAt
+   * @property {number} readCount
+   */
+  /**
+   * @typedef {object} HistoryItem
+   * @property {string} slug
+   * @property {string} chapterId
+   * @property {number} at
+   * @property {string} title
+   * @property {string|null} cover
+   * @property {ChapterRef|null} latestChapter
+   * @property {ChapterProgress|null} progress
+   */
+  /**
+   * @typedef {object} UpdateEvent
+   * @property {string} id
+   * @property {string} source
+   * @property {string} slug
+   * @property {string} mangaTitle
+   * @property {string|null} cover
+   * @property {string} chapterId
+   * @property {number|null} chapterNum
+   * @property {string} chapterTitle
+   * @property {string} link
+   * @property {number} detectedAt
+   */
+  /**
+   * @typedef {object} Webhook
+   * @property {string} id
+   * @property {string} userId
+   * @property {string} url
+   * @property {string[]|null} slugs
+   * @property {number} createdAt
+   * @property {number|null} lastDeliveryAt
+   * @property {string|null} lastError
+   * @property {string} [secret]
+   */
+  /**
+   * @typedef {object} DownloadJob
+   * @property {string} id
+   * @property {string} source
+   * @property {string} slug
+   * @property {'cbz'|'pdf'|'epub'} format
+   * @property {'queued'|'running'|'done'|'failed'} status
+   * @property {string[]} chapters
+   * @property {string} filename
+   * @property {Object<string, number>} progress
+   * @property {number} createdAt
+   * @property {number|null} finishedAt
+   * @property {string|null} error
+   * @property {string|null} fileUrl
+   * @property {number} [pages]
+   * @property {number} [missingPages]
+   */
+  /**
+   * @typedef {object} ExtractorReport
+   * @property {string} source
+   * @property {string} extractor
+   * @property {'unknown'|'ok'|'degraded'|'failing'} status
+   * @property {string[]} reasons
+   */
+  /**
+   * @typedef {object} Setting
+   * @property {string} key
+   * @property {'url'|'int'|'number'|'choice'} type
+   * @property {string|number|null} value
+   * @property {string|number|null} bootValue
+   * @property {string} env
+   * @property {'default'|'env'|'file'} source
+   * @property {number} [min]
+   * @property {number} [max]
+   * @property {string[]} [values]
+   * @property {string} description
+   */
+  /**
+   * @typedef {object} CacheEntry
+   * @property {string} key
+   * @property {'fresh'|'stale'|'expired'} state
+   * @property {number} storedAt
+   * @property {number} expires
+   * @property {number} staleUntil
+   */
+  /**
+   * @typedef {object} CrawlStatus
+   * @property {number} size
+   * @property {number|null} builtAt
+   * @property {boolean} crawling
+   * @property {number} refreshMs
+   * @property {number|null} nextAt
+   * @property {number|null} scheduledAt
+   * @property {{ startedAt: number, ms: number, seen?: number, size?: number, error: string|null }|null} lastRun
+   */
+  /**
+   * @typedef {object} UpstreamFailure
+   * @property {number} at
+   * @property {string} host
+   * @property {string} method
+   * @property {string} url
+   * @property {number|null} status
+   * @property {string|null} code
+   * @property {string|null} message
+   * @property {number} attempt
+   * @property {boolean} willRetry
+   */
+  /**
+   * @typedef {object} Rating
+   * @property {true} ok
+   * @property {string} slug
+   * @property {number|null} average
+   * @property {number} count
+   * @property {Object<string, number>} distribution
+   * @property {number|null} mine
+   */
+  /**
+   * @typedef {object} Comment
+   * @property {string} id
+   * @property {string} slug
+   * @property {string} chapterId
+   * @property {string|null} parentId
+   * @property {string|null} author
+   * @property {string|null} body
+   * @property {boolean} spoiler
+   * @property {'visible'|'hidden'|'deleted'} status
+   * @property {number} createdAt
+   * @property {number|null} editedAt
+   * @property {boolean} mine
+   * @property {number} [reports]
+   * @property {Comment[]} [replies]
+   * @property {'reports'|'admin'|null} [hiddenBy]
+   * @property {string[]} [reasons]
+   */
+  /**
+   * @typedef {object} RouteMetrics
+   * @property {string} route
+   * @property {number} count
+   * @property {Object<string, number>} status
+   * @property {number} avgMs
+   * @property {number} p50Ms
+   * @property {number} p95Ms
+   * @property {number} maxMs
+   */
+
+  // operationId -> [method, path template, query parameter names]
+  const OPS = {
+    getHome: ["GET", "/api/home", ["page","exclude_popular","popular_count","source"]],
+    listGenres: ["GET", "/api/genres", ["pages","source"]],
+    getGenre: ["GET", "/api/genre/{slug}", ["page","pages","source"]],
+    getManga: ["GET", "/api/manga/{slug}", ["source"]],
+    getMangaByQuery: ["GET", "/api/manga", ["slug","source"]],
+    getChapterPagesByPath: ["GET", "/api/reader/{slug}/{chapter}", ["mirror","source"]],
+    getChapterPages: ["GET", "/api/reader", ["slug","chapter","mirror","source"]],
+    image: ["GET", "/api/image", ["url","w","q","fmt"]],
+    register: ["POST", "/api/auth/register", []],
+    login: ["POST", "/api/auth/login", []],
+    logout: ["POST", "/api/auth/logout", []],
+    getMe: ["GET", "/api/me", []],
+    getLibrary: ["GET", "/api/library", []],
+    follow: ["PUT", "/api/library/{slug}", ["source"]],
+    unfollow: ["DELETE", "/api/library/{slug}", ["source"]],
+    getProgress: ["GET", "/api/progress/{slug}", ["source"]],
+    saveProgress: ["PUT", "/api/progress/{slug}/{chapter}", []],
+    importProgress: ["POST", "/api/progress/import", []],
+    getHistory: ["GET", "/api/history", ["limit"]],
+    getContinueReading: ["GET", "/api/continue", []],
+    getUpdates: ["GET", "/api/updates", ["limit","since","slug","scope","source"]],
+    updatesFeed: ["GET", "/api/feed.xml", []],
+    seriesFeed: ["GET", "/api/feed/{slug}.xml", ["source"]],
+    listWebhooks: ["GET", "/api/webhooks", []],
+    createWebhook: ["POST", "/api/webhooks", []],
+    deleteWebhook: ["DELETE", "/api/webhooks/{id}", []],
+    getPushKey: ["GET", "/api/push/key", []],
+    subscribePush: ["POST", "/api/push/subscribe", []],
+    unsubscribePush: ["DELETE", "/api/push/subscribe", []],
+    getRating: ["GET", "/api/manga/{slug}/rating", ["source"]],
+    rate: ["PUT", "/api/manga/{slug}/rating", ["source"]],
+    unrate: ["DELETE", "/api/manga/{slug}/rating", ["source"]],
+    getSeriesComments: ["GET", "/api/manga/{slug}/comments", ["limit","source"]],
+    getComments: ["GET", "/api/manga/{slug}/chapters/{chapter}/comments", ["sort","page","limit","source"]],
+    postComment: ["POST", "/api/manga/{slug}/chapters/{chapter}/comments", ["source"]],
+    editComment: ["PATCH", "/api/comments/{id}", []],
+    deleteComment: ["DELETE", "/api/comments/{id}", []],
+    reportComment: ["POST", "/api/comments/{id}/report", []],
+    createDownloadJob: ["POST", "/api/download/jobs", []],
+    getDownloadJob: ["GET", "/api/download/jobs/{id}", []],
+    downloadJobFile: ["GET", "/api/download/jobs/{id}/file", []],
+    downloadChapter: ["GET", "/api/download/{slug}/{chapter}", ["format","source"]],
+    search: ["GET", "/api/search", ["q","genre","page","limit","source"]],
+    browse: ["GET", "/api/browse", ["genres","mode","exclude","status","sort","order","page","limit","source"]],
+    getPopular: ["GET", "/api/popular", ["count","window","genre","source"]],
+    getRecommendations: ["GET", "/api/recommendations", ["count","pool_pages","diversity","source"]],
+    listHomeV2: ["GET", "/api/v2/home", ["cursor","limit","source"]],
+    listGenresV2: ["GET", "/api/v2/genres", ["source"]],
+    listGenreItemsV2: ["GET", "/api/v2/genres/{slug}/items", ["cursor","limit","source"]],
+    searchV2: ["GET", "/api/v2/search", ["q","genre","cursor","limit","source"]],
+    listRecommendationsV2: ["GET", "/api/v2/recommendations", ["cursor","limit","diversity","source"]],
+    listSources: ["GET", "/api/sources", []],
+    getHealth: ["GET", "/api/health", []],
+    getDiagnostics: ["GET", "/api/diagnostics", ["probe","source"]],
+    getAdminOverview: ["GET", "/api/admin/overview", []],
+    getConfig: ["GET", "/api/admin/config", []],
+    updateConfig: ["PATCH", "/api/admin/config", []],
+    listCache: ["GET", "/api/admin/cache", ["prefix","limit"]],
+    purgeCache: ["DELETE", "/api/admin/cache", ["prefix","all"]],
+    getCrawl: ["GET", "/api/admin/crawl", []],
+    startCrawl: ["POST", "/api/admin/crawl", []],
+    getUpstream: ["GET", "/api/admin/upstream", ["host","limit"]],
+    getMetrics: ["GET", "/api/admin/metrics", []],
+    listModerationQueue: ["GET", "/api/admin/comments", ["status","limit"]],
+    hideComment: ["POST", "/api/admin/comments/{id}/hide", []],
+    getOpenApi: ["GET", "/api/openapi.json", []],
+    docs: ["GET", "/api/docs", []]
+  };
+
+  class ApiError extends Error {
+    constructor(body, status){
+      super((body && body.error) || `HTTP ${status}`);
+      this.name = 'ApiError'; this.status = status; this.code = (body && body.code) || null; this.body = body || null;
+    }
+  }
+
+  /**
+   * @param {{ base?: string, token?: () => (string|null), fetch?: typeof fetch }} [opts]
+   */
+  function createClient({ base = '', token = () => null, fetch: fetchImpl } = {}){
+    const doFetch = fetchImpl || ((...a) => root.fetch(...a));
+    function url([, path, queryNames], params = {}){
+      const q = new URLSearchParams();
+      for(const k of queryNames){ const v = params[k]; if(v !== undefined && v !== null && v !== '') q.set(k, Array.isArray(v) ? v.join(',') : String(v)); }
+      const qs = q.toString();
+      return `${base}${path.replace(/\{(\w+)\}/g, (_, k) => encodeURIComponent(params[k]))}${qs ? `?${qs}` : ''}`;
+    }
+    async function call(op, params, body, init = {}){
+      const headers = { Accept: 'application/json', ...(init.headers || {}) };
+      const t = token(); if(t) headers.Authorization = `Bearer ${t}`;
+      if(body !== undefined) headers['Content-Type'] = 'application/json';
+      const r = await doFetch(url(op, params), { ...init, method: op[0], headers, body: body !== undefined ? JSON.stringify(body) : undefined });
+      const data = await r.json().catch(() => null);
+      if(!r.ok || !data || data.ok === false) throw new ApiError(data, r.status);
+      return data;
+    }
+    return {
+      /**
+       * Latest series on a page of the source home listing
+       * @param {{ page?: number, exclude_popular?: boolean, popular_count?: number, source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, items: SeriesItem[], page: number, excludePopular: boolean }>}
+       */
+      getHome: (params, init) => call(OPS.getHome, params, undefined, init),
+      /**
+       * Genres offered by the source
+       * @param {{ pages?: number, source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, pages: number, genres: Genre[] }>}
+       */
+      listGenres: (params, init) => call(OPS.listGenres, params, undefined, init),
+      /**
+       * Series listed under a genre
+       * @param {{ slug: string, page?: number, pages?: number, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, items: SeriesItem[], genre: string, startPage: number, pagesFetched: number }>}
+       */
+      getGenre: (params, init) => call(OPS.getGenre, params, undefined, init),
+      /**
+       * Series detail with the full chapter list (latest first)
+       * @param {{ slug: string, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, manga: Manga }>}
+       */
+      getManga: (params, init) => call(OPS.getManga, params, undefined, init),
+      /**
+       * Same as /api/manga/{slug} (deprecated)
+       * @param {{ slug: string, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, manga: Manga }>}
+       */
+      getMangaByQuery: (params, init) => call(OPS.getMangaByQuery, params, undefined, init),
+      /**
+       * Same as /api/reader with slug and chapter in the path
+       * @param {{ slug: string, chapter: string, mirror?: string, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<ChapterPages>}
+       */
+      getChapterPagesByPath: (params, init) => call(OPS.getChapterPagesByPath, params, undefined, init),
+      /**
+       * Page image urls of a chapter, plus its neighbours
+       * @param {{ slug: string, chapter: string, mirror?: string, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<ChapterPages>}
+       */
+      getChapterPages: (params, init) => call(OPS.getChapterPages, params, undefined, init),
+      /**
+       * Image proxy with optional resize and format conversion
+       * @param {{ url: string, w?: number, q?: number, fmt?: 'webp'|'avif'|'jpeg' }} params
+       * @returns {string} url of the image/* response
+       */
+      imageUrl: params => url(OPS.image, params),
+      /**
+       * Create an account and get a bearer token (rate limited per address)
+       * @param {Credentials} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, token: string, user: User }>}
+       */
+      register: (body, init) => call(OPS.register, {}, body, init),
+      /**
+       * Exchange credentials for a bearer token (rate limited per address and username)
+       * @param {Credentials} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, token: string, user: User }>}
+       */
+      login: (body, init) => call(OPS.login, {}, body, init),
+      /**
+       * Revoke the current token
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true }>}
+       */
+      logout: (init) => call(OPS.logout, {}, undefined, init),
+      /**
+       * The logged-in user
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, user: User }>}
+       */
+      getMe: (init) => call(OPS.getMe, {}, undefined, init),
+      /**
+       * Followed series
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, count: number, items: LibraryItem[] }>}
+       */
+      getLibrary: (init) => call(OPS.getLibrary, {}, undefined, init),
+      /**
+       * Follow a series (on the ?source= it is read from)
+       * @param {{ slug: string, source?: string }} params
+       * @param {{ title?: string, cover?: string }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, slug: string, following: boolean }>}
+       */
+      follow: (params, body, init) => call(OPS.follow, params, body, init),
+      /**
+       * Stop following a series
+       * @param {{ slug: string, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, slug: string, following: boolean }>}
+       */
+      unfollow: (params, init) => call(OPS.unfollow, params, undefined, init),
+      /**
+       * Reading position per chapter of a series
+       * @param {{ slug: string, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, slug: string, following: boolean, chapters: Object<string, ChapterProgress> }>}
+       */
+      getProgress: (params, init) => call(OPS.getProgress, params, undefined, init),
+      /**
+       * Save the reading position in a chapter
+       * @param {{ slug: string, chapter: string }} params
+       * @param {{ page?: number, pageCount?: number, read?: boolean }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, slug: string, chapterId: string, progress: ChapterProgress }>}
+       */
+      saveProgress: (params, body, init) => call(OPS.saveProgress, params, body, init),
+      /**
+       * Import positions the reader kept in localStorage
+       * @param {{ entries: Array<{ slug: string, chapter: string, idx?: number, ts?: number }> }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, imported: number }>}
+       */
+      importProgress: (body, init) => call(OPS.importProgress, {}, body, init),
+      /**
+       * Recently read chapters
+       * @param {{ limit?: number }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, count: number, items: HistoryItem[] }>}
+       */
+      getHistory: (params, init) => call(OPS.getHistory, params, undefined, init),
+      /**
+       * Latest position per series, most recent first
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, count: number, items: HistoryItem[] }>}
+       */
+      getContinueReading: (init) => call(OPS.getContinueReading, {}, undefined, init),
+      /**
+       * New chapters detected for followed series (all series when anonymous)
+       * @param {{ limit?: number, since?: number, slug?: string[], scope?: 'following'|'all', source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, scope: 'slug'|'following'|'all', count: number, items: UpdateEvent[] }>}
+       */
+      getUpdates: (params, init) => call(OPS.getUpdates, params, undefined, init),
+      /**
+       * Atom feed of new chapters
+       * @returns {string} url of the application/atom+xml response
+       */
+      updatesFeedUrl: () => url(OPS.updatesFeed, {}),
+      /**
+       * Atom feed of new chapters of one series
+       * @param {{ slug: string, source?: string }} params
+       * @returns {string} url of the application/atom+xml response
+       */
+      seriesFeedUrl: params => url(OPS.seriesFeed, params),
+      /**
+       * Your webhooks
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, count: number, items: Webhook[] }>}
+       */
+      listWebhooks: (init) => call(OPS.listWebhooks, {}, undefined, init),
+      /**
+       * Register a webhook; the signing secret is only returned here
+       * @param {{ url: string, slugs?: string[] }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, webhook: Webhook }>}
+       */
+      createWebhook: (body, init) => call(OPS.createWebhook, {}, body, init),
+      /**
+       * Remove a webhook
+       * @param {{ id: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true }>}
+       */
+      deleteWebhook: (params, init) => call(OPS.deleteWebhook, params, undefined, init),
+      /**
+       * VAPID public key for web push
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, publicKey: string }>}
+       */
+      getPushKey: (init) => call(OPS.getPushKey, {}, undefined, init),
+      /**
+       * Register a browser push subscription
+       * @param {{ subscription: { endpoint: string } }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true }>}
+       */
+      subscribePush: (body, init) => call(OPS.subscribePush, {}, body, init),
+      /**
+       * Remove a browser push subscription
+       * @param {{ endpoint?: string }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true }>}
+       */
+      unsubscribePush: (body, init) => call(OPS.unsubscribePush, {}, body, init),
+      /**
+       * Average rating of a series, its distribution and your own score
+       * @param {{ slug: string, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<Rating>}
+       */
+      getRating: (params, init) => call(OPS.getRating, params, undefined, init),
+      /**
+       * Rate a series from 1 to 5 (replaces your earlier score)
+       * @param {{ slug: string, source?: string }} params
+       * @param {{ score: number }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<Rating>}
+       */
+      rate: (params, body, init) => call(OPS.rate, params, body, init),
+      /**
+       * Withdraw your rating
+       * @param {{ slug: string, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<Rating>}
+       */
+      unrate: (params, init) => call(OPS.unrate, params, undefined, init),
+      /**
+       * Latest comments on any chapter of a series
+       * @param {{ slug: string, limit?: number, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, slug: string, total: number, count: number, items: Comment[] }>}
+       */
+      getSeriesComments: (params, init) => call(OPS.getSeriesComments, params, undefined, init),
+      /**
+       * Comment thread of a chapter: top-level comments with their replies
+       * @param {{ slug: string, chapter: string, sort?: 'new'|'old', page?: number, limit?: number, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, slug: string, chapterId: string, sort: string, page: number, limit: number, total: number, count: number, moderator: boolean, items: Comment[] }>}
+       */
+      getComments: (params, init) => call(OPS.getComments, params, undefined, init),
+      /**
+       * Comment on a chapter, or reply with parentId (rate limited)
+       * @param {{ slug: string, chapter: string, source?: string }} params
+       * @param {{ body: string, spoiler?: boolean, parentId?: string }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, comment: Comment }>}
+       */
+      postComment: (params, body, init) => call(OPS.postComment, params, body, init),
+      /**
+       * Edit your comment
+       * @param {{ id: string }} params
+       * @param {{ body?: string, spoiler?: boolean }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, comment: Comment }>}
+       */
+      editComment: (params, body, init) => call(OPS.editComment, params, body, init),
+      /**
+       * Delete your comment (admins: any comment); one with replies stays as a placeholder
+       * @param {{ id: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, id: string, placeholder: boolean }>}
+       */
+      deleteComment: (params, init) => call(OPS.deleteComment, params, undefined, init),
+      /**
+       * Report a comment to the moderators
+       * @param {{ id: string }} params
+       * @param {{ reason?: string }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, id: string, reported: boolean }>}
+       */
+      reportComment: (params, body, init) => call(OPS.reportComment, params, body, init),
+      /**
+       * Build an archive of a chapter range in the background (a few jobs per user at a time)
+       * @param {{ slug: string, format?: 'cbz'|'pdf'|'epub', chapters?: string[], from?: number, to?: number, source?: string }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, job: DownloadJob }>}
+       */
+      createDownloadJob: (body, init) => call(OPS.createDownloadJob, {}, body, init),
+      /**
+       * Progress of a download job
+       * @param {{ id: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, job: DownloadJob }>}
+       */
+      getDownloadJob: (params, init) => call(OPS.getDownloadJob, params, undefined, init),
+      /**
+       * The finished archive
+       * @param {{ id: string }} params
+       * @returns {string} url of the application/octet-stream response
+       */
+      downloadJobFileUrl: params => url(OPS.downloadJobFile, params),
+      /**
+       * One chapter as CBZ, PDF or EPUB (streamed)
+       * @param {{ slug: string, chapter: string, format?: 'cbz'|'pdf'|'epub', source?: string }} params
+       * @returns {string} url of the application/octet-stream response
+       */
+      downloadChapterUrl: params => url(OPS.downloadChapter, params),
+      /**
+       * Fuzzy title search (Persian-aware) and genre filtering
+       * @param {{ q?: string, genre?: string[], page?: number, limit?: number, source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, items: SeriesItem[], q: string, genres: string[], page: number, limit: number, total: number, index: object|null }>}
+       */
+      search: (params, init) => call(OPS.search, params, undefined, init),
+      /**
+       * Browse the local catalog: genres combined with AND/OR, excluded genres, status filter, sorting and facet counts
+       * @param {{ genres?: string[], mode?: 'and'|'or', exclude?: string[], status?: 'ongoing'|'completed'|'hiatus'|'dropped', sort?: 'title'|'latest'|'chapters'|'popular', order?: 'asc'|'desc', page?: number, limit?: number, source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, items: BrowseItem[], genres: string[], mode: string, exclude: string[], status: string|null, sort: string, order: string, page: number, limit: number, total: number, facets: { genres: Array<{ name: string, count: number }>, status: Array<{ status: string, count: number }> }, index: object|null }>}
+       */
+      browse: (params, init) => call(OPS.browse, params, undefined, init),
+      /**
+       * Most read/viewed/followed series on this server (trending by day or week, or all time), optionally within a genre; topped up from the source listing while traffic is thin
+       * @param {{ count?: number, window?: 'day'|'week'|'all', genre?: string, source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, items: PopularItem[], window: 'day'|'week'|'all', genre: string|null, ranked: number, count: number }>}
+       */
+      getPopular: (params, init) => call(OPS.getPopular, params, undefined, init),
+      /**
+       * Picks for the logged-in reader (history, genres, similar readers), topped up with the daily shuffle
+       * @param {{ count?: number, pool_pages?: number, diversity?: number, source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, items: RecommendedItem[], date: string, personalized: boolean, poolPages: number, poolSize: number, count: number }>}
+       */
+      getRecommendations: (params, init) => call(OPS.getRecommendations, params, undefined, init),
+      /**
+       * Home listing, cursor-paginated
+       * @param {{ cursor?: string, limit?: number, source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, hasMore: boolean, nextCursor: string|null, totalEstimate: number, totalExact: boolean, items: SeriesItem[], limit: number }>}
+       */
+      listHomeV2: (params, init) => call(OPS.listHomeV2, params, undefined, init),
+      /**
+       * All genres of the source (single page)
+       * @param {{ source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, hasMore: boolean, nextCursor: string|null, totalEstimate: number, totalExact: boolean, items: Genre[] }>}
+       */
+      listGenresV2: (params, init) => call(OPS.listGenresV2, params, undefined, init),
+      /**
+       * Series of a genre, cursor-paginated
+       * @param {{ slug: string, cursor?: string, limit?: number, source?: string }} params
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, hasMore: boolean, nextCursor: string|null, totalEstimate: number, totalExact: boolean, items: SeriesItem[], limit: number, genre: string }>}
+       */
+      listGenreItemsV2: (params, init) => call(OPS.listGenreItemsV2, params, undefined, init),
+      /**
+       * Search, cursor-paginated (exact totals)
+       * @param {{ q?: string, genre?: string[], cursor?: string, limit?: number, source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, hasMore: boolean, nextCursor: string|null, totalEstimate: number, totalExact: boolean, items: SeriesItem[], limit: number, q: string, genres: string[] }>}
+       */
+      searchV2: (params, init) => call(OPS.searchV2, params, undefined, init),
+      /**
+       * Recommendations (personalized when logged in), cursor-paginated
+       * @param {{ cursor?: string, limit?: number, diversity?: number, source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, source: string, hasMore: boolean, nextCursor: string|null, totalEstimate: number, totalExact: boolean, items: RecommendedItem[], limit: number, date: string, personalized: boolean }>}
+       */
+      listRecommendationsV2: (params, init) => call(OPS.listRecommendationsV2, params, undefined, init),
+      /**
+       * Sources and their mirrors (the reader server picker)
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, sources: Source[] }>}
+       */
+      listSources: (init) => call(OPS.listSources, {}, undefined, init),
+      /**
+       * Liveness plus scraping, upstream and cache status
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, ts: number, uptime: number, status: 'unknown'|'ok'|'degraded'|'failing' }>}
+       */
+      getHealth: (init) => call(OPS.getHealth, {}, undefined, init),
+      /**
+       * Per-extractor strategy statistics and selector drift
+       * @param {{ probe?: boolean, source?: string }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, ts: number, status: 'unknown'|'ok'|'degraded'|'failing', primaryStrategies: Object<string, string>, lastProbe: object|null, reports: ExtractorReport[] }>}
+       */
+      getDiagnostics: (params, init) => call(OPS.getDiagnostics, params, undefined, init),
+      /**
+       * Process, cache, upstream, crawl and request totals (admins only)
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, ts: number, uptime: number, memory: { rss: number, heapUsed: number }, status: 'unknown'|'ok'|'degraded'|'failing', cache: object, upstream: Object<string, object>, crawl: CrawlStatus, requests: { since: number, total: number, errors: number } }>}
+       */
+      getAdminOverview: (init) => call(OPS.getAdminOverview, {}, undefined, init),
+      /**
+       * Runtime settings with their current value and where it came from
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, settings: Setting[], errors: Array<{ param: string, message: string }> }>}
+       */
+      getConfig: (init) => call(OPS.getConfig, {}, undefined, init),
+      /**
+       * Change settings at runtime and save them to config.json; null resets a setting to its env/default value
+       * @param {Object<string, string|number|null>} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, changed: string[], settings: Setting[], errors: Array<{ param: string, message: string }> }>}
+       */
+      updateConfig: (body, init) => call(OPS.updateConfig, {}, body, init),
+      /**
+       * Cached entries held in memory, optionally by key prefix
+       * @param {{ prefix?: string, limit?: number }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, stats: object, prefix: string, total: number, items: CacheEntry[] }>}
+       */
+      listCache: (params, init) => call(OPS.listCache, params, undefined, init),
+      /**
+       * Drop cached entries by key prefix (memory and disk), or everything with all=true
+       * @param {{ prefix?: string, all?: boolean }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, prefix: string, removed: number }>}
+       */
+      purgeCache: (params, init) => call(OPS.purgeCache, params, undefined, init),
+      /**
+       * Catalog crawl state, schedule and last run
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, crawl: CrawlStatus }>}
+       */
+      getCrawl: (init) => call(OPS.getCrawl, {}, undefined, init),
+      /**
+       * Crawl the catalog now, schedule a one-off crawl ({ at }) or cancel it ({ cancel: true })
+       * @param {{ at?: string|number, cancel?: boolean }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, started: boolean, crawl: CrawlStatus }>}
+       */
+      startCrawl: (body, init) => call(OPS.startCrawl, {}, body, init),
+      /**
+       * Per-host client state and the most recent failed upstream requests
+       * @param {{ host?: string, limit?: number }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, hosts: Object<string, object>, count: number, failures: UpstreamFailure[] }>}
+       */
+      getUpstream: (params, init) => call(OPS.getUpstream, params, undefined, init),
+      /**
+       * Request counts, status classes and latency percentiles per route since start
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, since: number, total: number, errors: number, routes: RouteMetrics[] }>}
+       */
+      getMetrics: (init) => call(OPS.getMetrics, {}, undefined, init),
+      /**
+       * Reported comments (most reports first) or all hidden ones, with report reasons
+       * @param {{ status?: 'reported'|'hidden', limit?: number }} [params]
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, status: string, total: number, count: number, items: Comment[] }>}
+       */
+      listModerationQueue: (params, init) => call(OPS.listModerationQueue, params, undefined, init),
+      /**
+       * Hide a comment, or show it again with { hidden: false } (clears its reports)
+       * @param {{ id: string }} params
+       * @param {{ hidden?: boolean }} body
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ ok: true, comment: Comment }>}
+       */
+      hideComment: (params, body, init) => call(OPS.hideComment, params, body, init),
+      /**
+       * This document
+       * @param {RequestInit} [init]
+       * @returns {Promise<{ openapi: string }>}
+       */
+      getOpenApi: (init) => call(OPS.getOpenApi, {}, undefined, init),
+      /**
+       * Interactive documentation for this API
+       * @returns {string} url of the text/html response
+       */
+      docsUrl: () => url(OPS.docs, {})
+    };
+  }
+
+  const api = { createClient, ApiError };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.TowerApi = api;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,106 +1,385 @@
 // public/app.js
 const $app = document.getElementById('app');
-const API = '/api';
 
-document.getElementById('homeBtn').addEventListener('click', ()=>{ setActive('home'); showHome(); });
-document.getElementById('genresBtn').addEventListener('click', ()=>{ setActive('genres'); showGenres(); });
-document.getElementById('recBtn').addEventListener('click', ()=>{ setActive('rec'); showRecs(); });
+document.getElementById('homeBtn').addEventListener('click', ()=> navigate('/'));
+document.getElementById('genresBtn').addEventListener('click', ()=> navigate('/genres'));
+document.getElementById('recBtn').addEventListener('click', ()=> navigate('/recommendations'));
+document.getElementById('libraryBtn').addEventListener('click', ()=> navigate('/library'));
+document.getElementById('offlineBtn').addEventListener('click', ()=> navigate('/offline'));
 document.getElementById('btnSearch').addEventListener('click', searchHandler);
+document.getElementById('search').addEventListener('keydown', e=>{ if(e.key==='Enter') searchHandler(); });
 
 function setActive(key){
   document.querySelectorAll('.nav button').forEach(b=>b.classList.remove('active'));
   if(key==='home') document.getElementById('homeBtn').classList.add('active');
   if(key==='genres') document.getElementById('genresBtn').classList.add('active');
   if(key==='rec') document.getElementById('recBtn').classList.add('active');
+  if(key==='library') document.getElementById('libraryBtn').classList.add('active');
+  if(key==='offline') document.getElementById('offlineBtn').classList.add('active');
 }
 
+/* routing: every view has a path (server.js serves index.html for each), so refresh, Back and shared links land on the same view */
+const ROUTES = [
+  { path: /^\/$/, nav: 'home', show: () => showHome() },
+  { path: /^\/genres$/, nav: 'genres', show: (m, q) => showGenres({ include: q.get('genres'), exclude: q.get('exclude'), mode: q.get('mode'), status: q.get('status'), sort: q.get('sort') }) },
+  { path: /^\/genre\/([^/]+)$/, nav: 'genres', show: m => showGenres({ genre: decodeURIComponent(m[1]) }) },
+  { path: /^\/recommendations$/, nav: 'rec', show: () => showRecs() },
+  { path: /^\/library$/, nav: 'library', show: () => showLibrary() },
+  { path: /^\/offline$/, nav: 'offline', show: () => showOffline() },
+  { path: /^\/search$/, nav: null, show: (m, q) => showSearch(q.get('q') || '') },
+  { path: /^\/manga\/([^/]+)$/, nav: null, show: m => openManga(decodeURIComponent(m[1])) }
+];
+function matchRoute(pathname){
+  for(const route of ROUTES){ const m = pathname.match(route.path); if(m) return { route, m }; }
+  return null;
+}
+async function route(scroll){
+  const { route: r, m } = matchRoute(location.pathname) || { route: ROUTES[0], m: [] };
+  setActive(r.nav); setTitle(null);
+  await r.show(m, new URLSearchParams(location.search));
+  window.scrollTo(0, scroll || 0);
+}
+function navigate(href, { replace = false } = {}){
+  rememberScroll();
+  history[replace ? 'replaceState' : 'pushState']({ scroll: 0 }, '', href);
+  return route(0);
+}
+// scroll positions live in history.state, so Back (and a refresh) returns to where the list was left
+function rememberScroll(){ history.replaceState({ ...(history.state || {}), scroll: window.scrollY }, ''); }
+function setTitle(title){ document.title = title ? `${title} — Manhwa Vault` : 'Manhwa Vault'; }
+if('scrollRestoration' in history) history.scrollRestoration = 'manual';
+window.addEventListener('popstate', e => route(e.state && e.state.scroll));
+window.addEventListener('pagehide', rememberScroll);
+// same-origin links to a known route stay in the app; modified clicks, downloads and other pages (/reader) behave normally
+document.addEventListener('click', e => {
+  const a = e.target.closest('a[href]');
+  if(!a || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || a.target || a.hasAttribute('download')) return;
+  const url = new URL(a.href, location.href);
+  if(url.origin !== location.origin || !matchRoute(url.pathname)) return;
+  e.preventDefault();
+  navigate(url.pathname + url.search);
+});
+
+// server-rendered pages (/manga/:slug) embed the data they were built from; the first matching view uses it instead of refetching
+let initialData = (()=>{ const el = document.getElementById('initial-data'); try{ return el ? JSON.parse(el.textContent) : null; }catch(e){ return null; } })();
+function takeInitialData(matches){ const d = initialData; initialData = null; return d && matches(d) ? d : null; }
+
+/* account: bearer token kept in localStorage (the reader sends it too) */
+const TOKEN_KEY = 'manhwa_token';
+function getToken(){ try{ return localStorage.getItem(TOKEN_KEY); }catch(e){ return null; } }
+// generated from /api/openapi.json (public/api-client.js); methods reject with TowerApi.ApiError on { ok:false }
+const client = TowerApi.createClient({ token: getToken });
+
+/* popular: ranked from this site's own reads/views/follows (server tops up from the home page while data is thin) */
+const POPULAR_WINDOWS = [['day', 'امروز'], ['week', 'این هفته'], ['all', 'همه زمان‌ها']];
+let popularWindow = 'week';
+const popularCards = items => items.map(ci => card(ci, ci.stats ? `${ci.stats.reads} خواندن · ${ci.stats.views} بازدید` : '')).join('');
+
 async function showHome(){
   $app.innerHTML = '<div class="center">در حال بارگذاری...</div>';
   const [homeRes, popRes] = await Promise.all([
-    fetch(`${API}/home?page=1`).then(r=>r.json()).catch(()=>({items:[]}))
-    , fetch(`${API}/popular?count=8`).then(r=>r.json()).catch(()=>({items:[]}))
+    client.getHome({ page: 1 }).catch(()=>({items:[]}))
+    , client.getPopular({ count: 8, window: popularWindow }).catch(()=>({items:[]}))
   ]);
   const items = (homeRes && homeRes.items) || [];
   const popular = (popRes && popRes.items) || [];
   $app.innerHTML = `
-    <section class="section"><h3>محبوب</h3><div class="grid">${popular.map(ci=>card(ci)).join('')}</div></section>
+    <section class="section"><h3>محبوب <span class="tabs">${POPULAR_WINDOWS.map(([w, label]) => `<button class="btn small${w === popularWindow ? '' : ' ghost'}" data-window="${w}">${label}</button>`).join('')}</span></h3><div class="grid" id="popularGrid">${popularCards(popular)}</div></section>
     <section class="section"><h3>جدیدها</h3><div class="grid">${items.map(ci=>card(ci)).join('')}</div></section>
   `;
-  bindCards();
+  document.querySelectorAll('[data-window]').forEach(b => b.addEventListener('click', async ()=>{
+    popularWindow = b.dataset.window;
+    document.querySelectorAll('[data-window]').forEach(x => x.classList.toggle('ghost', x !== b));
+    const r = await client.getPopular({ count: 8, window: popularWindow }).catch(()=>({items:[]}));
+    const grid = document.getElementById('popularGrid');
+    grid.innerHTML = popularCards((r && r.items) || []);
+  }));
 }
 
-function card(ci){
-  const slug = ci.slug || (ci.link ? ci.link.split('/').filter(Boolean).pop() : '');
+function card(ci, sub){
+  const slug = ci.slug;
   // ensure cover safe
-  const cover = ci.cover ? (ci.cover.startsWith('http') ? ci.cover : `${ci.cover}`) : '/placeholder.png';
-  return `<div class="card" data-slug="${slug}"><img src="${cover}" alt="${escapeHtml(ci.title||'')}" loading="lazy"><div class="meta"><div class="title">${escapeHtml(ci.title||'')}</div><div class="sub">${escapeHtml(slug)}</div></div></div>`;
-}
-
-function bindCards(){
-  document.querySelectorAll('.card').forEach(c => c.addEventListener('click', ()=>{
-    const slug = c.dataset.slug;
-    openManga(slug);
-  }));
+  const cover = imageUrl(ci.cover, { w: 320, q: 75, fmt: 'webp' });
+  return `<a class="card" href="/manga/${encodeURIComponent(slug)}"><img src="${cover}" alt="${escapeHtml(ci.title||'')}" loading="lazy"><div class="meta"><div class="title">${escapeHtml(ci.title||'')}</div><div class="sub">${escapeHtml(sub || slug)}</div></div></a>`;
 }
 
 async function openManga(slug){
-  $app.innerHTML = '<div class="center">در حال بارگذاری جزئیات...</div>';
-  const r = await fetch(`${API}/manga/${encodeURIComponent(slug)}`).then(r=>r.json()).catch(()=>null);
+  const embedded = takeInitialData(d => d.slug === slug && d.manga);
+  if(!embedded) $app.innerHTML = '<div class="center">در حال بارگذاری جزئیات...</div>'; // otherwise the server-rendered page stays up meanwhile
+  const [r, prog] = await Promise.all([
+    embedded ? { ok: true, manga: embedded.manga } : client.getManga({ slug }).catch(()=>null),
+    getToken() ? client.getProgress({ slug }).catch(()=>null) : null
+  ]);
   if(!r || !r.ok){ $app.innerHTML = '<div class="center">خطا در دریافت</div>'; return; }
   const m = r.manga;
-  $app.innerHTML = `<div class="section"><div class="manga-head"><img src="${m.cover||'/placeholder.png'}" class="manga-cover"><div class="manga-info"><h1>${escapeHtml(m.title||'')}</h1><div class="muted">${escapeHtml(m.description||'')}</div><div class="tags">${(m.genres||[]).map(g=>`<span class="tag">${escapeHtml(g)}</span>`).join('')}</div><div style="margin-top:12px"><button id="openLatest" class="btn">خواندن از آخرین</button></div></div></div></div>
-    <div class="section"><h3>فصل‌ها</h3><div class="chapters" id="chapList">${(m.chapters||[]).map(c=>`<div class="ch-item" data-ch="${c.chapterId}"><div>${escapeHtml(c.title||c.chapterId)}</div><div><button class="btn small" data-ch="${c.chapterId}">خواندن</button></div></div>`).join('')}</div></div>`;
+  setTitle(m.title);
+  const readState = (prog && prog.ok && prog.chapters) || {};
+  $app.innerHTML = `<div class="section"><div class="manga-head"><img src="${imageUrl(m.cover, { w: 400, q: 80, fmt: 'webp' })}" class="manga-cover"><div class="manga-info"><h1>${escapeHtml(m.title||'')}</h1><div class="muted">${escapeHtml(m.description||'')}</div><div class="tags">${(m.genres||[]).map(g=>`<a class="tag" href="/genres?genres=${encodeURIComponent(g)}">${escapeHtml(g)}</a>`).join('')}</div><div id="ratingBox"></div><div style="margin-top:12px"><button id="openLatest" class="btn">خواندن از آخرین</button> ${getToken() ? `<button id="followBtn" class="btn" data-following="${prog && prog.following ? 1 : 0}">${prog && prog.following ? 'دنبال نکردن' : 'دنبال کردن'}</button>` : ''}</div></div></div></div>
+    <div class="section"><h3>فصل‌ها</h3><div class="chapters" id="chapList">${(m.chapters||[]).map(c=>`<div class="ch-item${readState[c.chapterId] && readState[c.chapterId].read ? ' read' : ''}" data-ch="${c.chapterId}"><div>${escapeHtml(c.title||c.chapterId)}</div><div>${ManhwaOffline.supported ? `${offlineButton(m.slug||slug, c.chapterId)} ` : ''}<a class="btn small" href="${client.downloadChapterUrl({ slug: m.slug||slug, chapter: c.chapterId, format: 'cbz' })}" download title="دانلود CBZ">دانلود</a> <button class="btn small" data-ch="${c.chapterId}">خواندن</button></div></div>`).join('')}</div></div>
+    <div class="section"><h3>آخرین نظرها</h3><div id="recentComments"></div></div>`;
+  const readerHref = ch => `/reader?slug=${encodeURIComponent(m.slug||slug)}&chapter=${encodeURIComponent(ch)}`;
+  ManhwaCommunity.mountRating(document.getElementById('ratingBox'), m.slug||slug);
+  ManhwaCommunity.mountRecent(document.getElementById('recentComments'), m.slug||slug, readerHref);
   document.getElementById('openLatest').addEventListener('click', ()=> {
     const ch = (m.chapters && m.chapters[0] && m.chapters[0].chapterId) || '1';
-    location.href = `/reader?slug=${encodeURIComponent(m.slug||slug)}&chapter=${encodeURIComponent(ch)}`;
+    location.href = readerHref(ch);
+  });
+  const followBtn = document.getElementById('followBtn');
+  if(followBtn) followBtn.addEventListener('click', async ()=>{
+    const following = followBtn.dataset.following === '1';
+    const target = { slug: m.slug||slug };
+    const res = await (following ? client.unfollow(target) : client.follow(target, { title: m.title, cover: m.cover })).catch(()=>null);
+    if(!res || !res.ok) return;
+    followBtn.dataset.following = res.following ? '1' : '0';
+    followBtn.textContent = res.following ? 'دنبال نکردن' : 'دنبال کردن';
   });
+  document.querySelectorAll('.ch-item [data-offline]').forEach(b => b.addEventListener('click', ()=>{
+    const c = (m.chapters||[]).find(x => String(x.chapterId) === b.dataset.offline);
+    toggleOffline(b, { slug: m.slug||slug, chapter: b.dataset.offline, mangaTitle: m.title, chapterTitle: c && c.title, cover: m.cover });
+  }));
   // chapter buttons
-  document.querySelectorAll('.ch-item button').forEach(b => b.addEventListener('click', (e)=>{
-    const ch = e.target.dataset.ch;
-    location.href = `/reader?slug=${encodeURIComponent(m.slug||slug)}&chapter=${encodeURIComponent(ch)}`;
+  document.querySelectorAll('.ch-item button[data-ch]').forEach(b => b.addEventListener('click', (e)=>{
+    location.href = readerHref(e.target.dataset.ch);
   }));
 }
 
-async function showGenres(){
+/* offline: chapters saved in this browser (offline.js); sw.js serves them and the app shell without a network */
+const OFFLINE_LIMITS_MB = [100, 300, 1000, 3000];
+const formatMb = bytes => `${(bytes / 1048576).toFixed(bytes < 10485760 ? 1 : 0)} MB`;
+function offlineButton(slug, chapter){
+  const saved = ManhwaOffline.isSaved(slug, chapter);
+  return `<button class="btn small${saved ? '' : ' ghost'}" data-offline="${escapeHtml(chapter)}" title="${saved ? 'حذف از حافظه آفلاین' : 'ذخیره برای خواندن آفلاین'}">${saved ? '✓ آفلاین' : 'ذخیره آفلاین'}</button>`;
+}
+
+async function toggleOffline(btn, info){
+  if(btn.disabled) return;
+  btn.disabled = true;
+  try{
+    if(ManhwaOffline.isSaved(info.slug, info.chapter)) await ManhwaOffline.removeChapter(info.slug, info.chapter);
+    else{
+      const evicted = ManhwaOffline.list().length;
+      await ManhwaOffline.saveChapter(info, (done, total)=>{ btn.textContent = `${Math.round(done / total * 100)}٪`; });
+      if(ManhwaOffline.list().length <= evicted) alert('برای جا شدن این قسمت، قدیمی‌ترین قسمت‌های ذخیره‌شده حذف شدند.');
+    }
+  }catch(e){ alert(`ذخیره نشد: ${e.message}`); }
+  btn.outerHTML = offlineButton(info.slug, info.chapter);
+  const fresh = document.querySelector(`.ch-item [data-offline="${CSS.escape(info.chapter)}"]`);
+  if(fresh) fresh.addEventListener('click', ()=> toggleOffline(fresh, info));
+}
+
+async function showOffline(){
+  if(!ManhwaOffline.supported){ $app.innerHTML = '<div class="center">مرورگر شما از ذخیره آفلاین پشتیبانی نمی‌کند</div>'; return; }
+  const u = await ManhwaOffline.usage();
+  const items = ManhwaOffline.list();
+  const limitMb = Math.round(u.limit / 1048576);
+  $app.innerHTML = `<section class="section"><h3>قسمت‌های آفلاین${navigator.onLine ? '' : ' <span class="muted">(بدون اتصال)</span>'}</h3>
+    <div class="offline-usage"><div class="bar"><span style="width:${Math.min(100, u.bytes / u.limit * 100).toFixed(1)}%"></span></div>
+      <span class="muted">${formatMb(u.bytes)} از ${formatMb(u.limit)} · ${u.chapters} قسمت</span>
+      <select id="offlineLimit">${[...new Set([...OFFLINE_LIMITS_MB, limitMb])].sort((a, b) => a - b).map(mb => `<option value="${mb}"${mb === limitMb ? ' selected' : ''}>سقف ${mb} MB</option>`).join('')}</select></div>
+    ${items.length ? `<div class="chapters">${items.map(e => `<div class="ch-item" data-slug="${escapeHtml(e.slug)}" data-ch="${escapeHtml(e.chapter)}"><div>${escapeHtml(e.mangaTitle)} — ${escapeHtml(e.chapterTitle || `قسمت ${e.chapter}`)} <span class="muted">${e.pages} صفحه · ${formatMb(e.bytes)}</span></div><div><button class="btn small" data-read>خواندن</button> <button class="btn small ghost" data-remove>حذف</button></div></div>`).join('')}</div>`
+      : '<div class="muted">هنوز قسمتی ذخیره نکرده‌اید. در صفحهٔ هر مجموعه، «ذخیره آفلاین» را کنار قسمت‌ها بزنید.</div>'}</section>`;
+  document.getElementById('offlineLimit').addEventListener('change', async e => { await ManhwaOffline.setLimitMb(Number(e.target.value)); showOffline(); });
+  document.querySelectorAll('.ch-item[data-slug]').forEach(row => {
+    row.querySelector('[data-read]').addEventListener('click', ()=>{ location.href = `/reader?slug=${encodeURIComponent(row.dataset.slug)}&chapter=${encodeURIComponent(row.dataset.ch)}`; });
+    row.querySelector('[data-remove]').addEventListener('click', async ()=>{ await ManhwaOffline.removeChapter(row.dataset.slug, row.dataset.ch); showOffline(); });
+  });
+}
+
+/* browse: genres can be required (tap once), excluded (tap twice) or cleared; results come from the server-side catalog */
+const STATUS_LABELS = { ongoing: 'در حال انتشار', completed: 'تکمیل شده', hiatus: 'متوقف', dropped: 'لغو شده', unknown: 'نامشخص' };
+const SORT_LABELS = { latest: 'آخرین به‌روزرسانی', title: 'عنوان', chapters: 'تعداد فصل', popular: 'محبوب‌ترین' };
+const browseState = { include: new Set(), exclude: new Set(), mode: 'and', status: '', sort: 'latest', page: 1 };
+let genreList = []; // { name, slug } from the source, for /genre/:slug links
+
+// opts come from the URL: /genre/:slug ({ genre }) or /genres?genres=&exclude=&mode=&status=&sort=
+async function showGenres(opts = {}){
   $app.innerHTML = '<div class="center">در حال بارگذاری...</div>';
-  const res = await fetch(`${API}/genres?pages=1`).then(r=>r.json()).catch(()=>({genres:[]}));
-  const genres = (res && res.genres) || [];
-  $app.innerHTML = `<div class="section"><h3>ژانرها</h3><div style="display:flex;gap:8px;flex-wrap:wrap">${genres.map(g=>`<button class="tag" data-slug="${g.slug}">${escapeHtml(g.name)}</button>`).join('')}</div></div><div id="genreGrid"></div>`;
-  document.querySelectorAll('.tag').forEach(t=> t.addEventListener('click', async (e)=>{
-    const slug = e.target.dataset.slug;
-    document.getElementById('genreGrid').innerHTML = '<div class="center">در حال بارگذاری...</div>';
-    const r = await fetch(`${API}/genre/${encodeURIComponent(slug)}?pages=2`).then(r=>r.json()).catch(()=>({items:[]})); const items=(r && r.items)||[];
-    document.getElementById('genreGrid').innerHTML = `<div class="grid">${items.map(ci=>card(ci)).join('')}</div>`;
-    bindCards();
+  const res = await client.listGenres({ pages: 1 }).catch(()=>({genres:[]}));
+  const genres = genreList = (res && res.genres) || [];
+  const names = v => new Set(String(v || '').split(',').map(x => x.trim()).filter(Boolean));
+  const bySlug = slug => (genres.find(g => g.slug === slug) || { name: slug }).name;
+  Object.assign(browseState, { include: opts.genre ? new Set([bySlug(opts.genre)]) : names(opts.include), exclude: names(opts.exclude), mode: opts.mode === 'or' ? 'or' : 'and', status: opts.status || '', sort: SORT_LABELS[opts.sort] ? opts.sort : 'latest' });
+  $app.innerHTML = `<div class="section"><h3>مرور</h3>
+    <div class="browse-controls">
+      <select id="browseMode"><option value="and">همه ژانرهای انتخابی</option><option value="or">هر کدام از ژانرها</option></select>
+      <select id="browseStatus"></select>
+      <select id="browseSort">${Object.entries(SORT_LABELS).map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}</select>
+    </div>
+    <div class="tags" id="browseGenres">${genres.map(g=>`<button class="tag" data-genre="${escapeHtml(g.name)}">${escapeHtml(g.name)} <span class="count"></span></button>`).join('')}</div>
+  </div><div id="genreGrid"></div>`;
+  document.getElementById('browseMode').value = browseState.mode;
+  document.getElementById('browseSort').value = browseState.sort;
+  document.querySelectorAll('#browseGenres .tag').forEach(tag => tag.addEventListener('click', ()=>{
+    const name = tag.dataset.genre;
+    if(browseState.include.has(name)){ browseState.include.delete(name); browseState.exclude.add(name); }
+    else if(browseState.exclude.has(name)) browseState.exclude.delete(name);
+    else browseState.include.add(name);
+    loadBrowse(false);
   }));
+  for(const [id, key] of [['browseMode', 'mode'], ['browseStatus', 'status'], ['browseSort', 'sort']]){
+    document.getElementById(id).addEventListener('change', e => { browseState[key] = e.target.value; loadBrowse(false); });
+  }
+  loadBrowse(false);
+}
+
+// a single genre with default filters gets its own shareable path; anything else is spelled out in the query
+function browseUrl(){
+  const { include, exclude, mode, status, sort } = browseState;
+  if(include.size === 1 && !exclude.size && mode === 'and' && !status && sort === 'latest'){
+    const name = [...include][0]; const g = genreList.find(x => x.name === name);
+    return `/genre/${encodeURIComponent(g ? g.slug : name)}`;
+  }
+  const q = new URLSearchParams();
+  if(include.size) q.set('genres', [...include].join(','));
+  if(exclude.size) q.set('exclude', [...exclude].join(','));
+  if(mode !== 'and') q.set('mode', mode);
+  if(status) q.set('status', status);
+  if(sort !== 'latest') q.set('sort', sort);
+  return `/genres${q.toString() ? `?${q}` : ''}`;
+}
+
+async function loadBrowse(more){
+  browseState.page = more ? browseState.page + 1 : 1;
+  if(!more && browseUrl() !== location.pathname + location.search) history.replaceState(history.state, '', browseUrl());
+  setTitle(browseState.include.size ? [...browseState.include].join('، ') : 'مرور');
+  const $grid = document.getElementById('genreGrid');
+  if(!more) $grid.innerHTML = '<div class="center">در حال بارگذاری...</div>';
+  const r = await client.browse({ genres: [...browseState.include].join(','), exclude: [...browseState.exclude].join(','), mode: browseState.mode, status: browseState.status || undefined, sort: browseState.sort, page: browseState.page, limit: 24 }).catch(()=>null);
+  if(!r){ $grid.innerHTML = '<div class="center">خطا در دریافت</div>'; return; }
+  document.querySelectorAll('#browseGenres .tag').forEach(tag => {
+    const name = tag.dataset.genre; const facet = r.facets.genres.find(f => f.name === name);
+    tag.classList.toggle('on', browseState.include.has(name)); tag.classList.toggle('off', browseState.exclude.has(name));
+    tag.querySelector('.count').textContent = facet ? `(${facet.count})` : '';
+  });
+  const $status = document.getElementById('browseStatus');
+  $status.innerHTML = `<option value="">همه وضعیت‌ها</option>${r.facets.status.filter(f => f.status !== 'unknown').map(f => `<option value="${f.status}">${STATUS_LABELS[f.status] || f.status} (${f.count})</option>`).join('')}`;
+  $status.value = browseState.status;
+  const cards = r.items.map(ci => card(ci, [STATUS_LABELS[ci.status], ci.chapterCount != null ? `${ci.chapterCount} فصل` : ''].filter(Boolean).join(' · '))).join('');
+  const hasMore = browseState.page * r.limit < r.total;
+  if(more){
+    document.getElementById('browseMore').remove();
+    document.querySelector('#genreGrid .grid').insertAdjacentHTML('beforeend', cards);
+  }else{
+    $grid.innerHTML = r.total ? `<div class="muted">${r.total} نتیجه</div><div class="grid">${cards}</div>` : '<div class="center">موردی با این فیلترها پیدا نشد</div>';
+  }
+  if(hasMore){
+    $grid.insertAdjacentHTML('beforeend', '<div class="center"><button class="btn" id="browseMore">بیشتر</button></div>');
+    document.getElementById('browseMore').addEventListener('click', ()=> loadBrowse(true));
+  }
 }
 
 async function showRecs(){
   $app.innerHTML = '<div class="center">در حال بارگذاری...</div>';
-  const r = await fetch(`${API}/recommendations?count=8&pool_pages=3`).then(r=>r.json()).catch(()=>({items:[]}));
+  const r = await client.getRecommendations({ count: 12, pool_pages: 3 }).catch(()=>({items:[]}));
   const items = (r && r.items) || [];
-  $app.innerHTML = `<section class="section"><h3>پیشنهادات روز</h3><div class="grid">${items.map(ci=>card(ci)).join('')}</div></section>`;
-  bindCards();
+  const title = r && r.personalized ? 'پیشنهاد برای شما' : 'پیشنهادات روز';
+  $app.innerHTML = `<section class="section"><h3>${title}</h3><div class="grid">${items.map(ci=>card(ci, recReason(ci.reason))).join('')}</div></section>`;
+}
+
+// short "why this pick" line under a recommendation card
+function recReason(reason){
+  if(!reason || !reason.because) return '';
+  const title = reason.because.title;
+  if(reason.kind === 'readers') return `خوانندگان «${title}» این را هم خوانده‌اند`;
+  if(reason.kind === 'genre') return `چون «${title}» را خواندید${reason.genres.length ? ` · ${reason.genres.join('، ')}` : ''}`;
+  return '';
 }
 
-async function searchHandler(){
+function searchHandler(){
   const q = document.getElementById('search').value.trim();
-  if(!q) return;
-  const slug = q.replace(/\s+/g,'_');
-  const r = await fetch(`${API}/manga/${encodeURIComponent(slug)}`).then(r=>r.json()).catch(()=>null);
-  if(r && r.ok){ openManga(r.manga.slug); return; }
-  // fallback simple scan
-  for(let p=1;p<=3;p++){
-    const h = await fetch(`${API}/home?page=${p}`).then(r=>r.json()).catch(()=>null);
-    if(h && h.items){
-      const found = h.items.find(it => (it.title||'').toLowerCase().includes(q.toLowerCase()) || (it.link||'').toLowerCase().includes(q.toLowerCase()));
-      if(found){ openManga(found.slug || (found.link.split('/').filter(Boolean).pop())); return; }
-    }
+  if(q) navigate(`/search?q=${encodeURIComponent(q)}`);
+}
+
+async function showSearch(q){
+  document.getElementById('search').value = q;
+  setTitle(q ? `جستجو: ${q}` : null);
+  if(!q){ $app.innerHTML = '<div class="center">عبارتی برای جستجو وارد کنید</div>'; return; }
+  $app.innerHTML = '<div class="center">در حال جستجو...</div>';
+  const r = await client.search({ q, limit: 40 }).catch(()=>null);
+  const items = (r && r.items) || [];
+  if(!items.length){ $app.innerHTML = `<div class="center">نتیجه‌ای برای «${escapeHtml(q)}» پیدا نشد</div>`; return; }
+  $app.innerHTML = `<section class="section"><h3>نتایج جستجو: ${escapeHtml(q)} <span class="muted">(${r.total})</span></h3><div class="grid">${items.map(ci=>card(ci)).join('')}</div></section>`;
+}
+
+/* my library / continue reading */
+async function showLibrary(){
+  if(!getToken()) return showLogin();
+  $app.innerHTML = '<div class="center">در حال بارگذاری...</div>';
+  const [me, cont, lib, upd] = await Promise.all([client.getMe(), client.getContinueReading(), client.getLibrary(), client.getUpdates({ limit: 20 })].map(p => p.catch(()=>null)));
+  if(!me || !me.ok){ localStorage.removeItem(TOKEN_KEY); return showLogin(); }
+  const contItems = (cont && cont.items) || []; const libItems = (lib && lib.items) || []; const updItems = (upd && upd.items) || [];
+  $app.innerHTML = `
+    <section class="section"><div class="account-bar"><span>${escapeHtml(me.user.username)}</span><span>${me.user.admin ? '<a class="btn small ghost" href="/admin">مدیریت</a> ' : ''}<button id="pushBtn" class="btn small">اعلان قسمت‌های جدید</button> <button id="logoutBtn" class="btn small">خروج</button></span></div></section>
+    ${updItems.length ? `<section class="section"><h3>قسمت‌های تازه</h3><div class="chapters">${updItems.map(ev=>`<div class="ch-item" data-slug="${escapeHtml(ev.slug)}" data-ch="${escapeHtml(ev.chapterId)}"><div>${escapeHtml(ev.mangaTitle)} — ${escapeHtml(ev.chapterTitle||ev.chapterId)}</div><div class="muted">${new Date(ev.detectedAt).toLocaleDateString('fa-IR')}</div></div>`).join('')}</div></section>` : ''}
+    <section class="section"><h3>ادامه خواندن</h3>${contItems.length ? `<div class="grid">${contItems.map(continueCard).join('')}</div>` : '<div class="muted">هنوز چیزی نخوانده‌اید.</div>'}</section>
+    <section class="section"><h3>کتابخانه من</h3>${libItems.length ? `<div class="grid">${libItems.map(ci=>card(ci)).join('')}</div>` : '<div class="muted">هیچ مجموعه‌ای را دنبال نمی‌کنید.</div>'}</section>`;
+  document.getElementById('logoutBtn').addEventListener('click', async ()=>{ await client.logout().catch(()=>null); localStorage.removeItem(TOKEN_KEY); showLogin(); });
+  document.getElementById('pushBtn').addEventListener('click', enablePush);
+  document.querySelectorAll('.ch-item[data-slug]').forEach(c => c.addEventListener('click', ()=>{
+    location.href = `/reader?slug=${encodeURIComponent(c.dataset.slug)}&chapter=${encodeURIComponent(c.dataset.ch)}`;
+  }));
+}
+
+function continueCard(it){
+  const p = it.progress || {};
+  const pos = p.pageCount ? `صفحه ${(p.page||0)+1} از ${p.pageCount}` : `صفحه ${(p.page||0)+1}`;
+  return `<a class="card" href="/reader?slug=${encodeURIComponent(it.slug)}&chapter=${encodeURIComponent(it.chapterId)}"><img src="${imageUrl(it.cover, { w: 320, q: 75, fmt: 'webp' })}" alt="${escapeHtml(it.title||'')}" loading="lazy"><div class="meta"><div class="title">${escapeHtml(it.title||it.slug)}</div><div class="sub">قسمت ${escapeHtml(it.chapterId)} — ${pos}</div></div></a>`;
+}
+
+function showLogin(){
+  $app.innerHTML = `<section class="section auth-box"><h3>ورود / ثبت‌نام</h3>
+    <input id="authUser" placeholder="نام کاربری" autocomplete="username">
+    <input id="authPass" type="password" placeholder="رمز عبور" autocomplete="current-password">
+    <div><button id="loginBtn" class="btn">ورود</button> <button id="registerBtn" class="btn">ثبت‌نام</button></div>
+    <div id="authMsg" class="muted"></div></section>`;
+  const submit = async (kind)=>{
+    const body = { username: document.getElementById('authUser').value.trim(), password: document.getElementById('authPass').value };
+    const r = await client[kind](body).catch(e => ({ ok:false, error: e.message }));
+    if(!r || !r.ok){ document.getElementById('authMsg').textContent = (r && r.error) || 'خطا'; return; }
+    localStorage.setItem(TOKEN_KEY, r.token);
+    await migrateLocalProgress(r.user).catch(()=>{});
+    showLibrary();
+  };
+  document.getElementById('loginBtn').addEventListener('click', ()=> submit('login'));
+  document.getElementById('registerBtn').addEventListener('click', ()=> submit('register'));
+}
+
+// subscribe this browser to new-chapter notifications for the followed series
+async function enablePush(){
+  if(!('serviceWorker' in navigator) || !('PushManager' in window)){ alert('مرورگر شما از اعلان پشتیبانی نمی‌کند'); return; }
+  const key = await client.getPushKey().catch(()=>null);
+  if(!key || !key.ok){ alert('اعلان روی این سرور فعال نیست'); return; }
+  if(await Notification.requestPermission() !== 'granted') return;
+  const reg = await navigator.serviceWorker.register('/sw.js');
+  const raw = atob(key.publicKey.replace(/-/g,'+').replace(/_/g,'/') + '='.repeat((4 - key.publicKey.length % 4) % 4));
+  const sub = await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: Uint8Array.from(raw, c => c.charCodeAt(0)) });
+  const r = await client.subscribePush({ subscription: sub.toJSON() }).catch(()=>null);
+  alert(r && r.ok ? 'اعلان‌ها فعال شد' : 'خطا در فعال‌سازی اعلان');
+}
+
+// push progress saved by the reader before this device had an account (runs once per user)
+async function migrateLocalProgress(user){
+  const flag = `manhwa_migrated_${user.id}`;
+  if(localStorage.getItem(flag)) return;
+  const entries = [];
+  for(let i=0;i<localStorage.length;i++){
+    const key = localStorage.key(i);
+    const m = key && key.match(/^manhwa_progress_(.+)_([^_]+)$/);
+    if(!m) continue;
+    try{ const v = JSON.parse(localStorage.getItem(key)); entries.push({ slug: m[1], chapter: m[2], idx: v.idx, ts: v.ts }); }catch(e){}
   }
-  alert('پیدا نشد');
+  if(entries.length){ const r = await client.importProgress({ entries }); if(!r || !r.ok) return; }
+  localStorage.setItem(flag, '1');
+}
+
+// route remote images through the server-side proxy (resized, cached, no hot-linking)
+function imageUrl(src, opts={}){
+  if(!src || !/^https?:\/\//.test(src)) return src || '/placeholder.png';
+  return client.imageUrl({ url: src, ...opts });
 }
 
 function escapeHtml(s){ if(!s) return ''; return String(s).replace(/[&<>"']/g, c=> ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
 
-/* init */
-setActive('home'); showHome();
+/* init: the view named by the URL; without a network the home page becomes the saved chapters */
+if(!navigator.onLine && location.pathname === '/') history.replaceState(history.state, '', '/offline');
+route(history.state && history.state.scroll);
@@ -0,0 +1,134 @@
+// public/community.js — series ratings and chapter comment threads (replies, spoilers, edits, reports, moderation); used by app.js and reader.js
+(function(){
+  const STARS = 5;
+  const PAGE_SIZE = 20;
+  const token = () => { try{ return localStorage.getItem('manhwa_token'); }catch(e){ return null; } };
+  const client = TowerApi.createClient({ token });
+  const esc = s => String(s == null ? '' : s).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+  const when = t => new Date(t).toLocaleString('fa-IR', { dateStyle: 'medium', timeStyle: 'short' });
+  const failure = e => e && e.code === 'RATE_LIMITED' ? `کمی صبر کنید (${(e.body && e.body.retryAfter) || 60} ثانیه) و دوباره بفرستید.` : `انجام نشد: ${(e && e.message) || 'خطا'}`;
+
+  // ||text|| is an inline spoiler; a comment flagged as a spoiler stays covered as a whole until tapped
+  function renderBody(text, spoiler){
+    const html = esc(text).replace(/\|\|([\s\S]+?)\|\|/g, '<span class="spoiler" tabindex="0" title="اسپویلر — برای دیدن بزنید">$1</span>');
+    return spoiler ? `<div class="spoiler-block" tabindex="0"><span class="muted">⚠ اسپویلر — برای دیدن بزنید</span><div>${html}</div></div>` : html;
+  }
+  const reveal = e => { const s = e.target.closest && e.target.closest('.spoiler, .spoiler-block'); if(s) s.classList.add('revealed'); };
+  document.addEventListener('click', reveal);
+  document.addEventListener('keydown', e => { if(e.key === 'Enter') reveal(e); });
+
+  /**
+   * Star rating of a series: average, vote count and (logged in) the reader's own score, which a tap sets or withdraws.
+   * @param {HTMLElement} box
+   * @param {string} slug
+   */
+  async function mountRating(box, slug){
+    let r = await client.getRating({ slug }).catch(()=>null);
+    const draw = () => {
+      if(!r) return void (box.innerHTML = '');
+      const shown = r.mine || Math.round(r.average || 0);
+      box.innerHTML = `<div class="rating"><span class="stars${r.mine ? ' mine' : ''}">${Array.from({ length: STARS }, (_, i) => `<button type="button" class="star${i < shown ? ' on' : ''}" data-score="${i + 1}" ${token() ? '' : 'disabled'} title="${i + 1} از ${STARS}">★</button>`).join('')}</span>
+        <span class="muted">${r.count ? `${Number(r.average).toLocaleString('fa-IR')} از ${STARS} · ${r.count.toLocaleString('fa-IR')} رأی` : 'هنوز امتیازی ثبت نشده'}${r.mine ? ` · امتیاز شما: ${r.mine}` : ''}</span>
+        ${r.mine ? '<button type="button" class="btn small ghost" data-unrate>حذف امتیاز</button>' : ''}<span class="muted" data-error></span></div>`;
+    };
+    box.onclick = async e => {
+      const star = e.target.closest('[data-score]'); const unrate = e.target.closest('[data-unrate]');
+      if(!star && !unrate) return;
+      try{ r = star ? await client.rate({ slug }, { score: Number(star.dataset.score) }) : await client.unrate({ slug }); draw(); }
+      catch(err){ box.querySelector('[data-error]').textContent = failure(err); }
+    };
+    draw();
+  }
+
+  /**
+   * Latest comments on any chapter of a series, each linking to its chapter in the reader.
+   * @param {HTMLElement} box
+   * @param {string} slug
+   * @param {(chapterId: string) => string} chapterHref
+   */
+  async function mountRecent(box, slug, chapterHref){
+    const r = await client.getSeriesComments({ slug, limit: 5 }).catch(()=>null);
+    if(!r){ box.innerHTML = '<div class="muted">نظرها بارگذاری نشد.</div>'; return; }
+    if(!r.items.length){ box.innerHTML = '<div class="muted">هنوز نظری ثبت نشده. نظرهای هر قسمت پایین صفحهٔ خواندن آن است.</div>'; return; }
+    box.innerHTML = `<div class="comments">${r.items.map(c => `<div class="comment"><div class="comment-head"><b>${esc(c.author || 'ناشناس')}</b> <span class="muted">در <a href="${esc(chapterHref(c.chapterId))}#comments">قسمت ${esc(c.chapterId)}</a> · ${when(c.createdAt)}</span></div><div class="comment-body">${renderBody(c.body, c.spoiler)}</div></div>`).join('')}</div>
+      ${r.total > r.items.length ? `<div class="muted">و ${(r.total - r.items.length).toLocaleString('fa-IR')} نظر دیگر</div>` : ''}`;
+  }
+
+  /**
+   * Comment thread of one chapter: the form, top-level comments with their replies, and the actions open to the viewer.
+   * @param {HTMLElement} box
+   * @param {{ slug: string, chapter: string }} where
+   */
+  async function mountThread(box, { slug, chapter }){
+    const state = { sort: 'new', page: 1, items: [], total: 0, count: 0, moderator: false, replyTo: null, editing: null };
+    const form = (id, value = '', spoiler = false, label = 'ارسال') => `<form class="comment-form" data-form="${id}"><textarea name="body" rows="3" maxlength="20000" placeholder="نظر شما… (متن بین ||دو خط|| اسپویلر حساب می‌شود)" required>${esc(value)}</textarea>
+      <div><label><input type="checkbox" name="spoiler"${spoiler ? ' checked' : ''}> کل نظر اسپویلر است</label> <button class="btn small">${label}</button>${id !== 'new' ? ' <button type="button" class="btn small ghost" data-action="cancel">انصراف</button>' : ''} <span class="muted" data-error></span></div></form>`;
+    const comment = (c, reply) => {
+      const removed = c.body === null;
+      const actions = removed ? [] : [
+        token() && c.status !== 'deleted' ? `<button type="button" data-action="reply" data-id="${c.id}">پاسخ</button>` : '',
+        c.mine && c.status !== 'deleted' ? `<button type="button" data-action="edit" data-id="${c.id}">ویرایش</button>` : '',
+        (c.mine || state.moderator) && c.status !== 'deleted' ? `<button type="button" data-action="delete" data-id="${c.id}">حذف</button>` : '',
+        token() && !c.mine && c.status === 'visible' ? `<button type="button" data-action="report" data-id="${c.id}">گزارش</button>` : '',
+        state.moderator && c.status !== 'deleted' ? `<button type="button" data-action="${c.status === 'hidden' ? 'show' : 'hide'}" data-id="${c.id}">${c.status === 'hidden' ? 'نمایش' : 'پنهان'}</button>` : ''
+      ].filter(Boolean);
+      const body = state.editing === c.id ? form(c.id, c.body, c.spoiler, 'ذخیره')
+        : removed ? `<div class="muted">${c.status === 'deleted' ? 'این نظر حذف شده است.' : 'این نظر پنهان شده است.'}</div>`
+        : `<div class="comment-body">${renderBody(c.body, c.spoiler)}</div>`;
+      return `<div class="comment${c.status === 'hidden' ? ' hidden' : ''}" id="comment-${c.id}"><div class="comment-head"><b>${esc(c.author || 'ناشناس')}</b> <span class="muted">${when(c.createdAt)}${c.editedAt ? ' · ویرایش شده' : ''}${c.status === 'hidden' && !removed ? ' · پنهان' : ''}${c.reports ? ` · ${c.reports} گزارش` : ''}</span></div>
+        ${body}${actions.length ? `<div class="comment-actions">${actions.join('')}</div>` : ''}
+        ${!reply && (c.replies || []).length ? `<div class="replies">${c.replies.map(r => comment(r, true)).join('')}</div>` : ''}
+        ${state.replyTo === c.id ? `<div class="replies">${form('reply')}</div>` : ''}</div>`;
+    };
+    const draw = () => {
+      box.innerHTML = `<div class="comments-head"><h3>نظرها (${state.count.toLocaleString('fa-IR')})</h3><select data-sort><option value="new"${state.sort === 'new' ? ' selected' : ''}>جدیدترین</option><option value="old"${state.sort === 'old' ? ' selected' : ''}>قدیمی‌ترین</option></select></div>
+        ${token() ? form('new') : '<div class="muted">برای نوشتن نظر <a href="/library">وارد شوید</a>.</div>'}
+        <div class="comments">${state.items.map(c => comment(c, false)).join('') || '<div class="muted">اولین نظر را شما بنویسید.</div>'}</div>
+        ${state.items.length < state.total ? '<button type="button" class="btn small ghost" data-action="more">نظرهای بیشتر</button>' : ''}`;
+    };
+    async function load(more){
+      const r = await client.getComments({ slug, chapter, sort: state.sort, page: state.page, limit: PAGE_SIZE }).catch(()=>null);
+      if(!r){ box.innerHTML = '<div class="muted">نظرها بارگذاری نشد.</div>'; return; }
+      Object.assign(state, { items: more ? state.items.concat(r.items) : r.items, total: r.total, count: r.count, moderator: r.moderator });
+      draw();
+    }
+    // refetch every page loaded so far, so an action keeps the reader's place in a long thread
+    async function reload(){ const pages = state.page; state.page = 1; state.items = []; await load(); while(state.page < pages && state.items.length < state.total){ state.page++; await load(true); } }
+    const find = id => state.items.flatMap(c => [c, ...(c.replies || [])]).find(c => c.id === id);
+
+    box.onchange = e => { if(e.target.matches('[data-sort]')){ state.sort = e.target.value; state.page = 1; load(); } };
+    box.onsubmit = async e => {
+      e.preventDefault();
+      const f = e.target; const kind = f.dataset.form; const btn = f.querySelector('button');
+      const body = { body: f.body.value, spoiler: f.spoiler.checked };
+      btn.disabled = true;
+      try{
+        if(kind === 'new') await client.postComment({ slug, chapter }, body);
+        else if(kind === 'reply') await client.postComment({ slug, chapter }, { ...body, parentId: state.replyTo });
+        else await client.editComment({ id: kind }, body);
+        state.replyTo = state.editing = null;
+        await reload();
+      }catch(err){ btn.disabled = false; f.querySelector('[data-error]').textContent = failure(err); }
+    };
+    box.onclick = async e => {
+      const b = e.target.closest('[data-action]'); if(!b) return;
+      const id = b.dataset.id; const act = b.dataset.action;
+      try{
+        if(act === 'more'){ state.page++; return await load(true); }
+        if(act === 'cancel'){ state.replyTo = state.editing = null; return draw(); }
+        if(act === 'reply'){ state.replyTo = find(id).parentId || id; state.editing = null; draw(); return box.querySelector('[data-form="reply"] textarea').focus(); }
+        if(act === 'edit'){ state.editing = id; state.replyTo = null; return draw(); }
+        if(act === 'delete'){ if(!confirm('این نظر حذف شود؟')) return; await client.deleteComment({ id }); }
+        if(act === 'report'){
+          const reason = prompt('دلیل گزارش (اختیاری):'); if(reason === null) return;
+          await client.reportComment({ id }, { reason }); alert('گزارش شما برای مدیران فرستاده شد.');
+        }
+        if(act === 'hide' || act === 'show') await client.hideComment({ id }, { hidden: act === 'hide' });
+        await reload();
+      }catch(err){ alert(failure(err)); }
+    };
+    await load();
+  }
+
+  window.ManhwaCommunity = { renderBody, mountRating, mountRecent, mountThread };
+})();
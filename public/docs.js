@@ -0,0 +1,79 @@
+// public/docs.js — renders /api/openapi.json with a "try it" form per operation
+(function(){
+  const $docs = document.getElementById('docs');
+  const esc = s => String(s == null ? '' : s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+  const token = () => { try{ return localStorage.getItem('manhwa_token'); }catch(e){ return null; } };
+
+  let spec;
+  const deref = x => x && x.$ref ? x.$ref.split('/').slice(1).reduce((o, k) => o[k], spec) : x;
+
+  // compact one-line description of a schema, with component names kept as names
+  function shape(s, depth=0){
+    if(!s) return '';
+    if(s.$ref) return s.$ref.split('/').pop();
+    if(s.anyOf) return s.anyOf.map(x => shape(x, depth)).join(' | ');
+    if('const' in s) return JSON.stringify(s.const);
+    if(s.enum) return s.enum.map(v => JSON.stringify(v)).join(' | ');
+    const type = [].concat(s.type || []).join(' | ');
+    if(s.type === 'array') return `${shape(s.items, depth)}[]`;
+    if(s.type === 'object' && s.properties && depth < 2){
+      const req = new Set(s.required || []);
+      return `{ ${Object.entries(s.properties).map(([k, v]) => `${k}${req.has(k) ? '' : '?'}: ${shape(v, depth+1)}`).join(', ')} }`;
+    }
+    return type || 'any';
+  }
+
+  function renderOp(path, method, op){
+    const params = (op.parameters || []).map(deref);
+    const body = op.requestBody && op.requestBody.content['application/json'].schema;
+    const okCode = Object.keys(op.responses).find(k => k !== 'default');
+    const ok = op.responses[okCode]; const json = ok.content && ok.content['application/json'];
+    const el = document.createElement('details');
+    el.className = `op${op.deprecated ? ' deprecated' : ''}`;
+    el.innerHTML = `<summary><span class="method">${method.toUpperCase()}</span><span class="path">${esc(path)}</span><span class="muted">${esc(op.summary)}${op.security ? ' 🔒' : ''}</span></summary>
+      <form>
+        ${params.map(p => `<label>${esc(p.name)}${p.required ? ' *' : ''} <span class="muted">(${p.in}, ${esc(shape(p.schema))})</span></label><input name="${esc(p.name)}" data-in="${p.in}" placeholder="${esc(p.schema.default != null ? p.schema.default : '')}">`).join('')}
+        ${body ? `<label>body <span class="muted">${esc(shape(deref(body)))}</span></label><textarea name="__body">{}</textarea>` : ''}
+        <span></span><button class="btn" type="submit">Send</button>
+      </form>
+      <div class="muted">${okCode}: ${json ? esc(shape(json.schema)) : esc(Object.keys(ok.content || {})[0] || '')}</div>
+      <pre hidden></pre>`;
+    el.querySelector('form').addEventListener('submit', async e => {
+      e.preventDefault();
+      const out = el.querySelector('pre'); out.hidden = false; out.textContent = '…';
+      let url = path; const q = new URLSearchParams();
+      el.querySelectorAll('input[data-in]').forEach(i => {
+        if(!i.value) return;
+        if(i.dataset.in === 'path') url = url.replace(`{${i.name}}`, encodeURIComponent(i.value)); else q.set(i.name, i.value);
+      });
+      if(q.toString()) url += `?${q}`;
+      if(!json){ window.open(url, '_blank'); out.textContent = url; return; }
+      const headers = {}; const t = token(); if(t) headers.Authorization = `Bearer ${t}`;
+      const bodyText = body ? el.querySelector('textarea').value : undefined;
+      if(body) headers['Content-Type'] = 'application/json';
+      try{
+        const r = await fetch(url, { method: method.toUpperCase(), headers, body: bodyText });
+        out.textContent = `${r.status} ${r.statusText}  (X-Request-Id: ${r.headers.get('x-request-id')})\n\n${JSON.stringify(await r.json(), null, 2)}`;
+      }catch(err){ out.textContent = String(err); }
+    });
+    return el;
+  }
+
+  function renderSchemas(){
+    const el = document.createElement('section'); el.className = 'section';
+    el.innerHTML = `<h3>Models</h3>${Object.entries(spec.components.schemas).map(([name, s]) => `<div class="op"><b>${esc(name)}</b> <span class="path">${esc(shape(s))}</span></div>`).join('')}`;
+    return el;
+  }
+
+  fetch('/api/openapi.json').then(r => r.json()).then(doc => {
+    spec = doc;
+    $docs.innerHTML = `<h2>${esc(doc.info.title)} <span class="muted">${esc(doc.info.version)}</span></h2><p>${esc(doc.info.description || '')}</p>`;
+    for(const tag of doc.tags){
+      const section = document.createElement('section'); section.className = 'section';
+      section.innerHTML = `<h3>${esc(tag.name)}</h3>`;
+      for(const [path, item] of Object.entries(doc.paths)) for(const [method, op] of Object.entries(item)) if(op.tags.includes(tag.name)) section.appendChild(renderOp(path, method, op));
+      $docs.appendChild(section);
+    }
+    $docs.appendChild(renderSchemas());
+  }).catch(() => { $docs.textContent = 'Could not load /api/openapi.json'; });
+})();
@@ -0,0 +1,132 @@
+// public/offline.js — chapters saved for offline reading (Cache Storage, served by sw.js) with a size budget
+(function(){
+  const CACHE = 'offline-chapters';
+  const INDEX_KEY = 'manhwa_offline_index';
+  const LIMIT_KEY = 'manhwa_offline_limit_mb';
+  const DEFAULT_LIMIT_MB = 300;
+  const CONCURRENCY = 3;
+  // what the reader shows in normal quality; sw.js keeps a copy to fall back to it from high quality
+  const PAGE_VARIANT = { w: 900, q: 70, fmt: 'webp' };
+  const COVER_VARIANT = { w: 320, q: 75, fmt: 'webp' }; // same as the cards in app.js
+
+  const supported = 'caches' in window && 'serviceWorker' in navigator;
+  const client = TowerApi.createClient({ token: () => { try{ return localStorage.getItem('manhwa_token'); }catch(e){ return null; } } });
+  if(supported) navigator.serviceWorker.register('/sw.js').catch(()=>{});
+
+  // index of saved chapters in localStorage: { "<slug>/<chapter>": { slug, chapter, mangaTitle, chapterTitle, cover, source, pages, bytes, savedAt, lastReadAt } }
+  const idKey = (slug, chapter) => `${slug}/${chapter}`;
+  const chapterKey = (slug, chapter) => `/offline/chapter/${encodeURIComponent(slug)}/${encodeURIComponent(chapter)}`;
+  const isRemote = u => /^https?:\/\//.test(u || '');
+  const pageKey = u => client.imageUrl({ url: u, ...PAGE_VARIANT });
+  const coverKey = u => client.imageUrl({ url: u, ...COVER_VARIANT });
+  function readIndex(){ try{ return JSON.parse(localStorage.getItem(INDEX_KEY)) || {}; }catch(e){ return {}; } }
+  function writeIndex(idx){ try{ localStorage.setItem(INDEX_KEY, JSON.stringify(idx)); }catch(e){} }
+
+  function limitBytes(){ return (Number(localStorage.getItem(LIMIT_KEY)) || DEFAULT_LIMIT_MB) * 1048576; }
+  function setLimitMb(mb){ try{ localStorage.setItem(LIMIT_KEY, String(mb)); }catch(e){} return evictUntil(limitBytes()); }
+  const usedBytes = (idx = readIndex()) => Object.values(idx).reduce((n, e) => n + (e.bytes || 0), 0);
+
+  async function usage(){
+    let estimate = null;
+    try{ if(navigator.storage && navigator.storage.estimate) estimate = await navigator.storage.estimate(); }catch(e){}
+    return { bytes: usedBytes(), limit: limitBytes(), chapters: Object.keys(readIndex()).length, quota: estimate && estimate.quota, persisted: await persisted() };
+  }
+  async function persisted(){ try{ return !!(navigator.storage && navigator.storage.persisted && await navigator.storage.persisted()); }catch(e){ return false; } }
+
+  // least recently read first; `keep` (the chapter being saved) is never evicted
+  async function evictUntil(budget, keep){
+    const idx = readIndex();
+    const victims = Object.values(idx).filter(e => idKey(e.slug, e.chapter) !== keep).sort((a, b) => (a.lastReadAt || a.savedAt) - (b.lastReadAt || b.savedAt));
+    const removed = [];
+    while(usedBytes(readIndex()) > budget && victims.length){
+      const v = victims.shift(); await removeChapter(v.slug, v.chapter); removed.push(v);
+    }
+    return removed;
+  }
+
+  async function put(cache, key, res, keep){
+    try{ await cache.put(key, res.clone()); }
+    catch(e){
+      if(e.name !== 'QuotaExceededError') throw e;
+      // the browser ran out before our own limit did: make room by half of what we hold, then try once more
+      if(!(await evictUntil(usedBytes() / 2, keep)).length) throw e;
+      await cache.put(key, res);
+    }
+  }
+
+  async function fetchOk(url){
+    const res = await fetch(url);
+    if(!res.ok) throw new Error(`HTTP ${res.status} ${url}`);
+    return res;
+  }
+
+  /**
+   * Download a chapter's page list and every page image (plus the series cover) for offline reading.
+   * Evicts least recently read chapters to stay under the limit; throws (and keeps nothing) when it still does not fit.
+   * @param {{ slug: string, chapter: string, source?: string, mangaTitle?: string, chapterTitle?: string, cover?: string }} info
+   * @param {(done: number, total: number) => void} [onProgress]
+   */
+  async function saveChapter(info, onProgress = ()=>{}){
+    if(!supported) throw new Error('offline storage is not supported in this browser');
+    const { slug, chapter } = info; const id = idKey(slug, chapter);
+    if(readIndex()[id]) return readIndex()[id];
+    if(navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(()=>{});
+    const data = await client.getChapterPages({ slug, chapter, source: info.source });
+    const pages = (data.pages || []).filter(isRemote);
+    if(!pages.length) throw new Error('این قسمت صفحه‌ای ندارد');
+    const cache = await caches.open(CACHE);
+    let bytes = 0; let done = 0; let next = 0;
+    const limit = limitBytes();
+    const fetchPage = async key => {
+      const res = await fetchOk(key);
+      const size = (await res.clone().blob()).size;
+      if(usedBytes() + bytes + size > limit){
+        await evictUntil(limit - bytes - size, id);
+        if(usedBytes() + bytes + size > limit) throw new Error('فضای ذخیره آفلاین کافی نیست');
+      }
+      await put(cache, key, res, id);
+      bytes += size; onProgress(++done, pages.length);
+    };
+    try{
+      await Promise.all(Array.from({ length: Math.min(CONCURRENCY, pages.length) }, async ()=>{ while(next < pages.length) await fetchPage(pageKey(pages[next++])); }));
+      if(isRemote(info.cover) && !(await cache.match(coverKey(info.cover)))) await put(cache, coverKey(info.cover), await fetchOk(coverKey(info.cover)), id).catch(()=>{});
+      const json = JSON.stringify({ ...data, offline: true });
+      await put(cache, chapterKey(slug, chapter), new Response(json, { headers: { 'Content-Type': 'application/json' } }), id);
+    }catch(e){
+      await Promise.all(pages.map(u => cache.delete(pageKey(u))));
+      throw e;
+    }
+    const idx = readIndex();
+    idx[id] = { slug, chapter, mangaTitle: info.mangaTitle || slug, chapterTitle: info.chapterTitle || '', cover: info.cover || null, source: info.source || null, pages: pages.length, bytes, savedAt: Date.now(), lastReadAt: null };
+    writeIndex(idx);
+    return idx[id];
+  }
+
+  async function removeChapter(slug, chapter){
+    const id = idKey(slug, chapter); const idx = readIndex(); const entry = idx[id];
+    delete idx[id]; writeIndex(idx);
+    if(!supported) return;
+    const cache = await caches.open(CACHE);
+    const res = await cache.match(chapterKey(slug, chapter));
+    const data = res ? await res.json().catch(()=>({})) : {};
+    await Promise.all((data.pages || []).filter(isRemote).map(u => cache.delete(pageKey(u))));
+    await cache.delete(chapterKey(slug, chapter));
+    // the cover goes with the last saved chapter of the series
+    if(entry && isRemote(entry.cover) && !Object.values(idx).some(e => e.slug === slug)) await cache.delete(coverKey(entry.cover));
+  }
+
+  // the saved reader response (same shape as /api/reader) or null; marks the chapter as just read
+  async function getChapter(slug, chapter){
+    const idx = readIndex(); const entry = idx[idKey(slug, chapter)];
+    if(!entry || !supported) return null;
+    const res = await caches.open(CACHE).then(c => c.match(chapterKey(slug, chapter))).catch(()=>null);
+    if(!res){ delete idx[idKey(slug, chapter)]; writeIndex(idx); return null; }
+    entry.lastReadAt = Date.now(); writeIndex(idx);
+    return res.json();
+  }
+
+  const list = () => Object.values(readIndex()).sort((a, b) => (b.lastReadAt || b.savedAt) - (a.lastReadAt || a.savedAt));
+  const isSaved = (slug, chapter) => !!readIndex()[idKey(slug, chapter)];
+
+  window.ManhwaOffline = { supported, PAGE_VARIANT, saveChapter, removeChapter, getChapter, isSaved, list, usage, setLimitMb, limitBytes };
+})();
@@ -0,0 +1,91 @@
+// public/reader-logic.js — spread pairing, page-turn direction and layered reading preferences; used by reader.js
+// Browser: window.ManhwaReaderLogic; Node: require('./public/reader-logic.js')
+(function(root){
+  // reading preferences: built-in default < the last choice on this device (its manhwa_* key) < the choice saved for this series
+  const PREFS = {
+    mode: { key: 'manhwa_reader_mode', def: 'scroll', values: ['scroll', 'paged', 'spread'] },
+    direction: { key: 'manhwa_reader_direction', def: 'ltr', values: ['ltr', 'rtl'] },
+    spreadOffset: { key: 'manhwa_reader_spread_offset', def: true, bool: true },
+    fit: { key: 'manhwa_reader_fit', def: 'width', values: ['width', 'height', 'original'] },
+    sizePct: { key: 'manhwa_image_size', def: 75, min: 30, max: 100 },
+    highQ: { key: 'manhwa_high_quality', def: false, bool: true },
+    autoSpeed: { key: 'manhwa_reader_autoscroll', def: 60, min: 10, max: 1000 } // px per second
+  };
+  const SWIPE_PX = 60; // horizontal travel that counts as a page-turning swipe
+  const seriesPrefsKey = slug => `manhwa_reader_prefs_${slug}`;
+
+  // a stored value if it is valid for the preference, else undefined
+  function parsePref(spec, v){
+    if(v === null || v === undefined) return undefined;
+    if(spec.bool) return v === true || v === '1';
+    if(spec.values) return spec.values.includes(v) ? v : undefined;
+    const n = Number(v); return isFinite(n) && n >= spec.min && n <= spec.max ? n : undefined;
+  }
+
+  /**
+   * Every preference for a series, read from a localStorage-like store (null when storage is unavailable).
+   * @param {Storage|null} storage
+   * @param {string} slug
+   * @returns {{ [name: string]: any }}
+   */
+  function loadPrefs(storage, slug){
+    let series = {};
+    try{ series = JSON.parse(storage.getItem(seriesPrefsKey(slug))) || {}; }catch(e){}
+    const out = {};
+    for(const [name, spec] of Object.entries(PREFS)){
+      let device = null; try{ device = storage.getItem(spec.key); }catch(e){}
+      const own = parsePref(spec, series[name]); const last = parsePref(spec, device);
+      out[name] = own !== undefined ? own : last !== undefined ? last : spec.def;
+    }
+    return out;
+  }
+
+  /**
+   * Remembers a choice both as this device's default and for the series it was made on.
+   * @param {Storage|null} storage
+   * @param {string} slug
+   * @param {string} name one of PREFS
+   * @param {any} value
+   */
+  function savePref(storage, slug, name, value){
+    const spec = PREFS[name];
+    try{
+      storage.setItem(spec.key, spec.bool ? (value ? '1' : '0') : String(value));
+      const series = JSON.parse(storage.getItem(seriesPrefsKey(slug)) || '{}'); series[name] = value;
+      storage.setItem(seriesPrefsKey(slug), JSON.stringify(series));
+    }catch(e){}
+  }
+
+  /**
+   * [first, last] page shown together with page i; with the cover offset page 0 stands alone, so pairs match the printed book.
+   * @param {number} i
+   * @param {number} count pages in the chapter
+   * @param {{ mode: string, spreadOffset: boolean }} view
+   * @returns {[number, number]}
+   */
+  function spreadAt(i, count, { mode, spreadOffset }){
+    if(mode !== 'spread') return [i, i];
+    const off = spreadOffset ? 1 : 0;
+    if(off && i === 0) return [0, 0];
+    const first = i - ((i - off) % 2);
+    return [first, Math.min(first + 1, count - 1)];
+  }
+
+  // 'next', 'prev' or null: the arrow toward the reading direction and PageDown go forward
+  function turnForKey(key, direction){
+    const [fwd, back] = direction === 'rtl' ? ['ArrowLeft', 'ArrowRight'] : ['ArrowRight', 'ArrowLeft'];
+    if(key === fwd || key === 'PageDown') return 'next';
+    if(key === back || key === 'PageUp') return 'prev';
+    return null;
+  }
+
+  // 'next', 'prev' or null for a horizontal swipe of dx pixels: pages are pulled in from the side the reading continues on
+  function turnForSwipe(dx, direction){
+    if(Math.abs(dx) <= SWIPE_PX) return null;
+    return (dx < 0) === (direction !== 'rtl') ? 'next' : 'prev';
+  }
+
+  const api = { PREFS, seriesPrefsKey, parsePref, loadPrefs, savePref, spreadAt, turnForKey, turnForSwipe };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.ManhwaReaderLogic = api;
+})(typeof window !== 'undefined' ? window : globalThis);
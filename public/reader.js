@@ -1,21 +1,105 @@
 // public/reader.js
 (function(){
   const DEFAULT_CONTAINER = 'imageContainer';
-  let state = { slug:null, chapter:null, pages:[], idx:0, mode:'scroll', sizePct:75, highQ:false, containerId: DEFAULT_CONTAINER, preloaded:new Set() };
+  let state = { slug:null, chapter:null, chapterId:null, pages:[], confidence:'exact', idx:0, mode:'scroll', direction:'ltr', spreadOffset:true, fit:'width', sizePct:75, zoom:1, highQ:false, autoSpeed:60, containerId: DEFAULT_CONTAINER, preloaded:new Set(), prevChapter:null, nextChapter:null, source:null, mirror:'site' };
+
+  const client = TowerApi.createClient({ token: authToken });
 
   function qs(id){ return document.getElementById(id); }
   function el(tag, cls){ const d=document.createElement(tag); if(cls) d.className=cls; return d; }
 
+  // normal quality = resized webp from the image proxy; high quality = original bytes (still proxied)
+  const NORMAL_VARIANT = ManhwaOffline.PAGE_VARIANT;
+  function pageSrc(u){
+    if(!u || !/^https?:\/\//.test(u)) return u || '';
+    return client.imageUrl({ url: u, ...(state.highQ ? {} : NORMAL_VARIANT) });
+  }
+
+  // reading preferences (see reader-logic.js): device default < per-series choice; storage may be unavailable (private mode)
+  const Logic = ManhwaReaderLogic;
+  function storage(){ try{ return localStorage; }catch(e){ return null; } }
+  function loadPrefs(){ Object.assign(state, Logic.loadPrefs(storage(), state.slug)); }
+  function setPref(name, value){ state[name] = value; Logic.savePref(storage(), state.slug, name, value); }
+
+  // fit: width = the size slider's share of the column (split between the two pages of a spread), height = one screen tall,
+  // original = natural pixels; pinch zoom multiplies all three
   function applySize(img){
-    img.style.width = state.sizePct + '%';
+    const z = state.zoom;
+    img.style.width = img.style.height = img.style.maxWidth = '';
+    if(state.fit === 'width') img.style.width = `${(state.mode === 'spread' ? state.sizePct / 2 : state.sizePct) * z}%`;
+    else if(state.fit === 'height'){ img.style.height = `${90 * z}vh`; img.style.width = 'auto'; img.style.maxWidth = 'none'; }
+    else { img.style.width = img.naturalWidth ? `${img.naturalWidth * z}px` : 'auto'; img.style.maxWidth = 'none'; }
+  }
+  function applySizeAll(){ document.querySelectorAll(`#${state.containerId} img`).forEach(applySize); }
+  function setZoom(z){ state.zoom = Math.min(4, Math.max(1, z)); applySizeAll(); }
+
+  async function fetchChapterFromApi(slug, chapter){
+    try{ return await client.getChapterPages({ slug, chapter, mirror: state.mirror, source: state.source }); }
+    catch(e){ return { pages: [] }; }
   }
 
-  async function fetchPagesFromApi(slug, chapter){
+  // CDN fallback lists can be partial (discovery was cut short) or guessed: say so, and hide pages that fail to load
+  const CONFIDENCE_NOTES = {
+    partial: 'ممکن است برخی صفحات این قسمت پیدا نشده باشند.',
+    guess: 'تعداد صفحات این قسمت حدسی است؛ صفحه‌هایی که وجود ندارند نمایش داده نمی‌شوند.'
+  };
+  function showPagesNotice(kind){
+    const root = qs(state.containerId); let box = qs('pagesNotice');
+    if(!kind || kind === 'exact'){ if(box) box.remove(); return; }
+    if(!box){ box = el('div', 'center pages-notice'); box.id = 'pagesNotice'; root.parentNode.insertBefore(box, root); }
+    box.textContent = CONFIDENCE_NOTES[kind] || CONFIDENCE_NOTES.partial;
+  }
+  function onPageError(img){
+    img.onerror = null; img.classList.add('missing');
+    showPagesNotice(state.confidence === 'guess' ? 'guess' : 'partial');
+  }
+
+  // prefetched chapter responses are kept in sessionStorage so the next open() skips the round trip
+  const prefetchKey = (slug, chapter) => `manhwa_prefetch_${state.source || ''}:${state.mirror}_${slug}_${chapter}`;
+  function takePrefetched(slug, chapter){
+    try{ const s = sessionStorage.getItem(prefetchKey(slug, chapter)); if(!s) return null; sessionStorage.removeItem(prefetchKey(slug, chapter)); return JSON.parse(s); }catch(e){ return null; }
+  }
+  async function prefetchNextChapter(){
+    const next = state.nextChapter; if(!next) return;
+    const res = await fetchChapterFromApi(state.slug, next.chapterId);
+    if(!res.pages || !res.pages.length) return;
+    try{ sessionStorage.setItem(prefetchKey(state.slug, next.chapterId), JSON.stringify(res)); }catch(e){}
+    res.pages.slice(0, 2).forEach(preloadUrl);
+  }
+
+  function chapterLabel(c){ return c ? (c.title || `قسمت ${c.chapterNum || c.chapterId}`) : ''; }
+  function goToChapter(c){ if(!c) return; window.location.href = `/reader?slug=${encodeURIComponent(state.slug)}&chapter=${encodeURIComponent(c.chapterId)}${state.source ? `&source=${encodeURIComponent(state.source)}` : ''}`; }
+
+  // server picker: one option per source/mirror pair from /api/sources; the choice is remembered per source
+  const serverKey = () => `manhwa_server_${state.source || 'default'}`;
+  async function loadServers(sel){
     try{
-      const q = `/api/reader?slug=${encodeURIComponent(slug)}&chapter=${encodeURIComponent(chapter)}`;
-      const res = await fetch(q).then(r=>r.json());
-      return (res && res.pages) || [];
-    }catch(e){ return []; }
+      const r = await client.listSources();
+      const current = r.sources.find(s => s.id === state.source) || r.sources.find(s => s.default) || r.sources[0];
+      if(!current) return;
+      state.source = current.id;
+      const saved = localStorage.getItem(serverKey());
+      if(saved && current.mirrors.some(m => m.id === saved)) state.mirror = saved;
+      sel.innerHTML = '';
+      current.mirrors.forEach(m => { const o = el('option'); o.value = m.id; o.textContent = m.name; sel.appendChild(o); });
+      sel.value = state.mirror;
+    }catch(e){}
+  }
+
+  function endOfChapterBox(){
+    const box = el('div', 'center chapter-end');
+    if(state.nextChapter){
+      box.innerHTML = '<div>پایان این قسمت</div>';
+      const btn = el('button', 'btn'); btn.textContent = `ادامه: ${chapterLabel(state.nextChapter)}`; btn.onclick = ()=> goToChapter(state.nextChapter);
+      box.appendChild(btn);
+    } else {
+      box.textContent = 'این آخرین قسمت منتشر شده است.';
+    }
+    if(qs('comments')){
+      const talk = el('button', 'btn ghost'); talk.textContent = 'نظرها'; talk.onclick = ()=> qs('comments').scrollIntoView({ behavior: 'smooth' });
+      box.append(' ', talk);
+    }
+    return box;
   }
 
   function renderScroll(){
@@ -23,100 +107,230 @@
     root.innerHTML = '';
     state.pages.forEach((p,i)=>{
       const img = el('img'); img.className = 'manhwa-image'; img.dataset.idx = i; img.loading = 'lazy';
-      img.src = p;
+      img.onerror = ()=> onPageError(img); img.onload = ()=> applySize(img);
+      img.src = pageSrc(p);
       applySize(img);
       img.addEventListener('click', ()=>{ /* toggle toolbar? */ });
       root.appendChild(img);
       if(i<3) preloadUrl(p);
     });
+    root.appendChild(endOfChapterBox());
+    trackScrollPosition(root);
+    if(state.idx > 0 && root.children[state.idx]) root.children[state.idx].scrollIntoView();
   }
 
+  // in scroll mode the current page is whichever image is mostly on screen
+  let scrollObserver = null;
+  function trackScrollPosition(root){
+    if(scrollObserver) scrollObserver.disconnect();
+    if(!('IntersectionObserver' in window)) return;
+    scrollObserver = new IntersectionObserver(entries => {
+      entries.forEach(en => { if(en.isIntersecting){ const i = Number(en.target.dataset.idx); if(i !== state.idx){ state.idx = i; saveProgress(); } } });
+    }, { threshold: 0.5 });
+    root.querySelectorAll('img.manhwa-image').forEach(img => scrollObserver.observe(img));
+  }
+
+  function spreadAt(i){ return Logic.spreadAt(i, state.pages.length, state); }
+
+  // paged and spread modes; in rtl the forward button and the later page of a spread sit on the left, as in a manga volume
   function renderPaged(){
     const root = qs(state.containerId);
     root.innerHTML = '';
-    const box = el('div'); box.style.display='flex'; box.style.justifyContent='center'; box.style.alignItems='center';
-    const left = el('button'); left.className='btn'; left.textContent='◀'; left.onclick = prevPage;
-    const right = el('button'); right.className='btn'; right.textContent='▶'; right.onclick = nextPage;
-    const img = el('img'); img.id='pagedImage'; img.style.maxWidth = '100%'; img.src = state.pages[state.idx] || '';
-    box.appendChild(left); box.appendChild(img); box.appendChild(right);
+    const [first, last] = spreadAt(state.idx); state.idx = first;
+    const rtl = state.direction === 'rtl';
+    const box = el('div', 'paged-view'); box.dir = 'ltr';
+    const back = el('button', 'btn'); back.textContent = rtl ? '▶' : '◀'; back.onclick = prevPage; back.disabled = first === 0;
+    const fwd = el('button', 'btn'); fwd.textContent = rtl ? '◀' : '▶'; fwd.onclick = nextPage; fwd.disabled = last >= state.pages.length-1;
+    const spread = el('div', 'paged-pages'); spread.style.flexDirection = rtl ? 'row-reverse' : 'row';
+    for(let i = first; i <= last; i++){
+      const img = el('img', 'paged-image'); img.dataset.idx = i;
+      img.onerror = ()=> onPageError(img); img.onload = ()=> applySize(img);
+      img.src = pageSrc(state.pages[i]); applySize(img);
+      spread.appendChild(img);
+    }
+    // a tap on the half of the spread that lies ahead turns the page
+    spread.onclick = e => { if(state.zoom > 1) return; const r = spread.getBoundingClientRect(); ((e.clientX < r.left + r.width / 2) === rtl ? nextPage : prevPage)(); };
+    box.append(...(rtl ? [fwd, spread, back] : [back, spread, fwd]));
     root.appendChild(box);
-    applySize(img);
+    const counter = el('div', 'center muted'); counter.textContent = `${first === last ? first + 1 : `${first + 1}–${last + 1}`} / ${state.pages.length}`;
+    root.appendChild(counter);
+    if(last >= state.pages.length-1) root.appendChild(endOfChapterBox());
     preloadNeighbors();
   }
 
-  function preloadUrl(u){ if(!u || state.preloaded.has(u)) return; const im = new Image(); im.src = u; im.onload = ()=> state.preloaded.add(u); }
-  function preloadNeighbors(){ preloadUrl(state.pages[state.idx-1]); preloadUrl(state.pages[state.idx+1]); }
+  function preloadUrl(u){ u = pageSrc(u); if(!u || state.preloaded.has(u)) return; const im = new Image(); im.src = u; im.onload = ()=> state.preloaded.add(u); }
+  function preloadNeighbors(){ const [first, last] = spreadAt(state.idx); [first-1, last+1, last+2].forEach(i => preloadUrl(state.pages[i])); }
+
+  function nextPage(){ const last = spreadAt(state.idx)[1]; if(last < state.pages.length-1){ state.idx = last + 1; if(state.mode !== 'scroll') renderPaged(); saveProgress(); } }
+  function prevPage(){ const first = spreadAt(state.idx)[0]; if(first > 0){ state.idx = spreadAt(first - 1)[0]; if(state.mode !== 'scroll') renderPaged(); saveProgress(); } }
+
+  // auto-scroll (scroll mode): the page glides down at autoSpeed px/s until the chapter ends or the reader touches or wheels
+  let autoFrame = null;
+  function setAutoScroll(on){
+    cancelAnimationFrame(autoFrame); autoFrame = null;
+    on = on && state.mode === 'scroll';
+    const btn = qs('autoScrollBtn'); if(btn) btn.textContent = on ? '⏸ توقف' : '▶ اسکرول خودکار';
+    if(!on) return;
+    let last = performance.now(); let carry = 0;
+    const step = now => {
+      carry += state.autoSpeed * Math.min(now - last, 100) / 1000; last = now;
+      const px = Math.floor(carry); carry -= px;
+      if(px) window.scrollBy(0, px);
+      if(window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2) return setAutoScroll(false);
+      autoFrame = requestAnimationFrame(step);
+    };
+    autoFrame = requestAnimationFrame(step);
+  }
 
-  function nextPage(){ if(state.idx < state.pages.length-1){ state.idx++; if(state.mode==='paged') renderPaged(); saveProgress(); } }
-  function prevPage(){ if(state.idx > 0){ state.idx--; if(state.mode==='paged') renderPaged(); saveProgress(); } }
+  // touch: a horizontal swipe turns the page (toward the reading direction), two fingers pinch-zoom, a double tap resets the zoom
+  const touchDist = t => Math.hypot(t[0].clientX - t[1].clientX, t[0].clientY - t[1].clientY);
+  function bindGestures(root){
+    if(root.dataset.gestures) return;
+    root.dataset.gestures = '1';
+    let startX = null; let pinch = null;
+    root.addEventListener('touchstart', e => {
+      if(autoFrame) setAutoScroll(false);
+      if(e.touches.length === 2){ pinch = { dist: touchDist(e.touches), zoom: state.zoom }; startX = null; }
+      else if(e.touches.length === 1 && !pinch) startX = e.touches[0].clientX;
+    }, { passive: true });
+    root.addEventListener('touchmove', e => {
+      if(!pinch || e.touches.length !== 2) return;
+      e.preventDefault();
+      setZoom(pinch.zoom * touchDist(e.touches) / pinch.dist);
+    }, { passive: false });
+    root.addEventListener('touchend', e => {
+      if(pinch){ if(!e.touches.length) pinch = null; return; }
+      if(startX === null || state.zoom > 1) return;
+      const dx = e.changedTouches[0].clientX - startX; startX = null;
+      const turn = Logic.turnForSwipe(dx, state.direction);
+      if(turn) (turn === 'next' ? nextPage : prevPage)();
+    });
+    root.addEventListener('dblclick', ()=> setZoom(1));
+    root.addEventListener('wheel', ()=>{ if(autoFrame) setAutoScroll(false); }, { passive: true });
+  }
 
-  function saveProgress(){ try{ localStorage.setItem(`manhwa_progress_${state.slug}_${state.chapter}`, JSON.stringify({ idx: state.idx, ts: Date.now() })); }catch(e){} }
-  function loadProgress(){ try{ const s = localStorage.getItem(`manhwa_progress_${state.slug}_${state.chapter}`); if(s){ const p = JSON.parse(s); if(typeof p.idx==='number') state.idx = p.idx; } }catch(e){} }
+  function saveProgress(){ try{ localStorage.setItem(`manhwa_progress_${state.slug}_${state.chapter}`, JSON.stringify({ idx: state.idx, ts: Date.now() })); }catch(e){} syncProgress(); }
+  function loadProgress(){ try{ const s = localStorage.getItem(`manhwa_progress_${state.slug}_${state.chapter}`); if(s){ const p = JSON.parse(s); if(typeof p.idx==='number'){ state.idx = p.idx; return p.ts || 0; } } }catch(e){} return 0; }
+
+  // server-side progress for logged-in users (token stored by app.js)
+  function authToken(){ try{ return localStorage.getItem('manhwa_token'); }catch(e){ return null; } }
+  let syncTimer = null;
+  function syncProgress(){
+    if(!authToken() || !state.slug) return;
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(()=>{
+      const body = { page: state.idx, pageCount: state.pages.length, read: spreadAt(state.idx)[1] >= state.pages.length-1 };
+      client.saveProgress({ slug: state.slug, chapter: state.chapter }, body, { keepalive: true }).catch(()=>{});
+    }, 1500);
+  }
+  async function loadServerProgress(localTs){
+    if(!authToken()) return;
+    try{
+      const r = await client.getProgress({ slug: state.slug });
+      const p = r.chapters[state.chapter];
+      if(p && typeof p.page === 'number' && (p.updatedAt || 0) > localTs) state.idx = Math.min(p.page, Math.max(0, state.pages.length-1));
+    }catch(e){}
+  }
+
+  // controls marked data-modes="..." only apply to (and only show in) those reading modes
+  function showModeControls(){
+    document.querySelectorAll('#controls [data-modes]').forEach(x => { x.style.display = x.dataset.modes.split(' ').includes(state.mode) ? '' : 'none'; });
+  }
 
   function bindControls(){
-    const slider = qs('imageSizeSlider'); const sizeValue = qs('sizeValue'); const serverSel = qs('serverSelect'); const highQ = qs('highQuality'); const modeBtn = qs('modeToggle'); const fitBtn = qs('fitBtn'); const backBtn = qs('backBtn'); const prevBtn = qs('prevBtn'); const nextBtn = qs('nextBtn');
-
-    if(slider){ slider.value = state.sizePct; sizeValue.textContent = state.sizePct; slider.oninput = (e)=>{ state.sizePct = Number(e.target.value); sizeValue.textContent = state.sizePct; // apply
-      document.querySelectorAll(`#${state.containerId} img`).forEach(img=>applySize(img)); }; }
-    if(serverSel) serverSel.onchange = ()=> reloadPages();
-    if(highQ) highQ.onchange = ()=> { state.highQ = highQ.checked; reloadPages(); };
-    if(modeBtn) modeBtn.onclick = ()=> { state.mode = (state.mode==='scroll'?'paged':'scroll'); modeBtn.textContent = state.mode==='scroll' ? 'حالت: عمودی' : 'حالت: کتابی'; render(); };
-    if(fitBtn) fitBtn.onclick = ()=> { document.querySelectorAll(`#${state.containerId} img`).forEach(img=>{ img.style.width = '100%'; }); };
+    const slider = qs('imageSizeSlider'); const sizeValue = qs('sizeValue'); const serverSel = qs('serverSelect'); const highQ = qs('highQuality'); const backBtn = qs('backBtn'); const prevBtn = qs('prevBtn'); const nextBtn = qs('nextBtn');
+    const modeSel = qs('modeSelect'); const dirSel = qs('directionSelect'); const offset = qs('spreadOffset'); const fitSel = qs('fitSelect'); const autoBtn = qs('autoScrollBtn'); const speedSel = qs('autoScrollSpeed');
+
+    if(slider){ slider.value = state.sizePct; sizeValue.textContent = state.sizePct; slider.oninput = (e)=>{ setPref('sizePct', Number(e.target.value)); sizeValue.textContent = state.sizePct; applySizeAll(); }; }
+    if(serverSel) serverSel.onchange = ()=> { state.mirror = serverSel.value; try{ localStorage.setItem(serverKey(), state.mirror); }catch(e){} reloadPages(); };
+    if(highQ){ highQ.checked = state.highQ; highQ.onchange = ()=> { setPref('highQ', highQ.checked); render(); }; }
+    if(modeSel){ modeSel.value = state.mode; modeSel.onchange = ()=> { setPref('mode', modeSel.value); setAutoScroll(false); setZoom(1); showModeControls(); render(); }; }
+    if(dirSel){ dirSel.value = state.direction; dirSel.onchange = ()=> { setPref('direction', dirSel.value); render(); }; }
+    if(offset){ offset.checked = state.spreadOffset; offset.onchange = ()=> { setPref('spreadOffset', offset.checked); render(); }; }
+    if(fitSel){ fitSel.value = state.fit; fitSel.onchange = ()=> { setPref('fit', fitSel.value); setZoom(1); }; }
+    if(autoBtn) autoBtn.onclick = ()=> setAutoScroll(!autoFrame);
+    if(speedSel){ speedSel.value = String(state.autoSpeed); speedSel.onchange = ()=> setPref('autoSpeed', Number(speedSel.value)); }
+    showModeControls();
     if(backBtn) backBtn.onclick = ()=> { window.history.back(); };
-    if(prevBtn) prevBtn.onclick = ()=> { window.location.href = `/reader?slug=${encodeURIComponent(state.slug)}&chapter=${encodeURIComponent(getPrevChapterParam())}`; };
-    if(nextBtn) nextBtn.onclick = ()=> { window.location.href = `/reader?slug=${encodeURIComponent(state.slug)}&chapter=${encodeURIComponent(getNextChapterParam())}`; };
+    if(prevBtn) prevBtn.onclick = ()=> goToChapter(state.prevChapter);
+    if(nextBtn) nextBtn.onclick = ()=> goToChapter(state.nextChapter);
   }
 
-  // placeholder prev/next logic: find around current chapter in DOM? we can't know easily here; server could return matchedChapter with link to prev/next - but we try to parse matchedChapter if available in pages fetch - fallback: disable
-  function getPrevChapterParam(){ return (state.prevChapterParam) ? state.prevChapterParam : ''; }
-  function getNextChapterParam(){ return (state.nextChapterParam) ? state.nextChapterParam : ''; }
+  function updateChapterNav(){
+    const prevBtn = qs('prevBtn'); const nextBtn = qs('nextBtn');
+    if(prevBtn){ prevBtn.disabled = !state.prevChapter; prevBtn.title = chapterLabel(state.prevChapter); }
+    if(nextBtn){ nextBtn.disabled = !state.nextChapter; nextBtn.title = chapterLabel(state.nextChapter); }
+  }
 
   async function reloadPages(){
-    // re-fetch using same slug/chapter (server chooses server)
-    const pages = await fetchPagesFromApi(state.slug, state.chapter);
-    if(pages && pages.length){ state.pages = pages; render(); }
+    // re-fetch the same slug/chapter from the mirror picked in serverSelect
+    const res = await fetchChapterFromApi(state.slug, state.chapter);
+    if(res.pages && res.pages.length){ state.pages = res.pages; state.confidence = res.confidence || 'exact'; state.preloaded.clear(); showPagesNotice(state.confidence); render(); }
   }
 
   function render(){
-    if(state.mode==='paged') renderPaged(); else renderScroll();
+    if(state.mode==='scroll') renderScroll(); else renderPaged();
   }
 
+  // a server-rendered /reader page embeds the series and the chapter's neighbours (server.js renderPage)
+  function initialData(){ const d = qs('initial-data'); try{ return d ? JSON.parse(d.textContent) : null; }catch(e){ return null; } }
+
   async function open(opts){
-    // opts: { slug, chapter, containerId, pages (optional), controls }
-    state.slug = opts.slug; state.chapter = opts.chapter; state.containerId = opts.containerId || DEFAULT_CONTAINER;
-    state.mode = localStorage.getItem('manhwa_reader_mode') || 'scroll';
-    state.sizePct = Number(localStorage.getItem('manhwa_image_size') || 75);
-    state.highQ = false;
+    // opts: { slug, chapter, source (optional), containerId, pages (optional), controls }
+    state.slug = opts.slug; state.chapter = opts.chapter; state.chapterId = null; state.source = opts.source || null; state.containerId = opts.containerId || DEFAULT_CONTAINER;
+    const embedded = initialData();
+    if(embedded && embedded.slug === state.slug && embedded.chapter === state.chapter){
+      state.prevChapter = embedded.prevChapter || null; state.nextChapter = embedded.nextChapter || null;
+      updateChapterNav(); // usable before the page list arrives
+    }
+    loadPrefs(); state.zoom = 1;
 
     bindControls();
+    if(qs('serverSelect')) await loadServers(qs('serverSelect'));
 
     if(Array.isArray(opts.pages) && opts.pages.length){
       state.pages = opts.pages.slice();
     } else {
-      state.pages = await fetchPagesFromApi(state.slug, state.chapter);
+      // saved-for-offline chapters open from Cache Storage, online or not
+      const res = takePrefetched(state.slug, state.chapter) || await ManhwaOffline.getChapter(state.slug, state.chapter).catch(()=>null) || await fetchChapterFromApi(state.slug, state.chapter);
+      state.pages = res.pages || [];
+      state.confidence = res.confidence || 'exact';
+      state.prevChapter = res.prevChapter || null;
+      state.nextChapter = res.nextChapter || null;
+      state.chapterId = res.matchedChapter && res.matchedChapter.chapterId;
     }
-
-    // if API returned matchedChapter info with prev/next in metadata, handle
-    // (server currently returns matchedChapter only; if needed, extend server to include prev/next ids)
+    updateChapterNav();
 
     if(!state.pages.length){
       qs(state.containerId).innerHTML = '<div class="center">صفحه‌ای برای نمایش وجود ندارد یا استخراج شده نیست.</div>';
       return;
     }
 
-    loadProgress();
+    await loadServerProgress(loadProgress());
+    showPagesNotice(state.confidence);
     render();
-    // keyboard
-    document.onkeydown = function(e){ if(e.key==='ArrowRight' || e.key==='PageDown') nextPage(); if(e.key==='ArrowLeft' || e.key==='PageUp') prevPage(); if(e.key==='Escape') window.history.back(); };
-    // touch
-    let startX=null;
-    const root = qs(state.containerId);
-    root.addEventListener('touchstart', e=> startX = e.touches[0].clientX);
-    root.addEventListener('touchend', e=>{
-      if(startX===null) return; const dx = e.changedTouches[0].clientX - startX; if(Math.abs(dx) > 60){ if(dx < 0) nextPage(); else prevPage(); } startX = null;
-    });
+    saveProgress(); // records the visit in history even before the first page turn
+    prefetchNextChapter();
+    // the thread lives under the chapter id of the series' chapter list, however the chapter was asked for
+    if(qs('comments')) ManhwaCommunity.mountThread(qs('comments'), { slug: state.slug, chapter: state.chapterId || state.chapter }).then(()=>{ if(location.hash === '#comments') qs('comments').scrollIntoView(); });
+    // keyboard: the arrow toward the reading direction and PageDown go forward, n/] and p/[ move chapters, a toggles auto-scroll
+    document.onkeydown = function(e){
+      if(e.target && /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return;
+      const turn = Logic.turnForKey(e.key, state.direction);
+      if(turn === 'next') nextPage(); if(turn === 'prev') prevPage(); if(e.key==='Escape') window.history.back();
+      if(e.key==='n' || e.key===']') goToChapter(state.nextChapter); if(e.key==='p' || e.key==='[') goToChapter(state.prevChapter);
+      if(e.key==='a') setAutoScroll(!autoFrame);
+    };
+    bindGestures(qs(state.containerId));
   }
 
   // expose API
-  window.ManhwaReader = { open, close: ()=>{ document.onkeydown=null; }, state };
+  window.ManhwaReader = { open, close: ()=>{ document.onkeydown=null; setAutoScroll(false); }, state };
+
+  // auto-open by query (/reader?slug=...&chapter=...)
+  const params = new URLSearchParams(location.search);
+  if(params.get('slug') && params.get('chapter') && qs('controls')){
+    qs('controls').style.display = 'flex';
+    open({ slug: params.get('slug'), chapter: params.get('chapter'), source: params.get('source'), containerId: DEFAULT_CONTAINER, controls: true });
+  }
 })();
@@ -0,0 +1,102 @@
+// public/sw.js — service worker: app shell + offline chapters (see offline.js), and new-chapter push notifications
+const SHELL_CACHE = 'shell-v4';
+const DETAILS_CACHE = 'manga-details';
+const OFFLINE_CACHE = 'offline-chapters'; // written by offline.js, only read here
+const SHELL = ['/', '/reader', '/styles.css', '/api-client.js', '/offline.js', '/community.js', '/app.js', '/reader-logic.js', '/reader.js', '/manifest.webmanifest', '/icon.svg', '/icon-192.png'];
+const DETAILS_KEEP = 50; // recently viewed /api/manga responses
+// the page variant offline.js saves (ManhwaOffline.PAGE_VARIANT); a high-quality request falls back to it when offline
+const PAGE_VARIANT = { w: '900', q: '70', fmt: 'webp' };
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL.map(u => new Request(u, { cache: 'reload' })))).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith('shell-') && k !== SHELL_CACHE).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  if(req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if(url.origin !== self.location.origin) return;
+  if(req.mode === 'navigate') return event.respondWith(navigation(req, url));
+  if(SHELL.includes(url.pathname)) return event.respondWith(staleWhileRevalidate(req));
+  if(/^\/api\/manga\/[^/]+$/.test(url.pathname)) return event.respondWith(networkFirst(req)); // not ratings/comments, which are live
+  if(url.pathname === '/api/image') return event.respondWith(offlineImage(req, url));
+  if(url.pathname === '/api/reader' && url.searchParams.get('slug')) return event.respondWith(offlineChapter(req, url));
+});
+
+// pages: always try the network; offline, the cached shell for the same screen renders from local data
+async function navigation(req, url){
+  try{
+    const res = await fetch(req);
+    // only bare shells are kept: /reader?slug=... and /manga/... are server-rendered for one series
+    if(res.ok && !url.search && (url.pathname === '/' || url.pathname === '/reader')) (await caches.open(SHELL_CACHE)).put(url.pathname, res.clone());
+    return res;
+  }catch(e){
+    const shell = await caches.open(SHELL_CACHE);
+    return (await shell.match(url.pathname.startsWith('/reader') ? '/reader' : '/')) || Response.error();
+  }
+}
+
+async function staleWhileRevalidate(req){
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(req, { ignoreSearch: true });
+  const fresh = fetch(req).then(res => { if(res.ok) cache.put(req, res.clone()); return res; });
+  if(cached){ fresh.catch(() => {}); return cached; }
+  return fresh;
+}
+
+// manga details: fresh when online, the last copy when not; only the most recent DETAILS_KEEP series are kept
+async function networkFirst(req){
+  const cache = await caches.open(DETAILS_CACHE);
+  try{
+    const res = await fetch(req);
+    if(res.ok){
+      await cache.delete(req); await cache.put(req, res.clone()); // re-inserted, so keys() stays in viewing order
+      const keys = await cache.keys();
+      await Promise.all(keys.slice(0, Math.max(0, keys.length - DETAILS_KEEP)).map(k => cache.delete(k)));
+    }
+    return res;
+  }catch(e){
+    return (await cache.match(req)) || Response.error();
+  }
+}
+
+// saved pages and covers are served without touching the network
+async function offlineImage(req, url){
+  const cache = await caches.open(OFFLINE_CACHE);
+  const hit = await cache.match(req);
+  if(hit) return hit;
+  try{ return await fetch(req); }
+  catch(e){
+    const q = new URLSearchParams({ url: url.searchParams.get('url') || '', ...PAGE_VARIANT });
+    return (await cache.match(`/api/image?${q}`)) || Response.error();
+  }
+}
+
+async function offlineChapter(req, url){
+  try{ return await fetch(req); }
+  catch(e){
+    const cache = await caches.open(OFFLINE_CACHE);
+    return (await cache.match(`/offline/chapter/${encodeURIComponent(url.searchParams.get('slug'))}/${encodeURIComponent(url.searchParams.get('chapter') || '')}`)) || Response.error();
+  }
+}
+
+self.addEventListener('push', event => {
+  let data = {};
+  try{ data = event.data ? event.data.json() : {}; }catch(e){ data = { title: event.data && event.data.text() }; }
+  event.waitUntil(self.registration.showNotification(data.title || 'Manhwa Vault', { body: data.body || '', data: { url: data.url || '/' }, dir: 'rtl', lang: 'fa' }));
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+  event.waitUntil(self.clients.matchAll({ type: 'window' }).then(list => {
+    const open = list.find(c => c.url.endsWith(url));
+    return open ? open.focus() : self.clients.openWindow(url);
+  }));
+});
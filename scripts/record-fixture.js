@@ -0,0 +1,59 @@
+// scripts/record-fixture.js — capture an upstream page as a fixture for the extractor tests
+// usage: node scripts/record-fixture.js <url> <name> [--frames]
+//   writes test/fixtures/<name>.html with the site's origin replaced by {{ORIGIN}} and prints the
+//   routes entry to add to the test; --frames also records each iframe as <name>-frame-<n>.html
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { FIXTURE_DIR } = require('../test/helpers/stub-server');
+
+async function fetchPage(url){
+  const r = await axios.get(url, { headers: { 'User-Agent': 'manga-proxy/1.0' }, timeout: 20000, maxRedirects: 5, responseType: 'text' });
+  return String(r.data);
+}
+
+// absolute links back to the recorded site (either scheme, with or without www.) point at the stub instead
+function localize(html, origin){
+  const host = new URL(origin).hostname.replace(/^www\./, '').replace(/\./g, '\\.');
+  return html.replace(new RegExp(`https?://(?:www\\.)?${host}(?=[/"'\\s?#]|$)`, 'g'), '{{ORIGIN}}');
+}
+
+function save(name, html){
+  const file = path.join(FIXTURE_DIR, `${name}.html`);
+  fs.writeFileSync(file, html);
+  return file;
+}
+function routeKey(url){ const u = new URL(url); return decodeURIComponent(u.pathname + u.search); }
+
+async function main(){
+  const args = process.argv.slice(2);
+  const frames = args.includes('--frames');
+  const [url, name] = args.filter(a => !a.startsWith('--'));
+  if(!url || !name || !/^[\w.-]+$/.test(name)){
+    console.error('usage: node scripts/record-fixture.js <url> <name> [--frames]');
+    process.exitCode = 1;
+    return;
+  }
+  const origin = new URL(url).origin;
+  const html = await fetchPage(url);
+  console.log(`saved ${save(name, localize(html, origin))}`);
+  const routes = [[routeKey(url), `${name}.html`]];
+
+  if(frames){
+    const $ = cheerio.load(html);
+    const srcs = $('iframe[src]').map((i, el) => $(el).attr('src')).get();
+    for(const [i, src] of srcs.entries()){
+      const frameUrl = new URL(src, url).href;
+      try{
+        const frameName = `${name}-frame-${i+1}`;
+        console.log(`saved ${save(frameName, localize(await fetchPage(frameUrl), origin))}`);
+        routes.push([routeKey(frameUrl), `${frameName}.html`]);
+      }catch(e){ console.error(`iframe ${frameUrl}: ${e.message}`); }
+    }
+  }
+  console.log('\nroutes for startStubServer():');
+  for(const [key, file] of routes) console.log(`  '${key}': '${file}',`);
+}
+
+main().catch(e => { console.error(e.message); process.exitCode = 1; });
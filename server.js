@@ -5,59 +5,693 @@ const cheerio = require('cheerio');
 const path = require('path');
 const compression = require('compression');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const cors = require('cors');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const stream = require('stream');
+const { AsyncLocalStorage } = require('async_hooks');
 
-const SITE_BASE = 'https://manhwa-tower.ir';
-const CDN_SAMPLE_HOST = 'cdn.megaman-server.ir';
-const MAX_PAGE_CHECK = 2000;
+const SITE_BASE = process.env.SITE_BASE || 'https://manhwa-tower.ir';
+const CDN_BASE = process.env.CDN_BASE || 'https://cdn.megaman-server.ir';
+// CDN page-count discovery (HEAD probes); tunable at runtime from the admin API
+const CDN_DISCOVERY = {
+  maxPageCheck: Math.max(1, Number(process.env.MAX_PAGE_CHECK) || 2000),
+  batch: Math.max(1, Number(process.env.CDN_PROBE_BATCH) || 6), // HEAD probes sent in parallel per round
+  maxVariants: Math.max(1, Number(process.env.CDN_MAX_VARIANTS) || 12) // url variants tried for page 1 before giving up
+};
+// the site every extractor targets unless a provider passes its own (see providers below)
+const DEFAULT_SITE = { id: 'manhwa-tower', name: 'Manhwa Tower', base: SITE_BASE, cdnBase: CDN_BASE };
 
 const app = express();
+app.use(assignRequestId);
+app.use(observeRequest);
 app.use(express.json({ limit: '200kb' }));
 app.use(compression());
 app.use(helmet());
-app.use(morgan('tiny'));
 app.use(cors());
-app.use(express.static(path.join(__dirname, 'public'), { maxAge: '1d' }));
+// the service worker is revalidated on every load so a new shell version reaches installed apps right away
+app.use(express.static(path.join(__dirname, 'public'), { maxAge: '1d', setHeaders: (res, file) => { if(path.basename(file) === 'sw.js') res.set('Cache-Control', 'no-cache'); } }));
+app.use('/api', checkResponses);
+app.use('/api', cacheHeaders);
+app.use('/api', authenticate);
+app.use('/api', resolveSource);
+
+/* logging: one JSON object per line (LOG_FORMAT=text for a readable line), at or above LOG_LEVEL; the request id rides along */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const LOG = { level: LOG_LEVELS.includes(String(process.env.LOG_LEVEL).toLowerCase()) ? String(process.env.LOG_LEVEL).toLowerCase() : 'info', format: process.env.LOG_FORMAT === 'text' ? 'text' : 'json' };
+function log(level, msg, fields={}){
+  if(LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LOG.level)) return;
+  const rc = requestContext.getStore();
+  const entry = { time: new Date().toISOString(), level, msg, ...(rc && rc.id ? { requestId: rc.id } : {}), ...fields };
+  const line = LOG.format === 'json' ? JSON.stringify(entry)
+    : [entry.time, level.toUpperCase(), ...(entry.requestId ? [`[${entry.requestId}]`] : []), msg, ...Object.entries(fields).filter(([k]) => k !== 'requestId' && k !== 'err').map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`), ...(fields.err ? [fields.err.stack || fields.err.message] : [])].join(' ');
+  (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(line + '\n');
+}
+function errorFields(err){
+  if(!err || typeof err !== 'object') return { message: String(err) };
+  return { message: err.message, ...(err.code ? { code: err.code } : {}), ...(err.upstreamUrl ? { upstreamUrl: err.upstreamUrl } : {}), ...(err.stack ? { stack: err.stack } : {}) };
+}
+function logErr(err, ctx=''){ log('error', ctx || 'error', { err: errorFields(err) }); }
 
 /* utilities */
-function logErr(err, ctx='') { console.error('[ERROR]', ctx, err && (err.stack||err.message||err)); }
 function sanitizeSlug(slug){ if(!slug || typeof slug!=='string') return null; const m = slug.match(/[A-Za-z0-9\-_]+/g); return m ? m.join('-') : null; }
-function parsePage(q,fallback=1){ const p = parseInt(q||String(fallback),10); if(isNaN(p)||p<1) return fallback; return p; }
 function normalizeChapterParam(ch){ if(!ch) return null; return String(ch).replace(/[_\s]+/g,'.').trim(); }
 
+/* errors: a small taxonomy with stable codes; routes hand anything they catch to sendError() */
+const ERROR_STATUS = {
+  BAD_REQUEST: 400, UNAUTHORIZED: 401, FORBIDDEN: 403, NOT_FOUND: 404, CONFLICT: 409, RATE_LIMITED: 429,
+  INTERNAL: 500, EXTRACTION_FAILED: 502, UPSTREAM_UNAVAILABLE: 502, UNAVAILABLE: 503, UPSTREAM_TIMEOUT: 504
+};
+class ApiError extends Error {
+  constructor(code, message, extra){
+    super(message);
+    this.name = 'ApiError'; this.code = code; this.status = ERROR_STATUS[code] || 500; this.extra = extra || null;
+  }
+}
+// map upstream/axios failures onto the taxonomy; messages stay generic so internal URLs never reach clients
+function upstreamError(e, what='upstream page'){
+  if(e instanceof ApiError) return e;
+  let err;
+  if(e && e.code === 'EBREAKEROPEN') err = new ApiError('UPSTREAM_UNAVAILABLE', 'upstream site is unavailable, try again later');
+  else if(e && (e.code === 'ECONNABORTED' || e.code === 'ETIMEDOUT')) err = new ApiError('UPSTREAM_TIMEOUT', `${what} timed out`);
+  else if(e && e.response && (e.response.status === 404 || e.response.status === 410)) err = new ApiError('NOT_FOUND', `${what} not found`);
+  else err = new ApiError('UPSTREAM_UNAVAILABLE', `${what} could not be fetched`);
+  err.original = e;
+  return err;
+}
+function toApiError(e){
+  if(e instanceof ApiError) return e;
+  if(e && (e.code === 'EBREAKEROPEN' || e.isAxiosError)) return upstreamError(e);
+  if(e && e.type === 'entity.parse.failed') return new ApiError('BAD_REQUEST', 'request body is not valid JSON');
+  if(e && e.type === 'entity.too.large') return new ApiError('BAD_REQUEST', 'request body too large');
+  const err = new ApiError('INTERNAL', 'internal error'); err.original = e;
+  return err;
+}
+// 5xx are logged with the route context (client errors are not worth a stack trace)
+function sendError(res, e, ctx=''){
+  const err = toApiError(e);
+  if(err.status >= 500) logErr(err.original || err, ctx);
+  if(res.headersSent) return res.destroy(err);
+  return res.status(err.status).json({ ok:false, error: err.message, code: err.code, requestId: res.req && res.req.id, ...(err.extra || {}) });
+}
+function apiErrorHandler(err, req, res, next){ return sendError(res, err, `${req.method} ${req.path}`); }
+
+/* request ids: honour a sane incoming X-Request-Id, else mint one; echoed back and carried by every log line */
+function assignRequestId(req, res, next){
+  const incoming = String(req.get('X-Request-Id') || '');
+  req.id = /^[A-Za-z0-9._:-]{8,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ id: req.id, cache: [] }, next);
+}
+
+/* Prometheus metrics: labelled counters, gauges and histograms, rendered in the text exposition format at /metrics */
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+function createMetricsRegistry(){
+  const families = [];
+  const labelText = labels => { const e = Object.entries(labels); return e.length ? `{${e.map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}` : ''; };
+  function family(type, name, help, extra){ const f = { type, name, help, series: new Map(), ...extra }; families.push(f); return f; }
+  function series(f, labels, init){ const key = labelText(labels); let s = f.series.get(key); if(!s){ s = { labels, ...init() }; f.series.set(key, s); } return s; }
+  // collect (optional) returns [[labels, value], ...] at scrape time, for values another module already keeps
+  function counter(name, help, collect){
+    const f = family('counter', name, help, { collect });
+    return { inc(labels={}, n=1){ series(f, labels, () => ({ value: 0 })).value += n; }, values: () => Array.from(f.series.values(), s => [s.labels, s.value]) };
+  }
+  function gauge(name, help, collect){ family('gauge', name, help, { collect }); }
+  function histogram(name, help, buckets=LATENCY_BUCKETS){
+    const f = family('histogram', name, help, { buckets });
+    return { observe(labels, v){ const s = series(f, labels, () => ({ counts: buckets.map(()=> 0), sum: 0, count: 0 })); buckets.forEach((b, i) => { if(v <= b) s.counts[i]++; }); s.sum += v; s.count++; } };
+  }
+  function render(){
+    const out = [];
+    for(const f of families){
+      out.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`);
+      if(f.collect) for(const [labels, v] of f.collect()) out.push(`${f.name}${labelText(labels)} ${v}`);
+      for(const s of f.series.values()){
+        if(f.type !== 'histogram'){ out.push(`${f.name}${labelText(s.labels)} ${s.value}`); continue; }
+        f.buckets.forEach((b, i) => out.push(`${f.name}_bucket${labelText({ ...s.labels, le: b })} ${s.counts[i]}`));
+        out.push(`${f.name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`, `${f.name}_sum${labelText(s.labels)} ${s.sum}`, `${f.name}_count${labelText(s.labels)} ${s.count}`);
+      }
+    }
+    return out.join('\n') + '\n';
+  }
+  return { counter, gauge, histogram, render };
+}
+const metrics = createMetricsRegistry();
+const METRIC = {
+  httpDuration: metrics.histogram('http_request_duration_seconds', 'Request latency by method, route pattern and status'),
+  upstreamRequests: metrics.counter('upstream_requests_total', 'Upstream request attempts by host, method and HTTP status (or network error code)'),
+  upstreamDuration: metrics.histogram('upstream_request_duration_seconds', 'Upstream request latency by host'),
+  cacheLookups: metrics.counter('cache_lookups_total', 'Cache lookups by key kind and result (hit, stale, coalesced, miss)'),
+  readerPages: metrics.counter('reader_page_resolutions_total', 'Chapter page lists resolved, by method (explicit, fallback-discovered, fallback-guess, none)'),
+  pageProbes: metrics.histogram('reader_page_discovery_probes', 'CDN HEAD probes spent per page-count discovery, by result', [1, 2, 4, 8, 12, 16, 24, 32, 48]),
+};
+const perHost = pick => () => Object.entries(upstream.stats()).map(([host, h]) => [{ host }, pick(h)]);
+metrics.counter('upstream_retries_total', 'Upstream attempts retried after a failure', perHost(h => h.retries));
+metrics.counter('upstream_rejected_total', 'Upstream requests refused by an open circuit breaker', perHost(h => h.rejected));
+metrics.gauge('upstream_circuit_open', '1 while the circuit breaker for a host is open or half-open', perHost(h => h.breaker === 'closed' ? 0 : 1));
+metrics.gauge('cache_hit_ratio', 'Share of cache lookups answered without loading (hit, stale or coalesced), by key kind', () => {
+  const kinds = new Map();
+  for(const [{ kind, result }, n] of METRIC.cacheLookups.values()){ const k = kinds.get(kind) || { served: 0, total: 0 }; k.total += n; if(result !== 'miss') k.served += n; kinds.set(kind, k); }
+  return Array.from(kinds, ([kind, k]) => [{ kind }, Math.round(k.served / k.total * 1000) / 1000]);
+});
+metrics.gauge('cache_entries', 'Entries held in the memory cache', () => [[{}, cache.stats().entries]]);
+metrics.gauge('catalog_series', 'Series in the local catalog index', () => [[{}, catalogStatus().size]]);
+metrics.gauge('process_resident_memory_bytes', 'Resident set size', () => [[{}, process.memoryUsage().rss]]);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use', () => [[{}, process.memoryUsage().heapUsed]]);
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', () => [[{}, Math.round(process.uptime())]]);
+
+/* request metrics and access log: per-route counts, status classes and latency percentiles since start (admin API),
+   the http_request_duration_seconds histogram, and one log line per request */
+const METRICS_SAMPLES = 200; // latest durations kept per route for the percentiles
+const requestMetrics = { since: Date.now(), routes: new Map() };
+function observeRequest(req, res, next){
+  const started = process.hrtime.bigint();
+  res.on('finish', ()=>{
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    // the route pattern, not the url, so /api/manga/:slug stays one row
+    const route = req.route ? req.route.path : (res.statusCode === 404 ? '(unmatched)' : '(static)');
+    const key = `${req.method} ${route}`;
+    METRIC.httpDuration.observe({ method: req.method, route, status: res.statusCode }, ms / 1000);
+    log(res.statusCode >= 500 ? 'warn' : 'info', 'request', { requestId: req.id, method: req.method, url: req.originalUrl, route, status: res.statusCode, bytes: Number(res.get('Content-Length')) || 0, ms: Math.round(ms * 10) / 10 });
+    let m = requestMetrics.routes.get(key);
+    if(!m){ m = { count: 0, status: {}, totalMs: 0, maxMs: 0, samples: [] }; requestMetrics.routes.set(key, m); }
+    const cls = `${Math.floor(res.statusCode / 100)}xx`;
+    m.count++; m.status[cls] = (m.status[cls] || 0) + 1; m.totalMs += ms; m.maxMs = Math.max(m.maxMs, ms);
+    m.samples.push(ms); if(m.samples.length > METRICS_SAMPLES) m.samples.shift();
+  });
+  next();
+}
+function metricsSnapshot(){
+  const pct = (sorted, p) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : 0;
+  const round = n => Math.round(n * 10) / 10;
+  const routes = Array.from(requestMetrics.routes, ([route, m]) => {
+    const sorted = m.samples.slice().sort((a,b)=> a - b);
+    return { route, count: m.count, status: m.status, avgMs: round(m.totalMs / m.count), p50Ms: round(pct(sorted, 0.5)), p95Ms: round(pct(sorted, 0.95)), maxMs: round(m.maxMs) };
+  }).sort((a,b)=> b.count - a.count);
+  const total = routes.reduce((n, r) => n + r.count, 0);
+  const errors = routes.reduce((n, r) => n + (r.status['5xx'] || 0), 0);
+  return { since: requestMetrics.since, total, errors, routes };
+}
+
+/* request validation: per-route schemas for path/query params; parsed values land on req.valid */
+// bad types/formats are a 400; integers above max are clamped (long-standing behaviour clients rely on)
+// each rule also carries its JSON schema, which the OpenAPI document reuses for the parameter list
+const P = {
+  slug: (opts={}) => ({ ...opts, schema: { type: 'string', maxLength: 200 }, parse(v){ const s = sanitizeSlug(v); if(!s || s.length > 200) throw 'must be a slug (letters, digits, - and _)'; return s; } }),
+  chapter: (opts={}) => ({ ...opts, schema: { type: 'string', maxLength: 100 }, parse(v){ const c = normalizeChapterParam(v); if(!c || c.length > 100) throw 'must be a chapter number, id like "190,103", or title'; return c; } }),
+  int: ({ min=1, max=Infinity, ...opts }={}) => ({ ...opts, schema: { type: 'integer', minimum: min, ...(isFinite(max) ? { maximum: max } : {}) }, parse(v){ if(!/^\d+$/.test(v)) throw 'must be a whole number'; const n = Number(v); if(n < min) throw `must be at least ${min}`; return Math.min(n, max); } }),
+  oneOf: (values, opts={}) => ({ ...opts, schema: { type: 'string', enum: values }, parse(v){ const s = v.toLowerCase(); if(!values.includes(s)) throw `must be one of ${values.join(', ')}`; return s; } }),
+  bool: (opts={}) => ({ ...opts, schema: { type: 'boolean' }, parse(v){ const s = v.toLowerCase(); if(['1','true','yes'].includes(s)) return true; if(['0','false','no',''].includes(s)) return false; throw 'must be true or false'; } }),
+  text: ({ max=200, ...opts }={}) => ({ ...opts, schema: { type: 'string', maxLength: max }, parse(v){ const s = v.trim(); if(s.length > max) throw `must be at most ${max} characters`; return s; } }),
+  list: ({ max=20, ...opts }={}) => ({ ...opts, schema: { type: 'array', items: { type: 'string' }, maxItems: max }, parse(v){ const l = v.split(',').map(s => s.trim()).filter(Boolean); if(l.length > max) throw `must list at most ${max} values`; return l; } }),
+  // v2 pagination cursor (base64url JSON written by encodeCursor)
+  cursor: (opts={}) => ({ ...opts, schema: { type: 'string', maxLength: 500, description: 'nextCursor of the previous page' }, parse(v){
+    let c; try{ c = JSON.parse(Buffer.from(v, 'base64url').toString('utf8')); }catch(e){ throw 'is not a valid cursor'; }
+    if(!c || typeof c !== 'object' || typeof c.k !== 'string' || (c.s != null && typeof c.s !== 'string') || ['p', 'o', 'n', 'd'].some(k => c[k] != null && !(Number.isInteger(c[k]) && c[k] >= 0))) throw 'is not a valid cursor';
+    return c;
+  } })
+};
+// check one bag of raw values (req.params, req.query, ...) against its rules; parsed values go into `valid`
+function parseParams(rules, raw, where, valid={}, details=[]){
+  for(const [name, rule] of Object.entries(rules || {})){
+    let v = raw ? raw[name] : undefined;
+    if(Array.isArray(v)) v = v[v.length-1];
+    if(v == null || v === ''){
+      if(rule.required) details.push({ in: where, param: name, message: 'is required' });
+      else valid[name] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      continue;
+    }
+    try{ valid[name] = rule.parse(String(v)); }
+    catch(msg){ details.push({ in: where, param: name, message: String(msg) }); }
+  }
+  return { valid, details };
+}
+function invalidParams(details){ return new ApiError('BAD_REQUEST', `invalid ${details.map(d => `${d.param} (${d.message})`).join(', ')}`, { details }); }
+function validate(schema){
+  const mw = (req, res, next)=>{
+    const valid = {}; const details = [];
+    for(const where of ['params', 'query']) parseParams(schema[where], req[where], where, valid, details);
+    if(details.length) return sendError(res, invalidParams(details));
+    req.valid = valid;
+    next();
+  };
+  mw.schema = schema; // read back by the OpenAPI builder
+  return mw;
+}
+
+/* background work: the sections below register their timers and signal handlers with onStart(); they only run once
+   server.js is started as the server (see the bottom of the file), so requiring it (tests, --write-client) starts nothing */
+const _startTasks = [];
+let _started = false;
+function onStart(task){ _startTasks.push(task); }
+function startBackground(){ if(_started) return; _started = true; _startTasks.forEach(task => task()); }
+
+/* cache layer: in-memory LRU + optional file backend, stale-while-revalidate, request coalescing */
+function envMs(name, fallback){ const v = Number(process.env[name]); return (isFinite(v) && v >= 0 && process.env[name] !== '') ? v : fallback; }
+const CACHE_MAX_ENTRIES = Math.max(10, Number(process.env.CACHE_MAX_ENTRIES) || 500);
+const CACHE_DIR = process.env.CACHE_DIR || null; // set to enable the on-disk backend
+// ttl: fresh window; stale: extra window where the old value is served while a refresh runs in background
+const CACHE_POLICIES = {
+  html:    { ttl: envMs('CACHE_TTL_HTML_MS', 2*60*1000),     stale: envMs('CACHE_STALE_HTML_MS', 10*60*1000) },
+  home:    { ttl: envMs('CACHE_TTL_HOME_MS', 5*60*1000),     stale: envMs('CACHE_STALE_HOME_MS', 30*60*1000) },
+  genres:  { ttl: envMs('CACHE_TTL_GENRES_MS', 6*60*60*1000), stale: envMs('CACHE_STALE_GENRES_MS', 24*60*60*1000) },
+  listing: { ttl: envMs('CACHE_TTL_LISTING_MS', 10*60*1000), stale: envMs('CACHE_STALE_LISTING_MS', 60*60*1000) },
+  detail:  { ttl: envMs('CACHE_TTL_DETAIL_MS', 10*60*1000),  stale: envMs('CACHE_STALE_DETAIL_MS', 60*60*1000) },
+  reader:  { ttl: envMs('CACHE_TTL_READER_MS', 24*60*60*1000), stale: envMs('CACHE_STALE_READER_MS', 7*24*60*60*1000) },
+  popular: { ttl: envMs('CACHE_TTL_POPULAR_MS', 5*60*1000),  stale: envMs('CACHE_STALE_POPULAR_MS', 30*60*1000) }
+};
+
+function createLruStore(max){
+  const map = new Map();
+  return {
+    get(k){ if(!map.has(k)) return undefined; const v = map.get(k); map.delete(k); map.set(k, v); return v; },
+    peek(k){ return map.get(k); }, // no recency bump (admin listing)
+    set(k, v){ if(map.has(k)) map.delete(k); map.set(k, v); while(map.size > max) map.delete(map.keys().next().value); },
+    delete(k){ return map.delete(k); },
+    clear(){ map.clear(); },
+    keys(){ return Array.from(map.keys()); },
+    get size(){ return map.size; }
+  };
+}
+
+function createFileStore(dir){
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = k => path.join(dir, crypto.createHash('sha1').update(k).digest('hex') + '.json');
+  return {
+    async get(k){
+      try{ const raw = await fs.promises.readFile(fileFor(k), 'utf8'); const rec = JSON.parse(raw); return rec && rec.key === k ? rec.entry : undefined; }
+      catch(e){ return undefined; }
+    },
+    async set(k, entry){
+      const file = fileFor(k); const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ key: k, entry }));
+      await fs.promises.rename(tmp, file);
+    },
+    async delete(k){ try{ await fs.promises.unlink(fileFor(k)); }catch(e){} },
+    async clear(){ for(const f of await fs.promises.readdir(dir)) if(f.endsWith('.json')) await fs.promises.unlink(path.join(dir, f)).catch(()=>{}); },
+    // file names are hashes, so matching by key means reading each record; returns the removed keys
+    async deleteWhere(match){
+      const removed = [];
+      for(const f of await fs.promises.readdir(dir)){
+        if(!f.endsWith('.json')) continue;
+        const file = path.join(dir, f);
+        try{ const rec = JSON.parse(await fs.promises.readFile(file, 'utf8')); if(rec && match(rec.key)){ await fs.promises.unlink(file); removed.push(rec.key); } }catch(e){}
+      }
+      return removed;
+    },
+    // drop entries whose stale window has passed
+    async prune(now = Date.now()){
+      let removed = 0;
+      for(const f of await fs.promises.readdir(dir)){
+        if(!f.endsWith('.json')) continue;
+        const file = path.join(dir, f);
+        try{ const rec = JSON.parse(await fs.promises.readFile(file, 'utf8')); if(!rec.entry || rec.entry.staleUntil < now){ await fs.promises.unlink(file); removed++; } }
+        catch(e){ await fs.promises.unlink(file).catch(()=>{}); removed++; }
+      }
+      return removed;
+    }
+  };
+}
+
+// now is the clock entries are timed against (injectable so tests can step past a ttl without sleeping)
+function createCache({ max = CACHE_MAX_ENTRIES, dir = CACHE_DIR, now = Date.now } = {}){
+  const mem = createLruStore(max);
+  const disk = dir ? createFileStore(dir) : null;
+  const inflight = new Map();
+  const stats = { hit: 0, stale: 0, miss: 0, coalesced: 0, errors: 0 };
+
+  async function read(key){
+    let e = mem.get(key);
+    if(!e && disk){ e = await disk.get(key); if(e) mem.set(key, e); }
+    return e || null;
+  }
+  async function write(key, entry){
+    mem.set(key, entry);
+    if(disk) await disk.set(key, entry).catch(e => logErr(e, `cache disk write ${key}`));
+  }
+  // run loader once per key; concurrent callers share the same promise
+  function load(key, policy, loader){
+    if(inflight.has(key)) return inflight.get(key);
+    const p = (async ()=>{
+      try{
+        const value = await loader();
+        const t = now();
+        await write(key, { value, ts: t, expires: t + policy.ttl, staleUntil: t + policy.ttl + (policy.stale || 0) });
+        return value;
+      }catch(e){ stats.errors++; throw e; }
+      finally{ inflight.delete(key); }
+    })();
+    inflight.set(key, p);
+    return p;
+  }
+  // kind is the key prefix ("html", "detail", ...), the label cache_lookups_total is split by
+  function count(key, result){ stats[result]++; METRIC.cacheLookups.inc({ kind: key.split(':')[0], result }); }
+  async function wrap(key, policy, loader){
+    const t = now();
+    const e = await read(key);
+    if(e && e.expires > t){ count(key, 'hit'); noteCacheStatus('HIT'); return e.value; }
+    if(e && e.staleUntil > t){
+      count(key, 'stale'); noteCacheStatus('STALE');
+      load(key, policy, loader).catch(err => logErr(err, `cache revalidate ${key}`));
+      return e.value;
+    }
+    if(inflight.has(key)){ count(key, 'coalesced'); noteCacheStatus('HIT'); return inflight.get(key); }
+    count(key, 'miss'); noteCacheStatus('MISS');
+    return load(key, policy, loader);
+  }
+  async function del(key){ mem.delete(key); if(disk) await disk.delete(key); }
+  async function clear(){ mem.clear(); if(disk) await disk.clear(); }
+  async function prune(){ return disk ? disk.prune(now()) : 0; }
+  // admin view of the memory tier (entries only on disk are not listed)
+  function entries(prefix = ''){
+    const t = now();
+    return mem.keys().filter(k => k.startsWith(prefix)).map(k => {
+      const e = mem.peek(k);
+      return { key: k, state: e.expires > t ? 'fresh' : (e.staleUntil > t ? 'stale' : 'expired'), storedAt: e.ts, expires: e.expires, staleUntil: e.staleUntil };
+    });
+  }
+  // drop every key starting with prefix from both tiers; returns how many distinct keys went
+  async function purge(prefix){
+    const removed = new Set(mem.keys().filter(k => k.startsWith(prefix)));
+    removed.forEach(k => mem.delete(k));
+    if(disk) (await disk.deleteWhere(k => typeof k === 'string' && k.startsWith(prefix))).forEach(k => removed.add(k));
+    return removed.size;
+  }
+
+  // the load or background revalidation running for key, if any (resolves either way)
+  const pending = key => inflight.has(key) ? inflight.get(key).then(()=>{}, ()=>{}) : Promise.resolve();
+
+  return { wrap, refresh: load, pending, get: read, set: write, delete: del, clear, prune, entries, purge, keys: () => mem.keys(), stats: () => ({ ...stats, entries: mem.size, inflight: inflight.size, disk: !!disk }) };
+}
+
+const cache = createCache();
+if(CACHE_DIR) onStart(()=> setInterval(()=> cache.prune().catch(e => logErr(e, 'cache prune')), 60*60*1000).unref());
+
+// per-request cache bookkeeping, surfaced as X-Cache headers on API responses
+const requestContext = new AsyncLocalStorage();
+function noteCacheStatus(status){ const ctx = requestContext.getStore(); if(ctx) ctx.cache.push(status); }
+// the context itself is opened per request by assignRequestId
+function cacheHeaders(req, res, next){
+  const ctx = requestContext.getStore();
+  const json = res.json.bind(res);
+  res.json = body => {
+    const seen = ctx ? ctx.cache : [];
+    if(seen.length && !res.headersSent){
+      const count = s => seen.filter(x => x === s).length;
+      res.set('X-Cache', seen.includes('MISS') ? 'MISS' : (seen.includes('STALE') ? 'STALE' : 'HIT'));
+      res.set('X-Cache-Lookups', `hit=${count('HIT')};stale=${count('STALE')};miss=${count('MISS')}`);
+    }
+    return json(body);
+  };
+  next();
+}
+
+/* local data: small JSON documents under DATA_DIR, loaded once and written back atomically (debounced) */
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+function createJsonStore(name, initial){
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let data = initial;
+  try{ data = Object.assign(initial, JSON.parse(fs.readFileSync(file, 'utf8'))); }
+  catch(e){ if(e.code !== 'ENOENT') logErr(e, `store ${name} load`); }
+  let timer = null;
+  function flush(){
+    timer = null;
+    try{
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    }catch(e){ logErr(e, `store ${name} save`); }
+  }
+  return {
+    get data(){ return data; },
+    save(){ if(!timer){ timer = setTimeout(flush, 1000); timer.unref(); } },
+    flush(){ if(timer){ clearTimeout(timer); flush(); } }
+  };
+}
+const _stores = [];
+function openStore(name, initial){ const s = createJsonStore(name, initial); _stores.push(s); return s; }
+process.on('exit', ()=> _stores.forEach(s => s.flush()));
+onStart(()=>{ for(const sig of ['SIGINT', 'SIGTERM']) process.once(sig, ()=> process.exit(0)); }); // run the exit flush on Ctrl-C / container stop
+
+/* upstream HTTP client: per-host concurrency + token bucket, retries with jittered backoff, circuit breaker */
+const UPSTREAM = {
+  userAgent: process.env.UPSTREAM_USER_AGENT || 'manga-proxy/1.0',
+  proxy: process.env.UPSTREAM_PROXY || null, // http://[user:pass@]host:port; unset = axios defaults (honours HTTP(S)_PROXY)
+  concurrency: Math.max(1, Number(process.env.UPSTREAM_CONCURRENCY) || 4),
+  rate: Math.max(0.1, Number(process.env.UPSTREAM_RATE) || 5), // requests per second per host
+  burst: Math.max(1, Number(process.env.UPSTREAM_BURST) || 10),
+  retries: Math.max(0, Number(process.env.UPSTREAM_RETRIES ?? 3) || 0),
+  backoffMs: envMs('UPSTREAM_BACKOFF_MS', 500),
+  maxBackoffMs: envMs('UPSTREAM_MAX_BACKOFF_MS', 15000),
+  breakerThreshold: Math.max(1, Number(process.env.UPSTREAM_BREAKER_THRESHOLD) || 5),
+  breakerCooldownMs: envMs('UPSTREAM_BREAKER_COOLDOWN_MS', 30000)
+};
+const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRY_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT']);
+
+function parseProxy(spec){
+  if(!spec) return undefined;
+  const u = new URL(spec);
+  return { protocol: u.protocol.replace(':', ''), host: u.hostname, port: Number(u.port) || (u.protocol === 'https:' ? 443 : 80), ...(u.username ? { auth: { username: decodeURIComponent(u.username), password: decodeURIComponent(u.password) } } : {}) };
+}
+function retryAfterMs(res){
+  const h = res && res.headers && res.headers['retry-after']; if(!h) return null;
+  const secs = Number(h); if(isFinite(secs)) return secs * 1000;
+  const at = Date.parse(h); return isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+const UPSTREAM_FAILURE_LOG = 100; // recent failed attempts kept for the admin API
+function createHttpClient(opts={}){
+  const cfg = { ...UPSTREAM, ...opts }; // read on every request, so changes to client.config apply immediately
+  const proxy = parseProxy(cfg.proxy);
+  const hosts = new Map();
+  const failures = [];
+  const sleep = ms => new Promise(r => setTimeout(r, ms));
+  function hostState(host){
+    let h = hosts.get(host);
+    if(!h){ h = { host, active: 0, queue: [], tokens: cfg.burst, refilledAt: Date.now(), failures: 0, openUntil: 0, trial: false, requests: 0, retries: 0, rejected: 0 }; hosts.set(host, h); }
+    return h;
+  }
+  async function takeToken(h){
+    for(;;){
+      const now = Date.now();
+      h.tokens = Math.min(cfg.burst, h.tokens + (now - h.refilledAt) / 1000 * cfg.rate); h.refilledAt = now;
+      if(h.tokens >= 1){ h.tokens -= 1; return; }
+      await sleep(Math.ceil((1 - h.tokens) / cfg.rate * 1000));
+    }
+  }
+  function acquire(h){
+    if(h.active < cfg.concurrency){ h.active++; return Promise.resolve(); }
+    return new Promise(resolve => h.queue.push(resolve)); // the slot is handed over by release()
+  }
+  function release(h){ const next = h.queue.shift(); if(next) next(); else h.active--; }
+
+  // closed -> open after breakerThreshold consecutive failures; after the cooldown one trial request decides
+  function breakerState(h){ return !h.openUntil ? 'closed' : (Date.now() < h.openUntil ? 'open' : 'half-open'); }
+  function checkBreaker(host, h){
+    const state = breakerState(h);
+    if(state === 'closed') return false;
+    if(state === 'half-open' && !h.trial){ h.trial = true; return true; }
+    h.rejected++;
+    const err = new Error(`upstream ${host} unavailable (circuit open)`); err.code = 'EBREAKEROPEN'; err.host = host; throw err;
+  }
+  function settle(h, ok, trial){
+    if(trial) h.trial = false;
+    if(ok){ h.failures = 0; h.openUntil = 0; return; }
+    h.failures++;
+    if(trial || h.failures >= cfg.breakerThreshold){ h.openUntil = Date.now() + cfg.breakerCooldownMs; log('warn', 'upstream circuit open', { host: h.host, failures: h.failures, cooldownMs: cfg.breakerCooldownMs }); }
+  }
+  // network failures and 5xx count against the breaker; 4xx (including 429) mean the host is up
+  const isHostFailure = (err, status) => status ? status >= 500 : !!err;
+
+  async function request(config){
+    const host = new URL(config.url).host; const h = hostState(host);
+    const method = String(config.method || 'get').toLowerCase();
+    const attempts = (method === 'get' || method === 'head') ? cfg.retries + 1 : 1;
+    const headers = { 'User-Agent': cfg.userAgent, ...(config.headers || {}) };
+    for(let attempt = 1; ; attempt++){
+      const trial = checkBreaker(host, h);
+      await acquire(h);
+      let res = null, err = null, started = Date.now();
+      try{ await takeToken(h); h.requests++; started = Date.now(); res = await axios.request({ ...config, method, headers, ...(proxy ? { proxy } : {}) }); }
+      catch(e){ err = e; res = e.response || null; }
+      finally{ release(h); }
+      const status = res ? res.status : null; const ms = Date.now() - started;
+      METRIC.upstreamRequests.inc({ host, method, status: status || (err && err.code) || 'error' });
+      METRIC.upstreamDuration.observe({ host }, ms / 1000);
+      log('debug', 'upstream request', { host, method, url: config.url, status, ...(err && !status ? { code: err.code || null } : {}), ms, attempt });
+      settle(h, !isHostFailure(err, status), trial);
+      const retriable = status ? RETRY_STATUSES.has(status) : !!(err && RETRY_CODES.has(err.code));
+      if(isHostFailure(err, status) || status === 429){ // 404s from page probing are normal, not failures
+        failures.push({ at: Date.now(), host, method, url: config.url, status, code: err && !status ? (err.code || null) : null, message: err && !status ? err.message : null, attempt, willRetry: retriable && attempt < attempts && breakerState(h) !== 'open' });
+        if(failures.length > UPSTREAM_FAILURE_LOG) failures.shift();
+      }
+      if(!retriable || attempt >= attempts || breakerState(h) === 'open'){ if(err) throw err; return res; }
+      h.retries++;
+      const backoff = Math.min(cfg.maxBackoffMs, cfg.backoffMs * Math.pow(2, attempt - 1));
+      await sleep(Math.min(cfg.maxBackoffMs, Math.max(retryAfterMs(res) || 0, Math.round(backoff / 2 + Math.random() * backoff / 2))));
+    }
+  }
+  function stats(){
+    const out = {};
+    for(const [host, h] of hosts) out[host] = { breaker: breakerState(h), failures: h.failures, active: h.active, queued: h.queue.length, requests: h.requests, retries: h.retries, rejected: h.rejected };
+    return out;
+  }
+  return { request, get: (url, config={}) => request({ ...config, url, method: 'get' }), head: (url, config={}) => request({ ...config, url, method: 'head' }), stats, config: cfg, failures: () => failures.slice().reverse() };
+}
+const upstream = createHttpClient();
+
 /* network helpers */
 async function fetchHtml(url, timeout=20000){
+  return cache.wrap(`html:${url}`, CACHE_POLICIES.html, ()=> fetchHtmlUncached(url, timeout));
+}
+async function fetchHtmlUncached(url, timeout=20000){
   try{
-    const r = await axios.get(url, { headers: {'User-Agent':'manga-proxy/1.0'}, timeout, maxRedirects:5, validateStatus: s=> s>=200 && s<400 });
+    const r = await upstream.get(url, { timeout, maxRedirects:5, validateStatus: s=> s>=200 && s<400 });
     return r.data;
   }catch(e){
-    const err = new Error(`fetchHtml failed for ${url}: ${e.message}`); err.original = e; throw err;
+    const err = upstreamError(e); err.upstreamUrl = url; throw err;
   }
 }
-async function existsUrl(url, timeout=8000){
+// 'ok' | 'missing' (4xx) | 'error' (5xx, 429, network); a HEAD the host refuses is retried as a tiny ranged GET
+async function probeUrl(url, timeout=8000){
+  const classify = status => status >= 200 && status < 300 ? 'ok' : (status >= 400 && status < 500 && status !== 429 ? 'missing' : 'error');
+  const ranged = () => upstream.get(url, { headers:{ Range:'bytes=0-32' }, timeout, maxRedirects:3, validateStatus: ()=>true });
   try{
-    const r = await axios.head(url, { timeout, maxRedirects:3, validateStatus: ()=>true });
-    return r.status >=200 && r.status < 300;
+    const r = await upstream.head(url, { timeout, maxRedirects:3, validateStatus: ()=>true });
+    return classify(r.status === 405 || r.status === 501 ? (await ranged()).status : r.status);
   }catch(e){
-    try{
-      const r2 = await axios.get(url, { headers:{ Range:'bytes=0-32','User-Agent':'manga-proxy/1.0' }, timeout, maxRedirects:3, validateStatus: ()=>true });
-      return r2.status >=200 && r2.status < 300;
-    }catch(_){ return false; }
+    try{ return classify((await ranged()).status); }catch(_){ return 'error'; }
+  }
+}
+
+/* extractor diagnostics: which selector strategy produced each scrape, empty/error rates per hour, drift status */
+// strategies listed first are the ones the extractor is meant to hit; anything else is a fallback
+const DIAG_PRIMARY = { home: 'cards', genres: 'links', genreListing: 'cards', detail: 'chapter-list', reader: 'img-selectors', chapterPages: 'explicit' };
+const DIAG_BUCKET_MS = 60*60*1000;
+const DIAG_KEEP_BUCKETS = 48;
+const DIAG_RECENT_MS = envMs('DIAG_RECENT_MS', 24*60*60*1000);
+const DIAG_MIN_RUNS = 5; // fewer recent runs than this are reported as "unknown" rather than judged
+const diagnosticsStore = openStore('diagnostics', { extractors: {} });
+const diagContext = new AsyncLocalStorage();
+
+// called from inside a scraper: credit `count` results to a named strategy for the current run
+function noteStrategy(name, count=1){
+  const probe = diagContext.getStore();
+  if(probe && count > 0) probe.strategies[name] = (probe.strategies[name] || 0) + count;
+}
+function resultCount(result){
+  if(Array.isArray(result)) return result.length;
+  if(result && Array.isArray(result.chapters)) return result.chapters.length;
+  if(result && Array.isArray(result.pages)) return result.pages.length;
+  return result ? 1 : 0;
+}
+// run one scrape under a probe and record its outcome; errors are recorded and rethrown
+async function diagnose(extractor, site, label, run, countOf=resultCount){
+  const probe = { strategies: {} };
+  try{
+    const result = await diagContext.run(probe, run);
+    recordExtraction(extractor, site, label, probe.strategies, countOf(result), null);
+    return result;
+  }catch(e){
+    recordExtraction(extractor, site, label, probe.strategies, 0, e);
+    throw e;
+  }
+}
+function recordExtraction(extractor, site, label, strategies, count, err){
+  const key = `${site.id}:${extractor}`; const now = Date.now();
+  const all = diagnosticsStore.data.extractors;
+  const s = all[key] || (all[key] = { source: site.id, extractor, runs: 0, empty: 0, errors: 0, strategies: {}, buckets: [], samples: [], lastOk: null, lastEmpty: null, lastError: null });
+  const hour = Math.floor(now / DIAG_BUCKET_MS) * DIAG_BUCKET_MS;
+  let b = s.buckets[s.buckets.length-1];
+  if(!b || b.t !== hour){ b = { t: hour, runs: 0, empty: 0, errors: 0, strategies: {} }; s.buckets.push(b); if(s.buckets.length > DIAG_KEEP_BUCKETS) s.buckets.shift(); }
+  s.runs++; b.runs++;
+  for(const name of Object.keys(strategies)){ s.strategies[name] = (s.strategies[name] || 0) + 1; b.strategies[name] = (b.strategies[name] || 0) + 1; }
+  if(err){ s.errors++; b.errors++; s.lastError = { ts: now, label, error: err.message }; }
+  else if(!count){ s.empty++; b.empty++; s.lastEmpty = { ts: now, label }; }
+  else s.lastOk = now;
+  if(err || !count){ s.samples.push({ ts: now, label, error: err ? err.message : null, strategies }); if(s.samples.length > 10) s.samples.shift(); }
+  diagnosticsStore.save();
+}
+
+// judge the recent window: failing = mostly empty/erroring, degraded = results mostly came from fallbacks
+function diagnosticsReport(entry, now=Date.now()){
+  const recent = entry.buckets.filter(b => b.t >= now - DIAG_RECENT_MS);
+  const sum = f => recent.reduce((n, b) => n + f(b), 0);
+  const runs = sum(b => b.runs), empty = sum(b => b.empty), errors = sum(b => b.errors);
+  const strategies = {}; for(const b of recent) for(const [k, v] of Object.entries(b.strategies)) strategies[k] = (strategies[k] || 0) + v;
+  const primary = DIAG_PRIMARY[entry.extractor] || null;
+  const ok = runs - empty - errors;
+  const primaryRate = primary && ok > 0 ? Math.min(1, (strategies[primary] || 0) / ok) : null;
+  const reasons = [];
+  let status = 'ok';
+  if(runs < DIAG_MIN_RUNS) status = 'unknown';
+  else{
+    if((empty + errors) / runs >= 0.5){ status = 'failing'; reasons.push(`${empty} empty and ${errors} failed of ${runs} recent runs`); }
+    else if(primaryRate !== null && primaryRate < 0.5){ status = 'degraded'; reasons.push(`primary strategy "${primary}" produced results in only ${Math.round(primaryRate*100)}% of recent runs`); }
+    else if((empty + errors) / runs >= 0.2){ status = 'degraded'; reasons.push(`${empty + errors} of ${runs} recent runs came back empty or failed`); }
+  }
+  return {
+    source: entry.source, extractor: entry.extractor, status, reasons,
+    recent: { windowMs: DIAG_RECENT_MS, runs, empty, errors, emptyRate: runs ? empty / runs : null, errorRate: runs ? errors / runs : null, primary, primaryRate, strategies },
+    total: { runs: entry.runs, empty: entry.empty, errors: entry.errors, strategies: entry.strategies },
+    lastOk: entry.lastOk, lastEmpty: entry.lastEmpty, lastError: entry.lastError, samples: entry.samples,
+    hourly: entry.buckets.map(b => ({ t: b.t, runs: b.runs, empty: b.empty, errors: b.errors }))
+  };
+}
+const DIAG_SEVERITY = { unknown: 0, ok: 0, degraded: 1, failing: 2 };
+function diagnosticsSummary(source){
+  const reports = Object.values(diagnosticsStore.data.extractors).filter(e => !source || e.source === source).map(e => diagnosticsReport(e));
+  const worst = reports.reduce((w, r) => DIAG_SEVERITY[r.status] > DIAG_SEVERITY[w] ? r.status : w, 'ok');
+  return { status: worst, reports };
+}
+
+// periodic self-check against the default source so drift shows up without user traffic:
+// home page -> first series -> its latest chapter; home and detail are reloaded into the cache (raw html may be up to CACHE_TTL_HTML_MS old)
+const DIAG_PROBE_MS = envMs('DIAG_PROBE_MS', 30*60*1000);
+let lastProbe = null;
+async function runDiagnosticProbe(site=DEFAULT_SITE){
+  const started = Date.now(); const steps = {};
+  try{
+    const home = await cache.refresh(`home:${site.id}:1`, CACHE_POLICIES.home, ()=> diagnose('home', site, `${site.base}/page/1`, ()=> scrapeHomePage(1, site)));
+    steps.home = home.length;
+    const first = home.map(it => it.slug || slugFromLink(it.link)).find(Boolean);
+    if(first){
+      const detail = await cache.refresh(`detail:${site.id}:${first}`, CACHE_POLICIES.detail, ()=> diagnose('detail', site, mangaDetailUrl(first, site), ()=> scrapeMangaDetail(first, site)));
+      steps.detail = { slug: first, chapters: detail.chapters.length };
+      const latest = detail.chapters[0];
+      if(latest){ const r = await resolveChapterPages(first, String(latest.chapterId), site); steps.chapterPages = r ? { method: r.method, pages: r.pages.length } : null; }
+    }
+    lastProbe = { ts: started, ms: Date.now() - started, ok: true, steps };
+  }catch(e){
+    logErr(e, 'diagnostic probe');
+    lastProbe = { ts: started, ms: Date.now() - started, ok: false, steps, error: e.message };
   }
+  return lastProbe;
 }
+if(DIAG_PROBE_MS > 0) onStart(()=>{
+  setTimeout(()=> runDiagnosticProbe().catch(()=>{}), 60*1000).unref();
+  setInterval(()=> runDiagnosticProbe().catch(()=>{}), DIAG_PROBE_MS).unref();
+});
 
 /* extractors (kept robust, with fixes) */
-async function extractHomePage(page=1){
-  const candidates = [`${SITE_BASE}/page/${page}`, `${SITE_BASE}/page/${page}/`, `${SITE_BASE}/?paged=${page}`, `${SITE_BASE}/?page=${page}`, `${SITE_BASE}/page/${page}?ajax=1`];
-  let html=null;
+async function extractHomePage(page=1, site=DEFAULT_SITE){
+  return cache.wrap(`home:${site.id}:${page}`, CACHE_POLICIES.home, ()=> diagnose('home', site, `${site.base}/page/${page}`, ()=> scrapeHomePage(page, site)));
+}
+async function scrapeHomePage(page=1, site=DEFAULT_SITE){
+  const candidates = [`${site.base}/page/${page}`, `${site.base}/page/${page}/`, `${site.base}/?paged=${page}`, `${site.base}/?page=${page}`, `${site.base}/page/${page}?ajax=1`];
+  let html=null, lastErr=null;
   for(const u of candidates){
     try{
       html = await fetchHtml(u);
       if(html && (html.includes('manhwa-card') || html.match(/\/Manhwa\/[A-Za-z0-9\-_]+/i) || html.includes('gener.php'))) break;
-    }catch(e){ logErr(e, `extractHomePage candidate ${u}`); }
+    }catch(e){ lastErr = e; logErr(e, `extractHomePage candidate ${u}`); }
   }
-  if(!html) throw new Error('Could not fetch home page HTML for any pagination pattern.');
+  if(!html) throw lastErr || new ApiError('UPSTREAM_UNAVAILABLE', 'could not fetch the home page for any pagination pattern');
   const $ = cheerio.load(html);
   const map = new Map();
 
@@ -66,40 +700,46 @@ async function extractHomePage(page=1){
     try{
       const a = $(el).find('a').first();
       const href = a.attr('href') || '';
-      let link = href ? new URL(href, SITE_BASE).href : null;
+      let link = href ? new URL(href, site.base).href : null;
       if(!link){
         // try anchors inside
         const inner = $(el).find('a[href]').first();
         const h2 = inner.attr('href')||'';
-        if(h2) link = new URL(h2, SITE_BASE).href;
+        if(h2) link = new URL(h2, site.base).href;
       }
       const img = $(el).find('img').first();
       let cover = img && (img.attr('data-src') || img.attr('data-lazy-src') || img.attr('src') || img.attr('data-original')) || null;
-      if(cover && !cover.startsWith('http')) cover = new URL(cover, SITE_BASE).href;
+      if(cover && !cover.startsWith('http')) cover = new URL(cover, site.base).href;
       const title = a.attr('title') || (img && img.attr('alt')) || $(el).find('h2, h3').first().text().trim() || a.text().trim();
       if(link && title) map.set(link, { link, title: title.trim(), cover });
     }catch(e){}
   });
 
+  const fromCards = map.size;
   // fallback: anchors with /Manhwa/
   $('a[href]').each((i, el)=>{
     try{
       const href = $(el).attr('href')||'';
       if(!href.match(/\/(Manhwa|manhwa|manga)\/[A-Za-z0-9\-_]+/i)) return;
-      const link = new URL(href, SITE_BASE).href;
+      const link = new URL(href, site.base).href;
       if(map.has(link)) return;
       const img = $(el).find('img').first();
       let cover = img && (img.attr('data-src')||img.attr('src')) || null;
-      if(cover && !cover.startsWith('http')) cover = new URL(cover, SITE_BASE).href;
+      if(cover && !cover.startsWith('http')) cover = new URL(cover, site.base).href;
       const title = $(el).attr('title') || (img && img.attr('alt')) || $(el).text().trim();
       if(link && title) map.set(link, { link, title: title.trim(), cover });
     }catch(e){}
   });
 
+  noteStrategy('cards', fromCards); noteStrategy('anchors', map.size - fromCards);
   return Array.from(map.values());
 }
 
-async function extractGenresPage(pageUrl=`${SITE_BASE}/gener.php`){
+async function extractGenresPage(pageUrl, site=DEFAULT_SITE){
+  pageUrl = pageUrl || `${site.base}/gener.php`;
+  return diagnose('genres', site, pageUrl, ()=> scrapeGenresPage(pageUrl));
+}
+async function scrapeGenresPage(pageUrl){
   const html = await fetchHtml(pageUrl);
   const $ = cheerio.load(html);
   const genres = [];
@@ -115,20 +755,36 @@ async function extractGenresPage(pageUrl=`${SITE_BASE}/gener.php`){
       }catch(e){}
     }
   });
+  const fromLinks = new Set(genres.map(g => g.slug));
+  noteStrategy('links', fromLinks.size);
   // extra lists
   $('ul, .genre-list, .tags').find('a').each((i,el)=>{
     const href = $(el).attr('href')||''; const text = $(el).text().trim(); if(!href||!text) return;
     try{ const resolved = new URL(href, pageUrl); const slug = resolved.searchParams.get('slug') || resolved.pathname.split('/').filter(Boolean).pop(); if(slug) genres.push({name:text, slug, link:resolved.href}); }catch(e){}
   });
   const map = new Map(); for(const g of genres) if(g.slug && !map.has(g.slug)) map.set(g.slug, g);
+  noteStrategy('lists', Array.from(map.keys()).filter(s => !fromLinks.has(s)).length);
   return Array.from(map.values());
 }
-async function extractGenres(totalPages=1){ const p = Math.max(1,Number(totalPages)||1); const urls = []; for(let i=1;i<=p;i++) urls.push(`${SITE_BASE}/gener.php${i>1? '?page='+i:''}`); const settled = await Promise.allSettled(urls.map(u=>extractGenresPage(u))); const merged=[]; for(const s of settled){ if(s.status==='fulfilled'&&Array.isArray(s.value)) merged.push(...s.value); else logErr(s.status==='rejected'?s.reason:'unknown','extractGenres'); } const map = new Map(); for(const g of merged) if(g.slug && !map.has(g.slug)) map.set(g.slug, g); return Array.from(map.values()); }
+async function extractGenres(totalPages=1, site=DEFAULT_SITE){ const p = Math.max(1,Number(totalPages)||1); return cache.wrap(`genres:${site.id}:${p}`, CACHE_POLICIES.genres, ()=> scrapeGenres(p, site)); }
+async function scrapeGenres(p, site=DEFAULT_SITE){ const urls = []; for(let i=1;i<=p;i++) urls.push(`${site.base}/gener.php${i>1? '?page='+i:''}`); const settled = await Promise.allSettled(urls.map(u=>extractGenresPage(u, site))); const merged=[]; for(const s of settled){ if(s.status==='fulfilled'&&Array.isArray(s.value)) merged.push(...s.value); else logErr(s.status==='rejected'?s.reason:'unknown','extractGenres'); } const map = new Map(); for(const g of merged) if(g.slug && !map.has(g.slug)) map.set(g.slug, g); return Array.from(map.values()); }
 
 /* ------- extractMangaDetail: improved ------- */
-async function extractMangaDetail(slug){
+async function extractMangaDetail(slug, site=DEFAULT_SITE){
   const safeSlug = sanitizeSlug(slug) || slug;
-  const url = `${SITE_BASE}/Manhwa/${safeSlug}/`;
+  return cache.wrap(`detail:${site.id}:${safeSlug}`, CACHE_POLICIES.detail, ()=> diagnose('detail', site, mangaDetailUrl(safeSlug, site), ()=> scrapeMangaDetail(safeSlug, site)));
+}
+const SERIES_STATUSES = ['ongoing', 'completed', 'hiatus', 'dropped'];
+const SERIES_STATUS_PATTERNS = [
+  ['completed', /تکمیل|کامل شده|پایان یافته|completed|finished/i],
+  ['hiatus', /متوقف|توقف|hiatus|on hold/i],
+  ['dropped', /لغو|کنسل|dropped|cancel+ed/i],
+  ['ongoing', /در حال (انتشار|پخش|ترجمه)|ادامه ?دار|ongoing|publishing/i]
+];
+function parseSeriesStatus(text){ const s = normalizeText(text).replace(/^(وضعیت|status) /, ''); if(!s) return null; const hit = SERIES_STATUS_PATTERNS.find(([, re]) => re.test(s)); return hit ? hit[0] : null; }
+function mangaDetailUrl(safeSlug, site=DEFAULT_SITE){ return `${site.base}/Manhwa/${safeSlug}/`; }
+async function scrapeMangaDetail(safeSlug, site=DEFAULT_SITE){
+  const url = mangaDetailUrl(safeSlug, site);
   const html = await fetchHtml(url);
   const $ = cheerio.load(html);
 
@@ -140,12 +796,18 @@ async function extractMangaDetail(slug){
   const genres = [];
   $('.genre-tag, .genre-badge, a[href*="gener.php"]').each((i,el)=>{ const t = $(el).text().trim(); if(t) genres.push(t); });
 
+  // status: a badge or a labelled field ("وضعیت: در حال انتشار"); null when the page does not say
+  let statusText = $('.status, .manga-status, .series-status').first().text().trim();
+  if(!statusText) $('li, p, span, td, div').each((i,el)=>{ const t = $(el).text().trim(); if(t.length < 80 && /^(وضعیت|status)\s*[:：]/i.test(t)){ statusText = t; return false; } });
+  const status = parseSeriesStatus(statusText);
+
   // cover fallback: try known selectors then meta og:image
   let cover = $('.cover img, .card-img-top img, img.cover, img.thumb').first().attr('src') || $('.cover img, .card-img-top img, img.cover').first().attr('data-src') || null;
   if(!cover){
     cover = $('meta[property="og:image"]').attr('content') || $('link[rel="image_src"]').attr('href') || null;
+    noteStrategy(cover ? 'cover-meta' : 'cover-missing');
   }
-  if(cover && !cover.startsWith('http')) cover = new URL(cover, SITE_BASE).href;
+  if(cover && !cover.startsWith('http')) cover = new URL(cover, site.base).href;
 
   // internalId extraction from reader links (group 2)
   let internalId = null;
@@ -175,12 +837,13 @@ async function extractMangaDetail(slug){
         const m2 = text.match(/([0-9]+(?:\.[0-9]+)?)/);
         if(m2){ chapterNum = Number(m2[1]); chapterId = String(m2[1]); }
       }
-      const absolute = href ? new URL(href, SITE_BASE).href : null;
+      const absolute = href ? new URL(href, site.base).href : null;
       const titleFallback = text || (chapterId ? `Chapter ${chapterId}` : `#${i+1}`);
       if(absolute) chapters.push({ chapterId: chapterId || String(i+1), chapterNum: isFinite(chapterNum)?chapterNum:null, internalId: internal || null, title: titleFallback, link: absolute });
     }catch(e){}
   });
 
+  noteStrategy('chapter-list', chapters.length);
   // fallback scanning: pick up any readerpage.php links
   if(!chapters.length){
     $('a[href]').each((i,el)=>{
@@ -191,12 +854,13 @@ async function extractMangaDetail(slug){
           const match = href.match(/Chapter=([0-9]+(?:\.[0-9]+)?),([^&'"]+)/);
           let chapterId = match ? `${match[1]},${match[2]}` : String(i+1);
           let chapterNum = match ? Number(match[1]) : null;
-          const absolute = new URL(href, SITE_BASE).href;
+          const absolute = new URL(href, site.base).href;
           const internal = match ? match[2] : null;
           chapters.push({ chapterId, chapterNum: isFinite(chapterNum)?chapterNum:null, internalId: internal, title: text, link: absolute });
         }catch(e){}
       }
     });
+    noteStrategy('readerpage-scan', chapters.length);
   }
 
   // dedupe & sort: ensure latest first by chapterNum if available
@@ -210,14 +874,19 @@ async function extractMangaDetail(slug){
     return 0;
   });
 
-  return { slug: safeSlug, title, description, genres, internalId, cover, chapters: list, url };
+  return { slug: safeSlug, source: site.id, title, description, genres, status, internalId, cover, chapters: list, url };
 }
 
 /* extractReaderPages (unchanged but robust) */
-async function extractReaderPages(readerUrl){
+async function extractReaderPages(readerUrl, site=DEFAULT_SITE){
+  return cache.wrap(`reader:${readerUrl}`, CACHE_POLICIES.reader, ()=> diagnose('reader', site, readerUrl, ()=> scrapeReaderPages(readerUrl, site)));
+}
+async function scrapeReaderPages(readerUrl, site=DEFAULT_SITE){
   const html = await fetchHtml(readerUrl);
   const $ = cheerio.load(html);
   const imgs = [];
+  // each stage is credited with the urls it added (read back by the extractor diagnostics)
+  let seen = 0; const stage = name => { noteStrategy(name, imgs.length - seen); seen = imgs.length; };
   // direct selectors
   $('img.manhwa-image, img.reader-img, .reader img, .mhreader img').each((i,el)=>{
     const src = $(el).attr('src') || $(el).attr('data-src') || $(el).attr('data-lazy-src') || $(el).attr('data-srcset') || $(el).attr('srcset');
@@ -227,6 +896,7 @@ async function extractReaderPages(readerUrl){
     if(chosen && !chosen.startsWith('http')) chosen = new URL(chosen, readerUrl).href;
     imgs.push(chosen);
   });
+  stage('img-selectors');
   // noscript
   $('noscript').each((i,el)=>{
     const inner = $(el).html()||'';
@@ -236,6 +906,7 @@ async function extractReaderPages(readerUrl){
       if(s) imgs.push(s.startsWith('http')?s:new URL(s, readerUrl).href);
     });
   });
+  stage('noscript');
   // iframe
   const iframeSrc = $('iframe[src]').first().attr('src');
   if(iframeSrc){
@@ -249,72 +920,567 @@ async function extractReaderPages(readerUrl){
       });
     }catch(e){ logErr(e,'iframe fetch in extractReaderPages'); }
   }
+  stage('iframe');
   // scripts arrays and matches
   const scripts = $('script').map((i,s)=>$(s).html()).get().join('\n') || '';
   const arrMatches = [...scripts.matchAll(/\[\s*["'](https?:\/\/[^"']+\.(?:jpg|jpeg|png|webp))["'](?:\s*,\s*["']https?:\/\/[^"']+\.(?:jpg|jpeg|png|webp)["'])+\s*\]/g)];
   for(const m of arrMatches){
     try{ const parsed = JSON.parse(m[0]); if(Array.isArray(parsed)) parsed.forEach(u=>imgs.push(u)); }catch(e){}
   }
+  stage('script-array');
   const urlMatches = [...scripts.matchAll(/https?:\/\/[^'"\s]+?(?:webp|jpg|jpeg|png)/g)].map(m=>m[0]);
   urlMatches.forEach(u=>imgs.push(u));
+  stage('script-urls');
   if(!imgs.length){
     $('img').each((i,el)=>{
       const src = $(el).attr('src') || $(el).attr('data-src');
       if(src) imgs.push(src.startsWith('http')?src:new URL(src, readerUrl).href);
     });
+    stage('any-img');
   }
-  const cleaned = Array.from(new Set(imgs.map(u => { if(!u) return null; const s = String(u).trim(); return (s.startsWith('http')?s: (new URL(s, SITE_BASE).href)); }).filter(Boolean)));
+  const cleaned = Array.from(new Set(imgs.map(u => { if(!u) return null; const s = String(u).trim(); return (s.startsWith('http')?s: (new URL(s, site.base).href)); }).filter(Boolean)));
   return cleaned;
 }
 
-/* fallback CDN + page discovery (unchanged) */
-function buildFallbackPageUrl({ uid='564', mangaName='', chapter='', page=1 }){
-  const safe = encodeURIComponent(String(mangaName||'').replace(/\s+/g,'_'));
-  return `https://${CDN_SAMPLE_HOST}/users/${uid}/${safe}/${chapter}/HD/${page}.webp`;
-}
-async function discoverPageCountByHead({ uid, mangaName, chapter }){
-  const maxCap = MAX_PAGE_CHECK;
-  const url1 = buildFallbackPageUrl({ uid, mangaName, chapter, page:1 });
-  if(!await existsUrl(url1)) return null;
-  let low=1, high=1;
-  while(high < maxCap){
-    const u = buildFallbackPageUrl({ uid, mangaName, chapter, page: high });
-    const ok = await existsUrl(u);
-    if(!ok) break;
-    low = high; high = high * 2;
-    if(high > maxCap){ high = maxCap; break; }
-  }
-  if(await existsUrl(buildFallbackPageUrl({ uid, mangaName, chapter, page: high }))) return high;
-  let left = low, right = high;
-  while(left + 1 < right){
-    const mid = Math.floor((left + right)/2);
-    if(await existsUrl(buildFallbackPageUrl({ uid, mangaName, chapter, page: mid }))) left = mid;
-    else right = mid;
-  }
-  return left;
-}
-
-/* Popular & recommendations (unchanged) */
-const POPULAR_TTL_MS = 5*60*1000; const MAX_POPULAR = 10; let _popularCache = { ts:0, items:[], count:0};
-async function fetchPopularItems(count=MAX_POPULAR){
+/* genre listing page (one upstream page of /gener.php?slug=) */
+async function extractGenreListingPage(slug, pn=1, site=DEFAULT_SITE){
+  return cache.wrap(`listing:${site.id}:${slug}:${pn}`, CACHE_POLICIES.listing, ()=> diagnose('genreListing', site, `${slug}:${pn}`, ()=> scrapeGenreListingPage(slug, pn, site)));
+}
+async function scrapeGenreListingPage(slug, pn=1, site=DEFAULT_SITE){
+  const url = `${site.base}/gener.php?slug=${encodeURIComponent(slug)}${pn>1? '&page='+pn: ''}`;
+  const html = await fetchHtml(url); const $ = cheerio.load(html); const items=[];
+  $('.manhwa-card').each((i,el)=>{
+    try{
+      const a = $(el).find('a').first(); const href = a.attr('href')||''; const link = href ? new URL(href, site.base).href : null;
+      let cover = $(el).find('img').attr('data-src') || $(el).find('img').attr('src') || null;
+      if(cover && !cover.startsWith('http')) cover = new URL(cover, site.base).href;
+      const slugInfer = link ? slugFromLink(link) : null;
+      const title = a.attr('title') || a.text().trim() || $(el).find('.card-title').text().trim();
+      if(link && title) items.push({ slug: slugInfer, title, cover, link });
+    }catch(e){}
+  });
+  const fromCards = items.length;
+  $('a[href]').each((i,el)=>{
+    try{
+      const a = $(el); const href = a.attr('href')||''; if(!href.match(/\/(Manhwa|manhwa|manga)\/[A-Za-z0-9\-_]+/i)) return; const link = new URL(href, site.base).href; if(items.find(it=>it.link===link)) return; const img = a.find('img').first(); let cover = img && (img.attr('data-src')||img.attr('src'))||null; if(cover && !cover.startsWith('http')) cover = new URL(cover, site.base).href; const title = a.attr('title') || (img && img.attr('alt')) || a.text().trim(); if(link && title) items.push({ slug:null, title, cover, link });
+    }catch(e){}
+  });
+  noteStrategy('cards', fromCards); noteStrategy('anchors', items.length - fromCards);
+  return items;
+}
+
+/* fallback CDN + page discovery */
+// the CDN lays pages out as /users/<uid>/<name>/<chapter>/<quality>/<page>.<ext>; the name encoding, quality and
+// extension vary between series, so discovery tries variants (nearest the usual HD/webp/underscore first)
+const CDN_NAME_STYLES = {
+  underscore: n => encodeURIComponent(n.replace(/\s+/g,'_')),
+  encoded: n => encodeURIComponent(n),
+  hyphen: n => encodeURIComponent(n.replace(/\s+/g,'-')),
+  lower: n => encodeURIComponent(n.toLowerCase().replace(/\s+/g,'_'))
+};
+const CDN_VARIANTS = (()=>{
+  const all = [];
+  for(const quality of ['HD', 'SD']) for(const ext of ['webp', 'jpg', 'png']) for(const name of Object.keys(CDN_NAME_STYLES)){
+    all.push({ key: `${quality}/${ext}/${name}`, quality, ext, name, distance: (quality !== 'HD') + (ext !== 'webp') + (name !== 'underscore') });
+  }
+  return all.sort((a,b)=> a.distance - b.distance);
+})();
+const CDN_VARIANT_BY_KEY = new Map(CDN_VARIANTS.map(v => [v.key, v]));
+const DEFAULT_CDN_VARIANT = CDN_VARIANTS[0];
+const GUESS_PAGE_COUNT = 25;
+function buildFallbackPageUrl({ uid='564', mangaName='', chapter='', page=1, cdnBase=DEFAULT_SITE.cdnBase, variant=DEFAULT_CDN_VARIANT }){
+  const safe = CDN_NAME_STYLES[variant.name](String(mangaName||''));
+  return `${cdnBase}/users/${uid}/${safe}/${chapter}/${variant.quality}/${page}.${variant.ext}`;
+}
+
+// what discovery learned: per CDN, how often each variant matched; per series, its variant and chapter lengths
+const MAX_LEARNED_SERIES = 5000; const MAX_LEARNED_CHAPTERS = 100;
+const cdnPatternStore = openStore('cdn-patterns', { cdns: {} });
+function learnedSeries(cdnBase, uid){ const c = cdnPatternStore.data.cdns[cdnBase]; return (c && c.series[uid]) || null; }
+function rememberPattern(cdnBase, uid, variant, chapter, pageCount){
+  const c = cdnPatternStore.data.cdns[cdnBase] || (cdnPatternStore.data.cdns[cdnBase] = { variants: {}, series: {} });
+  c.variants[variant.key] = (c.variants[variant.key] || 0) + 1;
+  const s = c.series[uid] || (c.series[uid] = { chapters: {} });
+  s.variant = variant.key; s.at = Date.now();
+  if(pageCount){ delete s.chapters[chapter]; s.chapters[chapter] = pageCount; }
+  const chapters = Object.keys(s.chapters); if(chapters.length > MAX_LEARNED_CHAPTERS) chapters.slice(0, chapters.length - MAX_LEARNED_CHAPTERS).forEach(k => delete s.chapters[k]);
+  const series = Object.entries(c.series);
+  if(series.length > MAX_LEARNED_SERIES) series.sort((a,b)=> a[1].at - b[1].at).slice(0, series.length - MAX_LEARNED_SERIES).forEach(([k]) => delete c.series[k]);
+  cdnPatternStore.save();
+}
+// rounds of variants to probe page 1 with: the series' own variant alone, then batches of the rest,
+// ordered by how often they matched on this CDN, then by distance from the default
+function variantRounds(cdnBase, uid){
+  const c = cdnPatternStore.data.cdns[cdnBase]; const s = learnedSeries(cdnBase, uid);
+  const hits = (c && c.variants) || {};
+  const own = s && CDN_VARIANT_BY_KEY.get(s.variant);
+  const rest = CDN_VARIANTS.filter(v => v !== own).sort((a,b)=> (hits[b.key] || 0) - (hits[a.key] || 0) || a.distance - b.distance).slice(0, CDN_DISCOVERY.maxVariants - (own ? 1 : 0));
+  const rounds = own ? [[own]] : [];
+  for(let i = 0; i < rest.length; i += CDN_DISCOVERY.batch) rounds.push(rest.slice(i, i + CDN_DISCOVERY.batch));
+  return rounds;
+}
+// page count worth checking first: this chapter's if seen before, else the median of the series' chapters
+function pageCountHint(series, chapter){
+  if(!series) return null;
+  if(series.chapters[chapter]) return series.chapters[chapter];
+  const counts = Object.values(series.chapters).sort((a,b)=> a - b);
+  return counts.length ? counts[Math.floor(counts.length / 2)] : null;
+}
+
+// finds the url variant and page count of a chapter with parallel HEAD rounds:
+// page 1 across variants, then a check of the hinted count, exponential strides, and a k-ary search of the gap.
+// confidence is 'exact' when page n answered and n+1 is missing, 'partial' when the cap was hit, a probe failed
+// or the pages have holes (the count may be short). null when no variant has a page 1.
+async function discoverChapterPages({ uid, mangaName, chapter, cdnBase }){
+  const maxCap = CDN_DISCOVERY.maxPageCheck; const batch = CDN_DISCOVERY.batch;
+  let probes = 0, result = 'error';
+  const probe = (variant, page) => { probes++; return probeUrl(buildFallbackPageUrl({ uid, mangaName, chapter, cdnBase, page, variant })); };
+  try{
+    let variant = null; let uncertain = false;
+    for(const round of variantRounds(cdnBase, uid)){
+      const states = await Promise.all(round.map(v => probe(v, 1)));
+      variant = round[states.indexOf('ok')] || null;
+      if(states.includes('error')) uncertain = true;
+      if(variant) break;
+    }
+    if(!variant){ result = 'none'; return null; }
+
+    // lo: highest page seen, hi: lowest page missing above it (maxCap + 1 while unknown)
+    let lo = 1, hi = maxCap + 1, holes = false;
+    async function narrow(pages){
+      pages = Array.from(new Set(pages)).filter(p => p > lo && p < hi);
+      const states = await Promise.all(pages.map(p => probe(variant, p)));
+      const ok = pages.filter((p, i) => states[i] === 'ok');
+      if(states.includes('error')) uncertain = true;
+      const top = Math.max(lo, ...ok);
+      if(pages.some((p, i) => states[i] !== 'ok' && p < top)) holes = true;
+      lo = top; hi = Math.min(hi, ...pages.filter((p, i) => states[i] !== 'ok' && p > lo));
+    }
+    const hint = pageCountHint(learnedSeries(cdnBase, uid), chapter);
+    if(hint && hint > 1 && hint <= maxCap) await narrow([hint, hint + 1]);
+    while(hi > maxCap && lo < maxCap){
+      const strides = []; for(let p = lo * 2; strides.length < batch; p *= 2){ strides.push(Math.min(p, maxCap)); if(p >= maxCap) break; }
+      await narrow(strides);
+    }
+    while(hi - lo > 1){
+      const step = (hi - lo) / (Math.min(batch, hi - lo - 1) + 1);
+      const pages = []; for(let i = 1; lo + Math.round(step * i) < hi; i++) pages.push(lo + Math.round(step * i));
+      await narrow(pages);
+    }
+    result = 'found';
+    rememberPattern(cdnBase, uid, variant, chapter, uncertain || holes ? null : lo);
+    return { pageCount: lo, variant, confidence: lo >= maxCap || uncertain || holes ? 'partial' : 'exact', probes };
+  }finally{ METRIC.pageProbes.observe({ result }, probes); }
+}
+async function discoverPageCountByHead(opts){
+  const r = await discoverChapterPages(opts);
+  return r ? r.pageCount : null;
+}
+// urls for a chapter nothing could be discovered for: the series' learned variant and typical length, else the defaults
+function guessChapterPages({ uid, mangaName, chapter, cdnBase }){
+  const series = learnedSeries(cdnBase, uid);
+  const variant = (series && CDN_VARIANT_BY_KEY.get(series.variant)) || DEFAULT_CDN_VARIANT;
+  const count = pageCountHint(series, chapter) || GUESS_PAGE_COUNT;
+  const pages = []; for(let i = 1; i <= count; i++) pages.push(buildFallbackPageUrl({ uid, mangaName, chapter, cdnBase, page: i, variant }));
+  return pages;
+}
+
+/* content providers: every /api/* route reads from req.provider, picked by ?source= (default: manhwa-tower) */
+// a provider implements: home(page), genres(pages), genreListing(slug, page), detail(slug), chapterPages(slug, chapter, { mirror }), search({ q, genres, page, limit, offset })  (offset, when given, wins over page)
+// and optionally browse({ genres, mode, exclude, status, sort, order, page, limit }) over a local index (see browseCatalog)
+// and refreshDetail(slug), a detail() that skips the cache (the update poller prefers it)
+const PROVIDER_METHODS = ['home', 'genres', 'genreListing', 'detail', 'chapterPages', 'search'];
+const providers = new Map();
+function registerProvider(provider){
+  const missing = PROVIDER_METHODS.filter(m => typeof provider[m] !== 'function');
+  if(!provider.id || missing.length) throw new Error(`provider ${provider.id || '?'} is missing ${missing.join(', ') || 'an id'}`);
+  providers.set(provider.id, provider);
+  return provider;
+}
+function defaultProvider(){ return providers.get(DEFAULT_SITE.id); }
+function publicProvider(p){ return { id: p.id, name: p.name, base: p.base, default: p === defaultProvider(), mirrors: p.mirrors }; }
+
+// search without a local index: score the first few home pages of a provider
+async function searchHomeListing(provider, { q, genres = [], page = 1, limit = 20, offset }){
+  let pool;
+  if(genres.length) pool = await provider.genreListing(genres[0], 1);
+  else pool = await fetchHomePages(3, 500, provider);
+  const qNorm = normalizeText(q); const qTokens = qNorm ? qNorm.split(' ') : [];
+  const results = [];
+  for(const it of pool){
+    const entry = { ...it, slug: it.slug || slugFromLink(it.link) };
+    const score = qTokens.length ? scoreEntry(entry, qNorm, qTokens) : 1;
+    if(score > 0) results.push({ ...entry, genres: [], latestChapter: null, score });
+  }
+  results.sort((a,b)=> b.score - a.score);
+  const start = offset != null ? offset : (page - 1) * limit;
+  return { total: results.length, items: results.slice(start, start + limit) };
+}
+
+// the manhwa-tower scraper; mirrors that share its page layout reuse it with another base/CDN host
+function createManhwaTowerProvider(site){
+  const isDefault = site === DEFAULT_SITE;
+  return {
+    id: site.id, name: site.name || site.id, site,
+    // read through to the site so runtime config changes (admin API) apply without re-registering
+    get base(){ return site.base; },
+    get imageHosts(){ return [site.base, site.cdnBase].filter(Boolean).map(u => new URL(u).hostname); },
+    mirrors: [{ id: 'site', name: 'سرور ۱' }, ...(site.cdnBase ? [{ id: 'cdn', name: 'سرور ۲ (CDN)' }] : [])],
+    home: page => extractHomePage(page, site),
+    genres: pages => extractGenres(pages, site),
+    genreListing: (slug, page) => extractGenreListingPage(slug, page, site),
+    detail: slug => extractMangaDetail(slug, site),
+    refreshDetail: slug => refreshMangaDetail(slug, site),
+    chapterPages: (slug, chapter, opts) => resolveChapterPages(slug, chapter, site, opts),
+    async search(opts){
+      if(!isDefault) return searchHomeListing(this, opts);
+      await seedCatalog(this);
+      return { ...searchCatalog(opts), index: { ...catalogStatus(), autoCrawl: catalogCrawlEnabled() } };
+    },
+    async browse(opts){
+      if(!isDefault) throw new ApiError('BAD_REQUEST', `browsing needs the local catalog, which only indexes "${DEFAULT_SITE.id}"`);
+      await seedCatalog(this);
+      return { ...browseCatalog({ ...opts, popularity: popularityStore.data.sources[this.id] || {} }), index: { ...catalogStatus(), autoCrawl: catalogCrawlEnabled() } };
+    }
+  };
+}
+registerProvider(createManhwaTowerProvider(DEFAULT_SITE));
+// extra mirrors with the same layout: MIRROR_BASES="id=https://host[|https://cdn.host],..."
+for(const spec of String(process.env.MIRROR_BASES || '').split(',').map(s => s.trim()).filter(Boolean)){
+  try{
+    const [id, rest] = spec.split('='); const [base, cdnBase] = String(rest || '').split('|');
+    registerProvider(createManhwaTowerProvider({ id: id.trim(), name: id.trim(), base: new URL(base).origin, cdnBase: cdnBase ? new URL(cdnBase).origin : null }));
+  }catch(e){ logErr(e, `MIRROR_BASES entry ${spec}`); }
+}
+
+// attach req.provider from ?source= (or body.source); unknown ids are a client error
+function resolveSource(req, res, next){
+  const id = String(req.query.source || (req.body && req.body.source) || DEFAULT_SITE.id);
+  const provider = providers.get(id);
+  if(!provider) return sendError(res, new ApiError('BAD_REQUEST', `unknown source "${id}"`, { sources: Array.from(providers.keys()) }));
+  req.provider = provider;
+  next();
+}
+
+/* home listing helpers (popularity itself is computed from our own traffic, see "popularity" below) */
+const MAX_POPULAR = 10;
+// top of the first home page ("recently updated"); only a stand-in while a source has no traffic to rank by
+async function fetchHomeTopItems(count=MAX_POPULAR, provider=defaultProvider()){
   const want = Math.max(1, Math.min(Number(count)||MAX_POPULAR, MAX_POPULAR));
-  const now = Date.now();
-  if(_popularCache.ts && (now - _popularCache.ts) < POPULAR_TTL_MS && _popularCache.count===want) return _popularCache.items.slice(0,want);
-  try{ const pageItems = await extractHomePage(1); const seen = new Set(); const out=[]; for(const it of pageItems){ const key=(it.link||it.title||'').trim(); if(!key) continue; if(seen.has(key)) continue; seen.add(key); out.push(it); if(out.length>=want) break; } _popularCache={ts:now, items:out, count:want}; return out; }catch(e){ logErr(e,'fetchPopularItems'); return []; }
+  try{
+    return await cache.wrap(`hometop:${provider.id}:${want}`, CACHE_POLICIES.popular, async ()=>{
+      const pageItems = await provider.home(1); const seen = new Set(); const out=[];
+      for(const it of pageItems){ const key=(it.link||it.title||'').trim(); if(!key) continue; if(seen.has(key)) continue; seen.add(key); out.push(it); if(out.length>=want) break; }
+      return out;
+    });
+  }catch(e){ logErr(e,'fetchHomeTopItems'); return []; }
 }
-async function fetchHomePages(pages=3, maxItems=500){ const p=Math.max(1,Math.min(Number(pages)||1,20)); const map=new Map(); for(let i=1;i<=p;i++){ try{ const items = await extractHomePage(i); for(const it of items){ const key=(it.link||it.title||'').trim(); if(!key) continue; if(!map.has(key)) map.set(key, it); if(map.size>=maxItems) break; } }catch(e){ logErr(e, `fetchHomePages page ${i}`); } if(map.size>=maxItems) break;} return Array.from(map.values()); }
+async function fetchHomePages(pages=3, maxItems=500, provider=defaultProvider()){ const p=Math.max(1,Math.min(Number(pages)||1,20)); const map=new Map(); for(let i=1;i<=p;i++){ try{ const items = await provider.home(i); for(const it of items){ const key=(it.link||it.title||'').trim(); if(!key) continue; if(!map.has(key)) map.set(key, it); if(map.size>=maxItems) break; } }catch(e){ logErr(e, `fetchHomePages page ${i}`); } if(map.size>=maxItems) break;} return Array.from(map.values()); }
 function seededRng(seed){ let x = seed >>> 0; return function(){ x ^= x << 13; x = x >>> 0; x ^= x >>> 17; x = x >>> 0; x ^= x << 5; x = x >>> 0; return (x >>> 0) / 4294967295; }; }
 function seededShuffle(array, seed){ const a = array.slice(); const rnd = seededRng(seed); for(let i=a.length-1;i>0;i--){ const j = Math.floor(rnd()*(i+1)); [a[i],a[j]]=[a[j],a[i]]; } return a; }
 
+/* catalog index: series collected from home pages, genre listings and detail pages (backs /api/search) */
+const CATALOG = {
+  refreshMs: envMs('CATALOG_REFRESH_MS', 6*60*60*1000), // 0 turns the recurring crawl off
+  detailBatch: Math.max(0, Number(process.env.CATALOG_DETAIL_BATCH) || 40),
+  genrePages: Math.max(1, Number(process.env.CATALOG_GENRE_PAGES) || 5) // per genre; a crawl stops early at an empty page
+};
+const catalogStore = openStore('catalog', { items: {}, builtAt: null });
+let _catalogCrawl = null; let _lastCrawl = null;
+
+function slugFromLink(link){
+  try{
+    const parts = new URL(link).pathname.split('/').filter(Boolean);
+    const idx = parts.findIndex(s => /^(manhwa|manga)$/i.test(s));
+    return (idx >= 0 && parts.length > idx+1) ? decodeURIComponent(parts[idx+1]) : (parts.length ? decodeURIComponent(parts[parts.length-1]) : null);
+  }catch(e){ return null; }
+}
+
+// Persian/Arabic text folding: Arabic ya/kaf -> Persian, strip diacritics/tatweel, ZWNJ -> space, digits -> ASCII
+function normalizeText(s){
+  return String(s || '')
+    .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0)).replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[يى]/g, 'ی').replace(/ك/g, 'ک').replace(/ة/g, 'ه')
+    .replace(/[آأإٱ]/g, 'ا').replace(/ؤ/g, 'و')
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/[\u200B-\u200F\u00AD]/g, ' ')
+    .toLowerCase()
+    .replace(/[_\-]+/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(/\s+/g, ' ').trim();
+}
+function tokenize(s){ const n = normalizeText(s); return n ? n.split(' ') : []; }
+
+function catalogUpsert(item, extra={}){
+  const slug = item.slug || slugFromLink(item.link);
+  if(!slug || !item.title) return null;
+  const items = catalogStore.data.items;
+  const prev = items[slug] || { slug, genres: [], genreSlugs: [], addedAt: Date.now() };
+  const next = { ...prev, title: String(item.title).trim(), link: item.link || prev.link || null, cover: item.cover || prev.cover || null };
+  if(extra.genre){
+    if(extra.genre.name && !next.genres.includes(extra.genre.name)) next.genres = [...next.genres, extra.genre.name];
+    if(extra.genre.slug && !next.genreSlugs.includes(extra.genre.slug)) next.genreSlugs = [...next.genreSlugs, extra.genre.slug];
+  }
+  items[slug] = next;
+  catalogStore.save();
+  return next;
+}
+function catalogUpsertDetail(detail){
+  if(!detail || !detail.slug || !detail.title) return;
+  const entry = catalogUpsert({ slug: detail.slug, title: detail.title, link: detail.url, cover: detail.cover });
+  if(!entry) return;
+  const latest = (detail.chapters || [])[0] || null;
+  const now = Date.now();
+  // latestAt: when we first saw the current latest chapter (drives "recently updated" sorting)
+  const latestChanged = latest && (!entry.latestChapter || entry.latestChapter.chapterId !== latest.chapterId);
+  Object.assign(entry, {
+    description: detail.description || entry.description || '',
+    genres: Array.from(new Set([...(entry.genres || []), ...(detail.genres || [])])),
+    status: detail.status || entry.status || null,
+    chapterCount: (detail.chapters || []).length,
+    latestChapter: latest ? { chapterId: latest.chapterId, chapterNum: latest.chapterNum, title: latest.title } : null,
+    latestAt: latestChanged ? now : (entry.latestAt || null),
+    detailAt: now
+  });
+  catalogStore.save();
+}
+// the catalog indexes the default source only; callers that fetch a detail page on purpose (the detail routes, the
+// crawl, the update poller) pass it through here
+function catalogIndexDetail(provider, detail){
+  if(provider && provider.id === DEFAULT_SITE.id) catalogUpsertDetail(detail);
+  return detail;
+}
+
+async function crawlCatalog({ homePages = 5, genrePages = CATALOG.genrePages, details = CATALOG.detailBatch } = {}){
+  if(_catalogCrawl) return _catalogCrawl;
+  const started = Date.now();
+  _catalogCrawl = (async ()=>{
+    let seen = 0;
+    for(const it of await fetchHomePages(homePages, 1000)){ if(catalogUpsert(it)) seen++; }
+    let genres = [];
+    try{ genres = await extractGenres(1); }catch(e){ logErr(e, 'crawlCatalog genres'); }
+    for(const g of genres){
+      for(let pn = 1; pn <= genrePages; pn++){
+        try{
+          const items = await extractGenreListingPage(g.slug, pn);
+          if(!items.length) break;
+          for(const it of items){ if(catalogUpsert(it, { genre: { name: g.name, slug: g.slug } })) seen++; }
+        }catch(e){ logErr(e, `crawlCatalog genre ${g.slug} page ${pn}`); break; }
+      }
+    }
+    // enrich the stalest entries with detail pages
+    const stale = Object.values(catalogStore.data.items).sort((a,b)=> (a.detailAt||0) - (b.detailAt||0)).slice(0, details);
+    for(const entry of stale){
+      try{ catalogUpsertDetail(await extractMangaDetail(entry.slug)); }catch(e){ logErr(e, `crawlCatalog detail ${entry.slug}`); }
+    }
+    catalogStore.data.builtAt = Date.now();
+    catalogStore.save();
+    return { seen, size: Object.keys(catalogStore.data.items).length, ms: Date.now() - started };
+  })().then(
+    r => { _lastCrawl = { startedAt: started, ...r, error: null }; return r; },
+    e => { _lastCrawl = { startedAt: started, ms: Date.now() - started, error: e.message }; throw e; }
+  ).finally(()=>{ _catalogCrawl = null; });
+  return _catalogCrawl;
+}
+// CATALOG_CRAWL=0 or catalog.refreshMs=0 leaves the index to explicit admin crawls: nothing crawls on its own then
+function catalogCrawlEnabled(){ return CATALOG.refreshMs > 0 && process.env.CATALOG_CRAWL !== '0'; }
+// first search/browse on an empty index: seed it from the home pages and start a crawl instead of returning nothing
+async function seedCatalog(provider){
+  if(catalogStatus().size || !catalogCrawlEnabled()) return;
+  for(const it of await fetchHomePages(3, 500, provider)) catalogUpsert(it);
+  crawlCatalog().catch(e => logErr(e, 'catalog crawl'));
+}
+function catalogStatus(){ return { size: Object.keys(catalogStore.data.items).length, builtAt: catalogStore.data.builtAt, crawling: !!_catalogCrawl }; }
+
+function editDistance(a, b, max){
+  if(Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for(let i = 1; i <= a.length; i++){
+    const cur = [i]; let rowMin = i;
+    for(let j = 1; j <= b.length; j++){
+      cur[j] = Math.min(prev[j] + 1, cur[j-1] + 1, prev[j-1] + (a[i-1] === b[j-1] ? 0 : 1));
+      if(cur[j] < rowMin) rowMin = cur[j];
+    }
+    if(rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+// score one entry against the normalized query; 0 means no match
+function scoreEntry(entry, qNorm, qTokens){
+  const title = normalizeText(entry.title); const slugText = normalizeText(entry.slug);
+  const haystack = `${title} ${slugText}`;
+  let score = 0;
+  if(title === qNorm || slugText === qNorm) score += 100;
+  else if(title.startsWith(qNorm) || slugText.startsWith(qNorm)) score += 60;
+  else if(haystack.includes(qNorm) || haystack.replace(/ /g, '').includes(qNorm.replace(/ /g, ''))) score += 40;
+  const words = haystack.split(' ');
+  for(const t of qTokens){
+    let best = 0;
+    for(const w of words){
+      if(w === t){ best = 10; break; }
+      if(w.startsWith(t)) best = Math.max(best, 7);
+      else if(t.length >= 4){
+        const d = editDistance(t, w.slice(0, t.length + 1), t.length >= 7 ? 2 : 1);
+        if(d <= (t.length >= 7 ? 2 : 1)) best = Math.max(best, 4);
+      }
+    }
+    if(!best && score === 0) return 0; // every query word must hit unless the whole phrase matched
+    score += best;
+  }
+  return score;
+}
+function searchCatalog({ q, genres = [], page = 1, limit = 20, offset }){
+  const qNorm = normalizeText(q); const qTokens = qNorm ? qNorm.split(' ') : [];
+  const wanted = genres.map(g => normalizeText(g)).filter(Boolean);
+  const results = [];
+  for(const entry of Object.values(catalogStore.data.items)){
+    if(wanted.length){
+      const have = [...(entry.genreSlugs || []), ...(entry.genres || [])].map(normalizeText);
+      if(!wanted.every(g => have.includes(g))) continue;
+    }
+    const score = qTokens.length ? scoreEntry(entry, qNorm, qTokens) : 1;
+    if(score > 0) results.push({ entry, score });
+  }
+  results.sort((a,b)=> b.score - a.score || a.entry.title.localeCompare(b.entry.title));
+  const start = offset != null ? offset : (page - 1) * limit;
+  const items = results.slice(start, start + limit).map(({ entry, score }) => ({ slug: entry.slug, title: entry.title, cover: entry.cover, link: entry.link, genres: entry.genres || [], latestChapter: entry.latestChapter || null, score }));
+  return { total: results.length, items };
+}
+
+// faceted browsing: genres combined with AND/OR plus exclusions, a status filter and several sort orders.
+// Facet counts are computed over the filtered set (status counts ignore the status filter itself, so every option stays visible)
+const BROWSE_SORTS = { title: 'asc', latest: 'desc', chapters: 'desc', popular: 'desc' }; // sort -> default order
+function browseCatalog({ genres = [], mode = 'and', exclude = [], status = null, sort = 'latest', order, page = 1, limit = 24, popularity = {} }){
+  const wanted = genres.map(normalizeText).filter(Boolean); const banned = exclude.map(normalizeText).filter(Boolean);
+  const results = []; const genreFacet = new Map(); const statusFacet = new Map();
+  for(const entry of Object.values(catalogStore.data.items)){
+    const have = new Set([...(entry.genreSlugs || []), ...(entry.genres || [])].map(normalizeText));
+    if(wanted.length && !(mode === 'or' ? wanted.some(g => have.has(g)) : wanted.every(g => have.has(g)))) continue;
+    if(banned.some(g => have.has(g))) continue;
+    const st = entry.status || 'unknown';
+    statusFacet.set(st, (statusFacet.get(st) || 0) + 1);
+    if(status && entry.status !== status) continue;
+    results.push(entry);
+    for(const name of new Set(entry.genres || [])){ const key = normalizeText(name); const f = genreFacet.get(key) || { name, count: 0 }; f.count++; genreFacet.set(key, f); }
+  }
+  const pop = slug => (popularity[slug] && popularity[slug].total) || 0;
+  const keyOf = {
+    title: e => e.title,
+    latest: e => e.latestAt || e.detailAt || e.addedAt || 0,
+    chapters: e => e.chapterCount || 0,
+    popular: e => pop(e.slug)
+  }[sort];
+  const dir = (order || BROWSE_SORTS[sort]) === 'asc' ? 1 : -1;
+  results.sort((a,b)=>{
+    const ka = keyOf(a), kb = keyOf(b);
+    const c = typeof ka === 'string' ? ka.localeCompare(kb, 'fa') : ka - kb;
+    return c * dir || a.title.localeCompare(b.title, 'fa');
+  });
+  const start = (page - 1) * limit;
+  const items = results.slice(start, start + limit).map(e => ({ slug: e.slug, title: e.title, cover: e.cover, link: e.link, genres: e.genres || [], latestChapter: e.latestChapter || null, status: e.status || null, chapterCount: e.chapterCount != null ? e.chapterCount : null }));
+  const facets = {
+    genres: Array.from(genreFacet.values()).sort((a,b)=> b.count - a.count || a.name.localeCompare(b.name, 'fa')).slice(0, 100),
+    status: Array.from(statusFacet, ([value, count]) => ({ status: value, count })).sort((a,b)=> b.count - a.count)
+  };
+  return { total: results.length, items, facets };
+}
+
+// recurring crawl every CATALOG.refreshMs (re-armed when the admin API changes it) plus one optional one-off run
+const _crawlSchedule = { timer: null, nextAt: null, once: null, onceAt: null };
+const runCatalogCrawl = () => crawlCatalog().catch(e => logErr(e, 'catalog crawl'));
+function scheduleCatalogCrawls(firstDelay = CATALOG.refreshMs){
+  clearTimeout(_crawlSchedule.timer); _crawlSchedule.nextAt = null;
+  if(!_started || !catalogCrawlEnabled()) return;
+  const delay = Math.min(firstDelay, CATALOG.refreshMs, 2**31 - 1);
+  _crawlSchedule.nextAt = Date.now() + delay;
+  _crawlSchedule.timer = setTimeout(()=>{ runCatalogCrawl(); scheduleCatalogCrawls(); }, delay);
+  _crawlSchedule.timer.unref();
+}
+function scheduleCatalogCrawlAt(at){
+  clearTimeout(_crawlSchedule.once); _crawlSchedule.once = null; _crawlSchedule.onceAt = null;
+  if(at == null) return;
+  _crawlSchedule.onceAt = at;
+  _crawlSchedule.once = setTimeout(()=>{ _crawlSchedule.once = null; _crawlSchedule.onceAt = null; runCatalogCrawl(); }, Math.max(0, at - Date.now()));
+  _crawlSchedule.once.unref();
+}
+function crawlStatus(){ return { ...catalogStatus(), refreshMs: CATALOG.refreshMs, nextAt: _crawlSchedule.nextAt, scheduledAt: _crawlSchedule.onceAt, lastRun: _lastCrawl }; }
+onStart(()=> scheduleCatalogCrawls(15*1000));
+
+/* popularity from our own traffic: detail views, chapter reads and follows, per source.
+   Each series keeps all-time counts and exponentially decayed scores (one per window), so trending needs no event log */
+const POPULARITY_WEIGHTS = { view: 1, read: 3, follow: 5 };
+const POPULARITY_HALF_LIFE = { day: envMs('POPULAR_DAY_HALF_LIFE_MS', 6*60*60*1000), week: envMs('POPULAR_WEEK_HALF_LIFE_MS', 2*24*60*60*1000) };
+const POPULARITY_WINDOWS = ['day', 'week', 'all'];
+const POPULARITY_DEDUPE_MS = envMs('POPULAR_DEDUPE_MS', 30*60*1000); // one event per visitor, series and kind (and chapter) in this span
+const MAX_POPULAR_RANKED = 50;
+const popularityStore = openStore('popularity', { sources: {} });
+const _popularitySeen = new Map(); // dedupe key -> expiry
+onStart(()=> setInterval(()=>{ const now = Date.now(); for(const [k, exp] of _popularitySeen) if(exp <= now) _popularitySeen.delete(k); }, POPULARITY_DEDUPE_MS).unref());
+
+const decayed = (score, at, halfLife, now) => score ? score * Math.pow(0.5, Math.max(0, now - at) / halfLife) : 0;
+// kind: view | read | follow; meta (title/cover/url/genres of a detail page) lets non-catalog sources be listed and filtered
+function recordPopularity(req, kind, slug, { chapter, meta } = {}, now = Date.now()){
+  if(!slug || !POPULARITY_WEIGHTS[kind]) return;
+  const visitor = req.user ? `u:${req.user.id}` : `ip:${req.ip}`;
+  const key = `${kind}:${visitor}:${req.provider.id}:${slug}${chapter ? `:${chapter}` : ''}`;
+  if((_popularitySeen.get(key) || 0) > now) return;
+  _popularitySeen.set(key, now + POPULARITY_DEDUPE_MS);
+  const sources = popularityStore.data.sources;
+  const series = sources[req.provider.id] || (sources[req.provider.id] = {});
+  const s = series[slug] || (series[slug] = { counts: { view: 0, read: 0, follow: 0 }, total: 0, trend: {}, at: now });
+  const w = POPULARITY_WEIGHTS[kind];
+  s.counts[kind]++; s.total += w;
+  for(const [win, half] of Object.entries(POPULARITY_HALF_LIFE)) s.trend[win] = decayed(s.trend[win], s.at, half, now) + w;
+  s.at = now;
+  if(meta && meta.title) s.meta = { title: meta.title, cover: meta.cover || null, link: meta.url || meta.link || null, genres: meta.genres || [] };
+  popularityStore.save();
+}
+// ranked series for a window (day/week decayed, all = lifetime weight), optionally restricted to one genre (name or slug)
+function rankPopular(provider, { window = 'week', genre = null, limit = MAX_POPULAR, now = Date.now() } = {}){
+  const series = popularityStore.data.sources[provider.id] || {};
+  const catalog = provider.site === DEFAULT_SITE ? catalogStore.data.items : {};
+  const wanted = genre ? normalizeText(genre) : null;
+  const rows = [];
+  for(const [slug, s] of Object.entries(series)){
+    const entry = catalog[slug] || {}; const meta = s.meta || {};
+    const genres = Array.from(new Set([...(entry.genres || []), ...(meta.genres || [])]));
+    if(wanted && ![...genres, ...(entry.genreSlugs || [])].some(g => normalizeText(g) === wanted)) continue;
+    const score = window === 'all' ? s.total : decayed(s.trend[window], s.at, POPULARITY_HALF_LIFE[window], now);
+    if(score < 0.05) continue; // decayed out of the window
+    rows.push({ slug, title: entry.title || meta.title || slug, cover: entry.cover || meta.cover || null, link: entry.link || meta.link || null, genres, score: Math.round(score * 100) / 100, total: s.total, stats: { views: s.counts.view, reads: s.counts.read, follows: s.counts.follow } });
+  }
+  rows.sort((a,b)=> b.score - a.score || b.total - a.total || a.slug.localeCompare(b.slug));
+  return rows.slice(0, limit);
+}
+// ranked items first, topped up from the source's own listing (home or genre) while traffic is thin
+async function popularFor(provider, { window = 'week', genre = null, count = MAX_POPULAR } = {}){
+  const ranked = rankPopular(provider, { window, genre, limit: count });
+  const items = ranked.slice(); const have = new Set(ranked.map(it => it.slug));
+  if(items.length < count){
+    let filler = [];
+    try{ filler = genre ? await provider.genreListing(sanitizeSlug(genre) || genre, 1) : await fetchHomeTopItems(MAX_POPULAR, provider); }
+    catch(e){ logErr(e, `popular filler ${provider.id}`); }
+    for(const it of filler){ const slug = it.slug || slugFromLink(it.link); if(!slug || have.has(slug)) continue; have.add(slug); items.push(it); if(items.length >= count) break; }
+  }
+  return { ranked: ranked.length, items };
+}
+
 /* ----------------- API endpoints ----------------- */
 
+/* API models: every listing route returns the same series item shape (see SeriesItem in the OpenAPI document) */
+function seriesItem(it, provider){
+  const out = { slug: it.slug || slugFromLink(it.link), title: it.title, cover: it.cover || null, link: it.link || null, source: provider.id };
+  for(const k of ['genres', 'latestChapter', 'score']) if(it[k] !== undefined) out[k] = it[k];
+  return out;
+}
+const seriesItems = (items, provider) => items.map(it => seriesItem(it, provider)).filter(it => it.slug && it.title);
+
 /* /api/home */
-app.get('/api/home', async (req,res)=>{
+app.get('/api/home', validate({ query: { page: P.int({ max: 1000, default: 1 }), exclude_popular: P.bool({ default: false }), popular_count: P.int({ max: MAX_POPULAR, default: MAX_POPULAR }) } }), async (req,res)=>{
   try{
-    const page = parsePage(req.query.page || '1', 1);
-    const ex = req.query.exclude_popular;
-    const excludePopular = ex === '1' || String(ex).toLowerCase() === 'true' || ex === 'yes';
-    let items = await extractHomePage(page);
+    const { page, exclude_popular: excludePopular } = req.valid;
+    let items = await req.provider.home(page);
     // dedupe by link/title
     const seen = new Set();
     items = items.filter(it => {
@@ -324,151 +1490,2189 @@ app.get('/api/home', async (req,res)=>{
     });
     if(req.query.page) items = items.slice(10);
     if(excludePopular){
-      const count = Math.max(1, Math.min(Number(req.query.popular_count) || MAX_POPULAR, MAX_POPULAR));
-      const popular = await fetchPopularItems(count);
-      const popSet = new Set(popular.map(p => (p.link||p.title||'').trim()));
-      items = items.filter(it => !popSet.has((it.link||it.title||'').trim()));
+      const { items: popular } = await popularFor(req.provider, { count: req.valid.popular_count });
+      const popSet = new Set(popular.map(p => p.slug || slugFromLink(p.link)));
+      items = items.filter(it => !popSet.has(it.slug || slugFromLink(it.link)));
     }
     // ensure every item has cover fallback
-    items = items.map(it => {
-      if(!it.cover) it.cover = it.link ? `${SITE_BASE}/wp-content/uploads/placeholder-cover.jpg` : '/placeholder.png';
-      return it;
-    });
-    return res.json({ ok:true, page, items, excludePopular: !!excludePopular });
-  }catch(e){ logErr(e,'/api/home'); return res.status(500).json({ ok:false, error: e.message||'internal' }); }
+    items = items.map(it => it.cover ? it : { ...it, cover: it.link ? `${req.provider.base}/wp-content/uploads/placeholder-cover.jpg` : '/placeholder.png' });
+    return res.json({ ok:true, source: req.provider.id, page, items: seriesItems(items, req.provider), excludePopular: !!excludePopular });
+  }catch(e){ return sendError(res, e, '/api/home'); }
 });
 
 /* genres */
-app.get('/api/genres', async (req,res)=>{ try{ const pages = Math.max(1, Number(req.query.pages)||1); const list = await extractGenres(pages); return res.json({ ok:true, pages, genres: list }); }catch(e){ logErr(e,'/api/genres'); return res.status(500).json({ ok:false, error:e.message }); } });
+// upper bound for the ?pages= fan-out on listing routes (each page is one upstream request)
+const MAX_LISTING_PAGES = Math.max(1, Number(process.env.MAX_LISTING_PAGES) || 10);
+app.get('/api/genres', validate({ query: { pages: P.int({ max: MAX_LISTING_PAGES, default: 1 }) } }), async (req,res)=>{ try{ const { pages } = req.valid; const list = await req.provider.genres(pages); return res.json({ ok:true, source: req.provider.id, pages, genres: list }); }catch(e){ return sendError(res, e, '/api/genres'); } });
 
 /* genre/:slug */
-app.get('/api/genre/:slug', async (req,res)=>{
+app.get('/api/genre/:slug', validate({ params: { slug: P.slug({ required: true }) }, query: { page: P.int({ max: 1000, default: 1 }), pages: P.int({ max: MAX_LISTING_PAGES, default: 1 }) } }), async (req,res)=>{
   try{
-    const rawSlug = req.params.slug; const slug = sanitizeSlug(rawSlug) || rawSlug;
-    const startPage = parsePage(req.query.page || '1',1);
-    const pages = Math.max(1, Number(req.query.pages) || 1);
+    const { slug, page: startPage, pages } = req.valid;
     const pageNumbers = Array.from({ length: pages }, (_, i) => startPage + i);
-    const fetches = pageNumbers.map(pn => (async ()=>{
-      const url = `${SITE_BASE}/gener.php?slug=${encodeURIComponent(slug)}${pn>1? '&page='+pn: ''}`;
-      const html = await fetchHtml(url); const $ = cheerio.load(html); const items=[];
-      $('.manhwa-card').each((i,el)=>{
-        try{
-          const a = $(el).find('a').first(); const href = a.attr('href')||''; const link = href ? new URL(href, SITE_BASE).href : null;
-          let cover = $(el).find('img').attr('data-src') || $(el).find('img').attr('src') || null;
-          if(cover && !cover.startsWith('http')) cover = new URL(cover, SITE_BASE).href;
-          let slugInfer = null;
-          if(link){ const parts = new URL(link).pathname.split('/').filter(Boolean); const idx = parts.findIndex(s => s.toLowerCase()==='manhwa'); slugInfer = (idx>=0 && parts.length>idx+1) ? parts[idx+1] : parts[parts.length-1]; }
-          const title = a.attr('title') || a.text().trim() || $(el).find('.card-title').text().trim();
-          if(link && title) items.push({ slug: slugInfer, title, cover, link });
-        }catch(e){}
-      });
-      $('a[href]').each((i,el)=>{
-        try{
-          const a = $(el); const href = a.attr('href')||''; if(!href.match(/\/(Manhwa|manhwa|manga)\/[A-Za-z0-9\-_]+/i)) return; const link = new URL(href, SITE_BASE).href; if(items.find(it=>it.link===link)) return; const img = a.find('img').first(); let cover = img && (img.attr('data-src')||img.attr('src'))||null; if(cover && !cover.startsWith('http')) cover = new URL(cover, SITE_BASE).href; const title = a.attr('title') || (img && img.attr('alt')) || a.text().trim(); if(link && title) items.push({ slug:null, title, cover, link });
-        }catch(e){}
-      });
-      return items;
-    })());
+    const fetches = pageNumbers.map(pn => req.provider.genreListing(slug, pn));
     const settled = await Promise.allSettled(fetches); const merged=[];
     for(const s of settled){ if(s.status==='fulfilled' && Array.isArray(s.value)) merged.push(...s.value); else logErr(s.status==='rejected' ? s.reason : 'unknown', '/api/genre/:slug fetch'); }
+    // every page failing is an upstream problem, not an empty genre
+    if(settled.every(s => s.status === 'rejected')) throw settled[0].reason;
     const uniq = {}; merged.forEach(it=>{ if(it.link) uniq[it.link] = it; });
-    const items = Object.values(uniq);
-    return res.json({ ok:true, genre: slug, startPage, pagesFetched: pageNumbers.length, items });
-  }catch(e){ logErr(e,'/api/genre/:slug'); return res.status(500).json({ ok:false, error: e.message }); }
+    const items = seriesItems(Object.values(uniq), req.provider);
+    return res.json({ ok:true, source: req.provider.id, genre: slug, startPage, pagesFetched: pageNumbers.length, items });
+  }catch(e){ return sendError(res, e, '/api/genre/:slug'); }
 });
 
 /* manga detail */
-app.get('/api/manga/:slug', async (req,res)=>{
+app.get('/api/manga/:slug', validate({ params: { slug: P.slug({ required: true }) } }), async (req,res)=>{
   try{
-    const rawSlug = req.params.slug; const slug = sanitizeSlug(rawSlug) || rawSlug;
-    const detail = await extractMangaDetail(slug);
-    // ensure cover fallback
+    const detail = { ...catalogIndexDetail(req.provider, await req.provider.detail(req.valid.slug)) };
+    recordPopularity(req, 'view', req.valid.slug, { meta: detail });
+    // ensure cover fallback (copy above: cached detail objects are shared)
     if(!detail.cover) detail.cover = '/placeholder.png';
     return res.json({ ok:true, manga: detail });
-  }catch(e){ logErr(e,'/api/manga/:slug'); return res.status(500).json({ ok:false, error: e.message }); }
+  }catch(e){ return sendError(res, e, '/api/manga/:slug'); }
 });
-app.get('/api/manga', async (req,res)=>{ try{ const rawSlug = req.query.slug; if(!rawSlug) return res.status(400).json({ ok:false, error:'missing slug query' }); const slug = sanitizeSlug(rawSlug) || rawSlug; const detail = await extractMangaDetail(slug); if(!detail.cover) detail.cover = '/placeholder.png'; return res.json({ ok:true, manga:detail }); }catch(e){ logErr(e,'/api/manga(query)'); return res.status(500).json({ ok:false, error: e.message }); } });
+app.get('/api/manga', validate({ query: { slug: P.slug({ required: true }) } }), async (req,res)=>{ try{ const detail = { ...catalogIndexDetail(req.provider, await req.provider.detail(req.valid.slug)) }; recordPopularity(req, 'view', req.valid.slug, { meta: detail }); if(!detail.cover) detail.cover = '/placeholder.png'; return res.json({ ok:true, manga:detail }); }catch(e){ return sendError(res, e, '/api/manga(query)'); } });
 
 /* reader endpoints (support slug/chapter where chapter may be "190" or "190,103") */
-app.get('/api/reader/:slug/:chapter', async (req,res)=> handleReaderQuery({ slug: req.params.slug, chapter: req.params.chapter }, res) );
-app.get('/api/reader', async (req,res)=> handleReaderQuery(req.query, res) );
-
-async function handleReaderQuery(query, res){
-  try{
-    const rawSlug = query.slug; const rawChapter = query.chapter;
-    if(!rawSlug || !rawChapter) return res.status(400).json({ ok:false, error:'slug and chapter required' });
-    const slug = sanitizeSlug(rawSlug) || rawSlug;
-    const chapterParam = normalizeChapterParam(rawChapter);
-
-    const manga = await extractMangaDetail(slug);
-    // try exact match: if client supplied full id like "190,103" match chapter.chapterId exactly
-    let chapterLink = null; let matchedChapter = null;
-    if(manga.chapters && manga.chapters.length){
-      // exact match first
-      matchedChapter = manga.chapters.find(c => String(c.chapterId) === chapterParam || (c.internalId && `${c.chapterNum},${c.internalId}` === chapterParam));
-      if(!matchedChapter){
-        // if chapterParam contains comma but chapters stored as "190,103" maybe some mismatch: try find by internal id
-        if(chapterParam.includes(',')){
-          const parts = chapterParam.split(',');
-          const display = parts[0];
-          const internal = parts[1];
-          matchedChapter = manga.chapters.find(c => (c.internalId && String(c.internalId) === String(internal)) || (String(c.chapterNum) === String(display)));
-        } else {
-          // numeric match by chapterNum
-          const n = Number(chapterParam);
-          if(!Number.isNaN(n)) matchedChapter = manga.chapters.find(c => typeof c.chapterNum === 'number' && Math.abs(c.chapterNum - n) < 1e-6 );
-        }
-      }
-      // fallback: contains text
-      if(!matchedChapter) matchedChapter = manga.chapters.find(c => c.title && c.title.includes(chapterParam));
-      if(matchedChapter) chapterLink = matchedChapter.link;
-    }
-
-    if(chapterLink){
-      const pages = await extractReaderPages(chapterLink);
-      if(pages && pages.length) return res.json({ ok:true, method:'explicit', pages, pageCount: pages.length, matchedChapter });
-    }
-
-    // fallback: if manga.internalId present, try CDN discovery using internal id
-    const uid = manga.internalId || null;
-    const mangaName = manga.title || slug;
-    if(uid){
-      const pageCount = await discoverPageCountByHead({ uid, mangaName, chapter: chapterParam }).catch(()=>null);
-      if(pageCount && pageCount > 0){
-        const pages = []; for(let i=1;i<=pageCount;i++) pages.push(buildFallbackPageUrl({ uid, mangaName, chapter: chapterParam, page:i }));
-        return res.json({ ok:true, method:'fallback-discovered', pages, pageCount, matchedChapter: matchedChapter || null });
-      } else {
-        const guessed = []; const guessCount = 25; for(let i=1;i<=guessCount;i++) guessed.push(buildFallbackPageUrl({ uid, mangaName, chapter: chapterParam, page:i }));
-        return res.json({ ok:true, method:'fallback-guess', pages: guessed, note:'could not discover exact pageCount', matchedChapter: matchedChapter || null });
-      }
+const READER_PARAMS = { slug: P.slug({ required: true }), chapter: P.chapter({ required: true }), mirror: P.text({ max: 32, default: 'site' }) };
+app.get('/api/reader/:slug/:chapter', validate({ params: { slug: READER_PARAMS.slug, chapter: READER_PARAMS.chapter }, query: { mirror: READER_PARAMS.mirror } }), async (req,res)=> handleReaderQuery(req.valid, req.provider, res, req) );
+app.get('/api/reader', validate({ query: READER_PARAMS }), async (req,res)=> handleReaderQuery(req.valid, req.provider, res, req) );
+
+// chapters come sorted latest-first, so "previous" is the next index and "next" the one before
+function chapterNeighbors(chapters, current){
+  const idx = current ? chapters.indexOf(current) : -1;
+  const pick = c => c ? { chapterId: c.chapterId, chapterNum: c.chapterNum, title: c.title } : null;
+  if(idx < 0) return { prevChapter: null, nextChapter: null, chapterIndex: null, chapterCount: chapters.length };
+  return { prevChapter: pick(chapters[idx+1]), nextChapter: pick(chapters[idx-1]), chapterIndex: chapters.length - idx, chapterCount: chapters.length };
+}
+
+// find the chapter a client asked for; chapterParam may be "190", "190,103", "1.34" or a title fragment
+function matchChapter(chapters, chapterParam){
+  if(!chapters || !chapters.length || !chapterParam) return null;
+  // exact match first: if client supplied full id like "190,103" match chapter.chapterId exactly
+  let matched = chapters.find(c => String(c.chapterId) === chapterParam || (c.internalId && `${c.chapterNum},${c.internalId}` === chapterParam));
+  if(!matched){
+    // if chapterParam contains comma but chapters stored as "190,103" maybe some mismatch: try find by internal id
+    if(chapterParam.includes(',')){
+      const parts = chapterParam.split(',');
+      const display = parts[0];
+      const internal = parts[1];
+      matched = chapters.find(c => (c.internalId && String(c.internalId) === String(internal)) || (String(c.chapterNum) === String(display)));
+    } else {
+      // numeric match by chapterNum
+      const n = Number(chapterParam);
+      if(!Number.isNaN(n)) matched = chapters.find(c => typeof c.chapterNum === 'number' && Math.abs(c.chapterNum - n) < 1e-6 );
+    }
+  }
+  // fallback: contains text
+  if(!matched) matched = chapters.find(c => c.title && c.title.includes(chapterParam));
+  return matched || null;
+}
+
+// resolve slug + chapter to a page list: explicit reader page first, then CDN discovery/guess; null when nothing works
+// mirror 'cdn' skips the site's reader page and goes straight to the CDN
+async function resolveChapterPages(slug, chapterParam, site=DEFAULT_SITE, opts={}){
+  // guessed urls are not evidence that anything worked, so they count as an empty result
+  return diagnose('chapterPages', site, `${slug}/${chapterParam}`, async ()=>{
+    const r = await findChapterPages(slug, chapterParam, site, opts);
+    noteStrategy(r ? r.method : 'none');
+    METRIC.readerPages.inc({ method: r ? r.method : 'none' });
+    return r;
+  }, r => (r && r.method !== 'fallback-guess') ? r.pages.length : 0);
+}
+async function findChapterPages(slug, chapterParam, site=DEFAULT_SITE, { mirror = 'site' } = {}){
+  const manga = await extractMangaDetail(slug, site);
+  const matchedChapter = matchChapter(manga.chapters, chapterParam);
+  const neighbors = chapterNeighbors(manga.chapters || [], matchedChapter);
+
+  if(mirror !== 'cdn' && matchedChapter && matchedChapter.link){
+    const pages = await extractReaderPages(matchedChapter.link, site);
+    if(pages && pages.length) return { manga, matchedChapter, neighbors, method:'explicit', pages, pageCount: pages.length, confidence: 'exact' };
+  }
+
+  // fallback: if manga.internalId present, try CDN discovery using internal id
+  const uid = manga.internalId || null;
+  const mangaName = manga.title || slug;
+  const cdnBase = site.cdnBase;
+  if(uid && cdnBase){
+    const found = await discoverChapterPages({ uid, mangaName, chapter: chapterParam, cdnBase }).catch(e => { logErr(e, 'cdn page discovery'); return null; });
+    if(found){
+      const pages = []; for(let i=1;i<=found.pageCount;i++) pages.push(buildFallbackPageUrl({ uid, mangaName, chapter: chapterParam, cdnBase, page:i, variant: found.variant }));
+      return { manga, matchedChapter, neighbors, method:'fallback-discovered', pages, pageCount: found.pageCount, confidence: found.confidence, ...(found.confidence === 'partial' ? { note: 'page count may be incomplete' } : {}) };
     }
+    return { manga, matchedChapter, neighbors, method:'fallback-guess', pages: guessChapterPages({ uid, mangaName, chapter: chapterParam, cdnBase }), confidence: 'guess', note:'could not discover exact pageCount' };
+  }
+  return null;
+}
 
-    return res.status(422).json({ ok:false, error:'Could not extract pages. Ensure slug correct or site uses JS-heavy reader.' });
-  }catch(e){ logErr(e,'/api/reader'); return res.status(500).json({ ok:false, error: e.message }); }
+// req (optional) attributes the read to its visitor for popularity
+async function handleReaderQuery(query, provider, res, req){
+  try{
+    const { valid, details } = parseParams(READER_PARAMS, query, 'query');
+    if(details.length) return sendError(res, invalidParams(details));
+    const { slug, chapter: chapterParam, mirror } = valid;
+
+    if(!provider.mirrors.some(m => m.id === mirror)) return sendError(res, new ApiError('BAD_REQUEST', `unknown mirror "${mirror}"`, { mirrors: provider.mirrors.map(m => m.id) }));
+    const r = await provider.chapterPages(slug, chapterParam, { mirror });
+    if(!r) return sendError(res, new ApiError('EXTRACTION_FAILED', 'could not extract pages for this chapter (the reader may be rendered client-side)'));
+    // providers that predate confidence: their explicit lists count as exact, guesses as guesses
+    const out = { ok:true, method: r.method, pages: r.pages, confidence: r.confidence || (r.method === 'fallback-guess' ? 'guess' : 'exact') };
+    if(r.pageCount) out.pageCount = r.pageCount;
+    if(r.note) out.note = r.note;
+    if(req) recordPopularity(req, 'read', slug, { chapter: chapterParam, meta: r.manga });
+    return res.json({ ...out, source: provider.id, mirror, matchedChapter: r.matchedChapter || null, ...r.neighbors });
+  }catch(e){ return sendError(res, e, '/api/reader'); }
 }
 
-/* popular & recommendations */
-app.get('/api/popular', async (req,res)=>{ try{ const count = Math.max(1, Math.min(Number(req.query.count)||MAX_POPULAR, MAX_POPULAR)); const items = await fetchPopularItems(count); return res.json({ ok:true, count: items.length, items }); }catch(e){ logErr(e,'/api/popular'); return res.status(500).json({ ok:false, error: e.message||'internal' }); } });
+/* image proxy: streams page/cover images through us, optional resize/format conversion cached on disk */
+const IMAGE_CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(os.tmpdir(), 'towerapi-images');
+const IMAGE_CACHE = { maxEntries: Math.max(10, Number(process.env.IMAGE_CACHE_MAX_ENTRIES) || 2000), maxBytes: Math.max(1024*1024, Number(process.env.IMAGE_CACHE_MAX_BYTES) || 512*1024*1024) };
+const IMAGE_FORMATS = { webp: 'image/webp', avif: 'image/avif', jpeg: 'image/jpeg' };
+const IMAGE_PROXY = { maxBytes: Math.max(1024, Number(process.env.IMAGE_MAX_BYTES) || 25*1024*1024) }; // per upstream image
+const IMAGE_MAX_REDIRECTS = 3;
+let _sharp; // lazily required; transforms are skipped (original passed through) when sharp is not installed
+function loadSharp(){ if(_sharp === undefined){ try{ _sharp = require('sharp'); }catch(e){ _sharp = null; } } return _sharp; }
+
+// exact hostnames only; an IMAGE_PROXY_HOSTS entry "*.example.com" opts in to that domain's subdomains
+function imageHostAllowed(hostname){
+  const extra = String(process.env.IMAGE_PROXY_HOSTS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const allowed = [...Array.from(providers.values()).flatMap(p => p.imageHosts || []), ...extra];
+  const host = String(hostname || '').toLowerCase();
+  return allowed.some(h => h.startsWith('*.') ? host.endsWith(h.slice(1)) : host === h);
+}
+function parseImageParams(query){
+  let target;
+  try{ target = new URL(String(query.url || '')); }catch(e){ return { error: 'invalid url' }; }
+  if(!/^https?:$/.test(target.protocol)) return { error: 'invalid url' };
+  if(!imageHostAllowed(target.hostname)) return { error: 'host not allowed' };
+  const w = query.w ? Math.max(16, Math.min(parseInt(query.w, 10) || 0, 2000)) : null;
+  const q = query.q ? Math.max(30, Math.min(parseInt(query.q, 10) || 80, 95)) : null;
+  const fmt = IMAGE_FORMATS[String(query.fmt || '').toLowerCase()] ? String(query.fmt).toLowerCase() : null;
+  return { url: target.href, w, q, fmt };
+}
+// redirects are followed by hand so that, for the proxy (`checkHosts`), every hop is held to the allowlist
+async function upstreamImageRequest(url, responseType, { checkHosts = false } = {}){
+  for(let hop = 0; ; hop++){
+    // send the Referer of whichever source serves this host (CDNs reject hotlinks without one)
+    const host = new URL(url).hostname;
+    const owner = Array.from(providers.values()).find(p => (p.imageHosts || []).includes(host)) || defaultProvider();
+    const r = await upstream.get(url, { responseType, timeout: 30000, maxRedirects: 0, validateStatus: s => s >= 200 && s < 400, maxContentLength: IMAGE_PROXY.maxBytes, headers: { Referer: `${owner.base}/` } });
+    if(r.status < 300) return r;
+    if(r.data && typeof r.data.destroy === 'function') r.data.destroy();
+    let next = null; try{ next = new URL(r.headers.location, url); }catch(e){}
+    if(!next || !/^https?:$/.test(next.protocol) || hop >= IMAGE_MAX_REDIRECTS) throw new ApiError('UPSTREAM_UNAVAILABLE', 'image could not be fetched (bad or too many redirects)');
+    if(checkHosts && !imageHostAllowed(next.hostname)) throw new ApiError('BAD_REQUEST', 'image redirects to a host that is not allowed');
+    url = next.href;
+  }
+}
 
-app.get('/api/recommendations', async (req,res)=>{
+// only raster images are served from our origin: an HTML page (or an SVG, which can carry script) on an allowed host
+// would otherwise run as ours. Returns the media type; a stream body is released when the response is refused.
+function checkImageResponse(r){
+  const type = String(r.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const tooLarge = Number(r.headers['content-length']) > IMAGE_PROXY.maxBytes;
+  if(/^image\//.test(type) && type !== 'image/svg+xml' && !tooLarge) return type;
+  if(r.data && typeof r.data.destroy === 'function') r.data.destroy();
+  if(tooLarge) throw new ApiError('BAD_REQUEST', `image is larger than ${IMAGE_PROXY.maxBytes} bytes`);
+  throw new ApiError('BAD_REQUEST', `url does not point to an image (${type || 'no content type'})`);
+}
+
+// transformed images on disk, bounded like the cache layer: least recently used files go once either limit is
+// passed. The index is rebuilt from the directory (oldest first by mtime) on first use, so it survives restarts.
+function createImageDiskCache(dir, limits = IMAGE_CACHE){
+  let index = null; let bytes = 0; // file name -> size, least recently used first
+  const ready = () => index || (index = (async ()=>{
+    const map = new Map(); const found = [];
+    for(const f of await fs.promises.readdir(dir).catch(()=>[])){
+      if(f.endsWith('.type')) continue;
+      try{ const st = await fs.promises.stat(path.join(dir, f)); found.push({ f, size: st.size, at: st.mtimeMs }); }catch(e){}
+    }
+    for(const e of found.sort((a,b) => a.at - b.at)){ map.set(e.f, e.size); bytes += e.size; }
+    return map;
+  })());
+  const remove = async (map, name) => {
+    if(!map.has(name)) return;
+    bytes -= map.get(name); map.delete(name);
+    await Promise.all([name, `${name}.type`].map(f => fs.promises.unlink(path.join(dir, f)).catch(()=>{})));
+  };
+  async function trim(){
+    const map = await ready();
+    while(map.size && (map.size > limits.maxEntries || bytes > limits.maxBytes)) await remove(map, map.keys().next().value);
+  }
+  return {
+    async get(name){
+      const map = await ready();
+      if(!map.has(name)) return null;
+      try{
+        const [body, type] = await Promise.all([fs.promises.readFile(path.join(dir, name)), fs.promises.readFile(path.join(dir, `${name}.type`), 'utf8')]);
+        const size = map.get(name); map.delete(name); map.set(name, size);
+        const now = new Date(); fs.promises.utimes(path.join(dir, name), now, now).catch(()=>{}); // recency for the next rebuild
+        return { body, type };
+      }catch(e){ await remove(map, name); return null; }
+    },
+    async set(name, body, type){
+      const map = await ready();
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, name), body); await fs.promises.writeFile(path.join(dir, `${name}.type`), type);
+      if(map.has(name)){ bytes -= map.get(name); map.delete(name); }
+      map.set(name, body.length); bytes += body.length;
+      await trim();
+    },
+    trim,
+    async stats(){ const map = await ready(); return { entries: map.size, bytes }; }
+  };
+}
+const imageCache = createImageDiskCache(IMAGE_CACHE_DIR);
+
+const _imageInflight = new Map();
+async function getTransformedImage({ url, w, q, fmt }){
+  const key = crypto.createHash('sha1').update(`${url}|${w||''}|${q||''}|${fmt||''}`).digest('hex');
+  const name = `${key}.${fmt || 'img'}`;
+  const hit = await imageCache.get(name);
+  if(hit) return { ...hit, cache: 'HIT' };
+  if(_imageInflight.has(key)) return _imageInflight.get(key);
+  const p = (async ()=>{
+    try{
+      const r = await upstreamImageRequest(url, 'arraybuffer', { checkHosts: true });
+      checkImageResponse(r);
+      let body = Buffer.from(r.data); let type;
+      let pipeline = loadSharp()(body, { failOn: 'none' }).rotate();
+      if(w) pipeline = pipeline.resize({ width: w, withoutEnlargement: true });
+      const outFmt = fmt || 'webp';
+      pipeline = pipeline.toFormat(outFmt === 'jpeg' ? 'jpeg' : outFmt, q ? { quality: q } : {});
+      body = await pipeline.toBuffer(); type = IMAGE_FORMATS[outFmt];
+      await imageCache.set(name, body, type);
+      return { body, type, cache: 'MISS' };
+    }finally{ _imageInflight.delete(key); }
+  })();
+  _imageInflight.set(key, p);
+  return p;
+}
+
+app.get('/api/image', async (req,res)=>{
   try{
-    const want = Math.max(1, Math.min(Number(req.query.count)||5, 5));
-    const poolPages = Math.max(1, Math.min(Number(req.query.pool_pages)||3, 20));
-    const pool = await fetchHomePages(poolPages, 1000);
-    if(!pool.length) return res.json({ ok:true, date:null, count:0, items:[] });
-    const now = new Date();
-    const seedStr = `${now.getFullYear()}${String(now.getMonth()+1).padStart(2,'0')}${String(now.getDate()).padStart(2,'0')}`;
-    const seed = Number(seedStr);
-    const shuffled = seededShuffle(pool, seed);
-    const picks = shuffled.slice(0, Math.min(want, shuffled.length));
-    return res.json({ ok:true, date:seedStr, poolPages, poolSize: pool.length, count: picks.length, items: picks });
-  }catch(e){ logErr(e,'/api/recommendations'); return res.status(500).json({ ok:false, error: e.message||'internal' }); }
+    const params = parseImageParams(req.query);
+    if(params.error) return sendError(res, new ApiError('BAD_REQUEST', params.error));
+    res.set('Cache-Control', 'public, max-age=604800, immutable');
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('X-Content-Type-Options', 'nosniff');
+    const wantsTransform = params.w || params.q || params.fmt;
+    if(wantsTransform && loadSharp()){
+      const out = await getTransformedImage(params);
+      res.set('X-Cache', out.cache);
+      return res.type(out.type).send(out.body);
+    }
+    // passthrough: stream the original bytes
+    const r = await upstreamImageRequest(params.url, 'stream', { checkHosts: true });
+    res.set('Content-Type', checkImageResponse(r));
+    if(r.headers['content-length']) res.set('Content-Length', r.headers['content-length']);
+    if(wantsTransform) res.set('X-Image-Transform', 'unavailable');
+    // maxContentLength does not apply to streams; a body without (or lying about) its length is cut off here
+    let received = 0;
+    r.data.on('data', chunk => { received += chunk.length; if(received > IMAGE_PROXY.maxBytes) r.data.destroy(new Error(`image stream passed ${IMAGE_PROXY.maxBytes} bytes`)); });
+    r.data.on('error', e => { logErr(e, '/api/image stream'); res.destroy(e); });
+    r.data.pipe(res);
+  }catch(e){
+    if(!res.headersSent) res.set('Cache-Control', 'no-store');
+    return sendError(res, upstreamError(e, 'image'), '/api/image');
+  }
 });
 
-/* health & SPA */
-app.get('/reader', (req,res) => res.sendFile(path.join(__dirname, 'public', 'reader.html')));
-app.get('/', (req,res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
-app.get('/api/health', (req,res) => res.json({ ok:true, ts: Date.now() }));
+/* user accounts: username/password, bearer tokens, library (follows), per-chapter progress and history */
+const HISTORY_LIMIT = 200;
+const usersStore = openStore('users', { users: {}, sessions: {} });
+const USERNAME_RE = /^[A-Za-z0-9_.\-]{3,32}$/;
+const PASSWORD_MAX = 256; // scrypt cost grows with the input; longer passwords are refused before hashing
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, ()=> console.log(`Server listening on ${PORT}`));
+// scrypt runs on the libuv pool so a hash does not hold up other requests
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')){
+  const key = await new Promise((resolve, reject) => crypto.scrypt(String(password), salt, 64, (err, k) => err ? reject(err) : resolve(k)));
+  return { salt, hash: key.toString('hex') };
+}
+async function verifyPassword(password, user){
+  const { hash } = await hashPassword(password, user.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passHash, 'hex'));
+}
+
+// sign-in throttling, sliding window: every register/login attempt counts per address, failed logins per username
+const AUTH_LIMITS = {
+  windowMs: envMs('AUTH_WINDOW_MS', 15*60*1000),
+  ipLimit: Math.max(1, Number(process.env.AUTH_IP_LIMIT) || 30),
+  userLimit: Math.max(1, Number(process.env.AUTH_USER_LIMIT) || 10)
+};
+const _authHits = new Map(); // "ip:<addr>" | "user:<lowercased name>" -> attempt times inside the window
+onStart(()=> setInterval(()=>{
+  const since = Date.now() - AUTH_LIMITS.windowMs;
+  for(const [k, hits] of _authHits){ const live = hits.filter(t => t > since); if(live.length) _authHits.set(k, live); else _authHits.delete(k); }
+}, 60*1000).unref());
+function authHits(key){ const hits = (_authHits.get(key) || []).filter(t => t > Date.now() - AUTH_LIMITS.windowMs); _authHits.set(key, hits); return hits; }
+// sends the 429 and returns true when key is over its limit
+function authThrottled(res, key, limit){
+  const hits = authHits(key);
+  if(hits.length < limit) return false;
+  const retryAfter = Math.max(1, Math.ceil((hits[0] + AUTH_LIMITS.windowMs - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  sendError(res, new ApiError('RATE_LIMITED', `too many attempts, try again in ${retryAfter}s`, { retryAfter }));
+  return true;
+}
+function checkPasswordLength(password){
+  if(String(password).length > PASSWORD_MAX) throw new ApiError('BAD_REQUEST', `password must be at most ${PASSWORD_MAX} characters`);
+}
+const tokenKey = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+function findUserByName(username){ const n = String(username || '').toLowerCase(); return Object.values(usersStore.data.users).find(u => u.username.toLowerCase() === n) || null; }
+// sessions expire after SESSION.ttlMs without use; each use slides the window (persisted at most every touchMs)
+const SESSION = { ttlMs: envMs('SESSION_TTL_MS', 30*24*60*60*1000), touchMs: 60*60*1000 };
+const sessionExpired = (s, now = Date.now()) => (s.usedAt || s.createdAt || 0) + SESSION.ttlMs <= now;
+function issueToken(user){
+  const token = crypto.randomBytes(32).toString('hex'); const now = Date.now();
+  usersStore.data.sessions[tokenKey(token)] = { userId: user.id, createdAt: now, usedAt: now };
+  usersStore.save();
+  return token;
+}
+function touchSession(session){
+  const now = Date.now();
+  if(now - (session.usedAt || 0) < Math.min(SESSION.touchMs, SESSION.ttlMs / 24)) return;
+  session.usedAt = now; usersStore.save();
+}
+onStart(()=> setInterval(()=>{
+  const now = Date.now(); let removed = 0;
+  for(const [key, s] of Object.entries(usersStore.data.sessions)) if(sessionExpired(s, now)){ delete usersStore.data.sessions[key]; removed++; }
+  if(removed) usersStore.save();
+}, 60*60*1000).unref());
+function publicUser(u){ return { id: u.id, username: u.username, createdAt: u.createdAt, following: Object.keys(u.library || {}).length, ...(isAdminUser(u) ? { admin: true } : {}) }; }
+
+// admins: users flagged admin in users.json or listed in ADMIN_USERS; ADMIN_TOKEN is a shared bearer for scripts
+const ADMIN_USERS = new Set(String(process.env.ADMIN_USERS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean));
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+function isAdminUser(u){ return !!(u && (u.admin || ADMIN_USERS.has(String(u.username).toLowerCase()))); }
+const sha256 = s => crypto.createHash('sha256').update(String(s)).digest();
+
+// sets req.user (and req.admin) when a valid bearer token is present; never rejects by itself
+function authenticate(req, res, next){
+  const bearer = (String(req.get('authorization') || '').match(/^Bearer\s+(\S+)$/) || [])[1];
+  if(bearer && /^[A-Fa-f0-9]{64}$/.test(bearer)){
+    const key = tokenKey(bearer); let session = usersStore.data.sessions[key];
+    if(session && sessionExpired(session)){ delete usersStore.data.sessions[key]; usersStore.save(); session = null; }
+    const user = session && usersStore.data.users[session.userId];
+    if(user){ req.user = user; req.sessionKey = key; req.admin = isAdminUser(user); touchSession(session); }
+  }
+  if(bearer && ADMIN_TOKEN && crypto.timingSafeEqual(sha256(bearer), sha256(ADMIN_TOKEN))) req.admin = true;
+  next();
+}
+function requireUser(req, res, next){ if(!req.user) return sendError(res, new ApiError('UNAUTHORIZED', 'login required')); next(); }
+function requireAdmin(req, res, next){
+  if(req.admin) return next();
+  return sendError(res, req.user ? new ApiError('FORBIDDEN', 'admin only') : new ApiError('UNAUTHORIZED', 'login required'));
+}
+
+function recordProgress(user, { slug, chapterId, page, pageCount, read, at = Date.now() }){
+  user.progress = user.progress || {};
+  const chapters = user.progress[slug] = user.progress[slug] || {};
+  const prev = chapters[chapterId] || {};
+  if(prev.updatedAt && prev.updatedAt > at) return prev; // keep the newer position (imports may be older)
+  const next = { page: Math.max(0, Number(page) || 0), pageCount: Number(pageCount) || prev.pageCount || null, read: !!(read || prev.read), updatedAt: at };
+  chapters[chapterId] = next;
+  user.history = (user.history || []).filter(h => !(h.slug === slug && h.chapterId === chapterId));
+  user.history.unshift({ slug, chapterId, at });
+  user.history.sort((a,b)=> b.at - a.at).splice(HISTORY_LIMIT);
+  usersStore.save();
+  return next;
+}
+function entryInfo(slug){ const e = catalogStore.data.items[slug]; return e ? { title: e.title, cover: e.cover, latestChapter: e.latestChapter || null } : { title: slug, cover: null, latestChapter: null }; }
+
+app.post('/api/auth/register', async (req,res)=>{
+  try{
+    const { username, password } = req.body || {};
+    if(!USERNAME_RE.test(String(username || ''))) return sendError(res, new ApiError('BAD_REQUEST', 'username must be 3-32 characters: letters, digits, _ . -'));
+    if(String(password || '').length < 6) return sendError(res, new ApiError('BAD_REQUEST', 'password must be at least 6 characters'));
+    checkPasswordLength(password);
+    if(authThrottled(res, `ip:${req.ip}`, AUTH_LIMITS.ipLimit)) return;
+    authHits(`ip:${req.ip}`).push(Date.now());
+    if(findUserByName(username)) return sendError(res, new ApiError('CONFLICT', 'username taken'));
+    const { salt, hash } = await hashPassword(password);
+    if(findUserByName(username)) return sendError(res, new ApiError('CONFLICT', 'username taken')); // taken while hashing
+    const user = { id: crypto.randomUUID(), username: String(username), salt, passHash: hash, createdAt: Date.now(), library: {}, progress: {}, history: [] };
+    usersStore.data.users[user.id] = user;
+    const token = issueToken(user);
+    return res.status(201).json({ ok:true, token, user: publicUser(user) });
+  }catch(e){ return sendError(res, e, '/api/auth/register'); }
+});
+app.post('/api/auth/login', async (req,res)=>{
+  try{
+    const { username, password } = req.body || {};
+    checkPasswordLength(password || '');
+    const nameKey = `user:${String(username || '').toLowerCase()}`;
+    if(authThrottled(res, `ip:${req.ip}`, AUTH_LIMITS.ipLimit) || authThrottled(res, nameKey, AUTH_LIMITS.userLimit)) return;
+    authHits(`ip:${req.ip}`).push(Date.now());
+    const user = findUserByName(username);
+    if(!user || !(await verifyPassword(password || '', user))){
+      authHits(nameKey).push(Date.now());
+      return sendError(res, new ApiError('UNAUTHORIZED', 'invalid username or password'));
+    }
+    _authHits.delete(nameKey);
+    return res.json({ ok:true, token: issueToken(user), user: publicUser(user) });
+  }catch(e){ return sendError(res, e, '/api/auth/login'); }
+});
+app.post('/api/auth/logout', requireUser, (req,res)=>{ delete usersStore.data.sessions[req.sessionKey]; usersStore.save(); return res.json({ ok:true }); });
+app.get('/api/me', requireUser, (req,res)=> res.json({ ok:true, user: publicUser(req.user) }));
+
+/* library (followed series) */
+app.get('/api/library', requireUser, (req,res)=>{
+  const lib = req.user.library || {};
+  const items = Object.entries(lib).map(([key, f]) => {
+    const slug = f.slug || key;
+    const chapters = (req.user.progress || {})[slug] || {};
+    const readCount = Object.values(chapters).filter(c => c.read).length;
+    return { slug, source: f.source || DEFAULT_SITE.id, ...entryInfo(slug), ...(f.title ? { title: f.title } : {}), ...(f.cover ? { cover: f.cover } : {}), followedAt: f.followedAt, readCount };
+  }).sort((a,b)=> b.followedAt - a.followedAt);
+  return res.json({ ok:true, count: items.length, items });
+});
+const SLUG_PARAM = { params: { slug: P.slug({ required: true }) } };
+app.put('/api/library/:slug', requireUser, validate(SLUG_PARAM), (req,res)=>{
+  const { slug } = req.valid;
+  const body = req.body || {};
+  const key = seriesKey(req.provider.id, slug);
+  req.user.library = req.user.library || {};
+  if(!req.user.library[key]) recordPopularity(req, 'follow', slug);
+  req.user.library[key] = { slug, followedAt: (req.user.library[key] && req.user.library[key].followedAt) || Date.now(), source: req.provider.id, title: body.title ? String(body.title).slice(0, 300) : undefined, cover: body.cover ? String(body.cover).slice(0, 1000) : undefined };
+  usersStore.save();
+  // baseline the chapter list now so the poller reports only chapters released after the follow
+  const provider = req.provider;
+  if(!updatesStore.data.snapshots[key]) provider.detail(slug).then(d => diffChapters(slug, d, provider.id)).catch(e => logErr(e, `baseline ${provider.id}/${slug}`));
+  return res.json({ ok:true, slug, following: true });
+});
+app.delete('/api/library/:slug', requireUser, validate(SLUG_PARAM), (req,res)=>{
+  const { slug } = req.valid;
+  if(req.user.library) delete req.user.library[seriesKey(req.provider.id, slug)];
+  usersStore.save();
+  return res.json({ ok:true, slug, following: false });
+});
+
+/* reading progress + history */
+app.get('/api/progress/:slug', requireUser, validate(SLUG_PARAM), (req,res)=>{
+  const { slug } = req.valid;
+  return res.json({ ok:true, slug, following: !!(req.user.library || {})[seriesKey(req.provider.id, slug)], chapters: (req.user.progress || {})[slug] || {} });
+});
+app.put('/api/progress/:slug/:chapter', requireUser, validate({ params: { slug: P.slug({ required: true }), chapter: P.chapter({ required: true }) } }), (req,res)=>{
+  const { slug, chapter: chapterId } = req.valid;
+  const body = req.body || {};
+  const progress = recordProgress(req.user, { slug, chapterId, page: body.page, pageCount: body.pageCount, read: body.read });
+  return res.json({ ok:true, slug, chapterId, progress });
+});
+// one-off migration of the reader's localStorage keys (manhwa_progress_<slug>_<chapter>)
+app.post('/api/progress/import', requireUser, (req,res)=>{
+  const entries = Array.isArray((req.body || {}).entries) ? req.body.entries.slice(0, 5000) : [];
+  let imported = 0; const now = Date.now();
+  for(const e of entries){
+    const slug = sanitizeSlug(e && e.slug); const chapterId = normalizeChapterParam(e && e.chapter);
+    if(!slug || !chapterId) continue;
+    // a timestamp from the future would pin that position against every later save
+    recordProgress(req.user, { slug, chapterId, page: e.idx, at: Math.min(Number(e.ts) || now, now) });
+    imported++;
+  }
+  return res.json({ ok:true, imported });
+});
+app.get('/api/history', requireUser, validate({ query: { limit: P.int({ max: HISTORY_LIMIT, default: 50 }) } }), (req,res)=>{
+  const { limit } = req.valid;
+  const items = (req.user.history || []).slice(0, limit).map(h => ({ ...h, ...entryInfo(h.slug), progress: ((req.user.progress || {})[h.slug] || {})[h.chapterId] || null }));
+  return res.json({ ok:true, count: items.length, items });
+});
+// latest position per series, most recent first
+app.get('/api/continue', requireUser, (req,res)=>{
+  const seen = new Set(); const items = [];
+  for(const h of (req.user.history || [])){
+    if(seen.has(h.slug)) continue; seen.add(h.slug);
+    items.push({ slug: h.slug, chapterId: h.chapterId, at: h.at, ...entryInfo(h.slug), progress: ((req.user.progress || {})[h.slug] || {})[h.chapterId] || null });
+    if(items.length >= 20) break;
+  }
+  return res.json({ ok:true, count: items.length, items });
+});
+
+/* new-chapter tracking: poll followed series, diff chapter lists, fan out to feed/webhooks/web push */
+const UPDATES_POLL_MS = envMs('UPDATES_POLL_MS', 30*60*1000);
+const MAX_UPDATE_EVENTS = 2000;
+const updatesStore = openStore('updates', { snapshots: {}, events: [], webhooks: {}, pushSubs: {}, vapid: null });
+let _updatesPoll = null;
+let _webPush; // optional "web-push" module
+function loadWebPush(){
+  if(_webPush !== undefined) return _webPush;
+  try{ _webPush = require('web-push'); }catch(e){ _webPush = null; return null; }
+  let keys = process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY ? { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY } : updatesStore.data.vapid;
+  if(!keys){ keys = _webPush.generateVAPIDKeys(); updatesStore.data.vapid = keys; updatesStore.save(); }
+  _webPush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:admin@localhost', keys.publicKey, keys.privateKey);
+  _webPush.publicKey = keys.publicKey;
+  return _webPush;
+}
+
+// followed series are tracked per source; default-source keys stay the bare slug (as stored before sources existed)
+const seriesKey = (source, slug) => source === DEFAULT_SITE.id ? slug : `${source}:${slug}`;
+function followedSeries(){
+  const out = new Map(); // seriesKey -> { source, slug, users: Set(userId) }
+  for(const u of Object.values(usersStore.data.users)) for(const [key, f] of Object.entries(u.library || {})){
+    const source = f.source || DEFAULT_SITE.id; const slug = f.slug || key;
+    if(!out.has(key)) out.set(key, { source, slug, users: new Set() });
+    out.get(key).users.add(u.id);
+  }
+  return out;
+}
+const eventFollowers = (followers, ev) => (followers.get(seriesKey(ev.source || DEFAULT_SITE.id, ev.slug)) || { users: new Set() }).users;
+// bypasses the fresh cache window so polling sees upstream changes
+async function refreshMangaDetail(slug, site = DEFAULT_SITE){
+  await cache.delete(`html:${mangaDetailUrl(slug, site)}`);
+  return cache.refresh(`detail:${site.id}:${slug}`, CACHE_POLICIES.detail, ()=> scrapeMangaDetail(slug, site));
+}
+
+// returns the new-chapter events for one series; the first sighting only records a baseline
+function diffChapters(slug, detail, source = DEFAULT_SITE.id){
+  const snaps = updatesStore.data.snapshots; const key = seriesKey(source, slug); const prev = snaps[key];
+  const ids = (detail.chapters || []).map(c => String(c.chapterId));
+  snaps[key] = { title: detail.title, chapterIds: ids, checkedAt: Date.now() };
+  updatesStore.save();
+  if(!prev) return [];
+  const known = new Set(prev.chapterIds);
+  return (detail.chapters || []).filter(c => !known.has(String(c.chapterId))).map(c => ({
+    id: crypto.randomBytes(6).toString('hex'), source, slug, mangaTitle: detail.title, cover: detail.cover || null,
+    chapterId: c.chapterId, chapterNum: c.chapterNum, chapterTitle: c.title, link: c.link, detectedAt: Date.now()
+  }));
+}
+
+async function pollUpdates(){
+  if(_updatesPoll) return _updatesPoll;
+  _updatesPoll = (async ()=>{
+    const followers = followedSeries(); const fresh = [];
+    for(const { source, slug } of followers.values()){
+      const provider = providers.get(source);
+      if(!provider){ log('warn', 'pollUpdates: followed series on an unknown source', { source, slug }); continue; }
+      try{ fresh.push(...diffChapters(slug, catalogIndexDetail(provider, await (provider.refreshDetail ? provider.refreshDetail(slug) : provider.detail(slug))), source)); }
+      catch(e){ logErr(e, `pollUpdates ${source}/${slug}`); }
+    }
+    if(fresh.length){
+      updatesStore.data.events = [...fresh, ...updatesStore.data.events].slice(0, MAX_UPDATE_EVENTS);
+      updatesStore.save();
+      notifyWebhooks(fresh, followers).catch(e => logErr(e, 'notifyWebhooks'));
+      notifyPush(fresh, followers).catch(e => logErr(e, 'notifyPush'));
+    }
+    return { checked: followers.size, newEvents: fresh.length };
+  })().finally(()=>{ _updatesPoll = null; });
+  return _updatesPoll;
+}
+if(UPDATES_POLL_MS > 0) onStart(()=> setInterval(()=> pollUpdates().catch(e => logErr(e, 'pollUpdates')), UPDATES_POLL_MS).unref());
+
+// webhooks may only reach public addresses: the host is resolved and checked on registration and again before every
+// delivery (a name can point elsewhere by then), and the request is pinned to the checked address
+const WEBHOOKS = { privateTargets: process.env.WEBHOOK_PRIVATE_TARGETS === 'allow' ? 'allow' : 'deny' };
+const PRIVATE_NETS = new net.BlockList(); // loopback, private, shared, link-local, multicast/reserved; IPv4-mapped IPv6 matches the IPv4 rules
+for(const [addr, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) PRIVATE_NETS.addSubnet(addr, bits, 'ipv4');
+for(const [addr, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) PRIVATE_NETS.addSubnet(addr, bits, 'ipv6');
+async function resolveWebhookTarget(href){
+  const host = new URL(href).hostname.replace(/^\[|\]$/g, '');
+  let addrs;
+  try{ addrs = await dns.promises.lookup(host, { all: true, verbatim: true }); }
+  catch(e){ throw new ApiError('BAD_REQUEST', `webhook host ${host} does not resolve`); }
+  if(!addrs.length) throw new ApiError('BAD_REQUEST', `webhook host ${host} does not resolve`);
+  if(WEBHOOKS.privateTargets !== 'allow'){
+    const blocked = addrs.find(a => PRIVATE_NETS.check(a.address, a.family === 6 ? 'ipv6' : 'ipv4'));
+    if(blocked) throw new ApiError('BAD_REQUEST', `webhook host ${host} resolves to a non-public address (${blocked.address})`);
+  }
+  return addrs[0];
+}
+
+async function deliverWebhook(hook, payload, attempt = 1){
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', hook.secret).update(body).digest('hex');
+  try{
+    const target = await resolveWebhookTarget(hook.url);
+    // no redirects: a 3xx could point the request at an internal address after the check
+    await axios.post(hook.url, body, { timeout: 10000, maxRedirects: 0, lookup: async () => target, headers: { 'Content-Type': 'application/json', 'User-Agent': 'manga-proxy/1.0', 'X-Tower-Event': payload.type, 'X-Tower-Signature': `sha256=${signature}` } });
+    hook.lastDeliveryAt = Date.now(); hook.lastError = null;
+  }catch(e){
+    if(attempt < 3 && !(e instanceof ApiError)){ await new Promise(r => setTimeout(r, 2000 * Math.pow(2, attempt))); return deliverWebhook(hook, payload, attempt + 1); }
+    hook.lastError = e.message; logErr(e, `webhook ${hook.id}`);
+  }
+  updatesStore.save();
+}
+async function notifyWebhooks(events, followers){
+  for(const hook of Object.values(updatesStore.data.webhooks)){
+    const mine = events.filter(ev => eventFollowers(followers, ev).has(hook.userId) && (!hook.slugs || !hook.slugs.length || hook.slugs.includes(ev.slug)));
+    if(mine.length) await deliverWebhook(hook, { type: 'chapter.new', events: mine, sentAt: Date.now() });
+  }
+}
+async function notifyPush(events, followers){
+  const webPush = loadWebPush(); if(!webPush) return;
+  for(const [key, sub] of Object.entries(updatesStore.data.pushSubs)){
+    const mine = events.filter(ev => eventFollowers(followers, ev).has(sub.userId));
+    if(!mine.length) continue;
+    const first = mine[0];
+    const payload = JSON.stringify({ title: mine.length > 1 ? `${mine.length} قسمت جدید` : `${first.mangaTitle}: ${first.chapterTitle}`, body: Array.from(new Set(mine.map(ev => ev.mangaTitle))).join('، '), url: `/reader?slug=${encodeURIComponent(first.slug)}&chapter=${encodeURIComponent(first.chapterId)}` });
+    try{ await webPush.sendNotification(sub.subscription, payload); }
+    catch(e){
+      if(e.statusCode === 404 || e.statusCode === 410){ delete updatesStore.data.pushSubs[key]; updatesStore.save(); }
+      else logErr(e, 'web push');
+    }
+  }
+}
+
+// keys: a Set of seriesKey()s to keep (null: every series)
+function filterEvents({ keys, since, limit }){
+  let list = updatesStore.data.events;
+  if(keys) list = list.filter(ev => keys.has(seriesKey(ev.source || DEFAULT_SITE.id, ev.slug)));
+  if(since) list = list.filter(ev => ev.detectedAt > since);
+  return list.slice(0, limit).map(ev => ev.source ? ev : { ...ev, source: DEFAULT_SITE.id }); // events from before sources were recorded
+}
+function atomFeed({ id, title, selfUrl, events }){
+  const updated = new Date(events.length ? events[0].detectedAt : Date.now()).toISOString();
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xmlEscape(id)}</id>
+  <title>${xmlEscape(title)}</title>
+  <updated>${updated}</updated>
+  <link rel="self" href="${xmlEscape(selfUrl)}"/>
+${events.map(ev => `  <entry>
+    <id>urn:towerapi:update:${ev.id}</id>
+    <title>${xmlEscape(`${ev.mangaTitle} — ${ev.chapterTitle || ev.chapterId}`)}</title>
+    <updated>${new Date(ev.detectedAt).toISOString()}</updated>
+    <link href="${xmlEscape(ev.link)}"/>
+    <summary>${xmlEscape(`${ev.mangaTitle}: ${ev.chapterTitle || ev.chapterId}`)}</summary>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
+
+/* updates API + feeds */
+app.get('/api/updates', validate({ query: { limit: P.int({ max: 200, default: 50 }), since: P.int({ min: 0, default: 0 }), slug: P.list({ max: 100 }), scope: P.oneOf(['following', 'all'], { default: 'following' }) } }), (req,res)=>{
+  const { limit, since } = req.valid;
+  let keys = null;
+  // ?slug= names series on the ?source= they are read from; the library already holds series keys
+  if(req.valid.slug) keys = new Set(req.valid.slug.map(s => sanitizeSlug(s)).filter(Boolean).map(s => seriesKey(req.provider.id, s)));
+  else if(req.user && req.valid.scope !== 'all') keys = new Set(Object.keys(req.user.library || {}));
+  const items = filterEvents({ keys, since, limit });
+  return res.json({ ok:true, scope: keys ? (req.query.slug ? 'slug' : 'following') : 'all', count: items.length, items });
+});
+app.get('/api/feed.xml', (req,res)=>{
+  const events = filterEvents({ limit: 100 });
+  res.type('application/atom+xml').send(atomFeed({ id: 'urn:towerapi:updates', title: 'Manhwa Vault — new chapters', selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`, events }));
+});
+app.get('/api/feed/:slug.xml', validate(SLUG_PARAM), (req,res)=>{
+  const { slug } = req.valid;
+  const key = seriesKey(req.provider.id, slug);
+  const events = filterEvents({ keys: new Set([key]), limit: 100 });
+  const snap = updatesStore.data.snapshots[key];
+  res.type('application/atom+xml').send(atomFeed({ id: `urn:towerapi:updates:${key}`, title: `${(snap && snap.title) || slug} — new chapters`, selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`, events }));
+});
+
+/* outbound webhooks (per user; payloads signed with HMAC-SHA256 of the body) */
+function publicHook(h){ const { secret, ...rest } = h; return rest; }
+app.get('/api/webhooks', requireUser, (req,res)=>{
+  const items = Object.values(updatesStore.data.webhooks).filter(h => h.userId === req.user.id).map(publicHook);
+  return res.json({ ok:true, count: items.length, items });
+});
+app.post('/api/webhooks', requireUser, async (req,res)=>{
+  let url;
+  try{ url = new URL(String((req.body || {}).url || '')); }catch(e){ return sendError(res, new ApiError('BAD_REQUEST', 'invalid url')); }
+  if(!/^https?:$/.test(url.protocol)) return sendError(res, new ApiError('BAD_REQUEST', 'invalid url'));
+  try{ await resolveWebhookTarget(url.href); }catch(e){ return sendError(res, e, '/api/webhooks'); }
+  const slugs = Array.isArray(req.body.slugs) ? req.body.slugs.map(s => sanitizeSlug(String(s))).filter(Boolean) : null;
+  const hook = { id: crypto.randomBytes(8).toString('hex'), userId: req.user.id, url: url.href, slugs, secret: crypto.randomBytes(24).toString('hex'), createdAt: Date.now(), lastDeliveryAt: null, lastError: null };
+  updatesStore.data.webhooks[hook.id] = hook; updatesStore.save();
+  // the secret is only shown once, on creation
+  return res.status(201).json({ ok:true, webhook: { ...publicHook(hook), secret: hook.secret } });
+});
+app.delete('/api/webhooks/:id', requireUser, (req,res)=>{
+  const hook = updatesStore.data.webhooks[req.params.id];
+  if(!hook || hook.userId !== req.user.id) return sendError(res, new ApiError('NOT_FOUND', 'webhook not found'));
+  delete updatesStore.data.webhooks[hook.id]; updatesStore.save();
+  return res.json({ ok:true });
+});
+
+/* web push subscriptions (needs the optional web-push module) */
+app.get('/api/push/key', (req,res)=>{
+  const webPush = loadWebPush();
+  if(!webPush) return sendError(res, new ApiError('UNAVAILABLE', 'web push not available'));
+  return res.json({ ok:true, publicKey: webPush.publicKey });
+});
+app.post('/api/push/subscribe', requireUser, (req,res)=>{
+  const sub = (req.body || {}).subscription;
+  if(!sub || typeof sub.endpoint !== 'string' || !sub.keys) return sendError(res, new ApiError('BAD_REQUEST', 'invalid subscription'));
+  updatesStore.data.pushSubs[tokenKey(sub.endpoint)] = { userId: req.user.id, subscription: sub, createdAt: Date.now() };
+  updatesStore.save();
+  return res.status(201).json({ ok:true });
+});
+app.delete('/api/push/subscribe', requireUser, (req,res)=>{
+  const endpoint = (req.body || {}).endpoint;
+  const key = endpoint ? tokenKey(endpoint) : null;
+  if(key && updatesStore.data.pushSubs[key] && updatesStore.data.pushSubs[key].userId === req.user.id){ delete updatesStore.data.pushSubs[key]; updatesStore.save(); }
+  return res.json({ ok:true });
+});
+
+/* community: one rating per reader and series, comment threads per chapter (one level of replies), spoilers, reports
+   and moderation, in DATA_DIR/community.json. Comment bodies are plain text; ||text|| marks an inline spoiler, which the
+   front end renders (the whole comment can also be flagged as a spoiler) */
+const COMMUNITY = {
+  maxLength: Math.max(10, Number(process.env.COMMENT_MAX_LENGTH) || 2000),
+  userLimit: Math.max(1, Number(process.env.COMMUNITY_USER_LIMIT) || 10), // writes (comments, edits, reports, ratings) per window and account
+  ipLimit: Math.max(1, Number(process.env.COMMUNITY_IP_LIMIT) || 30), // ... and per client address, so extra accounts do not help
+  windowMs: envMs('COMMUNITY_WINDOW_MS', 60*1000),
+  reportsToHide: Math.max(1, Number(process.env.COMMENT_REPORTS_TO_HIDE) || 3) // distinct reporters before a comment is hidden pending review
+};
+const RATING_MAX = 5;
+const COMMENT_STATUSES = ['visible', 'hidden', 'deleted'];
+// ratings: seriesKey -> userId -> { score, at }; threads: "<seriesKey>/<chapterId>" -> comment ids in posting order
+const communityStore = openStore('community', { ratings: {}, threads: {}, comments: {} });
+
+const _communityHits = new Map(); // "u:<id>" | "ip:<addr>" -> write times inside the window
+onStart(()=> setInterval(()=>{
+  const since = Date.now() - COMMUNITY.windowMs;
+  for(const [k, hits] of _communityHits){ const live = hits.filter(t => t > since); if(live.length) _communityHits.set(k, live); else _communityHits.delete(k); }
+}, 60*1000).unref());
+// sliding window per account and per IP; admins are not limited. Called once a write has passed validation, so a
+// rejected request does not use up a slot; true when it answered 429
+function communityThrottled(req, res){
+  if(req.admin) return false;
+  const now = Date.now(); const since = now - COMMUNITY.windowMs;
+  const buckets = [[`u:${req.user.id}`, COMMUNITY.userLimit], [`ip:${req.ip}`, COMMUNITY.ipLimit]];
+  for(const [key, limit] of buckets){
+    const hits = (_communityHits.get(key) || []).filter(t => t > since);
+    _communityHits.set(key, hits);
+    if(hits.length >= limit){
+      const retryAfter = Math.max(1, Math.ceil((hits[0] + COMMUNITY.windowMs - now) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      sendError(res, new ApiError('RATE_LIMITED', `too many posts, try again in ${retryAfter}s`, { retryAfter }));
+      return true;
+    }
+  }
+  for(const [key] of buckets) _communityHits.get(key).push(now);
+  return false;
+}
+
+const bodyError = (param, message) => invalidParams([{ in: 'body', param, message }]);
+function commentText(v){
+  if(typeof v !== 'string' || !v.trim()) throw bodyError('body', 'is required');
+  const text = v.replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if(text.length > COMMUNITY.maxLength) throw bodyError('body', `must be at most ${COMMUNITY.maxLength} characters`);
+  return text;
+}
+function ratingSummary(slug, user, source = DEFAULT_SITE.id){
+  const ratings = communityStore.data.ratings[seriesKey(source, slug)];
+  const votes = Object.values(ratings || {});
+  const distribution = {};
+  for(let s = 1; s <= RATING_MAX; s++) distribution[s] = 0;
+  for(const v of votes) distribution[v.score]++;
+  const average = votes.length ? Math.round(votes.reduce((n, v) => n + v.score, 0) / votes.length * 100) / 100 : null;
+  const mine = user && ratings && ratings[user.id];
+  return { slug, average, count: votes.length, distribution, mine: mine ? mine.score : null };
+}
+
+// hidden comments stay readable for admins and their author; deleted ones only remain as placeholders above replies
+const commentMine = (c, req) => !!(req.user && req.user.id === c.userId);
+const commentShown = (c, req) => c.status === 'visible' || (c.status === 'hidden' && (req.admin || commentMine(c, req)));
+function publicComment(c, req){
+  const author = c.status !== 'deleted' && usersStore.data.users[c.userId];
+  return {
+    id: c.id, slug: c.slug, chapterId: c.chapterId, parentId: c.parentId, author: author ? author.username : null,
+    body: commentShown(c, req) ? c.body : null, spoiler: c.spoiler, status: c.status, createdAt: c.createdAt, editedAt: c.editedAt, mine: commentMine(c, req),
+    ...(req.admin ? { reports: c.reports.length } : {})
+  };
+}
+const threadKey = (source, slug, chapterId) => `${seriesKey(source, slug)}/${chapterId}`;
+const threadComments = (source, slug, chapterId) => (communityStore.data.threads[threadKey(source, slug, chapterId)] || []).map(id => communityStore.data.comments[id]).filter(Boolean);
+function findComment(id, { editable = false } = {}){
+  const c = communityStore.data.comments[String(id)];
+  if(!c || (editable && c.status === 'deleted')) throw new ApiError('NOT_FOUND', 'comment not found');
+  return c;
+}
+// drops a comment (and a deleted parent left without replies); one with replies becomes a placeholder instead
+function removeComment(c){
+  const comments = communityStore.data.comments; const key = threadKey(c.source || DEFAULT_SITE.id, c.slug, c.chapterId);
+  if(Object.values(comments).some(r => r.parentId === c.id)){ Object.assign(c, { status: 'deleted', body: '', reports: [] }); return true; }
+  delete comments[c.id];
+  communityStore.data.threads[key] = (communityStore.data.threads[key] || []).filter(id => id !== c.id);
+  if(!communityStore.data.threads[key].length) delete communityStore.data.threads[key];
+  const parent = c.parentId && comments[c.parentId];
+  if(parent && parent.status === 'deleted') removeComment(parent);
+  return false;
+}
+
+const RATING_PARAMS = { params: { slug: P.slug({ required: true }) } };
+app.get('/api/manga/:slug/rating', validate(RATING_PARAMS), (req,res)=> res.json({ ok:true, ...ratingSummary(req.valid.slug, req.user, req.provider.id) }));
+app.put('/api/manga/:slug/rating', requireUser, validate(RATING_PARAMS), (req,res)=>{
+  const { slug } = req.valid; const score = (req.body || {}).score; const key = seriesKey(req.provider.id, slug);
+  if(!Number.isInteger(score) || score < 1 || score > RATING_MAX) return sendError(res, bodyError('score', `must be a whole number from 1 to ${RATING_MAX}`));
+  if(communityThrottled(req, res)) return;
+  const ratings = communityStore.data.ratings[key] || (communityStore.data.ratings[key] = {});
+  ratings[req.user.id] = { score, at: Date.now() };
+  communityStore.save();
+  return res.json({ ok:true, ...ratingSummary(slug, req.user, req.provider.id) });
+});
+app.delete('/api/manga/:slug/rating', requireUser, validate(RATING_PARAMS), (req,res)=>{
+  const { slug } = req.valid; const key = seriesKey(req.provider.id, slug); const ratings = communityStore.data.ratings[key];
+  if(ratings){ delete ratings[req.user.id]; if(!Object.keys(ratings).length) delete communityStore.data.ratings[key]; communityStore.save(); }
+  return res.json({ ok:true, ...ratingSummary(slug, req.user, req.provider.id) });
+});
+
+// latest comments on any chapter of a series (the detail page)
+app.get('/api/manga/:slug/comments', validate({ params: { slug: P.slug({ required: true }) }, query: { limit: P.int({ max: 50, default: 10 }) } }), (req,res)=>{
+  const { slug, limit } = req.valid; const prefix = `${seriesKey(req.provider.id, slug)}/`;
+  const all = Object.keys(communityStore.data.threads).filter(k => k.startsWith(prefix))
+    .flatMap(k => communityStore.data.threads[k].map(id => communityStore.data.comments[id]))
+    .filter(c => c && c.status === 'visible').sort((a,b)=> b.createdAt - a.createdAt);
+  const items = all.slice(0, limit).map(c => publicComment(c, req));
+  return res.json({ ok:true, slug, total: all.length, count: items.length, items });
+});
+// one chapter's thread: top-level comments (newest or oldest first, paged) with their replies oldest first
+const THREAD_PARAMS = { params: { slug: P.slug({ required: true }), chapter: P.chapter({ required: true }) } };
+app.get('/api/manga/:slug/chapters/:chapter/comments', validate({ ...THREAD_PARAMS, query: { sort: P.oneOf(['new', 'old'], { default: 'new' }), page: P.int({ default: 1 }), limit: P.int({ max: 100, default: 20 }) } }), (req,res)=>{
+  const { slug, chapter, sort, page, limit } = req.valid;
+  const comments = threadComments(req.provider.id, slug, chapter);
+  const replies = parentId => comments.filter(c => c.parentId === parentId && commentShown(c, req)).map(c => publicComment(c, req));
+  const top = comments.filter(c => !c.parentId).map(c => ({ c, replies: replies(c.id) })).filter(t => commentShown(t.c, req) || t.replies.length);
+  if(sort === 'new') top.reverse();
+  const items = top.slice((page - 1) * limit, page * limit).map(t => ({ ...publicComment(t.c, req), replies: t.replies }));
+  return res.json({ ok:true, slug, chapterId: chapter, sort, page, limit, total: top.length, count: comments.filter(c => commentShown(c, req)).length, moderator: !!req.admin, items });
+});
+// { body, spoiler?, parentId? }: a reply to a reply joins the thread of the top-level comment
+app.post('/api/manga/:slug/chapters/:chapter/comments', requireUser, validate(THREAD_PARAMS), (req,res)=>{
+  try{
+    const { slug, chapter } = req.valid; const b = req.body || {}; const source = req.provider.id; const key = threadKey(source, slug, chapter);
+    const body = commentText(b.body);
+    let parentId = null;
+    if(b.parentId != null){
+      const parent = communityStore.data.comments[String(b.parentId)];
+      if(!parent || threadKey(parent.source || DEFAULT_SITE.id, parent.slug, parent.chapterId) !== key || parent.status === 'deleted') throw bodyError('parentId', 'is not a comment of this chapter');
+      parentId = parent.parentId || parent.id;
+    }
+    if(communityThrottled(req, res)) return;
+    const c = { id: crypto.randomBytes(8).toString('hex'), source, slug, chapterId: chapter, parentId, userId: req.user.id, body, spoiler: !!b.spoiler, status: 'visible', createdAt: Date.now(), editedAt: null, reports: [] };
+    communityStore.data.comments[c.id] = c;
+    (communityStore.data.threads[key] = communityStore.data.threads[key] || []).push(c.id);
+    communityStore.save();
+    return res.status(201).json({ ok:true, comment: publicComment(c, req) });
+  }catch(e){ return sendError(res, e, 'POST comments'); }
+});
+// authors edit their own comments ({ body?, spoiler? }); admins hide them instead
+app.patch('/api/comments/:id', requireUser, (req,res)=>{
+  try{
+    const c = findComment(req.params.id, { editable: true }); const b = req.body || {};
+    if(!commentMine(c, req)) throw new ApiError('FORBIDDEN', 'only the author can edit a comment');
+    const body = b.body !== undefined ? commentText(b.body) : undefined;
+    if(communityThrottled(req, res)) return;
+    if(body !== undefined) c.body = body;
+    if(b.spoiler !== undefined) c.spoiler = !!b.spoiler;
+    c.editedAt = Date.now();
+    communityStore.save();
+    return res.json({ ok:true, comment: publicComment(c, req) });
+  }catch(e){ return sendError(res, e, 'PATCH /api/comments/:id'); }
+});
+app.delete('/api/comments/:id', (req,res,next)=> req.admin ? next() : requireUser(req, res, next), (req,res)=>{
+  try{
+    const c = findComment(req.params.id, { editable: true });
+    if(!commentMine(c, req) && !req.admin) throw new ApiError('FORBIDDEN', 'only the author or an admin can delete a comment');
+    const placeholder = removeComment(c);
+    communityStore.save();
+    return res.json({ ok:true, id: c.id, placeholder });
+  }catch(e){ return sendError(res, e, 'DELETE /api/comments/:id'); }
+});
+// one report per reader; enough distinct reports hide the comment until an admin reviews it
+app.post('/api/comments/:id/report', requireUser, (req,res)=>{
+  try{
+    const c = findComment(req.params.id, { editable: true });
+    if(commentMine(c, req)) throw new ApiError('BAD_REQUEST', 'you cannot report your own comment');
+    if(communityThrottled(req, res)) return;
+    const reason = String((req.body || {}).reason || '').trim().slice(0, 500);
+    if(!c.reports.some(r => r.userId === req.user.id)) c.reports.push({ userId: req.user.id, reason, at: Date.now() });
+    if(c.status === 'visible' && c.reports.length >= COMMUNITY.reportsToHide){ c.status = 'hidden'; c.hiddenBy = 'reports'; }
+    communityStore.save();
+    return res.json({ ok:true, id: c.id, reported: true });
+  }catch(e){ return sendError(res, e, 'POST /api/comments/:id/report'); }
+});
+
+/* chapter downloads: CBZ (+ComicInfo.xml), PDF and fixed-layout EPUB; ranges run as background jobs */
+const DOWNLOAD_DIR = process.env.DOWNLOAD_DIR || path.join(os.tmpdir(), 'towerapi-downloads');
+const DOWNLOAD_FORMATS = { cbz: 'application/vnd.comicbook+zip', pdf: 'application/pdf', epub: 'application/epub+zip' };
+const DOWNLOAD_JOB_TTL_MS = envMs('DOWNLOAD_JOB_TTL_MS', 60*60*1000);
+const MAX_DOWNLOAD_CHAPTERS = 100;
+// background jobs each fetch whole chapter ranges upstream and write into DOWNLOAD_DIR, so they are bounded per user,
+// in total, and by the size of the archive they may write
+const DOWNLOAD_LIMITS = {
+  perUser: Math.max(1, Number(process.env.DOWNLOAD_MAX_JOBS_PER_USER) || 2), // queued or running at once
+  total: Math.max(1, Number(process.env.DOWNLOAD_MAX_JOBS) || 8),
+  jobBytes: Math.max(1024*1024, Number(process.env.DOWNLOAD_MAX_JOB_BYTES) || 2*1024*1024*1024)
+};
+const DOWNLOAD_CONCURRENCY = 4;
+
+function xmlEscape(s){ return String(s == null ? '' : s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&apos;'}[c])); }
+
+const CRC_TABLE = (()=>{ const t = new Uint32Array(256); for(let n=0;n<256;n++){ let c = n; for(let k=0;k<8;k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1); t[n] = c >>> 0; } return t; })();
+function crc32(buf){ let c = 0xFFFFFFFF; for(let i=0;i<buf.length;i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8); return (c ^ 0xFFFFFFFF) >>> 0; }
+function dosDateTime(d){ return { time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds()/2), date: ((d.getFullYear()-1980) << 9) | ((d.getMonth()+1) << 5) | d.getDate() }; }
+
+// byte sink over a writable stream that tracks the current offset (zip/pdf need it)
+function createSink(out){
+  let offset = 0;
+  return {
+    get offset(){ return offset; },
+    write(buf){
+      if(!Buffer.isBuffer(buf)) buf = Buffer.from(String(buf), 'utf8');
+      // a stream that already failed emits nothing more, so waiting on it below would hang
+      if(out.destroyed || out.writableEnded) return Promise.reject(out.errored || new Error('output closed'));
+      offset += buf.length;
+      if(out.write(buf)) return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        const done = err => { out.off('drain', done); out.off('error', done); out.off('close', closed); err ? reject(err) : resolve(); };
+        const closed = () => done(new Error('output closed'));
+        out.on('drain', done); out.on('error', done); out.on('close', closed);
+      });
+    }
+  };
+}
+
+// minimal store-only ZIP writer: pages are already compressed, and EPUB needs "mimetype" stored anyway.
+// Offsets, the central directory size and the entry count switch to ZIP64 records once they pass the
+// 32/16-bit fields (`limit` lowers the offset threshold so tests can exercise that path with small archives).
+const ZIP32_MAX = 0xFFFFFFFF, ZIP16_MAX = 0xFFFF;
+function createZipWriter(out, { limit = ZIP32_MAX } = {}){
+  const sink = createSink(out); const entries = [];
+  return {
+    async add(name, data){
+      if(!Buffer.isBuffer(data)) data = Buffer.from(String(data), 'utf8');
+      if(data.length >= ZIP32_MAX) throw new Error(`zip entry "${name}" is too large`);
+      const nameBuf = Buffer.from(name, 'utf8'); const crc = crc32(data); const { time, date } = dosDateTime(new Date());
+      const h = Buffer.alloc(30);
+      h.writeUInt32LE(0x04034b50, 0); h.writeUInt16LE(20, 4); h.writeUInt16LE(0x0800, 6); h.writeUInt16LE(0, 8);
+      h.writeUInt16LE(time, 10); h.writeUInt16LE(date, 12); h.writeUInt32LE(crc, 14); h.writeUInt32LE(data.length, 18); h.writeUInt32LE(data.length, 22);
+      h.writeUInt16LE(nameBuf.length, 26); h.writeUInt16LE(0, 28);
+      entries.push({ nameBuf, crc, size: data.length, offset: sink.offset, time, date });
+      await sink.write(h); await sink.write(nameBuf); await sink.write(data);
+    },
+    async finish(){
+      const start = sink.offset;
+      for(const e of entries){
+        const wide = e.offset >= limit; // extra field 0x0001 carries the 64-bit local header offset
+        const c = Buffer.alloc(46 + (wide ? 12 : 0));
+        c.writeUInt32LE(0x02014b50, 0); c.writeUInt16LE(wide ? 45 : 20, 4); c.writeUInt16LE(wide ? 45 : 20, 6); c.writeUInt16LE(0x0800, 8); c.writeUInt16LE(0, 10);
+        c.writeUInt16LE(e.time, 12); c.writeUInt16LE(e.date, 14); c.writeUInt32LE(e.crc, 16); c.writeUInt32LE(e.size, 20); c.writeUInt32LE(e.size, 24);
+        c.writeUInt16LE(e.nameBuf.length, 28); c.writeUInt16LE(wide ? 12 : 0, 30); c.writeUInt32LE(wide ? ZIP32_MAX : e.offset, 42);
+        if(wide){ c.writeUInt16LE(0x0001, 46); c.writeUInt16LE(8, 48); c.writeBigUInt64LE(BigInt(e.offset), 50); }
+        await sink.write(c.subarray(0, 46)); await sink.write(e.nameBuf); if(wide) await sink.write(c.subarray(46));
+      }
+      const size = sink.offset - start;
+      const wide = start >= limit || size >= ZIP32_MAX || entries.length >= ZIP16_MAX;
+      if(wide){
+        const at = sink.offset; const z = Buffer.alloc(56 + 20);
+        z.writeUInt32LE(0x06064b50, 0); z.writeBigUInt64LE(44n, 4); z.writeUInt16LE(45, 12); z.writeUInt16LE(45, 14);
+        z.writeBigUInt64LE(BigInt(entries.length), 24); z.writeBigUInt64LE(BigInt(entries.length), 32);
+        z.writeBigUInt64LE(BigInt(size), 40); z.writeBigUInt64LE(BigInt(start), 48);
+        z.writeUInt32LE(0x07064b50, 56); z.writeBigUInt64LE(BigInt(at), 64); z.writeUInt32LE(1, 72);
+        await sink.write(z);
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0); end.writeUInt16LE(Math.min(entries.length, ZIP16_MAX), 8); end.writeUInt16LE(Math.min(entries.length, ZIP16_MAX), 10);
+      end.writeUInt32LE(Math.min(size, ZIP32_MAX), 12); end.writeUInt32LE(wide ? ZIP32_MAX : start, 16);
+      await sink.write(end);
+    }
+  };
+}
+
+// read type and pixel size from image headers (jpeg/png/webp/gif) without decoding
+function sniffImage(buf){
+  if(!buf || buf.length < 16) return null;
+  if(buf[0] === 0xFF && buf[1] === 0xD8){
+    let i = 2;
+    while(i + 9 < buf.length){
+      if(buf[i] !== 0xFF){ i++; continue; }
+      const m = buf[i+1];
+      if(m === 0xFF){ i++; continue; }
+      if(m === 0xD8 || m === 0x01 || (m >= 0xD0 && m <= 0xD7)){ i += 2; continue; }
+      if(m >= 0xC0 && m <= 0xCF && m !== 0xC4 && m !== 0xC8 && m !== 0xCC) return { type:'jpeg', mime:'image/jpeg', ext:'jpg', height: buf.readUInt16BE(i+5), width: buf.readUInt16BE(i+7), components: buf[i+9] };
+      i += 2 + buf.readUInt16BE(i+2);
+    }
+    return { type:'jpeg', mime:'image/jpeg', ext:'jpg', width:null, height:null, components:3 };
+  }
+  if(buf.readUInt32BE(0) === 0x89504E47) return { type:'png', mime:'image/png', ext:'png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  if(buf.toString('ascii', 0, 4) === 'GIF8') return { type:'gif', mime:'image/gif', ext:'gif', width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  if(buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' && buf.length >= 30){
+    const chunk = buf.toString('ascii', 12, 16); const info = { type:'webp', mime:'image/webp', ext:'webp', width:null, height:null };
+    if(chunk === 'VP8 '){ info.width = buf.readUInt16LE(26) & 0x3FFF; info.height = buf.readUInt16LE(28) & 0x3FFF; }
+    else if(chunk === 'VP8L'){ const b = buf.readUInt32LE(21); info.width = (b & 0x3FFF) + 1; info.height = ((b >>> 14) & 0x3FFF) + 1; }
+    else if(chunk === 'VP8X'){ info.width = 1 + buf.readUIntLE(24, 3); info.height = 1 + buf.readUIntLE(27, 3); }
+    return info;
+  }
+  return null;
+}
+async function toJpeg(img){
+  if(img.type === 'jpeg') return img;
+  const sharp = loadSharp();
+  if(!sharp) throw new Error('PDF export of non-JPEG pages requires the optional "sharp" module');
+  const buf = await sharp(img.buf, { failOn: 'none' }).flatten({ background: '#ffffff' }).jpeg({ quality: 90 }).toBuffer();
+  return { buf, ...sniffImage(buf) };
+}
+
+// download every page (bounded concurrency); missing pages are skipped and counted
+async function fetchPageImages(urls, onPage){
+  const out = new Array(urls.length); let next = 0;
+  async function worker(){
+    while(next < urls.length){
+      const i = next++;
+      try{ const r = await upstreamImageRequest(urls[i], 'arraybuffer'); const buf = Buffer.from(r.data); const info = sniffImage(buf); if(info) out[i] = { buf, ...info }; }
+      catch(e){ if(!(e.response && e.response.status === 404)) logErr(e, `download page ${urls[i]}`); }
+      if(onPage) onPage();
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(DOWNLOAD_CONCURRENCY, urls.length) }, worker));
+  const images = out.filter(Boolean);
+  return { images, missing: urls.length - images.length };
+}
+
+function comicInfoXml({ manga, chapters, pageCount }){
+  const first = chapters[0] || {}; const last = chapters[chapters.length-1] || {};
+  const number = chapters.length > 1 ? `${first.chapterNum ?? first.chapterId}-${last.chapterNum ?? last.chapterId}` : (first.chapterNum ?? first.chapterId ?? '');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
+  <Title>${xmlEscape(chapters.length > 1 ? `${manga.title} ${number}` : (first.title || manga.title))}</Title>
+  <Series>${xmlEscape(manga.title)}</Series>
+  <Number>${xmlEscape(number)}</Number>
+  <Count>${(manga.chapters || []).length}</Count>
+  <Summary>${xmlEscape(manga.description)}</Summary>
+  <Genre>${xmlEscape((manga.genres || []).join(', '))}</Genre>
+  <Web>${xmlEscape(manga.url)}</Web>
+  <PageCount>${pageCount}</PageCount>
+  <LanguageISO>fa</LanguageISO>
+  <Format>Web</Format>
+</ComicInfo>
+`;
+}
+
+// archive builders share one shape: addChapter(chapter, images) per chapter, then finish()
+function createCbzArchive(out, manga){
+  const zip = createZipWriter(out); const chapters = []; let pageCount = 0;
+  return {
+    async addChapter(chapter, images, multi){
+      chapters.push(chapter);
+      const dir = multi ? `${String(chapter.chapterNum ?? chapter.chapterId).replace(/[\\/:*?"<>|]/g, '_')}/` : '';
+      for(let i=0;i<images.length;i++) await zip.add(`${dir}${String(i+1).padStart(3,'0')}.${images[i].ext}`, images[i].buf);
+      pageCount += images.length;
+    },
+    async finish(){ await zip.add('ComicInfo.xml', comicInfoXml({ manga, chapters, pageCount })); await zip.finish(); }
+  };
+}
+
+function pdfTextString(s){ const b = Buffer.from(String(s || ''), 'utf16le'); b.swap16(); return `<FEFF${b.toString('hex').toUpperCase()}>`; }
+function createPdfArchive(out, manga){
+  const sink = createSink(out); const offsets = []; const kids = []; let nextObj = 4; // 1 catalog, 2 pages, 3 info
+  let started = false;
+  async function obj(num, body, stream){
+    offsets[num] = sink.offset;
+    await sink.write(`${num} 0 obj\n${body}\n`);
+    if(stream){ await sink.write('stream\n'); await sink.write(stream); await sink.write('\nendstream\n'); }
+    await sink.write('endobj\n');
+  }
+  async function start(){ if(started) return; started = true; await sink.write(Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')); }
+  return {
+    async addChapter(chapter, images){
+      await start();
+      for(const raw of images){
+        const img = await toJpeg(raw);
+        const w = img.width || 800, h = img.height || 1200;
+        const colorSpace = img.components === 1 ? '/DeviceGray' : (img.components === 4 ? '/DeviceCMYK' : '/DeviceRGB');
+        const imageNum = nextObj++, contentNum = nextObj++, pageNum = nextObj++;
+        await obj(imageNum, `<< /Type /XObject /Subtype /Image /Width ${w} /Height ${h} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode${img.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : ''} /Length ${img.buf.length} >>`, img.buf);
+        const content = Buffer.from(`q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`);
+        await obj(contentNum, `<< /Length ${content.length} >>`, content);
+        await obj(pageNum, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 ${imageNum} 0 R >> >> /Contents ${contentNum} 0 R >>`);
+        kids.push(pageNum);
+      }
+    },
+    async finish(){
+      await start();
+      await obj(2, `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`);
+      await obj(1, '<< /Type /Catalog /Pages 2 0 R >>');
+      await obj(3, `<< /Title ${pdfTextString(manga.title)} /Subject ${pdfTextString((manga.genres || []).join(', '))} /Producer (manga-proxy) >>`);
+      const xrefAt = sink.offset;
+      let xref = `xref\n0 ${nextObj}\n0000000000 65535 f \n`;
+      for(let i=1;i<nextObj;i++) xref += `${String(offsets[i] || 0).padStart(10,'0')} 00000 n \n`;
+      await sink.write(`${xref}trailer\n<< /Size ${nextObj} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`);
+    }
+  };
+}
+
+function createEpubArchive(out, manga){
+  const zip = createZipWriter(out); const pages = []; const toc = []; let started = false;
+  const bookId = `urn:uuid:${crypto.randomUUID()}`;
+  async function start(){
+    if(started) return; started = true;
+    await zip.add('mimetype', 'application/epub+zip');
+    await zip.add('META-INF/container.xml', '<?xml version="1.0" encoding="UTF-8"?>\n<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>\n');
+  }
+  return {
+    async addChapter(chapter, images){
+      await start();
+      for(const img of images){
+        const n = String(pages.length + 1).padStart(4, '0'); const w = img.width || 800, h = img.height || 1200;
+        await zip.add(`OEBPS/images/p${n}.${img.ext}`, img.buf);
+        await zip.add(`OEBPS/pages/p${n}.xhtml`, `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><head><title>${xmlEscape(chapter.title || manga.title)}</title><meta name="viewport" content="width=${w}, height=${h}"/><style>html,body{margin:0;padding:0}img{display:block;width:${w}px;height:${h}px}</style></head><body><img src="../images/p${n}.${img.ext}" alt=""/></body></html>\n`);
+        pages.push({ n, ext: img.ext, mime: img.mime });
+      }
+      if(images.length) toc.push({ title: chapter.title || `Chapter ${chapter.chapterId}`, n: pages[pages.length - images.length].n });
+    },
+    async finish(){
+      await start();
+      const nav = `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><head><title>${xmlEscape(manga.title)}</title></head><body><nav epub:type="toc"><ol>${toc.map(t => `<li><a href="pages/p${t.n}.xhtml">${xmlEscape(t.title)}</a></li>`).join('')}</ol></nav></body></html>\n`;
+      await zip.add('OEBPS/nav.xhtml', nav);
+      const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+      const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid" prefix="rendition: http://www.idpf.org/vocab/rendition/#">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="bookid">${bookId}</dc:identifier>
+    <dc:title>${xmlEscape(manga.title)}</dc:title>
+    <dc:language>fa</dc:language>
+    <dc:description>${xmlEscape(manga.description)}</dc:description>
+    ${(manga.genres || []).map(g => `<dc:subject>${xmlEscape(g)}</dc:subject>`).join('')}
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:spread">none</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+${pages.map(p => `    <item id="img${p.n}" href="images/p${p.n}.${p.ext}" media-type="${p.mime}"/>\n    <item id="p${p.n}" href="pages/p${p.n}.xhtml" media-type="application/xhtml+xml"/>`).join('\n')}
+  </manifest>
+  <spine>
+${pages.map(p => `    <itemref idref="p${p.n}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+      await zip.add('OEBPS/content.opf', opf);
+      await zip.finish();
+    }
+  };
+}
+const ARCHIVE_BUILDERS = { cbz: createCbzArchive, pdf: createPdfArchive, epub: createEpubArchive };
+
+// chapters ordered oldest-first for a from/to range (by chapterNum) or an explicit list of chapter params
+function selectDownloadChapters(manga, { chapters, from, to }){
+  const list = manga.chapters || [];
+  let picked = [];
+  if(chapters && chapters.length) picked = chapters.map(c => matchChapter(list, normalizeChapterParam(c)) || { chapterId: normalizeChapterParam(c), chapterNum: Number(c) || null, title: `Chapter ${c}` });
+  else {
+    const lo = Math.min(Number(from), Number(to)), hi = Math.max(Number(from), Number(to));
+    picked = list.filter(c => typeof c.chapterNum === 'number' && c.chapterNum >= lo - 1e-6 && c.chapterNum <= hi + 1e-6);
+  }
+  const seen = new Set();
+  return picked.filter(c => !seen.has(c.chapterId) && seen.add(c.chapterId)).sort((a,b) => (a.chapterNum ?? 0) - (b.chapterNum ?? 0));
+}
+
+async function buildArchive({ provider = defaultProvider(), slug, format, chapters, out, progress = {} }){
+  const manga = await provider.detail(slug);
+  const archive = ARCHIVE_BUILDERS[format](out, manga);
+  const multi = chapters.length > 1; let missing = 0; let pages = 0;
+  for(const chapter of chapters){
+    const r = await provider.chapterPages(slug, String(chapter.chapterId));
+    if(!r || !r.pages.length){ progress.failedChapters = (progress.failedChapters || 0) + 1; continue; }
+    progress.pagesTotal = (progress.pagesTotal || 0) + r.pages.length;
+    const got = await fetchPageImages(r.pages, ()=>{ progress.pagesDone = (progress.pagesDone || 0) + 1; });
+    missing += got.missing; pages += got.images.length;
+    if(got.images.length) await archive.addChapter(r.matchedChapter || chapter, got.images, multi);
+    progress.chaptersDone = (progress.chaptersDone || 0) + 1;
+  }
+  if(!pages) throw new Error('no pages could be downloaded');
+  await archive.finish();
+  return { manga, pages, missing };
+}
+function downloadFilename(slug, chapters, format){
+  const first = chapters[0], last = chapters[chapters.length-1];
+  const part = chapters.length > 1 ? `${first.chapterNum ?? first.chapterId}-${last.chapterNum ?? last.chapterId}` : `${first.chapterNum ?? first.chapterId}`;
+  return `${slug}-ch${part}.${format}`.replace(/[\\/:*?"<>|,\s]+/g, '_');
+}
+function setAttachmentHeaders(res, filename, format){
+  res.set('Content-Type', DOWNLOAD_FORMATS[format]);
+  res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+}
+
+const downloadJobs = new Map();
+function publicJob(job){ const { file, userId, ...rest } = job; return { ...rest, fileUrl: job.status === 'done' ? `/api/download/jobs/${job.id}/file` : null }; }
+const activeJob = job => job.status === 'queued' || job.status === 'running';
+function startDownloadJob({ provider, slug, format, chapters, userId = null }){
+  const id = crypto.randomBytes(8).toString('hex');
+  const job = { id, userId, source: provider.id, slug, format, status: 'queued', chapters: chapters.map(c => c.chapterId), filename: downloadFilename(slug, chapters, format), progress: { chaptersTotal: chapters.length, chaptersDone: 0, pagesTotal: 0, pagesDone: 0 }, createdAt: Date.now(), finishedAt: null, error: null, file: null };
+  downloadJobs.set(id, job);
+  const fail = e => { logErr(e, `download job ${id}`); Object.assign(job, { status: 'failed', error: e.message, finishedAt: Date.now() }); };
+  (async ()=>{
+    job.status = 'running';
+    const file = path.join(DOWNLOAD_DIR, `${id}.${format}`); let out = null;
+    try{
+      await fs.promises.mkdir(DOWNLOAD_DIR, { recursive: true });
+      // archives are written through a byte counter; past the limit it fails, which fails the archive's next write
+      let written = 0; const limit = DOWNLOAD_LIMITS.jobBytes;
+      out = new stream.Transform({ transform(chunk, enc, cb){ written += chunk.length; cb(written > limit ? new Error(`archive is larger than ${limit} bytes`) : null, chunk); } });
+      const saved = stream.promises.pipeline(out, fs.createWriteStream(file));
+      saved.catch(()=>{}); // awaited below
+      const r = await buildArchive({ provider, slug, format, chapters, out, progress: job.progress });
+      out.end(); await saved;
+      Object.assign(job, { status: 'done', file, pages: r.pages, missingPages: r.missing, finishedAt: Date.now() });
+    }catch(e){
+      if(out) out.destroy();
+      fs.promises.unlink(file).catch(()=>{});
+      fail(e);
+    }
+  })().catch(fail);
+  return job;
+}
+onStart(()=> setInterval(()=>{
+  const now = Date.now();
+  for(const [id, job] of downloadJobs){
+    if(job.finishedAt && now - job.finishedAt > DOWNLOAD_JOB_TTL_MS){ if(job.file) fs.promises.unlink(job.file).catch(()=>{}); downloadJobs.delete(id); }
+  }
+}, 10*60*1000).unref());
+
+/* chapter ranges: background job + progress polling */
+app.post('/api/download/jobs', requireUser, async (req,res)=>{
+  try{
+    const active = Array.from(downloadJobs.values()).filter(activeJob);
+    if(active.filter(j => j.userId === req.user.id).length >= DOWNLOAD_LIMITS.perUser) return sendError(res, new ApiError('RATE_LIMITED', `at most ${DOWNLOAD_LIMITS.perUser} download jobs at a time; wait for one to finish`));
+    if(active.length >= DOWNLOAD_LIMITS.total) return sendError(res, new ApiError('RATE_LIMITED', 'the server is busy with other downloads, try again later'));
+    const body = req.body || {};
+    const format = String(body.format || 'cbz').toLowerCase();
+    if(!DOWNLOAD_FORMATS[format]) return sendError(res, new ApiError('BAD_REQUEST', `format must be one of ${Object.keys(DOWNLOAD_FORMATS).join(', ')}`));
+    if(!body.slug) return sendError(res, new ApiError('BAD_REQUEST', 'slug required'));
+    const list = Array.isArray(body.chapters) ? body.chapters.map(String) : null;
+    if(!(list && list.length) && (body.from == null || body.to == null)) return sendError(res, new ApiError('BAD_REQUEST', 'chapters[] or from/to required'));
+    const slug = sanitizeSlug(String(body.slug)) || String(body.slug);
+    const manga = await req.provider.detail(slug);
+    const chapters = selectDownloadChapters(manga, { chapters: list, from: body.from, to: body.to });
+    if(!chapters.length) return sendError(res, new ApiError('NOT_FOUND', 'no chapters in range'));
+    if(chapters.length > MAX_DOWNLOAD_CHAPTERS) return sendError(res, new ApiError('BAD_REQUEST', `at most ${MAX_DOWNLOAD_CHAPTERS} chapters per job`));
+    const job = startDownloadJob({ provider: req.provider, slug, format, chapters, userId: req.user.id });
+    return res.status(202).json({ ok:true, job: publicJob(job) });
+  }catch(e){ return sendError(res, e, '/api/download/jobs'); }
+});
+app.get('/api/download/jobs/:id', (req,res)=>{
+  const job = downloadJobs.get(req.params.id);
+  if(!job) return sendError(res, new ApiError('NOT_FOUND', 'job not found'));
+  return res.json({ ok:true, job: publicJob(job) });
+});
+app.get('/api/download/jobs/:id/file', (req,res)=>{
+  const job = downloadJobs.get(req.params.id);
+  if(!job) return sendError(res, new ApiError('NOT_FOUND', 'job not found'));
+  if(job.status !== 'done') return sendError(res, new ApiError('CONFLICT', `job is ${job.status}`));
+  setAttachmentHeaders(res, job.filename, job.format);
+  return res.sendFile(job.file);
+});
+
+/* single chapter: streamed straight to the client (registered after /jobs so it does not shadow it) */
+app.get('/api/download/:slug/:chapter', validate({ params: { slug: P.slug({ required: true }), chapter: P.chapter({ required: true }) }, query: { format: P.oneOf(Object.keys(DOWNLOAD_FORMATS), { default: 'cbz' }) } }), async (req,res)=>{
+  try{
+    const { slug, chapter, format } = req.valid;
+    const manga = await req.provider.detail(slug);
+    const chapters = selectDownloadChapters(manga, { chapters: [chapter] });
+    setAttachmentHeaders(res, downloadFilename(slug, chapters, format), format);
+    await buildArchive({ provider: req.provider, slug, format, chapters, out: res });
+    res.end();
+  }catch(e){
+    if(!res.headersSent) res.removeHeader('Content-Disposition');
+    return sendError(res, e, '/api/download/:slug/:chapter');
+  }
+});
+
+/* search: the local catalog index for the default source, a home-listing scan for others */
+app.get('/api/search', validate({ query: { q: P.text({ max: 200, default: '' }), genre: P.list({ default: () => [] }), page: P.int({ max: 1000, default: 1 }), limit: P.int({ max: 50, default: 20 }) } }), async (req,res)=>{
+  try{
+    const { q, genre: genres, page, limit } = req.valid;
+    if(!q && !genres.length) return sendError(res, new ApiError('BAD_REQUEST', 'missing q or genre'));
+    const { total, items, index } = await req.provider.search({ q, genres, page, limit });
+    return res.json({ ok:true, source: req.provider.id, q, genres, page, limit, total, items: seriesItems(items, req.provider), index: index || null });
+  }catch(e){ return sendError(res, e, '/api/search'); }
+});
+
+/* browse: multi-genre filters, status and sorting over the local catalog */
+const BROWSE_QUERY = {
+  genres: P.list({ default: () => [] }), mode: P.oneOf(['and', 'or'], { default: 'and' }), exclude: P.list({ default: () => [] }),
+  status: P.oneOf(SERIES_STATUSES), sort: P.oneOf(Object.keys(BROWSE_SORTS), { default: 'latest' }), order: P.oneOf(['asc', 'desc']),
+  page: P.int({ max: 1000, default: 1 }), limit: P.int({ max: 60, default: 24 })
+};
+app.get('/api/browse', validate({ query: BROWSE_QUERY }), async (req,res)=>{
+  try{
+    if(!req.provider.browse) return sendError(res, new ApiError('BAD_REQUEST', `source "${req.provider.id}" has no catalog to browse`));
+    const { genres, mode, exclude, status, sort, page, limit } = req.valid;
+    const order = req.valid.order || BROWSE_SORTS[sort];
+    const { total, items, facets, index } = await req.provider.browse({ genres, mode, exclude, status: status || null, sort, order, page, limit });
+    return res.json({ ok:true, source: req.provider.id, genres, mode, exclude, status: status || null, sort, order, page, limit, total, items: items.map(it => ({ ...seriesItem(it, req.provider), status: it.status || null, chapterCount: it.chapterCount != null ? it.chapterCount : null })).filter(it => it.slug && it.title), facets, index: index || null });
+  }catch(e){ return sendError(res, e, '/api/browse'); }
+});
+
+/* personalized recommendations: genre affinity of what a user follows/reads + co-occurrence with other readers.
+   Works on the catalog (default source only); anonymous users and empty histories fall back to the daily shuffle */
+const RECS_HALF_LIFE_MS = envMs('RECS_HALF_LIFE_MS', 30*24*60*60*1000); // reading weight halves every 30 days
+const RECS_WEIGHTS = { genre: 0.6, readers: 0.4 };
+const RECS_PER_SEED = 2; // at most this many picks explained by the same series
+const RECS_CANDIDATES = 200; // top-scored candidates the diversity re-rank chooses from (fixed, so longer lists extend shorter ones)
+const RECS_MAX_PERSONAL = 50;
+const RECOMMENDATION_POOL_PAGES = Math.max(1, Math.min(Number(process.env.RECOMMENDATION_POOL_PAGES) || 3, 20));
+
+// slug -> weight of a user's own series: follows count fully, reading by chapters read and how recently
+function userSeeds(user, now = Date.now()){
+  const seeds = new Map();
+  const add = (slug, w) => seeds.set(slug, (seeds.get(slug) || 0) + w);
+  for(const slug of Object.keys(user.library || {})) add(slug, 2);
+  for(const [slug, chapters] of Object.entries(user.progress || {})){
+    const list = Object.values(chapters); if(!list.length) continue;
+    const last = Math.max(...list.map(c => c.updatedAt || 0));
+    add(slug, Math.log2(1 + list.length) * Math.pow(0.5, Math.max(0, now - last) / RECS_HALF_LIFE_MS));
+  }
+  return seeds;
+}
+const userSeries = u => new Set([...Object.keys(u.library || {}), ...Object.keys(u.progress || {})]);
+function genreSimilarity(a, b){ if(!a.length || !b.length) return 0; const s = new Set(a); const shared = b.filter(g => s.has(g)).length; return shared / (a.length + b.length - shared); }
+
+// pure scoring: { user, users, catalog: slug -> entry with genres } -> ranked [{ entry, score, reason }]
+function rankRecommendations({ user, users, catalog, diversity = 0.3, limit = 20, now = Date.now() }){
+  const seeds = userSeeds(user, now); if(!seeds.size) return [];
+  const mine = userSeries(user);
+  const genresOf = slug => Array.from(new Set(((catalog[slug] || {}).genres || []).map(normalizeText).filter(Boolean)));
+  const titleOf = slug => ({ slug, title: (catalog[slug] && catalog[slug].title) || slug });
+
+  // genre profile: each seed spreads its weight over its genres
+  const profile = new Map();
+  for(const [slug, w] of seeds){ const g = genresOf(slug); for(const name of g) profile.set(name, (profile.get(name) || 0) + w / g.length); }
+
+  // readers who share series with this user vote for the rest of their shelf, weighted by overlap
+  const co = new Map(); const via = new Map();
+  for(const other of users){
+    if(other === user || other.id === user.id) continue;
+    const theirs = userSeries(other); const shared = Array.from(theirs).filter(s => seeds.has(s));
+    if(!shared.length) continue;
+    const sim = shared.length / Math.sqrt(mine.size * theirs.size);
+    for(const t of theirs){
+      if(mine.has(t)) continue;
+      co.set(t, (co.get(t) || 0) + sim);
+      const v = via.get(t) || { readers: 0, seeds: new Map() }; v.readers++;
+      for(const s of shared) v.seeds.set(s, (v.seeds.get(s) || 0) + sim);
+      via.set(t, v);
+    }
+  }
+
+  const scored = [];
+  for(const [slug, entry] of Object.entries(catalog)){
+    if(mine.has(slug)) continue;
+    const g = genresOf(slug);
+    const genre = g.length ? g.reduce((sum, name) => sum + (profile.get(name) || 0), 0) / Math.sqrt(g.length) : 0;
+    const readers = co.get(slug) || 0;
+    if(genre > 0 || readers > 0) scored.push({ slug, entry, genres: g, genre, readers });
+  }
+  const maxGenre = Math.max(0, ...scored.map(s => s.genre)) || 1; const maxReaders = Math.max(0, ...scored.map(s => s.readers)) || 1;
+  for(const s of scored){
+    const g = RECS_WEIGHTS.genre * s.genre / maxGenre, r = RECS_WEIGHTS.readers * s.readers / maxReaders;
+    s.score = g + r;
+    if(r >= g){
+      const v = via.get(s.slug); const top = Array.from(v.seeds).sort((a,b)=> b[1] - a[1])[0][0];
+      s.seed = top; s.reason = { kind: 'readers', because: titleOf(top), readers: v.readers, genres: [] };
+    }else{
+      // the seed that shares the most genres (by weight) with the candidate
+      let best = null, bestW = 0;
+      for(const [slug, w] of seeds){ const overlap = genreSimilarity(genresOf(slug), s.genres) * w; if(overlap > bestW){ best = slug; bestW = overlap; } }
+      const names = ((catalog[s.slug] || {}).genres || []).filter(name => profile.has(normalizeText(name))).slice(0, 3);
+      s.seed = best; s.reason = { kind: 'genre', because: best ? titleOf(best) : null, genres: names };
+    }
+  }
+  scored.sort((a,b)=> b.score - a.score || a.slug.localeCompare(b.slug));
+
+  // diversity: greedy re-rank that penalizes genre overlap with what was already picked (MMR) and caps picks per seed
+  const pool = scored.slice(0, RECS_CANDIDATES); const picked = []; const perSeed = new Map();
+  while(picked.length < limit && pool.length){
+    let bestIdx = -1, bestVal = -Infinity;
+    pool.forEach((s, i) => {
+      if(s.seed && (perSeed.get(s.seed) || 0) >= RECS_PER_SEED) return;
+      const overlap = picked.length ? Math.max(...picked.map(p => genreSimilarity(p.genres, s.genres))) : 0;
+      const val = (1 - diversity) * s.score - diversity * overlap;
+      if(val > bestVal){ bestVal = val; bestIdx = i; }
+    });
+    if(bestIdx < 0) break;
+    const [s] = pool.splice(bestIdx, 1);
+    picked.push(s); if(s.seed) perSeed.set(s.seed, (perSeed.get(s.seed) || 0) + 1);
+  }
+  return picked.map(s => ({ entry: s.entry, score: Math.round(s.score * 1000) / 1000, reason: s.reason }));
+}
+
+// make sure the user's own series have genre tags before scoring (detail pages fill the catalog); bounded per request
+async function fillSeedGenres(user, provider, max = 5){
+  const missing = Array.from(userSeeds(user).keys()).filter(slug => !((catalogStore.data.items[slug] || {}).genres || []).length).slice(0, max);
+  await Promise.all(missing.map(slug => provider.detail(slug).then(d => catalogIndexDetail(provider, d)).catch(e => logErr(e, `recommendations genres ${slug}`))));
+}
+function dailySeed(now = new Date()){ return Number(`${now.getFullYear()}${String(now.getMonth()+1).padStart(2,'0')}${String(now.getDate()).padStart(2,'0')}`); }
+
+// personalized picks first, then the daily shuffle (minus anything already listed or read) up to `limit`
+async function recommendationsFor(req, { limit, poolPages = RECOMMENDATION_POOL_PAGES, seed = dailySeed(), diversity = 0.3 }){
+  const provider = req.provider; const out = []; const taken = new Set();
+  let personalized = false;
+  if(req.user && provider.site === DEFAULT_SITE){
+    await fillSeedGenres(req.user, provider);
+    const ranked = rankRecommendations({ user: req.user, users: Object.values(usersStore.data.users), catalog: catalogStore.data.items, diversity, limit: Math.min(limit, RECS_MAX_PERSONAL) });
+    for(const r of ranked){ const it = seriesItem(r.entry, provider); if(!it.slug) continue; out.push({ ...it, reason: r.reason }); taken.add(it.slug); }
+    personalized = out.length > 0;
+    userSeries(req.user).forEach(s => taken.add(s));
+  }
+  let poolSize = 0;
+  if(out.length < limit){
+    const pool = seriesItems(seededShuffle(await fetchHomePages(poolPages, 1000, provider), seed), provider);
+    poolSize = pool.length;
+    for(const it of pool){ if(out.length >= limit) break; if(taken.has(it.slug)) continue; taken.add(it.slug); out.push({ ...it, reason: { kind: 'daily', because: null, genres: [] } }); }
+  }
+  return { personalized, poolSize, items: out };
+}
+
+/* popular & recommendations */
+app.get('/api/popular', validate({ query: { count: P.int({ max: MAX_POPULAR_RANKED, default: MAX_POPULAR }), window: P.oneOf(POPULARITY_WINDOWS, { default: 'week' }), genre: P.text({ max: 100 }) } }), async (req,res)=>{
+  try{
+    const { count, window, genre } = req.valid;
+    const { ranked, items } = await popularFor(req.provider, { window, genre: genre || null, count });
+    const out = items.map(it => it.stats ? { ...seriesItem(it, req.provider), stats: it.stats } : seriesItem(it, req.provider)).filter(it => it.slug && it.title);
+    return res.json({ ok:true, source: req.provider.id, window, genre: genre || null, ranked, count: out.length, items: out });
+  }catch(e){ return sendError(res, e, '/api/popular'); }
+});
+
+app.get('/api/recommendations', validate({ query: { count: P.int({ max: 20, default: 5 }), pool_pages: P.int({ max: 20, default: 3 }), diversity: P.int({ min: 0, max: 100, default: 30 }) } }), async (req,res)=>{
+  try{
+    const { count, pool_pages: poolPages, diversity } = req.valid;
+    const seed = dailySeed();
+    const { personalized, poolSize, items } = await recommendationsFor(req, { limit: count, poolPages, seed, diversity: diversity / 100 });
+    return res.json({ ok:true, source: req.provider.id, date: String(seed), personalized, poolPages, poolSize, count: items.length, items });
+  }catch(e){ return sendError(res, e, '/api/recommendations'); }
+});
+
+/* v2: cursor-paginated listings. Every listing answers { items, limit, hasMore, nextCursor, totalEstimate, totalExact };
+   cursors are opaque to clients (base64url JSON) and tied to the listing that issued them */
+const V2_MAX_UPSTREAM_PAGES = Math.max(1, Number(process.env.V2_MAX_UPSTREAM_PAGES) || 3); // upstream fetches per v2 request
+const encodeCursor = c => Buffer.from(JSON.stringify(c)).toString('base64url');
+const V2_PAGE = { cursor: P.cursor(), limit: P.int({ max: 50, default: 20 }) };
+// the cursor must come from the same listing (route, source and filters), otherwise offsets mean nothing
+function cursorFor(req, kind){
+  const c = req.valid.cursor;
+  if(c && c.k !== kind) throw new ApiError('BAD_REQUEST', 'cursor belongs to a different listing', { details: [{ in: 'query', param: 'cursor', message: 'belongs to a different listing' }] });
+  return c || { k: kind, n: 0 };
+}
+// total: exact when the listing knows it (search, recommendations), else a hint (catalog size) raised to what was already served
+function v2Page(req, { kind, cursor, items, next, total, exact = false }){
+  const seen = (cursor.n || 0) + items.length;
+  let totalEstimate = Math.max(total || 0, seen + (next ? 1 : 0));
+  if(exact) totalEstimate = total; else if(!next) totalEstimate = seen;
+  return { ok:true, source: req.provider.id, limit: req.valid.limit, items, hasMore: !!next, nextCursor: next ? encodeCursor({ k: kind, ...next, n: seen }) : null, totalEstimate, totalExact: exact || !next };
+}
+
+// walks a numbered upstream listing from { p, o }; `s` (last slug served) re-anchors the offset when new items pushed the page down
+async function walkListing(fetchPage, cursor, limit){
+  let p = cursor.p || 1, o = cursor.o || 0; const items = []; const seen = new Set();
+  for(let fetched = 0; items.length < limit && fetched < V2_MAX_UPSTREAM_PAGES; fetched++){
+    let page;
+    try{ page = await fetchPage(p); }
+    catch(e){ if(p > 1 && toApiError(e).code === 'NOT_FOUND') return { items, next: null }; throw e; } // ran past the last page
+    if(!page.length) return { items, next: null };
+    if(fetched === 0 && cursor.s){ const at = page.findIndex(it => it.slug === cursor.s); if(at >= 0) o = at + 1; }
+    for(const it of page.slice(o)){
+      o++;
+      if(seen.has(it.slug)) continue; seen.add(it.slug);
+      items.push(it);
+      if(items.length >= limit) break;
+    }
+    if(o >= page.length){ p++; o = 0; }
+  }
+  return { items, next: { p, o, s: items.length ? items[items.length-1].slug : cursor.s } };
+}
+function catalogCount(provider, genreSlug){
+  if(provider.site !== DEFAULT_SITE) return null; // the catalog indexes the default site only
+  const entries = Object.values(catalogStore.data.items);
+  return genreSlug ? entries.filter(e => (e.genreSlugs || []).includes(genreSlug)).length : entries.length;
+}
+
+app.get('/api/v2/home', validate({ query: V2_PAGE }), async (req,res)=>{
+  try{
+    const kind = `home:${req.provider.id}`; const cursor = cursorFor(req, kind);
+    const { items, next } = await walkListing(async p => seriesItems(await req.provider.home(p), req.provider), cursor, req.valid.limit);
+    return res.json(v2Page(req, { kind, cursor, items, next, total: catalogCount(req.provider) }));
+  }catch(e){ return sendError(res, e, '/api/v2/home'); }
+});
+app.get('/api/v2/genres', async (req,res)=>{
+  try{
+    const items = await req.provider.genres(1);
+    return res.json({ ok:true, source: req.provider.id, items, hasMore: false, nextCursor: null, totalEstimate: items.length, totalExact: true });
+  }catch(e){ return sendError(res, e, '/api/v2/genres'); }
+});
+app.get('/api/v2/genres/:slug/items', validate({ params: { slug: P.slug({ required: true }) }, query: V2_PAGE }), async (req,res)=>{
+  try{
+    const { slug } = req.valid;
+    const kind = `genre:${req.provider.id}:${slug}`; const cursor = cursorFor(req, kind);
+    const { items, next } = await walkListing(async p => seriesItems(await req.provider.genreListing(slug, p), req.provider), cursor, req.valid.limit);
+    return res.json({ ...v2Page(req, { kind, cursor, items, next, total: catalogCount(req.provider, slug) }), genre: slug });
+  }catch(e){ return sendError(res, e, '/api/v2/genres/:slug/items'); }
+});
+app.get('/api/v2/search', validate({ query: { q: P.text({ max: 200, default: '' }), genre: P.list({ default: () => [] }), ...V2_PAGE } }), async (req,res)=>{
+  try{
+    const { q, genre: genres, limit } = req.valid;
+    if(!q && !genres.length) return sendError(res, new ApiError('BAD_REQUEST', 'missing q or genre'));
+    const kind = `search:${req.provider.id}:${crypto.createHash('sha1').update(`${normalizeText(q)}|${genres.join(',')}`).digest('hex').slice(0, 12)}`;
+    const cursor = cursorFor(req, kind); const offset = cursor.o || 0;
+    const { total, items } = await req.provider.search({ q, genres, limit, offset });
+    const next = offset + items.length < total ? { o: offset + items.length } : null;
+    return res.json({ ...v2Page(req, { kind, cursor, items: seriesItems(items, req.provider), next, total, exact: true }), q, genres });
+  }catch(e){ return sendError(res, e, '/api/v2/search'); }
+});
+// the day's shuffle seed rides in the cursor so paging stays consistent across midnight
+app.get('/api/v2/recommendations', validate({ query: { ...V2_PAGE, diversity: P.int({ min: 0, max: 100, default: 30 }) } }), async (req,res)=>{
+  try{
+    const kind = `recs:${req.provider.id}`; const cursor = cursorFor(req, kind);
+    const seed = cursor.d || dailySeed();
+    const offset = cursor.o || 0;
+    // the whole list is cheap to rebuild (bounded personal picks + the daily pool), so totals are exact
+    const { personalized, items: ranked } = await recommendationsFor(req, { limit: 1000, seed, diversity: req.valid.diversity / 100 });
+    const items = ranked.slice(offset, offset + req.valid.limit);
+    const next = offset + items.length < ranked.length ? { o: offset + items.length, d: seed } : null;
+    return res.json({ ...v2Page(req, { kind, cursor, items, next, total: ranked.length, exact: true }), date: String(seed), personalized });
+  }catch(e){ return sendError(res, e, '/api/v2/recommendations'); }
+});
+
+/* sources (providers) and their mirrors, for the reader's server picker */
+app.get('/api/sources', (req,res)=> res.json({ ok:true, sources: Array.from(providers.values()).map(publicProvider) }));
+
+/* server-rendered pages: /manga/:slug and /reader carry the series in the HTML (title, description, cover, genres, chapters)
+   with Open Graph/Twitter tags and JSON-LD so shared links preview; app.js/reader.js take the embedded data instead of refetching */
+const PAGES = {
+  publicUrl: String(process.env.PUBLIC_URL || '').replace(/\/+$/, '') || null, // canonical origin for page links and the sitemap (default: the request host)
+  renderTimeoutMs: envMs('PAGE_RENDER_TIMEOUT_MS', 4000) // past this the plain shell goes out and the client fetches as usual
+};
+const SITE_NAME = 'Manhwa Vault';
+const SITEMAP_MAX = 50000; // urls per sitemap file (protocol limit)
+const pageTemplates = new Map();
+function pageTemplate(name){
+  if(!pageTemplates.has(name)) pageTemplates.set(name, fs.readFileSync(path.join(__dirname, 'public', name), 'utf8'));
+  return pageTemplates.get(name);
+}
+const escapeHtml = s => String(s == null ? '' : s).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+// JSON inside a <script> block: neither "</script>" nor U+2028/2029 may end it early
+const scriptJson = v => JSON.stringify(v).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+const clip = (s, n) => { const t = String(s || '').replace(/\s+/g, ' ').trim(); return t.length > n ? `${t.slice(0, n - 1)}…` : t; };
+const pageOrigin = req => PAGES.publicUrl || `${req.protocol}://${req.get('host')}`;
+const proxiedImage = (src, opts) => /^https?:\/\//.test(src || '') ? `/api/image?${new URLSearchParams({ url: src, ...opts })}` : null;
+const readerPath = (slug, chapterId) => `/reader?slug=${encodeURIComponent(slug)}&chapter=${encodeURIComponent(chapterId)}`;
+
+// the template with page metadata in <head>, `html` inside the element matched by `at`, and `data` for the client scripts
+function renderPage(template, { title, description, url, image, type, jsonLd, at, html, data }){
+  const meta = [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    ...Object.entries({ 'og:site_name': SITE_NAME, 'og:type': type, 'og:title': title, 'og:description': description, 'og:url': url, 'og:image': image, 'og:locale': 'fa_IR' }).map(([k, v]) => `<meta property="${k}" content="${escapeHtml(v)}">`),
+    ...Object.entries({ 'twitter:card': 'summary_large_image', 'twitter:title': title, 'twitter:description': description, 'twitter:image': image }).map(([k, v]) => `<meta name="${k}" content="${escapeHtml(v)}">`),
+    `<script type="application/ld+json">${scriptJson(jsonLd)}</script>`
+  ].join('\n  ');
+  return template
+    .replace(/<title>[^<]*<\/title>/, () => meta)
+    .replace(at, (_, open, close) => `${open}${html}${close}`)
+    .replace('<script src="/api-client.js"></script>', () => `<script type="application/json" id="initial-data">${scriptJson(data)}</script>\n  <script src="/api-client.js"></script>`);
+}
+
+// the series behind a page, or null when it cannot be had within PAGES.renderTimeoutMs (NOT_FOUND still throws)
+async function pageDetail(provider, slug){
+  let timer;
+  const late = new Promise(resolve => { timer = setTimeout(resolve, PAGES.renderTimeoutMs, null); });
+  const detail = provider.detail(slug).then(d => catalogIndexDetail(provider, d));
+  detail.catch(() => {}); // a late failure is nobody's business any more
+  try{ return await Promise.race([detail, late]); }
+  catch(e){ const err = upstreamError(e); if(err.code === 'NOT_FOUND') throw err; logErr(e, 'page render'); return null; }
+  finally{ clearTimeout(timer); }
+}
+function sendShell(res, name, status = 200){ return res.status(status).sendFile(path.join(__dirname, 'public', name)); }
+const pageProvider = req => providers.get(String(req.query.source || '')) || defaultProvider();
+
+app.get('/manga/:slug', async (req,res)=>{
+  const slug = sanitizeSlug(req.params.slug);
+  if(!slug) return sendShell(res, 'index.html', 404);
+  try{
+    const provider = req.provider = pageProvider(req);
+    const m = await pageDetail(provider, slug);
+    if(!m) return sendShell(res, 'index.html');
+    recordPopularity(req, 'view', slug, { meta: m });
+    const origin = pageOrigin(req); const url = `${origin}/manga/${encodeURIComponent(slug)}`;
+    const cover = proxiedImage(m.cover, { w: 400, q: 80, fmt: 'webp' }) || '/icon-512.png';
+    const image = origin + (proxiedImage(m.cover, { w: 600, q: 80, fmt: 'jpeg' }) || '/icon-512.png');
+    const description = clip(m.description, 200) || `${m.title} — ${(m.chapters || []).length} قسمت در ${SITE_NAME}`;
+    const chapters = m.chapters || [];
+    const html = `<div class="section"><div class="manga-head"><img src="${escapeHtml(cover)}" class="manga-cover" alt="${escapeHtml(m.title)}"><div class="manga-info"><h1>${escapeHtml(m.title)}</h1><div class="muted">${escapeHtml(m.description)}</div><div class="tags">${(m.genres || []).map(g => `<a class="tag" href="/genres?genres=${encodeURIComponent(g)}">${escapeHtml(g)}</a>`).join('')}</div></div></div></div>
+    <div class="section"><h3>فصل‌ها</h3><div class="chapters">${chapters.map(c => `<a class="ch-item" href="${escapeHtml(readerPath(slug, c.chapterId))}">${escapeHtml(c.title || c.chapterId)}</a>`).join('')}</div></div>`;
+    const jsonLd = { '@context': 'https://schema.org', '@type': 'ComicSeries', name: m.title, description: clip(m.description, 500) || undefined, url, image, genre: m.genres || [], inLanguage: 'fa',
+      hasPart: chapters.slice(0, 100).map(c => ({ '@type': 'ComicIssue', name: c.title || undefined, issueNumber: c.chapterNum != null ? c.chapterNum : undefined, url: origin + readerPath(slug, c.chapterId) })) };
+    const rating = ratingSummary(slug, null, provider.id);
+    if(rating.count) jsonLd.aggregateRating = { '@type': 'AggregateRating', ratingValue: rating.average, ratingCount: rating.count, bestRating: RATING_MAX, worstRating: 1 };
+    return res.type('html').send(renderPage(pageTemplate('index.html'), { title: `${m.title} — ${SITE_NAME}`, description, url, image, type: 'book', jsonLd, at: /(<main class="container" id="app">)[\s\S]*?(<\/main>)/, html, data: { slug: req.params.slug, source: provider.id, manga: { ...m, cover: m.cover || '/placeholder.png' } } }));
+  }catch(e){
+    if(e instanceof ApiError && e.status === 404) return sendShell(res, 'index.html', 404);
+    logErr(e, '/manga/:slug'); return sendShell(res, 'index.html');
+  }
+});
+
+app.get('/reader', async (req,res)=>{
+  const slug = sanitizeSlug(String(req.query.slug || '')); const chapterParam = String(req.query.chapter || '');
+  if(!slug || !chapterParam) return sendShell(res, 'reader.html');
+  try{
+    const provider = req.provider = pageProvider(req);
+    const m = await pageDetail(provider, slug);
+    const chapter = m && matchChapter(m.chapters || [], chapterParam);
+    if(!chapter) return sendShell(res, 'reader.html');
+    const origin = pageOrigin(req); const url = origin + readerPath(slug, chapter.chapterId);
+    const chapterTitle = chapter.title || `قسمت ${chapter.chapterNum != null ? chapter.chapterNum : chapter.chapterId}`;
+    const image = origin + (proxiedImage(m.cover, { w: 600, q: 80, fmt: 'jpeg' }) || '/icon-512.png');
+    const html = `<a href="/manga/${encodeURIComponent(slug)}">${escapeHtml(m.title)}</a> — ${escapeHtml(chapterTitle)}`;
+    const jsonLd = { '@context': 'https://schema.org', '@type': 'ComicIssue', name: chapterTitle, issueNumber: chapter.chapterNum != null ? chapter.chapterNum : undefined, url, image, inLanguage: 'fa',
+      isPartOf: { '@type': 'ComicSeries', name: m.title, url: `${origin}/manga/${encodeURIComponent(slug)}` } };
+    const data = { slug: String(req.query.slug), chapter: chapterParam, source: provider.id, manga: { slug, title: m.title, cover: m.cover || null }, chapterTitle, ...chapterNeighbors(m.chapters, chapter) };
+    return res.type('html').send(renderPage(pageTemplate('reader.html'), { title: `${m.title} — ${chapterTitle} — ${SITE_NAME}`, description: clip(`${chapterTitle} از ${m.title}. ${m.description || ''}`, 200), url, image, type: 'article', jsonLd, at: /(<div id="meta"[^>]*>)[\s\S]*?(<\/div>)/, html, data }));
+  }catch(e){
+    if(!(e instanceof ApiError && e.status === 404)) logErr(e, '/reader');
+    return sendShell(res, 'reader.html');
+  }
+});
+
+// every catalogued series and genre (the catalog indexes the default source), most recently updated first
+app.get('/sitemap.xml', (req,res)=>{
+  const origin = pageOrigin(req);
+  const entries = Object.values(catalogStore.data.items);
+  const updated = e => e.latestAt || e.detailAt || e.addedAt || 0;
+  const genres = new Set(entries.flatMap(e => e.genreSlugs || []));
+  const urls = [{ loc: '/' }, { loc: '/genres' }, ...[...genres].sort().map(g => ({ loc: `/genre/${encodeURIComponent(g)}` })),
+    ...entries.sort((a, b) => updated(b) - updated(a)).map(e => ({ loc: `/manga/${encodeURIComponent(e.slug)}`, lastmod: updated(e) }))].slice(0, SITEMAP_MAX);
+  res.type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.map(u => `<url><loc>${escapeHtml(origin + u.loc)}</loc>${u.lastmod ? `<lastmod>${new Date(u.lastmod).toISOString()}</lastmod>` : ''}</url>`).join('\n')}\n</urlset>\n`);
+});
+// link previews fetch cover images through /api/image, so that one stays crawlable
+app.get('/robots.txt', (req,res)=> res.type('text/plain').send(`User-agent: *\nAllow: /api/image\nDisallow: /api/\nDisallow: /admin\nSitemap: ${pageOrigin(req)}/sitemap.xml\n`));
+
+/* health & SPA */
+app.get('/admin', (req,res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
+app.get('/', (req,res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
+// client-side routes of the main app (ROUTES in public/app.js): deep links load the same shell, which renders the view
+const SPA_ROUTES = ['/genre/:slug', '/genres', '/search', '/recommendations', '/library', '/offline'];
+for(const route of SPA_ROUTES) app.get(route, (req,res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
+// ok stays true while the process serves requests; status reflects how well scraping upstream is going
+app.get('/api/health', (req,res) => {
+  const { status, reports } = diagnosticsSummary();
+  const extractors = {}; for(const r of reports) extractors[`${r.source}:${r.extractor}`] = r.status;
+  return res.json({ ok:true, ts: Date.now(), uptime: Math.round(process.uptime()), status, extractors, lastProbe, upstream: upstream.stats(), cache: cache.stats(), catalog: catalogStatus() });
+});
+app.get('/api/diagnostics', validate({ query: { probe: P.bool({ default: false }) } }), async (req,res)=>{
+  try{
+    // ?probe=1 runs the self-check now (providers built on the manhwa-tower scraper only)
+    if(req.valid.probe){
+      if(!req.provider.site) return sendError(res, new ApiError('BAD_REQUEST', `source ${req.provider.id} does not support probing`));
+      await runDiagnosticProbe(req.provider.site);
+    }
+    const source = req.query.source ? req.provider.id : null;
+    const { status, reports } = diagnosticsSummary(source);
+    reports.sort((a,b) => DIAG_SEVERITY[b.status] - DIAG_SEVERITY[a.status] || a.extractor.localeCompare(b.extractor));
+    return res.json({ ok:true, ts: Date.now(), status, primaryStrategies: DIAG_PRIMARY, lastProbe, reports });
+  }catch(e){ return sendError(res, e, '/api/diagnostics'); }
+});
+
+/* runtime settings: the tunables below start from env/defaults, then DATA_DIR/config.json (written by the admin API) wins.
+   Each one points at the live object the code reads, so a change applies without a restart */
+const DAY_MS = 24*60*60*1000;
+const SETTINGS = [
+  { key: 'site.base', env: 'SITE_BASE', type: 'url', target: [DEFAULT_SITE, 'base'], description: 'Upstream site the default source scrapes' },
+  { key: 'site.publicUrl', env: 'PUBLIC_URL', type: 'url', target: [PAGES, 'publicUrl'], description: 'Public address of this site, used in page metadata and the sitemap (empty: the request host)' },
+  { key: 'site.cdnBase', env: 'CDN_BASE', type: 'url', target: [DEFAULT_SITE, 'cdnBase'], description: 'CDN used for page discovery and the cdn mirror' },
+  { key: 'reader.maxPageCheck', env: 'MAX_PAGE_CHECK', type: 'int', min: 1, max: 10000, target: [CDN_DISCOVERY, 'maxPageCheck'], description: 'Highest page number probed when discovering a chapter length on the CDN' },
+  { key: 'reader.probeBatch', env: 'CDN_PROBE_BATCH', type: 'int', min: 1, max: 32, target: [CDN_DISCOVERY, 'batch'], description: 'CDN probes sent in parallel per discovery round' },
+  { key: 'reader.maxVariants', env: 'CDN_MAX_VARIANTS', type: 'int', min: 1, max: CDN_VARIANTS.length, target: [CDN_DISCOVERY, 'maxVariants'], description: 'CDN url variants (quality, extension, name encoding) tried before guessing' },
+  ...Object.keys(CACHE_POLICIES).flatMap(name => [
+    { key: `cache.${name}.ttlMs`, env: `CACHE_TTL_${name.toUpperCase()}_MS`, type: 'int', min: 0, max: 30*DAY_MS, target: [CACHE_POLICIES[name], 'ttl'], description: `How long cached ${name} entries count as fresh` },
+    { key: `cache.${name}.staleMs`, env: `CACHE_STALE_${name.toUpperCase()}_MS`, type: 'int', min: 0, max: 30*DAY_MS, target: [CACHE_POLICIES[name], 'stale'], description: `How long expired ${name} entries are still served while a refresh runs` }
+  ]),
+  { key: 'upstream.concurrency', env: 'UPSTREAM_CONCURRENCY', type: 'int', min: 1, max: 64, target: [upstream.config, 'concurrency'], description: 'Parallel requests per upstream host' },
+  { key: 'upstream.rate', env: 'UPSTREAM_RATE', type: 'number', min: 0.1, max: 1000, target: [upstream.config, 'rate'], description: 'Requests per second per upstream host' },
+  { key: 'upstream.burst', env: 'UPSTREAM_BURST', type: 'int', min: 1, max: 1000, target: [upstream.config, 'burst'], description: 'Token bucket size per upstream host' },
+  { key: 'upstream.retries', env: 'UPSTREAM_RETRIES', type: 'int', min: 0, max: 10, target: [upstream.config, 'retries'], description: 'Retries for failed GET/HEAD requests' },
+  { key: 'upstream.backoffMs', env: 'UPSTREAM_BACKOFF_MS', type: 'int', min: 0, max: 60000, target: [upstream.config, 'backoffMs'], description: 'Base retry backoff (doubles per attempt, jittered)' },
+  { key: 'upstream.maxBackoffMs', env: 'UPSTREAM_MAX_BACKOFF_MS', type: 'int', min: 0, max: 600000, target: [upstream.config, 'maxBackoffMs'], description: 'Upper bound for one retry wait' },
+  { key: 'upstream.breakerThreshold', env: 'UPSTREAM_BREAKER_THRESHOLD', type: 'int', min: 1, max: 100, target: [upstream.config, 'breakerThreshold'], description: 'Consecutive failures that open a host circuit' },
+  { key: 'upstream.breakerCooldownMs', env: 'UPSTREAM_BREAKER_COOLDOWN_MS', type: 'int', min: 0, max: 3600000, target: [upstream.config, 'breakerCooldownMs'], description: 'How long an open circuit rejects requests before a trial' },
+  { key: 'downloads.maxJobsPerUser', env: 'DOWNLOAD_MAX_JOBS_PER_USER', type: 'int', min: 1, max: 100, target: [DOWNLOAD_LIMITS, 'perUser'], description: 'Download jobs one user may have queued or running' },
+  { key: 'downloads.maxJobs', env: 'DOWNLOAD_MAX_JOBS', type: 'int', min: 1, max: 1000, target: [DOWNLOAD_LIMITS, 'total'], description: 'Download jobs queued or running across all users' },
+  { key: 'downloads.maxJobBytes', env: 'DOWNLOAD_MAX_JOB_BYTES', type: 'int', min: 1024*1024, max: 1024*1024*1024*1024, target: [DOWNLOAD_LIMITS, 'jobBytes'], description: 'Largest archive a download job may write, in bytes' },
+  { key: 'images.maxBytes', env: 'IMAGE_MAX_BYTES', type: 'int', min: 1024, max: 1024*1024*1024, target: [IMAGE_PROXY, 'maxBytes'], description: 'Largest upstream image the proxy fetches, in bytes' },
+  { key: 'images.cacheMaxEntries', env: 'IMAGE_CACHE_MAX_ENTRIES', type: 'int', min: 10, max: 1000000, target: [IMAGE_CACHE, 'maxEntries'], onChange: () => imageCache.trim().catch(e => logErr(e, 'image cache trim')), description: 'Transformed images kept in the on-disk image cache' },
+  { key: 'images.cacheMaxBytes', env: 'IMAGE_CACHE_MAX_BYTES', type: 'int', min: 1024*1024, max: 1024*1024*1024*1024, target: [IMAGE_CACHE, 'maxBytes'], onChange: () => imageCache.trim().catch(e => logErr(e, 'image cache trim')), description: 'Size bound of the on-disk image cache, in bytes' },
+  { key: 'auth.windowMs', env: 'AUTH_WINDOW_MS', type: 'int', min: 1000, max: DAY_MS, target: [AUTH_LIMITS, 'windowMs'], description: 'Length of the sign-in rate-limit window' },
+  { key: 'auth.ipLimit', env: 'AUTH_IP_LIMIT', type: 'int', min: 1, max: 10000, target: [AUTH_LIMITS, 'ipLimit'], description: 'Login and register attempts per client address in one window' },
+  { key: 'auth.userLimit', env: 'AUTH_USER_LIMIT', type: 'int', min: 1, max: 1000, target: [AUTH_LIMITS, 'userLimit'], description: 'Failed logins per username in one window' },
+  { key: 'auth.sessionTtlMs', env: 'SESSION_TTL_MS', type: 'int', min: 1000, max: 365*DAY_MS, target: [SESSION, 'ttlMs'], description: 'How long a login stays valid without being used (each use extends it)' },
+  { key: 'catalog.refreshMs', env: 'CATALOG_REFRESH_MS', type: 'int', min: 0, max: 7*DAY_MS, target: [CATALOG, 'refreshMs'], onChange: () => scheduleCatalogCrawls(), description: 'Interval of the recurring catalog crawl (0 = off)' },
+  { key: 'catalog.detailBatch', env: 'CATALOG_DETAIL_BATCH', type: 'int', min: 0, max: 1000, target: [CATALOG, 'detailBatch'], description: 'Detail pages refreshed per crawl (stalest first)' },
+  { key: 'catalog.genrePages', env: 'CATALOG_GENRE_PAGES', type: 'int', min: 1, max: 50, target: [CATALOG, 'genrePages'], description: 'Listing pages crawled per genre' },
+  { key: 'community.maxLength', env: 'COMMENT_MAX_LENGTH', type: 'int', min: 10, max: 20000, target: [COMMUNITY, 'maxLength'], description: 'Longest comment accepted, in characters' },
+  { key: 'community.userLimit', env: 'COMMUNITY_USER_LIMIT', type: 'int', min: 1, max: 1000, target: [COMMUNITY, 'userLimit'], description: 'Comments, edits, reports and ratings per account in one rate-limit window' },
+  { key: 'community.ipLimit', env: 'COMMUNITY_IP_LIMIT', type: 'int', min: 1, max: 10000, target: [COMMUNITY, 'ipLimit'], description: 'The same writes per client address in one window' },
+  { key: 'community.windowMs', env: 'COMMUNITY_WINDOW_MS', type: 'int', min: 1000, max: DAY_MS, target: [COMMUNITY, 'windowMs'], description: 'Length of the community rate-limit window' },
+  { key: 'community.reportsToHide', env: 'COMMENT_REPORTS_TO_HIDE', type: 'int', min: 1, max: 1000, target: [COMMUNITY, 'reportsToHide'], description: 'Reports from different readers that hide a comment until an admin reviews it' },
+  { key: 'webhooks.privateTargets', env: 'WEBHOOK_PRIVATE_TARGETS', type: 'choice', values: ['deny', 'allow'], target: [WEBHOOKS, 'privateTargets'], description: 'Whether webhooks may target loopback, private and link-local addresses (allow only for receivers on a trusted network)' },
+  { key: 'log.level', env: 'LOG_LEVEL', type: 'choice', values: LOG_LEVELS, target: [LOG, 'level'], description: 'Lowest level written to the log' }
+];
+const SETTING_BY_KEY = new Map(SETTINGS.map(s => [s.key, s]));
+const SETTING_BOOT = new Map(SETTINGS.map(s => [s.key, s.target[0][s.target[1]]])); // env or built-in default
+function parseSetting(spec, v){
+  if(spec.type === 'url'){
+    let u; try{ u = new URL(String(v)); }catch(e){ throw 'must be an absolute http(s) url'; }
+    if(typeof v !== 'string' || !/^https?:$/.test(u.protocol)) throw 'must be an absolute http(s) url';
+    return u.href.replace(/\/+$/, '');
+  }
+  if(spec.type === 'choice'){
+    if(!spec.values.includes(v)) throw `must be one of ${spec.values.join(', ')}`;
+    return v;
+  }
+  if(typeof v !== 'number' || !isFinite(v)) throw 'must be a number';
+  if(spec.type === 'int' && !Number.isInteger(v)) throw 'must be a whole number';
+  if(v < spec.min || v > spec.max) throw `must be between ${spec.min} and ${spec.max}`;
+  return v;
+}
+function applySetting(spec, value){ spec.target[0][spec.target[1]] = value; if(spec.onChange) spec.onChange(value); }
+const configStore = openStore('config', {});
+const configErrors = []; // entries of config.json that were ignored at startup
+for(const [key, raw] of Object.entries(configStore.data)){
+  const spec = SETTING_BY_KEY.get(key);
+  try{ if(!spec) throw 'unknown setting'; applySetting(spec, parseSetting(spec, raw)); }
+  catch(msg){ configErrors.push({ param: key, message: String(msg) }); logErr(new Error(`config.json: ${key} ${msg} (ignored)`), 'config'); }
+}
+function settingsList(){
+  return SETTINGS.map(s => ({
+    key: s.key, type: s.type, value: s.target[0][s.target[1]], bootValue: SETTING_BOOT.get(s.key), env: s.env,
+    source: s.key in configStore.data && !configErrors.some(e => e.param === s.key) ? 'file' : (process.env[s.env] ? 'env' : 'default'),
+    ...(s.min != null ? { min: s.min, max: s.max } : {}), ...(s.values ? { values: s.values } : {}), description: s.description
+  }));
+}
+// { key: value | null } -> all or nothing; null drops the override and returns to the env/default value
+function updateSettings(changes){
+  if(!changes || typeof changes !== 'object' || Array.isArray(changes)) throw new ApiError('BAD_REQUEST', 'body must be an object of setting: value');
+  const parsed = []; const details = [];
+  for(const [key, raw] of Object.entries(changes)){
+    const spec = SETTING_BY_KEY.get(key);
+    if(!spec){ details.push({ in: 'body', param: key, message: 'unknown setting' }); continue; }
+    try{ parsed.push([spec, raw === null ? null : parseSetting(spec, raw)]); }
+    catch(msg){ details.push({ in: 'body', param: key, message: String(msg) }); }
+  }
+  if(details.length) throw invalidParams(details);
+  for(const [spec, value] of parsed){
+    if(value === null){ delete configStore.data[spec.key]; applySetting(spec, SETTING_BOOT.get(spec.key)); }
+    else{ configStore.data[spec.key] = value; applySetting(spec, value); }
+    const stale = configErrors.findIndex(e => e.param === spec.key); if(stale >= 0) configErrors.splice(stale, 1);
+  }
+  configStore.save();
+  return parsed.map(([spec]) => spec.key);
+}
+
+/* admin API: settings, cache, catalog crawls, upstream failures, request metrics and comment moderation; the /admin page drives it */
+app.get('/api/admin/overview', requireAdmin, (req,res)=>{
+  const mem = process.memoryUsage(); const { since, total, errors } = metricsSnapshot();
+  return res.json({ ok:true, ts: Date.now(), uptime: Math.round(process.uptime()), memory: { rss: mem.rss, heapUsed: mem.heapUsed }, status: diagnosticsSummary().status, cache: cache.stats(), upstream: upstream.stats(), crawl: crawlStatus(), requests: { since, total, errors } });
+});
+app.get('/api/admin/config', requireAdmin, (req,res)=> res.json({ ok:true, settings: settingsList(), errors: configErrors }));
+app.patch('/api/admin/config', requireAdmin, (req,res)=>{
+  try{ const changed = updateSettings(req.body); return res.json({ ok:true, changed, settings: settingsList(), errors: configErrors }); }
+  catch(e){ return sendError(res, e, '/api/admin/config'); }
+});
+app.get('/api/admin/cache', requireAdmin, validate({ query: { prefix: P.text({ max: 500, default: '' }), limit: P.int({ max: 1000, default: 200 }) } }), (req,res)=>{
+  const { prefix, limit } = req.valid; const entries = cache.entries(prefix);
+  return res.json({ ok:true, stats: cache.stats(), prefix, total: entries.length, items: entries.slice(0, limit) });
+});
+app.delete('/api/admin/cache', requireAdmin, validate({ query: { prefix: P.text({ max: 500, default: '' }), all: P.bool({ default: false }) } }), async (req,res)=>{
+  try{
+    const { prefix, all } = req.valid;
+    if(!prefix && !all) return sendError(res, new ApiError('BAD_REQUEST', 'pass a key prefix, or all=true to empty the cache'));
+    return res.json({ ok:true, prefix: all ? '' : prefix, removed: await cache.purge(all ? '' : prefix) });
+  }catch(e){ return sendError(res, e, '/api/admin/cache'); }
+});
+app.get('/api/admin/crawl', requireAdmin, (req,res)=> res.json({ ok:true, crawl: crawlStatus() }));
+// { at? } schedules a one-off crawl (replacing an earlier one), { cancel: true } drops it, an empty body crawls now
+app.post('/api/admin/crawl', requireAdmin, (req,res)=>{
+  const body = req.body || {};
+  if(body.cancel){ scheduleCatalogCrawlAt(null); return res.status(202).json({ ok:true, started: false, crawl: crawlStatus() }); }
+  if(body.at != null){
+    const at = typeof body.at === 'number' ? body.at : Date.parse(body.at);
+    if(!isFinite(at) || at > Date.now() + 24*DAY_MS) return sendError(res, new ApiError('BAD_REQUEST', 'at must be a date within the next 24 days', { details: [{ in: 'body', param: 'at', message: 'must be a date within the next 24 days' }] }));
+    if(at > Date.now()){ scheduleCatalogCrawlAt(at); return res.status(202).json({ ok:true, started: false, crawl: crawlStatus() }); }
+  }
+  runCatalogCrawl();
+  return res.status(202).json({ ok:true, started: true, crawl: crawlStatus() });
+});
+app.get('/api/admin/upstream', requireAdmin, validate({ query: { host: P.text({ max: 200, default: '' }), limit: P.int({ max: UPSTREAM_FAILURE_LOG, default: 50 }) } }), (req,res)=>{
+  const { host, limit } = req.valid;
+  const failures = upstream.failures().filter(f => !host || f.host === host).slice(0, limit);
+  return res.json({ ok:true, hosts: upstream.stats(), count: failures.length, failures });
+});
+app.get('/api/admin/metrics', requireAdmin, (req,res)=> res.json({ ok:true, ...metricsSnapshot() }));
+// moderation queue: reported comments (most reports first) or everything hidden
+app.get('/api/admin/comments', requireAdmin, validate({ query: { status: P.oneOf(['reported', 'hidden'], { default: 'reported' }), limit: P.int({ max: 500, default: 100 }) } }), (req,res)=>{
+  const { status, limit } = req.valid;
+  const all = Object.values(communityStore.data.comments).filter(c => status === 'hidden' ? c.status === 'hidden' : c.status !== 'deleted' && c.reports.length)
+    .sort((a,b)=> b.reports.length - a.reports.length || b.createdAt - a.createdAt);
+  const items = all.slice(0, limit).map(c => ({ ...publicComment(c, req), hiddenBy: c.hiddenBy || null, reasons: c.reports.map(r => r.reason).filter(Boolean) }));
+  return res.json({ ok:true, status, total: all.length, count: items.length, items });
+});
+// { hidden: false } puts a comment back and clears its reports (reviewed); deleting goes through DELETE /api/comments/:id
+app.post('/api/admin/comments/:id/hide', requireAdmin, (req,res)=>{
+  try{
+    const c = findComment(req.params.id, { editable: true });
+    if((req.body || {}).hidden === false){ c.status = 'visible'; c.hiddenBy = null; c.reports = []; }
+    else{ c.status = 'hidden'; c.hiddenBy = 'admin'; }
+    communityStore.save();
+    return res.json({ ok:true, comment: publicComment(c, req) });
+  }catch(e){ return sendError(res, e, '/api/admin/comments/:id/hide'); }
+});
+
+/* Prometheus scrape endpoint (outside /api: plain text, not part of the OpenAPI document); METRICS_TOKEN, when set, must come as a bearer */
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+app.get('/metrics', (req,res)=>{
+  const bearer = (String(req.get('authorization') || '').match(/^Bearer\s+(\S+)$/) || [])[1];
+  if(METRICS_TOKEN && !(bearer && crypto.timingSafeEqual(sha256(bearer), sha256(METRICS_TOKEN)))) return res.status(401).set('WWW-Authenticate', 'Bearer').type('text/plain').send('metrics token required\n');
+  res.set('Cache-Control', 'no-store').type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+/* API description: OpenAPI 3.1 document built from the route table + validate() schemas, docs page, response checks */
+// tiny JSON-schema builders; object properties ending in "?" are optional, objects are closed unless { open: true }
+const J = {
+  str: (x={}) => ({ type: 'string', ...x }),
+  int: (x={}) => ({ type: 'integer', ...x }),
+  num: (x={}) => ({ type: 'number', ...x }),
+  bool: () => ({ type: 'boolean' }),
+  arr: (items, x={}) => ({ type: 'array', items, ...x }),
+  ref: name => ({ $ref: `#/components/schemas/${name}` }),
+  map: values => ({ type: 'object', additionalProperties: values }),
+  orNull: s => s.$ref ? { anyOf: [s, { type: 'null' }] } : { ...s, type: [s.type, 'null'], ...(s.enum ? { enum: [...s.enum, null] } : {}) },
+  obj(props, { open = false } = {}){
+    const properties = {}; const required = [];
+    for(const [k, s] of Object.entries(props)){ const name = k.replace(/\?$/, ''); properties[name] = s; if(name === k) required.push(name); }
+    return { type: 'object', properties, required, additionalProperties: open };
+  }
+};
+const okBody = (props={}, opts) => J.obj({ ok: { const: true }, ...props }, opts);
+
+const API_SERIES_ITEM = J.obj({ slug: J.str(), title: J.str(), cover: J.orNull(J.str()), link: J.orNull(J.str()), source: J.str(), 'genres?': J.arr(J.str()), 'latestChapter?': J.orNull(J.ref('ChapterRef')), 'score?': J.num() });
+const API_SCHEMAS = {
+  ErrorResponse: J.obj({ ok: { const: false }, error: J.str(), code: J.str({ enum: Object.keys(ERROR_STATUS) }), 'requestId?': J.str(), 'details?': J.arr(J.obj({ in: J.str(), param: J.str(), message: J.str() })) }, { open: true }),
+  ChapterRef: J.obj({ chapterId: J.str(), chapterNum: J.orNull(J.num()), title: J.str() }),
+  Chapter: J.obj({ chapterId: J.str(), chapterNum: J.orNull(J.num()), internalId: J.orNull(J.str()), title: J.str(), link: J.str() }),
+  SeriesItem: API_SERIES_ITEM,
+  RecommendedItem: { ...API_SERIES_ITEM, properties: { ...API_SERIES_ITEM.properties, reason: J.obj({ kind: J.str({ enum: ['readers', 'genre', 'daily'] }), because: J.orNull(J.obj({ slug: J.str(), title: J.str() })), genres: J.arr(J.str()), 'readers?': J.int() }) }, required: [...API_SERIES_ITEM.required, 'reason'] },
+  BrowseItem: { ...API_SERIES_ITEM, properties: { ...API_SERIES_ITEM.properties, status: J.orNull(J.str({ enum: SERIES_STATUSES })), chapterCount: J.orNull(J.int()) }, required: [...API_SERIES_ITEM.required, 'status', 'chapterCount'] },
+  PopularItem: { ...API_SERIES_ITEM, properties: { ...API_SERIES_ITEM.properties, stats: J.obj({ views: J.int(), reads: J.int(), follows: J.int() }) } },
+  Genre: J.obj({ name: J.str(), slug: J.str(), link: J.str() }),
+  Manga: J.obj({ slug: J.str(), source: J.str(), title: J.str(), description: J.str(), genres: J.arr(J.str()), 'status?': J.orNull(J.str({ enum: SERIES_STATUSES })), internalId: J.orNull(J.str()), cover: J.str(), chapters: J.arr(J.ref('Chapter')), url: J.str() }),
+  ChapterPages: okBody({ method: J.str(), pages: J.arr(J.str()), confidence: J.str({ enum: ['exact', 'partial', 'guess'], description: 'exact: the page list is complete; partial: discovery hit a cap, a failed probe or a gap, pages may be missing; guess: urls were not verified' }), 'pageCount?': J.int(), 'note?': J.str(), source: J.str(), mirror: J.str(), matchedChapter: J.orNull(J.ref('Chapter')), 'prevChapter?': J.orNull(J.ref('ChapterRef')), 'nextChapter?': J.orNull(J.ref('ChapterRef')), 'chapterIndex?': J.orNull(J.int()), 'chapterCount?': J.int() }),
+  Source: J.obj({ id: J.str(), name: J.str(), base: J.str(), default: J.bool(), mirrors: J.arr(J.obj({ id: J.str(), name: J.str() })) }),
+  User: J.obj({ id: J.str(), username: J.str(), createdAt: J.int(), following: J.int(), 'admin?': J.bool() }),
+  Credentials: J.obj({ username: J.str({ minLength: 3, maxLength: 32 }), password: J.str({ minLength: 6, maxLength: 256 }) }),
+  ChapterProgress: J.obj({ page: J.int(), pageCount: J.orNull(J.int()), read: J.bool(), updatedAt: J.int() }),
+  LibraryItem: J.obj({ slug: J.str(), source: J.str(), title: J.str(), cover: J.orNull(J.str()), latestChapter: J.orNull(J.ref('ChapterRef')), followedAt: J.int(), readCount: J.int() }),
+  HistoryItem: J.obj({ slug: J.str(), chapterId: J.str(), at: J.int(), title: J.str(), cover: J.orNull(J.str()), latestChapter: J.orNull(J.ref('ChapterRef')), progress: J.orNull(J.ref('ChapterProgress')) }),
+  UpdateEvent: J.obj({ id: J.str(), source: J.str(), slug: J.str(), mangaTitle: J.str(), cover: J.orNull(J.str()), chapterId: J.str(), chapterNum: J.orNull(J.num()), chapterTitle: J.str(), link: J.str(), detectedAt: J.int() }),
+  Webhook: J.obj({ id: J.str(), userId: J.str(), url: J.str(), slugs: J.orNull(J.arr(J.str())), createdAt: J.int(), lastDeliveryAt: J.orNull(J.int()), lastError: J.orNull(J.str()), 'secret?': J.str() }),
+  DownloadJob: J.obj({ id: J.str(), source: J.str(), slug: J.str(), format: J.str({ enum: Object.keys(DOWNLOAD_FORMATS) }), status: J.str({ enum: ['queued', 'running', 'done', 'failed'] }), chapters: J.arr(J.str()), filename: J.str(), progress: J.map(J.int()), createdAt: J.int(), finishedAt: J.orNull(J.int()), error: J.orNull(J.str()), fileUrl: J.orNull(J.str()), 'pages?': J.int(), 'missingPages?': J.int() }),
+  ExtractorReport: J.obj({ source: J.str(), extractor: J.str(), status: J.str({ enum: Object.keys(DIAG_SEVERITY) }), reasons: J.arr(J.str()) }, { open: true }),
+  Setting: J.obj({ key: J.str(), type: J.str({ enum: ['url', 'int', 'number', 'choice'] }), value: { type: ['string', 'number', 'null'] }, bootValue: { type: ['string', 'number', 'null'] }, env: J.str(), source: J.str({ enum: ['default', 'env', 'file'] }), 'min?': J.num(), 'max?': J.num(), 'values?': J.arr(J.str()), description: J.str() }),
+  CacheEntry: J.obj({ key: J.str(), state: J.str({ enum: ['fresh', 'stale', 'expired'] }), storedAt: J.int(), expires: J.int(), staleUntil: J.int() }),
+  CrawlStatus: J.obj({ size: J.int(), builtAt: J.orNull(J.int()), crawling: J.bool(), refreshMs: J.int(), nextAt: J.orNull(J.int()), scheduledAt: J.orNull(J.int()), lastRun: J.orNull(J.obj({ startedAt: J.int(), ms: J.int(), 'seen?': J.int(), 'size?': J.int(), error: J.orNull(J.str()) })) }),
+  UpstreamFailure: J.obj({ at: J.int(), host: J.str(), method: J.str(), url: J.str(), status: J.orNull(J.int()), code: J.orNull(J.str()), message: J.orNull(J.str()), attempt: J.int(), willRetry: J.bool() }),
+  Rating: okBody({ slug: J.str(), average: J.orNull(J.num()), count: J.int(), distribution: J.map(J.int()), mine: J.orNull(J.int({ minimum: 1, maximum: RATING_MAX })) }),
+  Comment: J.obj({ id: J.str(), slug: J.str(), chapterId: J.str(), parentId: J.orNull(J.str()), author: J.orNull(J.str()), body: J.orNull(J.str({ description: 'plain text; ||text|| marks a spoiler. null when hidden from you or deleted' })), spoiler: J.bool(), status: J.str({ enum: COMMENT_STATUSES }), createdAt: J.int(), editedAt: J.orNull(J.int()), mine: J.bool(), 'reports?': J.int(), 'replies?': J.arr(J.ref('Comment')), 'hiddenBy?': J.orNull(J.str({ enum: ['reports', 'admin'] })), 'reasons?': J.arr(J.str()) }),
+  RouteMetrics: J.obj({ route: J.str(), count: J.int(), status: J.map(J.int()), avgMs: J.num(), p50Ms: J.num(), p95Ms: J.num(), maxMs: J.num() })
+};
+
+// one entry per documented route ("METHOD express-path"). Routes without validate() list their params under query,
+// `source` adds the ?source= provider parameter, `content` marks non-JSON responses (the client exposes those as <id>Url builders), `raw` a JSON body without the ok envelope
+const R = J.ref;
+const SERIES_LIST = { source: J.str(), items: J.arr(R('SeriesItem')) };
+const V2_LIST = { source: J.str(), hasMore: J.bool(), nextCursor: J.orNull(J.str()), totalEstimate: J.int(), totalExact: J.bool() };
+const SERIES_PAGE = { ...V2_LIST, items: J.arr(R('SeriesItem')), limit: J.int() };
+const API_OPS = {
+  'GET /api/home': { id: 'getHome', source: true, tag: 'catalog', summary: 'Latest series on a page of the source home listing', response: { ...SERIES_LIST, page: J.int(), excludePopular: J.bool() } },
+  'GET /api/popular': { id: 'getPopular', source: true, tag: 'catalog', summary: 'Most read/viewed/followed series on this server (trending by day or week, or all time), optionally within a genre; topped up from the source listing while traffic is thin', response: { source: J.str(), items: J.arr(R('PopularItem')), window: J.str({ enum: POPULARITY_WINDOWS }), genre: J.orNull(J.str()), ranked: J.int(), count: J.int() } },
+  'GET /api/recommendations': { id: 'getRecommendations', source: true, tag: 'catalog', summary: 'Picks for the logged-in reader (history, genres, similar readers), topped up with the daily shuffle', response: { source: J.str(), items: J.arr(R('RecommendedItem')), date: J.str(), personalized: J.bool(), poolPages: J.int(), poolSize: J.int(), count: J.int() } },
+  'GET /api/genres': { id: 'listGenres', source: true, tag: 'catalog', summary: 'Genres offered by the source', response: { source: J.str(), pages: J.int(), genres: J.arr(R('Genre')) } },
+  'GET /api/genre/:slug': { id: 'getGenre', source: true, tag: 'catalog', summary: 'Series listed under a genre', response: { ...SERIES_LIST, genre: J.str(), startPage: J.int(), pagesFetched: J.int() } },
+  'GET /api/browse': { id: 'browse', source: true, tag: 'catalog', summary: 'Browse the local catalog: genres combined with AND/OR, excluded genres, status filter, sorting and facet counts', response: { source: J.str(), items: J.arr(R('BrowseItem')), genres: J.arr(J.str()), mode: J.str(), exclude: J.arr(J.str()), status: J.orNull(J.str()), sort: J.str(), order: J.str(), page: J.int(), limit: J.int(), total: J.int(), facets: J.obj({ genres: J.arr(J.obj({ name: J.str(), count: J.int() })), status: J.arr(J.obj({ status: J.str(), count: J.int() })) }), index: J.orNull(J.obj({}, { open: true })) } },
+  'GET /api/search': { id: 'search', source: true, tag: 'catalog', summary: 'Fuzzy title search (Persian-aware) and genre filtering', response: { ...SERIES_LIST, q: J.str(), genres: J.arr(J.str()), page: J.int(), limit: J.int(), total: J.int(), index: J.orNull(J.obj({}, { open: true })) } },
+  'GET /api/manga/:slug': { id: 'getManga', source: true, tag: 'catalog', summary: 'Series detail with the full chapter list (latest first)', response: { manga: R('Manga') } },
+  'GET /api/manga': { id: 'getMangaByQuery', source: true, tag: 'catalog', summary: 'Same as /api/manga/{slug}', deprecated: true, response: { manga: R('Manga') } },
+  'GET /api/reader': { id: 'getChapterPages', source: true, tag: 'reader', summary: 'Page image urls of a chapter, plus its neighbours', response: R('ChapterPages') },
+  'GET /api/reader/:slug/:chapter': { id: 'getChapterPagesByPath', source: true, tag: 'reader', summary: 'Same as /api/reader with slug and chapter in the path', response: R('ChapterPages') },
+  'GET /api/v2/home': { id: 'listHomeV2', source: true, tag: 'v2', summary: 'Home listing, cursor-paginated', response: SERIES_PAGE },
+  'GET /api/v2/genres': { id: 'listGenresV2', source: true, tag: 'v2', summary: 'All genres of the source (single page)', response: { ...V2_LIST, items: J.arr(R('Genre')) } },
+  'GET /api/v2/genres/:slug/items': { id: 'listGenreItemsV2', source: true, tag: 'v2', summary: 'Series of a genre, cursor-paginated', response: { ...SERIES_PAGE, genre: J.str() } },
+  'GET /api/v2/search': { id: 'searchV2', source: true, tag: 'v2', summary: 'Search, cursor-paginated (exact totals)', response: { ...SERIES_PAGE, q: J.str(), genres: J.arr(J.str()) } },
+  'GET /api/v2/recommendations': { id: 'listRecommendationsV2', source: true, tag: 'v2', summary: 'Recommendations (personalized when logged in), cursor-paginated', response: { ...SERIES_PAGE, items: J.arr(R('RecommendedItem')), date: J.str(), personalized: J.bool() } },
+  'GET /api/sources': { id: 'listSources', tag: 'reader', summary: 'Sources and their mirrors (the reader server picker)', response: { sources: J.arr(R('Source')) } },
+  'GET /api/image': { id: 'image', tag: 'reader', summary: 'Image proxy with optional resize and format conversion', content: 'image/*', query: { url: P.text({ required: true, max: 2000 }), w: P.int({ min: 16, max: 2000 }), q: P.int({ min: 30, max: 95 }), fmt: P.oneOf(Object.keys(IMAGE_FORMATS)) } },
+
+  'POST /api/auth/register': { id: 'register', tag: 'account', summary: 'Create an account and get a bearer token (rate limited per address)', status: 201, body: R('Credentials'), response: { token: J.str(), user: R('User') } },
+  'POST /api/auth/login': { id: 'login', tag: 'account', summary: 'Exchange credentials for a bearer token (rate limited per address and username)', body: R('Credentials'), response: { token: J.str(), user: R('User') } },
+  'POST /api/auth/logout': { id: 'logout', tag: 'account', summary: 'Revoke the current token', auth: true },
+  'GET /api/me': { id: 'getMe', tag: 'account', summary: 'The logged-in user', auth: true, response: { user: R('User') } },
+  'GET /api/library': { id: 'getLibrary', tag: 'account', summary: 'Followed series', auth: true, response: { count: J.int(), items: J.arr(R('LibraryItem')) } },
+  'PUT /api/library/:slug': { id: 'follow', source: true, tag: 'account', summary: 'Follow a series (on the ?source= it is read from)', auth: true, body: J.obj({ 'title?': J.str(), 'cover?': J.str() }), response: { slug: J.str(), following: J.bool() } },
+  'DELETE /api/library/:slug': { id: 'unfollow', source: true, tag: 'account', summary: 'Stop following a series', auth: true, response: { slug: J.str(), following: J.bool() } },
+  'GET /api/progress/:slug': { id: 'getProgress', source: true, tag: 'account', summary: 'Reading position per chapter of a series', auth: true, response: { slug: J.str(), following: J.bool(), chapters: J.map(R('ChapterProgress')) } },
+  'PUT /api/progress/:slug/:chapter': { id: 'saveProgress', tag: 'account', summary: 'Save the reading position in a chapter', auth: true, body: J.obj({ 'page?': J.int(), 'pageCount?': J.int(), 'read?': J.bool() }), response: { slug: J.str(), chapterId: J.str(), progress: R('ChapterProgress') } },
+  'POST /api/progress/import': { id: 'importProgress', tag: 'account', summary: 'Import positions the reader kept in localStorage', auth: true, body: J.obj({ entries: J.arr(J.obj({ slug: J.str(), chapter: J.str(), 'idx?': J.int(), 'ts?': J.int() })) }), response: { imported: J.int() } },
+  'GET /api/history': { id: 'getHistory', tag: 'account', summary: 'Recently read chapters', auth: true, response: { count: J.int(), items: J.arr(R('HistoryItem')) } },
+  'GET /api/continue': { id: 'getContinueReading', tag: 'account', summary: 'Latest position per series, most recent first', auth: true, response: { count: J.int(), items: J.arr(R('HistoryItem')) } },
+
+  'GET /api/manga/:slug/rating': { id: 'getRating', source: true, tag: 'community', summary: 'Average rating of a series, its distribution and your own score', response: R('Rating') },
+  'PUT /api/manga/:slug/rating': { id: 'rate', source: true, tag: 'community', summary: 'Rate a series from 1 to 5 (replaces your earlier score)', auth: true, body: J.obj({ score: J.int({ minimum: 1, maximum: RATING_MAX }) }), response: R('Rating') },
+  'DELETE /api/manga/:slug/rating': { id: 'unrate', source: true, tag: 'community', summary: 'Withdraw your rating', auth: true, response: R('Rating') },
+  'GET /api/manga/:slug/comments': { id: 'getSeriesComments', source: true, tag: 'community', summary: 'Latest comments on any chapter of a series', response: { slug: J.str(), total: J.int(), count: J.int(), items: J.arr(R('Comment')) } },
+  'GET /api/manga/:slug/chapters/:chapter/comments': { id: 'getComments', source: true, tag: 'community', summary: 'Comment thread of a chapter: top-level comments with their replies', response: { slug: J.str(), chapterId: J.str(), sort: J.str(), page: J.int(), limit: J.int(), total: J.int(), count: J.int(), moderator: J.bool(), items: J.arr(R('Comment')) } },
+  'POST /api/manga/:slug/chapters/:chapter/comments': { id: 'postComment', source: true, tag: 'community', summary: 'Comment on a chapter, or reply with parentId (rate limited)', auth: true, status: 201, body: J.obj({ body: J.str(), 'spoiler?': J.bool(), 'parentId?': J.str() }), response: { comment: R('Comment') } },
+  'PATCH /api/comments/:id': { id: 'editComment', tag: 'community', summary: 'Edit your comment', auth: true, body: J.obj({ 'body?': J.str(), 'spoiler?': J.bool() }), response: { comment: R('Comment') } },
+  'DELETE /api/comments/:id': { id: 'deleteComment', tag: 'community', summary: 'Delete your comment (admins: any comment); one with replies stays as a placeholder', auth: true, response: { id: J.str(), placeholder: J.bool() } },
+  'POST /api/comments/:id/report': { id: 'reportComment', tag: 'community', summary: 'Report a comment to the moderators', auth: true, body: J.obj({ 'reason?': J.str() }), response: { id: J.str(), reported: J.bool() } },
+
+  'GET /api/updates': { id: 'getUpdates', source: true, tag: 'updates', summary: 'New chapters detected for followed series (all series when anonymous)', response: { scope: J.str({ enum: ['slug', 'following', 'all'] }), count: J.int(), items: J.arr(R('UpdateEvent')) } },
+  'GET /api/feed.xml': { id: 'updatesFeed', tag: 'updates', summary: 'Atom feed of new chapters', content: 'application/atom+xml' },
+  'GET /api/feed/:slug.xml': { id: 'seriesFeed', source: true, tag: 'updates', summary: 'Atom feed of new chapters of one series', content: 'application/atom+xml' },
+  'GET /api/webhooks': { id: 'listWebhooks', tag: 'updates', summary: 'Your webhooks', auth: true, response: { count: J.int(), items: J.arr(R('Webhook')) } },
+  'POST /api/webhooks': { id: 'createWebhook', tag: 'updates', summary: 'Register a webhook; the signing secret is only returned here', auth: true, status: 201, body: J.obj({ url: J.str(), 'slugs?': J.arr(J.str()) }), response: { webhook: R('Webhook') } },
+  'DELETE /api/webhooks/:id': { id: 'deleteWebhook', tag: 'updates', summary: 'Remove a webhook', auth: true },
+  'GET /api/push/key': { id: 'getPushKey', tag: 'updates', summary: 'VAPID public key for web push', response: { publicKey: J.str() } },
+  'POST /api/push/subscribe': { id: 'subscribePush', tag: 'updates', summary: 'Register a browser push subscription', auth: true, status: 201, body: J.obj({ subscription: J.obj({ endpoint: J.str() }, { open: true }) }) },
+  'DELETE /api/push/subscribe': { id: 'unsubscribePush', tag: 'updates', summary: 'Remove a browser push subscription', auth: true, body: J.obj({ 'endpoint?': J.str() }) },
+
+  'POST /api/download/jobs': { id: 'createDownloadJob', tag: 'downloads', summary: 'Build an archive of a chapter range in the background (a few jobs per user at a time)', auth: true, status: 202, body: J.obj({ slug: J.str(), 'format?': J.str({ enum: Object.keys(DOWNLOAD_FORMATS) }), 'chapters?': J.arr(J.str()), 'from?': J.num(), 'to?': J.num(), 'source?': J.str() }), response: { job: R('DownloadJob') } },
+  'GET /api/download/jobs/:id': { id: 'getDownloadJob', tag: 'downloads', summary: 'Progress of a download job', response: { job: R('DownloadJob') } },
+  'GET /api/download/jobs/:id/file': { id: 'downloadJobFile', tag: 'downloads', summary: 'The finished archive', content: 'application/octet-stream' },
+  'GET /api/download/:slug/:chapter': { id: 'downloadChapter', source: true, tag: 'downloads', summary: 'One chapter as CBZ, PDF or EPUB (streamed)', content: 'application/octet-stream' },
+
+  'GET /api/health': { id: 'getHealth', tag: 'service', summary: 'Liveness plus scraping, upstream and cache status', response: J.obj({ ok: { const: true }, ts: J.int(), uptime: J.int(), status: J.str({ enum: Object.keys(DIAG_SEVERITY) }) }, { open: true }) },
+  'GET /api/diagnostics': { id: 'getDiagnostics', source: true, tag: 'service', summary: 'Per-extractor strategy statistics and selector drift', response: { ts: J.int(), status: J.str({ enum: Object.keys(DIAG_SEVERITY) }), primaryStrategies: J.map(J.str()), lastProbe: J.orNull(J.obj({}, { open: true })), reports: J.arr(R('ExtractorReport')) } },
+  'GET /api/admin/overview': { id: 'getAdminOverview', tag: 'admin', summary: 'Process, cache, upstream, crawl and request totals (admins only)', auth: true, response: { ts: J.int(), uptime: J.int(), memory: J.obj({ rss: J.int(), heapUsed: J.int() }), status: J.str({ enum: Object.keys(DIAG_SEVERITY) }), cache: J.obj({}, { open: true }), upstream: J.map(J.obj({}, { open: true })), crawl: R('CrawlStatus'), requests: J.obj({ since: J.int(), total: J.int(), errors: J.int() }) } },
+  'GET /api/admin/config': { id: 'getConfig', tag: 'admin', summary: 'Runtime settings with their current value and where it came from', auth: true, response: { settings: J.arr(R('Setting')), errors: J.arr(J.obj({ param: J.str(), message: J.str() })) } },
+  'PATCH /api/admin/config': { id: 'updateConfig', tag: 'admin', summary: 'Change settings at runtime and save them to config.json; null resets a setting to its env/default value', auth: true, body: J.map({ type: ['string', 'number', 'null'] }), response: { changed: J.arr(J.str()), settings: J.arr(R('Setting')), errors: J.arr(J.obj({ param: J.str(), message: J.str() })) } },
+  'GET /api/admin/cache': { id: 'listCache', tag: 'admin', summary: 'Cached entries held in memory, optionally by key prefix', auth: true, response: { stats: J.obj({}, { open: true }), prefix: J.str(), total: J.int(), items: J.arr(R('CacheEntry')) } },
+  'DELETE /api/admin/cache': { id: 'purgeCache', tag: 'admin', summary: 'Drop cached entries by key prefix (memory and disk), or everything with all=true', auth: true, response: { prefix: J.str(), removed: J.int() } },
+  'GET /api/admin/crawl': { id: 'getCrawl', tag: 'admin', summary: 'Catalog crawl state, schedule and last run', auth: true, response: { crawl: R('CrawlStatus') } },
+  'POST /api/admin/crawl': { id: 'startCrawl', tag: 'admin', summary: 'Crawl the catalog now, schedule a one-off crawl ({ at }) or cancel it ({ cancel: true })', auth: true, status: 202, body: J.obj({ 'at?': { type: ['string', 'integer'] }, 'cancel?': J.bool() }), response: { started: J.bool(), crawl: R('CrawlStatus') } },
+  'GET /api/admin/upstream': { id: 'getUpstream', tag: 'admin', summary: 'Per-host client state and the most recent failed upstream requests', auth: true, response: { hosts: J.map(J.obj({}, { open: true })), count: J.int(), failures: J.arr(R('UpstreamFailure')) } },
+  'GET /api/admin/metrics': { id: 'getMetrics', tag: 'admin', summary: 'Request counts, status classes and latency percentiles per route since start', auth: true, response: { since: J.int(), total: J.int(), errors: J.int(), routes: J.arr(R('RouteMetrics')) } },
+  'GET /api/admin/comments': { id: 'listModerationQueue', tag: 'admin', summary: 'Reported comments (most reports first) or all hidden ones, with report reasons', auth: true, response: { status: J.str(), total: J.int(), count: J.int(), items: J.arr(R('Comment')) } },
+  'POST /api/admin/comments/:id/hide': { id: 'hideComment', tag: 'admin', summary: 'Hide a comment, or show it again with { hidden: false } (clears its reports)', auth: true, body: J.obj({ 'hidden?': J.bool() }), response: { comment: R('Comment') } },
+  'GET /api/docs': { id: 'docs', tag: 'service', summary: 'Interactive documentation for this API', content: 'text/html' },
+  'GET /api/openapi.json': { id: 'getOpenApi', tag: 'service', summary: 'This document', raw: true, response: J.obj({ openapi: J.str() }, { open: true }) }
+};
+
+const openApiPath = p => p.replace(/:(\w+)/g, '{$1}');
+function apiParameters(route, op){
+  const validated = (route.stack.map(l => l.handle).find(h => h.schema) || {}).schema || {};
+  const pathRules = validated.params || {}; const queryRules = { ...(op.query || {}), ...(validated.query || {}) };
+  const out = [];
+  for(const name of (route.path.match(/:(\w+)/g) || []).map(s => s.slice(1))){
+    const rule = pathRules[name];
+    out.push({ name, in: 'path', required: true, schema: rule ? rule.schema : { type: 'string' } });
+  }
+  for(const [name, rule] of Object.entries(queryRules)){
+    const s = { ...rule.schema, ...(rule.default !== undefined && typeof rule.default !== 'function' ? { default: rule.default } : {}) };
+    out.push({ name, in: 'query', required: !!rule.required, schema: s, ...(s.type === 'array' ? { style: 'form', explode: false } : {}) });
+  }
+  if(op.source) out.push({ $ref: '#/components/parameters/source' });
+  return out;
+}
+function apiResponseSchema(op){
+  if(!op.response) return okBody();
+  if(op.raw || op.response.$ref || op.response.type) return op.response;
+  return okBody(op.response);
+}
+let _openapi = null;
+function openapiDocument(){
+  if(_openapi) return _openapi;
+  const paths = {};
+  for(const layer of app._router.stack){
+    const route = layer.route; if(!route) continue;
+    for(const method of Object.keys(route.methods)){
+      const op = API_OPS[`${method.toUpperCase()} ${route.path}`]; if(!op) continue;
+      const ok = op.content ? { description: op.summary, content: { [op.content]: { schema: { type: 'string', format: 'binary' } } } } : { description: op.summary, content: { 'application/json': { schema: apiResponseSchema(op) } } };
+      (paths[openApiPath(route.path)] = paths[openApiPath(route.path)] || {})[method] = {
+        operationId: op.id, tags: [op.tag], summary: op.summary, ...(op.deprecated ? { deprecated: true } : {}),
+        parameters: apiParameters(route, op),
+        ...(op.body ? { requestBody: { required: true, content: { 'application/json': { schema: op.body } } } } : {}),
+        ...(op.auth ? { security: [{ bearer: [] }] } : {}),
+        responses: { [op.status || 200]: ok, default: { description: 'Error', content: { 'application/json': { schema: J.ref('ErrorResponse') } } } }
+      };
+    }
+  }
+  _openapi = {
+    openapi: '3.1.0',
+    info: { title: 'Manhwa Vault API', version: '1.0.0', description: 'Scraped catalog, reader and account API. Errors always use the ErrorResponse schema; X-Request-Id is echoed on every response.' },
+    servers: [{ url: '/' }],
+    tags: ['catalog', 'v2', 'reader', 'account', 'community', 'updates', 'downloads', 'service', 'admin'].map(name => ({ name, ...(name === 'v2' ? { description: 'Cursor-paginated listings: pass nextCursor back as ?cursor= until hasMore is false. v1 listing routes keep their page parameters.' } : {}) })),
+    paths,
+    components: {
+      schemas: API_SCHEMAS,
+      parameters: { source: { name: 'source', in: 'query', required: false, description: 'provider id from /api/sources (default source when omitted)', schema: { type: 'string' } } },
+      securitySchemes: { bearer: { type: 'http', scheme: 'bearer', description: 'token from /api/auth/login or /api/auth/register' } }
+    }
+  };
+  return _openapi;
+}
+
+// checks a value against the subset of JSON schema used above; returns a list of "path: problem" strings
+function schemaErrors(schema, value, at='$', errors=[]){
+  if(schema.$ref) return schemaErrors(API_SCHEMAS[schema.$ref.split('/').pop()], value, at, errors);
+  if(schema.anyOf){
+    if(!schema.anyOf.some(s => !schemaErrors(s, value, at).length)) errors.push(`${at}: does not match any allowed shape`);
+    return errors;
+  }
+  if('const' in schema && value !== schema.const){ errors.push(`${at}: expected ${JSON.stringify(schema.const)}`); return errors; }
+  const types = [].concat(schema.type || []);
+  const typeOf = v => v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v;
+  const actual = typeOf(value);
+  if(types.length && !types.some(t => t === actual || (t === 'number' && actual === 'integer'))){ errors.push(`${at}: expected ${types.join(' or ')}, got ${actual}`); return errors; }
+  if(schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  if(actual === 'array' && schema.items) value.forEach((v, i) => schemaErrors(schema.items, v, `${at}[${i}]`, errors));
+  if(actual === 'object'){
+    for(const k of schema.required || []) if(!(k in value)) errors.push(`${at}.${k}: is required`);
+    for(const [k, v] of Object.entries(value)){
+      if(v === undefined) continue;
+      const s = (schema.properties || {})[k] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if(s) schemaErrors(s, v, `${at}.${k}`, errors);
+      else if(schema.additionalProperties === false) errors.push(`${at}.${k}: is not in the schema`);
+    }
+  }
+  return errors;
+}
+function checkResponse(method, routePath, status, body){
+  if(status >= 400) return schemaErrors(J.ref('ErrorResponse'), body);
+  const op = API_OPS[`${method} ${routePath}`];
+  return op && !op.content ? schemaErrors(apiResponseSchema(op), body) : [];
+}
+
+// development aid: compare JSON responses with the document. API_VALIDATE_RESPONSES=0 turns it off (default off in production),
+// =strict swaps a mismatching response for a 500 listing the problems (the tests run this way)
+const RESPONSE_CHECKS = process.env.API_VALIDATE_RESPONSES || (process.env.NODE_ENV === 'production' ? '0' : '1');
+function checkResponses(req, res, next){
+  if(RESPONSE_CHECKS === '0') return next();
+  const json = res.json;
+  res.json = function(body){
+    res.json = json;
+    const routePath = req.route ? `${req.baseUrl}${req.route.path}` : null;
+    const problems = routePath || res.statusCode >= 400 ? checkResponse(req.method, routePath, res.statusCode, body) : [];
+    if(!problems.length) return json.call(res, body);
+    log('warn', 'response does not match the API schema', { method: req.method, route: routePath || req.path, problems: problems.slice(0, 5) });
+    if(RESPONSE_CHECKS !== 'strict') return json.call(res, body);
+    return json.call(res.status(500), { ok:false, error: 'response does not match the API schema', code: 'INTERNAL', requestId: req.id, problems });
+  };
+  next();
+}
+
+app.get('/api/openapi.json', (req,res)=> res.json(openapiDocument()));
+app.get('/api/docs', (req,res)=> res.sendFile(path.join(__dirname, 'public', 'docs.html')));
+
+// public/api-client.js is generated from the document: `node server.js --write-client` after changing routes or schemas
+function jsdocType(s){
+  if(s.$ref) return s.$ref.split('/').pop();
+  if(s.anyOf) return s.anyOf.map(jsdocType).join('|');
+  if('const' in s) return JSON.stringify(s.const);
+  if(s.enum) return s.enum.map(v => v === null ? 'null' : `'${v}'`).join('|');
+  if(Array.isArray(s.type)) return s.type.map(t => t === 'null' ? 'null' : jsdocType({ ...s, type: t })).join('|');
+  if(s.type === 'integer' || s.type === 'number') return 'number';
+  if(s.type === 'array'){ const inner = jsdocType(s.items || {}); return /[|{]/.test(inner) ? `Array<${inner}>` : `${inner}[]`; }
+  if(s.type === 'object'){
+    const props = Object.entries(s.properties || {});
+    if(!props.length) return typeof s.additionalProperties === 'object' ? `Object<string, ${jsdocType(s.additionalProperties)}>` : 'object';
+    return `{ ${props.map(([k, v]) => `${k}${(s.required || []).includes(k) ? '' : '?'}: ${jsdocType(v)}`).join(', ')} }`;
+  }
+  return s.type || '*';
+}
+function renderApiClient(doc = openapiDocument()){
+  const typedefs = Object.entries(doc.components.schemas).filter(([, s]) => s.properties).map(([name, s]) => [
+    '  /**', `   * @typedef {object} ${name}`,
+    ...Object.entries(s.properties).map(([k, v]) => `   * @property {${jsdocType(v)}} ${(s.required || []).includes(k) ? k : `[${k}]`}`),
+    '   */'
+  ].join('\n'));
+  const ops = []; const methods = [];
+  for(const [p, item] of Object.entries(doc.paths)) for(const [method, op] of Object.entries(item)){
+    const params = op.parameters.map(x => x.$ref ? doc.components.parameters[x.$ref.split('/').pop()] : x);
+    const queryNames = params.filter(x => x.in === 'query').map(x => x.name);
+    ops.push(`    ${op.operationId}: [${JSON.stringify(method.toUpperCase())}, ${JSON.stringify(p)}, ${JSON.stringify(queryNames)}]`);
+    const paramType = params.length ? `{ ${params.map(x => `${x.name}${x.required ? '' : '?'}: ${x.schema.type === 'array' ? 'string[]' : jsdocType(x.schema)}`).join(', ')} }` : null;
+    const needsParams = params.some(x => x.required);
+    const doc1 = [`      /**`, `       * ${op.summary}${op.deprecated ? ' (deprecated)' : ''}`];
+    if(paramType) doc1.push(`       * @param {${paramType}} ${needsParams ? 'params' : '[params]'}`);
+    const ok = op.responses[Object.keys(op.responses).find(k => k !== 'default')];
+    if(ok.content['application/json']){
+      const body = op.requestBody && op.requestBody.content['application/json'].schema;
+      if(body) doc1.push(`       * @param {${jsdocType(body)}} body`);
+      doc1.push(`       * @param {RequestInit} [init]`, `       * @returns {Promise<${jsdocType(ok.content['application/json'].schema)}>}`, `       */`);
+      const args = [paramType ? 'params' : null, body ? 'body' : null, 'init'].filter(Boolean);
+      methods.push(`${doc1.join('\n')}\n      ${op.operationId}: (${args.join(', ')}) => call(OPS.${op.operationId}, ${paramType ? 'params' : '{}'}, ${body ? 'body' : 'undefined'}, init)`);
+    }else{
+      doc1.push(`       * @returns {string} url of the ${Object.keys(ok.content)[0]} response`, `       */`);
+      methods.push(`${doc1.join('\n')}\n      ${op.operationId}Url: ${paramType ? 'params' : '()'} => url(OPS.${op.operationId}, ${paramType ? 'params' : '{}'})`);
+    }
+  }
+  return `// public/api-client.js — generated from /api/openapi.json by \`node server.js --write-client\`; do not edit by hand
+// ${doc.info.title} ${doc.info.version}. Browser: window.TowerApi; Node 18+: require('./public/api-client.js')
+(function(root){
+${typedefs.join('\n')}
+
+  // operationId -> [method, path template, query parameter names]
+  const OPS = {
+${ops.join(',\n')}
+  };
+
+  class ApiError extends Error {
+    constructor(body, status){
+      super((body && body.error) || \`HTTP \${status}\`);
+      this.name = 'ApiError'; this.status = status; this.code = (body && body.code) || null; this.body = body || null;
+    }
+  }
+
+  /**
+   * @param {{ base?: string, token?: () => (string|null), fetch?: typeof fetch }} [opts]
+   */
+  function createClient({ base = '', token = () => null, fetch: fetchImpl } = {}){
+    const doFetch = fetchImpl || ((...a) => root.fetch(...a));
+    function url([, path, queryNames], params = {}){
+      const q = new URLSearchParams();
+      for(const k of queryNames){ const v = params[k]; if(v !== undefined && v !== null && v !== '') q.set(k, Array.isArray(v) ? v.join(',') : String(v)); }
+      const qs = q.toString();
+      return \`\${base}\${path.replace(/\\{(\\w+)\\}/g, (_, k) => encodeURIComponent(params[k]))}\${qs ? \`?\${qs}\` : ''}\`;
+    }
+    async function call(op, params, body, init = {}){
+      const headers = { Accept: 'application/json', ...(init.headers || {}) };
+      const t = token(); if(t) headers.Authorization = \`Bearer \${t}\`;
+      if(body !== undefined) headers['Content-Type'] = 'application/json';
+      const r = await doFetch(url(op, params), { ...init, method: op[0], headers, body: body !== undefined ? JSON.stringify(body) : undefined });
+      const data = await r.json().catch(() => null);
+      if(!r.ok || !data || data.ok === false) throw new ApiError(data, r.status);
+      return data;
+    }
+    return {
+${methods.join(',\n')}
+    };
+  }
+
+  const api = { createClient, ApiError };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else root.TowerApi = api;
+})(typeof window !== 'undefined' ? window : globalThis);
+`;
+}
+
+const PORT = process.env.PORT || 3000;
+app.use('/api', (req,res)=> sendError(res, new ApiError('NOT_FOUND', `no such endpoint: ${req.method} ${req.baseUrl}${req.path}`)));
+app.use(apiErrorHandler);
+if(require.main === module && process.argv.includes('--write-client')){
+  fs.writeFileSync(path.join(__dirname, 'public', 'api-client.js'), renderApiClient());
+  console.log('wrote public/api-client.js'); process.exit(0);
+}
+else if(require.main === module){ startBackground(); app.listen(PORT, ()=> log('info', 'server listening', { port: Number(PORT) })); }
+
+// exported for the fixture tests under test/; the server only listens when run directly
+module.exports = {
+  app, cache, createCache, DEFAULT_SITE, createHttpClient,
+  extractHomePage, extractGenresPage, extractGenres, extractMangaDetail, extractReaderPages, extractGenreListingPage,
+  buildFallbackPageUrl, discoverPageCountByHead, discoverChapterPages, matchChapter, chapterNeighbors, resolveChapterPages, handleReaderQuery,
+  createManhwaTowerProvider, registerProvider, diagnosticsSummary, runDiagnosticProbe,
+  openapiDocument, checkResponse, renderApiClient, rankRecommendations, recordPopularity, rankPopular,
+  catalogUpsert, catalogUpsertDetail, browseCatalog, parseSeriesStatus, log, LOG, createMetricsRegistry, updateSettings,
+  createZipWriter, ARCHIVE_BUILDERS, sniffImage, imageHostAllowed, createImageDiskCache, diffChapters, pollUpdates
+};
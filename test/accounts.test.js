@@ -0,0 +1,143 @@
+// test/accounts.test.js — registration, login and session expiry, the library and reading progress over real HTTP
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer, loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+describe('accounts API', () => {
+  let stub, api, base;
+  const call = async (method, path, { token, body } = {}) => {
+    const headers = {}; if(token) headers.Authorization = `Bearer ${token}`;
+    if(body !== undefined) headers['Content-Type'] = 'application/json';
+    const r = await fetch(base + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: r.status, body: await r.json() };
+  };
+  const register = async (username, password = 'secret123') => call('POST', '/api/auth/register', { body: { username, password } });
+  before(async () => {
+    // following a series baselines its chapter list from the default source; keep that local
+    stub = await startStubServer({ routes: { '/Manhwa/test-title/': 'detail.html' } });
+    server.updateSettings({ 'site.base': stub.base });
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+  });
+  after(() => { api.close(); stub.close(); server.updateSettings({ 'site.base': null, 'auth.sessionTtlMs': null, 'auth.windowMs': null, 'auth.ipLimit': null, 'auth.userLimit': null }); });
+
+  it('registers accounts with valid, unique names', async () => {
+    assert.match((await register('ab')).body.error, /3-32 characters/);
+    assert.match((await register('bad name')).body.error, /3-32 characters/);
+    assert.match((await register('shortpw', '12345')).body.error, /at least 6/);
+    const r = await register('Reader_1');
+    assert.equal(r.status, 201);
+    assert.match(r.body.token, /^[a-f0-9]{64}$/);
+    assert.deepEqual({ username: r.body.user.username, following: r.body.user.following }, { username: 'Reader_1', following: 0 });
+    const taken = await register('reader_1');
+    assert.deepEqual({ status: taken.status, code: taken.body.code }, { status: 409, code: 'CONFLICT' }, 'names are unique regardless of case');
+  });
+
+  it('logs in and out with bearer tokens', async () => {
+    await register('walker');
+    assert.equal((await call('POST', '/api/auth/login', { body: { username: 'walker', password: 'wrong-one' } })).status, 401);
+    assert.equal((await call('POST', '/api/auth/login', { body: { username: 'nobody', password: 'secret123' } })).status, 401);
+    const { token } = (await call('POST', '/api/auth/login', { body: { username: 'WALKER', password: 'secret123' } })).body;
+    assert.equal((await call('GET', '/api/me', { token })).body.user.username, 'walker');
+    assert.equal((await call('GET', '/api/me')).status, 401);
+    assert.equal((await call('GET', '/api/me', { token: 'f'.repeat(64) })).status, 401);
+    assert.equal((await call('POST', '/api/auth/logout', { token })).status, 200);
+    assert.equal((await call('GET', '/api/me', { token })).status, 401, 'logout revokes the token');
+  });
+
+  it('refuses overlong passwords before hashing them', async () => {
+    const long = 'x'.repeat(257);
+    assert.match((await register('longpass', long)).body.error, /at most 256 characters/);
+    assert.equal((await register('longpass', 'x'.repeat(256))).status, 201);
+    const r = await call('POST', '/api/auth/login', { body: { username: 'longpass', password: 'y'.repeat(100000) } });
+    assert.deepEqual({ status: r.status, code: r.body.code }, { status: 400, code: 'BAD_REQUEST' });
+  });
+
+  it('throttles failed logins per username and all attempts per address', async () => {
+    await register('guarded');
+    server.updateSettings({ 'auth.userLimit': 2, 'auth.windowMs': 1000 });
+    try{
+      const login = password => call('POST', '/api/auth/login', { body: { username: 'Guarded', password } });
+      assert.equal((await login('wrong-1')).status, 401);
+      assert.equal((await login('wrong-2')).status, 401);
+      const locked = await login('secret123');
+      assert.deepEqual({ status: locked.status, code: locked.body.code }, { status: 429, code: 'RATE_LIMITED' });
+      assert.ok(locked.body.retryAfter >= 1);
+      assert.equal((await call('POST', '/api/auth/login', { body: { username: 'walker', password: 'secret123' } })).status, 200, 'other names are not affected');
+      await sleep(1100);
+      assert.equal((await login('secret123')).status, 200, 'the window passed');
+
+      server.updateSettings({ 'auth.ipLimit': 2 }); // the login above already counts
+      assert.equal((await login('secret123')).status, 200);
+      assert.equal((await register('toomany')).status, 429, 'registering counts against the address too');
+      assert.equal((await login('secret123')).status, 429);
+    }finally{
+      await sleep(1100); // let this test's attempts leave the window
+      server.updateSettings({ 'auth.windowMs': null, 'auth.ipLimit': null, 'auth.userLimit': null });
+    }
+  });
+
+  it('expires sessions left unused and extends the ones in use', async () => {
+    server.updateSettings({ 'auth.sessionTtlMs': 1000 });
+    try{
+      const active = (await register('active')).body.token;
+      const idle = (await register('idler')).body.token;
+      for(let i = 0; i < 3; i++){ await sleep(500); assert.equal((await call('GET', '/api/me', { token: active })).status, 200, `use ${i + 1}`); }
+      assert.equal((await call('GET', '/api/me', { token: idle })).status, 401, 'idle past the ttl');
+      await sleep(1100);
+      assert.equal((await call('GET', '/api/me', { token: active })).status, 401);
+      const again = (await call('POST', '/api/auth/login', { body: { username: 'idler', password: 'secret123' } })).body.token;
+      assert.equal((await call('GET', '/api/me', { token: again })).status, 200, 'a new login works');
+    }finally{ server.updateSettings({ 'auth.sessionTtlMs': null }); }
+  });
+
+  it('follows and unfollows series', async () => {
+    const token = (await register('follower')).body.token;
+    assert.equal((await call('GET', '/api/library')).status, 401);
+    assert.equal((await call('PUT', '/api/library/test-title', { token, body: { title: 'Test Title' } })).body.following, true);
+    await call('PUT', '/api/library/other-title', { token, body: {} });
+    await call('PUT', '/api/progress/test-title/10,77', { token, body: { page: 3, read: true } });
+    const lib = (await call('GET', '/api/library', { token })).body;
+    assert.equal(lib.count, 2);
+    assert.deepEqual(lib.items.map(it => [it.slug, it.readCount]).sort(), [['other-title', 0], ['test-title', 1]]);
+    assert.equal(lib.items.find(it => it.slug === 'test-title').title, 'Test Title');
+    assert.equal((await call('GET', '/api/me', { token })).body.user.following, 2);
+    assert.equal((await call('DELETE', '/api/library/other-title', { token })).body.following, false);
+    assert.deepEqual((await call('GET', '/api/library', { token })).body.items.map(it => it.slug), ['test-title']);
+    assert.equal((await call('PUT', '/api/library/%21%21', { token, body: {} })).status, 400);
+  });
+
+  it('saves reading progress, history and where to continue', async () => {
+    const token = (await register('progress')).body.token;
+    const saved = (await call('PUT', '/api/progress/test-title/10,77', { token, body: { page: 5, pageCount: 20 } })).body;
+    assert.deepEqual({ page: saved.progress.page, pageCount: saved.progress.pageCount, read: saved.progress.read }, { page: 5, pageCount: 20, read: false });
+    await call('PUT', '/api/progress/test-title/11,77', { token, body: { page: 1 } });
+    await call('PUT', '/api/progress/test-title/10,77', { token, body: { page: 20, read: true } });
+    const p = (await call('GET', '/api/progress/test-title', { token })).body;
+    assert.deepEqual({ page: p.chapters['10,77'].page, pageCount: p.chapters['10,77'].pageCount, read: p.chapters['10,77'].read, following: p.following }, { page: 20, pageCount: 20, read: true, following: false });
+    assert.deepEqual((await call('GET', '/api/history', { token })).body.items.map(h => h.chapterId), ['10,77', '11,77']);
+    const cont = (await call('GET', '/api/continue', { token })).body;
+    assert.deepEqual(cont.items.map(c => [c.slug, c.chapterId]), [['test-title', '10,77']]);
+  });
+
+  it('imports local positions without letting old or future timestamps win', async () => {
+    const token = (await register('importer')).body.token;
+    await call('PUT', '/api/progress/test-title/10,77', { token, body: { page: 7 } });
+    const now = Date.now();
+    const r = (await call('POST', '/api/progress/import', { token, body: { entries: [
+      { slug: 'test-title', chapter: '10,77', idx: 2, ts: now - 60000 },
+      { slug: 'test-title', chapter: '12', idx: 4, ts: now + 365 * 24 * 60 * 60 * 1000 },
+      { slug: '', chapter: '1' }
+    ] } })).body;
+    assert.equal(r.imported, 2);
+    const chapters = (await call('GET', '/api/progress/test-title', { token })).body.chapters;
+    assert.equal(chapters['10,77'].page, 7, 'an older import keeps the newer saved position');
+    assert.ok(chapters['12'].updatedAt <= Date.now(), 'future timestamps are clamped to now');
+    await call('PUT', '/api/progress/test-title/12', { token, body: { page: 9 } });
+    assert.equal((await call('GET', '/api/progress/test-title', { token })).body.chapters['12'].page, 9, 'later saves still win');
+  });
+});
@@ -0,0 +1,95 @@
+// test/admin.test.js — admin-only access, runtime settings, cache purge, crawl scheduling and request metrics over real HTTP
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers/stub-server');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.ADMIN_USERS = 'boss';
+const server = loadServer();
+
+describe('admin API', () => {
+  let api, base, userToken, bossToken;
+  const call = async (method, path, { token = 'test-admin-token', body } = {}) => {
+    const headers = {}; if(token) headers.Authorization = `Bearer ${token}`;
+    if(body !== undefined) headers['Content-Type'] = 'application/json';
+    const r = await fetch(base + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: r.status, body: await r.json() };
+  };
+  const register = async username => (await call('POST', '/api/auth/register', { token: null, body: { username, password: 'secret123' } })).body.token;
+  before(async () => {
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+    userToken = await register('reader1');
+    bossToken = await register('Boss');
+  });
+  after(() => api.close());
+
+  it('needs a login, then an admin', async () => {
+    assert.equal((await call('GET', '/api/admin/overview', { token: null })).status, 401);
+    const r = await call('GET', '/api/admin/overview', { token: userToken });
+    assert.equal(r.status, 403);
+    assert.equal(r.body.code, 'FORBIDDEN');
+    assert.equal((await call('GET', '/api/admin/overview', { token: bossToken })).status, 200, 'ADMIN_USERS match case-insensitively');
+    assert.equal((await call('GET', '/api/me', { token: bossToken })).body.user.admin, true);
+    assert.equal((await call('GET', '/api/admin/overview')).body.ok, true);
+  });
+
+  it('validates setting changes all-or-nothing, applies them and resets with null', async () => {
+    const bad = await call('PATCH', '/api/admin/config', { body: { 'reader.maxPageCheck': 0, 'site.base': 'ftp://x', 'nope.key': 1 } });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.details.map(d => d.param).sort(), ['nope.key', 'reader.maxPageCheck', 'site.base']);
+    const setting = async key => (await call('GET', '/api/admin/config')).body.settings.find(s => s.key === key);
+    assert.equal((await setting('reader.maxPageCheck')).source, 'default', 'a rejected patch changes nothing');
+
+    const ok = await call('PATCH', '/api/admin/config', { body: { 'reader.maxPageCheck': 500, 'upstream.retries': 1 } });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(ok.body.changed, ['reader.maxPageCheck', 'upstream.retries']);
+    assert.deepEqual(await setting('reader.maxPageCheck'), { ...(await setting('reader.maxPageCheck')), value: 500, source: 'file' });
+
+    await call('PATCH', '/api/admin/config', { body: { 'reader.maxPageCheck': null } });
+    const reset = await setting('reader.maxPageCheck');
+    assert.equal(reset.source, 'default');
+    assert.equal(reset.value, reset.bootValue);
+    assert.equal((await setting('upstream.retries')).value, 1);
+  });
+
+  it('lists cached entries by prefix and purges them', async () => {
+    const policy = { ttl: 60*1000, stale: 60*1000 };
+    for(const k of ['admintest:a', 'admintest:b', 'other:c']) await server.cache.wrap(k, policy, async () => k);
+    const listed = await call('GET', '/api/admin/cache?prefix=admintest:');
+    assert.deepEqual(listed.body.items.map(e => e.key).sort(), ['admintest:a', 'admintest:b']);
+    assert.equal(listed.body.items[0].state, 'fresh');
+    assert.equal((await call('DELETE', '/api/admin/cache')).status, 400, 'purging everything needs all=true');
+    assert.equal((await call('DELETE', '/api/admin/cache?prefix=admintest:')).body.removed, 2);
+    assert.equal((await call('GET', '/api/admin/cache?prefix=admintest:')).body.total, 0);
+    assert.equal((await call('GET', '/api/admin/cache?prefix=other:')).body.total, 1);
+  });
+
+  it('schedules and cancels a one-off crawl', async () => {
+    const at = Date.now() + 60*60*1000;
+    const r = await call('POST', '/api/admin/crawl', { body: { at: new Date(at).toISOString() } });
+    assert.equal(r.status, 202);
+    assert.equal(r.body.started, false);
+    assert.ok(Math.abs(r.body.crawl.scheduledAt - at) < 1000);
+    assert.equal((await call('POST', '/api/admin/crawl', { body: { at: 'someday' } })).status, 400);
+    assert.equal((await call('POST', '/api/admin/crawl', { body: { cancel: true } })).body.crawl.scheduledAt, null);
+    assert.equal((await call('GET', '/api/admin/crawl')).body.crawl.refreshMs > 0, true);
+  });
+
+  it('counts requests per route pattern', async () => {
+    await call('GET', '/api/admin/crawl');
+    const m = (await call('GET', '/api/admin/metrics')).body;
+    const route = m.routes.find(r => r.route === 'GET /api/admin/crawl');
+    assert.ok(route.count >= 2);
+    assert.ok(route.status['2xx'] >= 2);
+    assert.ok(m.routes.find(r => r.route === 'GET /api/admin/overview').status['4xx'] >= 2);
+    assert.ok(m.total >= m.routes.reduce((n, r) => Math.max(n, r.count), 0));
+  });
+
+  it('shows recent upstream failures (none here)', async () => {
+    const r = await call('GET', '/api/admin/upstream');
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.failures, []);
+  });
+});
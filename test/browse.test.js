@@ -0,0 +1,120 @@
+// test/browse.test.js — /api/browse over a seeded catalog: genre logic, status facets and sort orders; what feeds the catalog
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startStubServer, loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+
+const chapters = n => Array.from({ length: n }, (_, i) => ({ chapterId: String(n - i), chapterNum: n - i, title: `Chapter ${n - i}` }));
+const detail = (slug, title, genres, status, n) => ({ slug, title, url: `https://example.test/Manhwa/${slug}/`, cover: null, genres, status, chapters: chapters(n) });
+
+describe('status parsing', () => {
+  it('maps Persian and English labels to a fixed set', () => {
+    assert.equal(server.parseSeriesStatus('وضعیت: در حال انتشار'), 'ongoing');
+    assert.equal(server.parseSeriesStatus('وضعيت : تکمیل شده'), 'completed', 'Arabic ya is folded');
+    assert.equal(server.parseSeriesStatus('Status: On Hold'), 'hiatus');
+    assert.equal(server.parseSeriesStatus('نویسنده'), null);
+    assert.equal(server.parseSeriesStatus(''), null);
+  });
+});
+
+// runs before the suite below seeds the catalog
+describe('empty catalog with crawling off', () => {
+  let stub, api, base;
+  before(async () => {
+    stub = await startStubServer({ routes: { '/': 'home-cards.html' } });
+    server.updateSettings({ 'site.base': stub.base });
+    api = server.app.listen(0); await new Promise(r => api.once('listening', r)); base = `http://127.0.0.1:${api.address().port}`;
+  });
+  after(() => { api.close(); stub.close(); server.updateSettings({ 'site.base': null }); });
+  const get = async path => (await fetch(base + path)).json();
+
+  it('answers search and browse from the empty index without touching upstream', async () => {
+    const found = await get('/api/search?q=alpha');
+    assert.deepEqual({ total: found.total, items: found.items, size: found.index.size, autoCrawl: found.index.autoCrawl, crawling: found.index.crawling }, { total: 0, items: [], size: 0, autoCrawl: false, crawling: false });
+    const browsed = await get('/api/browse?genres=action');
+    assert.deepEqual({ total: browsed.total, autoCrawl: browsed.index.autoCrawl }, { total: 0, autoCrawl: false });
+    assert.deepEqual(stub.hits, []);
+  });
+
+  it('treats catalog.refreshMs=0 as off too', async () => {
+    delete process.env.CATALOG_CRAWL;
+    server.updateSettings({ 'catalog.refreshMs': 0 });
+    try{
+      const found = await get('/api/search?q=alpha');
+      assert.deepEqual({ total: found.total, autoCrawl: found.index.autoCrawl }, { total: 0, autoCrawl: false });
+      assert.deepEqual(stub.hits, []);
+    }finally{ process.env.CATALOG_CRAWL = '0'; server.updateSettings({ 'catalog.refreshMs': null }); }
+  });
+});
+
+describe('/api/browse', () => {
+  let api, base;
+  before(async () => {
+    server.catalogUpsert({ slug: 'listed-only', title: 'Listed Only', link: 'https://example.test/Manhwa/listed-only/' }, { genre: { name: 'Action', slug: 'action' } });
+    server.catalogUpsertDetail(detail('alpha', 'Alpha', ['Action', 'Fantasy'], 'ongoing', 10));
+    server.catalogUpsertDetail(detail('bravo', 'Bravo', ['Action', 'Romance'], 'completed', 50));
+    server.catalogUpsertDetail(detail('charlie', 'Charlie', ['Romance'], 'ongoing', 3));
+    api = server.app.listen(0); await new Promise(r => api.once('listening', r)); base = `http://127.0.0.1:${api.address().port}`;
+  });
+  after(() => api.close());
+  const browse = async query => { const r = await fetch(`${base}/api/browse?${query}`); return { status: r.status, body: await r.json() }; };
+  const slugs = body => body.items.map(it => it.slug);
+
+  it('combines genres with AND, OR and exclusions (by name or listing slug)', async () => {
+    assert.deepEqual(slugs((await browse('genres=action,romance&sort=title')).body), ['bravo']);
+    assert.deepEqual(slugs((await browse('genres=action,romance&mode=or&sort=title')).body), ['alpha', 'bravo', 'charlie', 'listed-only']);
+    assert.deepEqual(slugs((await browse('genres=Action&exclude=romance&sort=title')).body), ['alpha', 'listed-only']);
+  });
+
+  it('filters by status and reports status facets independent of that filter', async () => {
+    const { body } = await browse('status=ongoing&sort=title');
+    assert.deepEqual(slugs(body), ['alpha', 'charlie']);
+    assert.deepEqual(Object.fromEntries(body.facets.status.map(f => [f.status, f.count])), { ongoing: 2, completed: 1, unknown: 1 });
+    assert.deepEqual(body.facets.genres.find(f => f.name === 'Romance'), { name: 'Romance', count: 1 });
+    assert.equal(body.items[0].status, 'ongoing');
+    assert.equal(body.items[0].chapterCount, 10);
+  });
+
+  it('sorts by chapter count, title and popularity, with an order override', async () => {
+    assert.deepEqual(slugs((await browse('sort=chapters&genres=action,romance&mode=or')).body).slice(0, 3), ['bravo', 'alpha', 'charlie']);
+    assert.deepEqual(slugs((await browse('sort=title&order=desc')).body), ['listed-only', 'charlie', 'bravo', 'alpha']);
+    const provider = { id: (await browse('limit=1')).body.source };
+    for(const ip of ['10.1.0.1', '10.1.0.2']) server.recordPopularity({ ip, provider }, 'read', 'charlie', { chapter: '1' });
+    assert.equal(slugs((await browse('sort=popular')).body)[0], 'charlie');
+  });
+
+  it('pages results and rejects unknown sort or status values', async () => {
+    const { body } = await browse('sort=title&limit=2&page=2');
+    assert.equal(body.total, 4);
+    assert.deepEqual(slugs(body), ['charlie', 'listed-only']);
+    const bad = await browse('sort=rating&status=paused');
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.details.map(d => d.param), ['status', 'sort']);
+  });
+});
+
+describe('catalog indexing', () => {
+  let stub, api, base;
+  before(async () => {
+    stub = await startStubServer({ routes: { '/Manhwa/test-title/': 'detail.html' } });
+    server.updateSettings({ 'site.base': stub.base });
+    api = server.app.listen(0); await new Promise(r => api.once('listening', r)); base = `http://127.0.0.1:${api.address().port}`;
+  });
+  after(() => { api.close(); stub.close(); server.updateSettings({ 'site.base': null }); });
+  const indexed = async () => (await (await fetch(`${base}/api/browse?sort=title&limit=50`)).json()).items.some(it => it.slug === 'test-title');
+
+  it('takes detail pages from the detail route, not as a side effect of scraping', async () => {
+    await server.extractMangaDetail('test-title');
+    assert.equal(await indexed(), false, 'scraping alone leaves the catalog alone');
+    assert.equal((await fetch(`${base}/api/manga/test-title`)).status, 200);
+    assert.equal(await indexed(), true);
+  });
+
+  it('starts no timers or signal handlers when the module is required', () => {
+    const probe = "require('./server'); setImmediate(() => console.log(JSON.stringify({ timers: process.getActiveResourcesInfo().filter(r => r === 'Timeout').length, sigint: process.listenerCount('SIGINT'), sigterm: process.listenerCount('SIGTERM') })))";
+    const out = require('child_process').execFileSync(process.execPath, ['-e', probe], { cwd: path.join(__dirname, '..'), env: { ...process.env, CATALOG_CRAWL: '' }, encoding: 'utf8', timeout: 20000 });
+    assert.deepEqual(JSON.parse(out.trim().split('\n').pop()), { timers: 0, sigint: 0, sigterm: 0 });
+  });
+});
@@ -0,0 +1,115 @@
+// test/cache.test.js — the cache layer: fresh hits, stale-while-revalidate, coalescing, LRU bounds and the file backend
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const POLICY = { ttl: 1000, stale: 1000 };
+
+// a loader that counts its calls and returns a new value each time
+function counter(prefix = 'v'){ let n = 0; const fn = async () => `${prefix}${++n}`; fn.calls = () => n; return fn; }
+// a clock that only moves when told to
+function manualClock(t = 1e12){ const now = () => t; now.advance = ms => { t += ms; }; return now; }
+
+describe('createCache (memory)', () => {
+  it('serves fresh entries without calling the loader again', async () => {
+    const c = server.createCache({ max: 10, dir: null }); const load = counter();
+    assert.equal(await c.wrap('html:a', POLICY, load), 'v1');
+    assert.equal(await c.wrap('html:a', POLICY, load), 'v1');
+    assert.equal(load.calls(), 1);
+    assert.deepEqual({ hit: c.stats().hit, miss: c.stats().miss, entries: c.stats().entries }, { hit: 1, miss: 1, entries: 1 });
+  });
+
+  it('returns stale values at once and refreshes them in the background', async () => {
+    const clock = manualClock(); const c = server.createCache({ max: 10, dir: null, now: clock }); const load = counter();
+    const policy = { ttl: 20, stale: 5000 };
+    await c.wrap('detail:x', policy, load);
+    clock.advance(30);
+    assert.equal(await c.wrap('detail:x', policy, load), 'v1', 'the stale value, without waiting');
+    assert.equal(c.stats().stale, 1);
+    assert.equal(c.stats().inflight, 1, 'the refresh runs in the background');
+    await c.pending('detail:x');
+    assert.equal(await c.wrap('detail:x', policy, load), 'v2');
+    assert.equal(load.calls(), 2);
+    assert.deepEqual({ hit: c.stats().hit, inflight: c.stats().inflight }, { hit: 1, inflight: 0 });
+  });
+
+  it('waits for the loader once an entry is past its stale window', async () => {
+    const clock = manualClock(); const c = server.createCache({ max: 10, dir: null, now: clock }); const load = counter();
+    const policy = { ttl: 10, stale: 10 };
+    await c.wrap('k', policy, load);
+    clock.advance(30);
+    assert.equal(await c.wrap('k', policy, load), 'v2');
+    assert.equal(c.stats().miss, 2);
+  });
+
+  it('coalesces concurrent misses into one load', async () => {
+    const c = server.createCache({ max: 10, dir: null }); let calls = 0;
+    const slow = async () => { calls++; await sleep(20); return 'done'; };
+    const all = await Promise.all([1, 2, 3].map(() => c.wrap('home:1', POLICY, slow)));
+    assert.deepEqual(all, ['done', 'done', 'done']);
+    assert.equal(calls, 1);
+    assert.equal(c.stats().coalesced, 2);
+  });
+
+  it('does not cache failures', async () => {
+    const c = server.createCache({ max: 10, dir: null }); let fail = true;
+    const flaky = async () => { if(fail) throw new Error('upstream down'); return 'ok'; };
+    await assert.rejects(c.wrap('k', POLICY, flaky), /upstream down/);
+    assert.equal(c.stats().errors, 1);
+    fail = false;
+    assert.equal(await c.wrap('k', POLICY, flaky), 'ok');
+  });
+
+  it('evicts the least recently used entry past its size', async () => {
+    const c = server.createCache({ max: 2, dir: null });
+    await c.set('a', { value: 1, expires: Date.now() + 1000, staleUntil: Date.now() + 1000 });
+    await c.set('b', { value: 2, expires: Date.now() + 1000, staleUntil: Date.now() + 1000 });
+    await c.get('a');
+    await c.set('c', { value: 3, expires: Date.now() + 1000, staleUntil: Date.now() + 1000 });
+    assert.deepEqual(c.keys().sort(), ['a', 'c']);
+  });
+
+  it('lists entry states and purges by prefix', async () => {
+    const c = server.createCache({ max: 10, dir: null }); const now = Date.now();
+    await c.set('detail:s:1', { value: 1, ts: now, expires: now + 1000, staleUntil: now + 2000 });
+    await c.set('detail:s:2', { value: 2, ts: now, expires: now - 10, staleUntil: now + 2000 });
+    await c.set('html:x', { value: 3, ts: now, expires: now - 20, staleUntil: now - 10 });
+    assert.deepEqual(c.entries().map(e => [e.key, e.state]), [['detail:s:1', 'fresh'], ['detail:s:2', 'stale'], ['html:x', 'expired']]);
+    assert.equal(await c.purge('detail:'), 2);
+    assert.deepEqual(c.keys(), ['html:x']);
+  });
+});
+
+describe('createCache (file backend)', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'towerapi-cache-test-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const files = () => fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+
+  it('persists entries so a fresh process reads them back from disk', async () => {
+    const first = server.createCache({ max: 10, dir }); const load = counter('disk');
+    assert.equal(await first.wrap('detail:d:1', POLICY, load), 'disk1');
+    assert.equal(files().length, 1);
+    const second = server.createCache({ max: 10, dir });
+    assert.equal(await second.wrap('detail:d:1', POLICY, load), 'disk1', 'a hit from the file tier');
+    assert.equal(load.calls(), 1);
+    assert.deepEqual(second.keys(), ['detail:d:1'], 'and promoted into memory');
+  });
+
+  it('prunes expired files and purges by prefix across both tiers', async () => {
+    const c = server.createCache({ max: 10, dir }); const now = Date.now();
+    await c.set('html:old', { value: 'x', ts: now, expires: now - 20, staleUntil: now - 10 });
+    await c.set('html:new', { value: 'y', ts: now, expires: now + 1000, staleUntil: now + 2000 });
+    assert.equal(await c.prune(), 1);
+    assert.equal(files().length, 2, 'detail:d:1 and html:new remain');
+    const other = server.createCache({ max: 10, dir }); // its memory tier is empty; the purge has to read the files
+    assert.equal(await other.purge('detail:'), 1);
+    assert.equal(files().length, 1);
+    await other.delete('html:new');
+    assert.deepEqual(files(), []);
+  });
+});
@@ -0,0 +1,158 @@
+// test/community.test.js — series ratings, chapter comment threads, reports, moderation and write rate limits over real HTTP
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers/stub-server');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.ADMIN_USERS = 'mod';
+const server = loadServer();
+
+describe('community API', () => {
+  let api, base; const tokens = {};
+  const call = async (method, path, { token, body } = {}) => {
+    const headers = {}; if(token) headers.Authorization = `Bearer ${token}`;
+    if(body !== undefined) headers['Content-Type'] = 'application/json';
+    const r = await fetch(base + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: r.status, headers: r.headers, body: await r.json() };
+  };
+  const thread = '/api/manga/test-title/chapters/10,77/comments';
+  const post = (who, body) => call('POST', thread, { token: tokens[who], body: typeof body === 'string' ? { body } : body });
+  const read = async (who, q = '') => (await call('GET', thread + q, { token: tokens[who] })).body;
+  before(async () => {
+    server.updateSettings({ 'community.userLimit': 1000, 'community.ipLimit': 10000 });
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+    for(const name of ['ana', 'ben', 'cyd', 'dee', 'mod']) tokens[name] = (await call('POST', '/api/auth/register', { body: { username: name, password: 'secret123' } })).body.token;
+    tokens.admin = 'test-admin-token';
+  });
+  after(() => { api.close(); server.updateSettings({ 'community.userLimit': null, 'community.ipLimit': null, 'community.windowMs': null, 'community.reportsToHide': null }); });
+
+  it('keeps one rating per reader and series', async () => {
+    assert.deepEqual((await call('GET', '/api/manga/test-title/rating')).body, { ok: true, slug: 'test-title', average: null, count: 0, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }, mine: null });
+    assert.equal((await call('PUT', '/api/manga/test-title/rating', { body: { score: 4 } })).status, 401);
+    const bad = await call('PUT', '/api/manga/test-title/rating', { token: tokens.ana, body: { score: 6 } });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.details[0].param, 'score');
+
+    await call('PUT', '/api/manga/test-title/rating', { token: tokens.ana, body: { score: 2 } });
+    await call('PUT', '/api/manga/test-title/rating', { token: tokens.ana, body: { score: 5 } });
+    const r = (await call('PUT', '/api/manga/test-title/rating', { token: tokens.ben, body: { score: 4 } })).body;
+    assert.deepEqual({ average: r.average, count: r.count, five: r.distribution[5], two: r.distribution[2], mine: r.mine }, { average: 4.5, count: 2, five: 1, two: 0, mine: 4 });
+    const gone = (await call('DELETE', '/api/manga/test-title/rating', { token: tokens.ben })).body;
+    assert.deepEqual({ average: gone.average, count: gone.count, mine: gone.mine }, { average: 5, count: 1, mine: null });
+  });
+
+  it('threads replies under the top-level comment and sorts newest first', async () => {
+    assert.equal((await call('POST', thread, { body: { body: 'hi' } })).status, 401);
+    assert.equal((await post('ana', '   ')).status, 400);
+    server.updateSettings({ 'community.maxLength': 10 });
+    try{ assert.match((await post('ana', 'x'.repeat(11))).body.error, /at most 10 characters/); }
+    finally{ server.updateSettings({ 'community.maxLength': null }); }
+
+    const first = (await post('ana', 'first!')).body.comment;
+    assert.deepEqual({ author: first.author, body: first.body, parentId: first.parentId, mine: first.mine, status: first.status }, { author: 'ana', body: 'first!', parentId: null, mine: true, status: 'visible' });
+    const spoiler = (await post('ben', { body: 'the ||mentor dies||', spoiler: true })).body.comment;
+    const reply = (await post('ben', { body: 'agreed', parentId: first.id })).body.comment;
+    const nested = (await post('cyd', { body: 'me too', parentId: reply.id })).body.comment;
+    assert.equal(nested.parentId, first.id, 'a reply to a reply joins the top-level thread');
+    const other = (await call('POST', '/api/manga/test-title/chapters/9/comments', { token: tokens.cyd, body: { body: 'wrong chapter', parentId: first.id } }));
+    assert.equal(other.status, 400);
+
+    const t = await read('ana');
+    assert.deepEqual({ total: t.total, count: t.count, moderator: t.moderator }, { total: 2, count: 4, moderator: false });
+    assert.deepEqual(t.items.map(c => c.id), [spoiler.id, first.id]);
+    assert.equal(t.items[0].spoiler, true);
+    assert.deepEqual(t.items[1].replies.map(c => [c.author, c.mine]), [['ben', false], ['cyd', false]]);
+    assert.deepEqual((await read(null, '?sort=old&limit=1')).items.map(c => c.id), [first.id]);
+
+    const recent = (await call('GET', '/api/manga/test-title/comments?limit=2')).body;
+    assert.equal(recent.total, 4);
+    assert.deepEqual(recent.items.map(c => [c.body, c.chapterId]), [['me too', '10,77'], ['agreed', '10,77']]);
+  });
+
+  it('lets authors edit and delete, keeping a placeholder while replies remain', async () => {
+    const top = (await post('dee', 'typo')).body.comment;
+    const reply = (await post('ana', { body: 'ok', parentId: top.id })).body.comment;
+    assert.equal((await call('PATCH', `/api/comments/${top.id}`, { token: tokens.ana, body: { body: 'hijack' } })).status, 403);
+    const edited = (await call('PATCH', `/api/comments/${top.id}`, { token: tokens.dee, body: { body: 'fixed', spoiler: true } })).body.comment;
+    assert.deepEqual({ body: edited.body, spoiler: edited.spoiler }, { body: 'fixed', spoiler: true });
+    assert.ok(edited.editedAt >= edited.createdAt);
+
+    assert.equal((await call('DELETE', `/api/comments/${top.id}`, { token: tokens.ben })).status, 403);
+    assert.equal((await call('DELETE', `/api/comments/${top.id}`, { token: tokens.dee })).body.placeholder, true);
+    const shown = (await read('ana')).items.find(c => c.id === top.id);
+    assert.deepEqual({ status: shown.status, body: shown.body, author: shown.author, replies: shown.replies.length }, { status: 'deleted', body: null, author: null, replies: 1 });
+    assert.equal((await call('PATCH', `/api/comments/${top.id}`, { token: tokens.dee, body: { body: 'back' } })).status, 404);
+
+    assert.equal((await call('DELETE', `/api/comments/${reply.id}`, { token: tokens.ana })).body.placeholder, false);
+    assert.ok(!(await read('ana')).items.some(c => c.id === top.id), 'the placeholder goes with its last reply');
+  });
+
+  it('hides comments after enough reports until an admin reviews them', async () => {
+    server.updateSettings({ 'community.reportsToHide': 2 });
+    const c = (await post('cyd', 'rude words')).body.comment;
+    assert.equal((await call('POST', `/api/comments/${c.id}/report`, { token: tokens.cyd, body: {} })).status, 400, 'not your own');
+    await call('POST', `/api/comments/${c.id}/report`, { token: tokens.ana, body: { reason: 'insult' } });
+    await call('POST', `/api/comments/${c.id}/report`, { token: tokens.ana, body: { reason: 'again' } });
+    assert.equal((await read('ben')).items.find(x => x.id === c.id).status, 'visible', 'one reader counts once');
+    await call('POST', `/api/comments/${c.id}/report`, { token: tokens.ben, body: {} });
+
+    const seen = async who => (await read(who)).items.find(x => x.id === c.id);
+    assert.equal(await seen('dee'), undefined, 'hidden for other readers');
+    assert.equal((await seen('cyd')).body, 'rude words', 'still readable by its author');
+    assert.deepEqual({ body: (await seen('admin')).body, reports: (await seen('admin')).reports }, { body: 'rude words', reports: 2 });
+
+    assert.equal((await call('GET', '/api/admin/comments', { token: tokens.ana })).status, 403);
+    const queue = (await call('GET', '/api/admin/comments', { token: tokens.admin })).body;
+    const item = queue.items.find(x => x.id === c.id);
+    assert.deepEqual({ first: queue.items[0].id, hiddenBy: item.hiddenBy, reasons: item.reasons }, { first: c.id, hiddenBy: 'reports', reasons: ['insult'] });
+
+    const shown = (await call('POST', `/api/admin/comments/${c.id}/hide`, { token: tokens.admin, body: { hidden: false } })).body.comment;
+    assert.deepEqual({ status: shown.status, reports: shown.reports }, { status: 'visible', reports: 0 });
+    assert.equal((await call('POST', `/api/admin/comments/${c.id}/hide`, { token: tokens.admin, body: {} })).body.comment.status, 'hidden');
+    assert.equal((await call('GET', '/api/admin/comments?status=hidden', { token: tokens.admin })).body.items[0].hiddenBy, 'admin');
+    assert.equal((await call('DELETE', `/api/comments/${c.id}`, { token: tokens.admin })).status, 200, 'admins delete any comment');
+    assert.equal((await call('POST', `/api/comments/${c.id}/report`, { token: tokens.ana, body: {} })).status, 404);
+  });
+
+  it('keeps ratings and threads apart per source', async () => {
+    const source = server.registerProvider({
+      id: 'community-test', name: 'community', base: 'https://community.test',
+      home: async () => ({ items: [] }), genres: async () => [], genreListing: async () => ({ items: [] }), search: async () => ({ total: 0, items: [] }),
+      detail: async slug => ({ slug, title: slug, chapters: [] }), chapterPages: async () => ({ pages: [] })
+    }).id;
+    const rated = (await call('PUT', `/api/manga/test-title/rating?source=${source}`, { token: tokens.cyd, body: { score: 1 } })).body;
+    assert.deepEqual({ average: rated.average, count: rated.count }, { average: 1, count: 1 });
+    assert.equal((await call('GET', '/api/manga/test-title/rating')).body.average, 5, 'the default source keeps its own ratings');
+    const elsewhere = `/api/manga/test-title/chapters/10,77/comments?source=${source}`;
+    assert.equal((await call('GET', elsewhere)).body.total, 0);
+    const c = (await call('POST', elsewhere, { token: tokens.cyd, body: { body: 'on the other source' } })).body.comment;
+    assert.equal((await call('POST', thread, { token: tokens.cyd, body: { body: 'reply', parentId: c.id } })).status, 400, 'not a comment of this thread');
+    assert.deepEqual((await call('GET', `/api/manga/test-title/comments?source=${source}`)).body.items.map(x => x.id), [c.id]);
+    assert.ok(!(await read('cyd')).items.some(x => x.id === c.id));
+    assert.equal((await call('DELETE', `/api/comments/${c.id}`, { token: tokens.cyd })).status, 200);
+    assert.equal((await call('GET', elsewhere)).body.total, 0);
+  });
+
+  it('rate limits writes per account and per address', async () => {
+    server.updateSettings({ 'community.windowMs': 1000 });
+    await new Promise(r => setTimeout(r, 1100)); // earlier writes leave the window
+    server.updateSettings({ 'community.userLimit': 2, 'community.ipLimit': 3 });
+    for(let i = 0; i < 3; i++){ // rejected writes do not use up the window
+      assert.equal((await post('ana', '  ')).status, 400);
+      assert.equal((await call('PUT', '/api/manga/test-title/rating', { token: tokens.ana, body: { score: 9 } })).status, 400);
+    }
+    assert.equal((await post('ana', 'one')).status, 201);
+    assert.equal((await call('PUT', '/api/manga/test-title/rating', { token: tokens.ana, body: { score: 3 } })).status, 200);
+    const limited = await post('ana', 'three');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.ok(Number(limited.headers.get('retry-after')) >= 1 && limited.body.retryAfter >= 1);
+    assert.equal((await post('ben', 'another account')).status, 201);
+    assert.equal((await post('ben', 'same address')).status, 429, 'the address limit covers every account behind it');
+    assert.equal((await post('mod', 'moderators are not limited')).status, 201);
+    await new Promise(r => setTimeout(r, 1100));
+    assert.equal((await post('ben', 'later')).status, 201);
+  });
+});
@@ -0,0 +1,76 @@
+// test/diagnostics.test.js — strategy attribution and drift status for the extractor diagnostics
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer, fixtureSite, loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+const reportFor = (site, extractor) => server.diagnosticsSummary(site.id).reports.find(r => r.extractor === extractor);
+
+describe('extractor diagnostics', () => {
+  let stub;
+  const routes = { '/Manhwa/test-title/': 'detail.html', '/readerpage.php?Chapter=11,77': 'reader-noscript.html' };
+  for(let p = 1; p <= 6; p++){ routes[`/page/${p}`] = p === 1 ? 'home-cards.html' : 'home-anchors.html'; routes[`/read/empty-${p}`] = 'reader-empty.html'; routes[`/read/direct-${p}`] = 'reader-direct.html'; }
+  before(async () => { stub = await startStubServer({ routes }); });
+  after(() => stub.close());
+
+  it('credits each scrape to the strategies that produced results', async () => {
+    const site = fixtureSite(stub.base);
+    await server.extractHomePage(1, site);
+    const home = reportFor(site, 'home');
+    assert.deepEqual(home.total.strategies, { cards: 1, anchors: 1 });
+    await server.extractMangaDetail('test-title', site);
+    assert.deepEqual(reportFor(site, 'detail').total.strategies, { 'chapter-list': 1 });
+  });
+
+  it('credits reader pages found by the direct image selectors to the primary strategy', async () => {
+    const site = fixtureSite(stub.base);
+    for(let p = 1; p <= 5; p++){
+      const pages = await server.extractReaderPages(`${stub.base}/read/direct-${p}`, site);
+      assert.deepEqual(pages.map(u => new URL(u).pathname), ['/pages/77/10/1.webp', '/pages/77/10/2.webp', '/pages/77/10/3.webp']);
+    }
+    const reader = reportFor(site, 'reader');
+    assert.deepEqual(reader.total.strategies, { 'img-selectors': 5 }, 'no other stage added pages');
+    assert.equal(reader.recent.primaryRate, 1);
+    assert.equal(reader.status, 'ok');
+    assert.equal(server.diagnosticsSummary(site.id).status, 'ok');
+  });
+
+  it('reports drift when results keep coming from fallback selectors', async () => {
+    const site = fixtureSite(stub.base);
+    for(let p = 2; p <= 6; p++) await server.extractHomePage(p, site);
+    const home = reportFor(site, 'home');
+    assert.equal(home.status, 'degraded');
+    assert.equal(home.recent.primaryRate, 0);
+    assert.match(home.reasons[0], /primary strategy "cards"/);
+  });
+
+  it('reports failing extractors and keeps samples of empty runs', async () => {
+    const site = fixtureSite(stub.base);
+    for(let p = 1; p <= 5; p++) await server.extractReaderPages(`${stub.base}/read/empty-${p}`, site);
+    const reader = reportFor(site, 'reader');
+    assert.equal(reader.status, 'failing');
+    assert.equal(reader.recent.empty, 5);
+    assert.equal(reader.samples.at(-1).label, `${stub.base}/read/empty-5`);
+    assert.equal(server.diagnosticsSummary(site.id).status, 'failing');
+  });
+
+  it('counts guessed CDN pages as an empty chapter lookup', async () => {
+    const site = fixtureSite(stub.base);
+    const r = await server.resolveChapterPages('test-title', '12', site);
+    assert.equal(r.method, 'fallback-guess');
+    const chapterPages = reportFor(site, 'chapterPages');
+    assert.equal(chapterPages.total.empty, 1);
+    assert.deepEqual(chapterPages.total.strategies, { 'fallback-guess': 1 });
+  });
+
+  it('walks home, detail and the latest chapter in the self-check probe', async () => {
+    const site = fixtureSite(stub.base);
+    const other = await startStubServer({ routes: { '/page/1': 'home-anchors.html', '/Manhwa/Solo_Leveling/': 'detail.html', '/readerpage.php?Chapter=11,77': 'reader-noscript.html' } });
+    try{
+      const probe = await server.runDiagnosticProbe({ ...site, base: other.base, cdnBase: other.base });
+      assert.equal(probe.ok, true);
+      assert.deepEqual(probe.steps.detail, { slug: 'Solo_Leveling', chapters: 4 });
+      assert.deepEqual(probe.steps.chapterPages, { method: 'explicit', pages: 2 });
+    }finally{ await other.close(); }
+  });
+});
@@ -0,0 +1,240 @@
+// test/downloads.test.js — the ZIP writer (incl. ZIP64 records), the CBZ/PDF/EPUB builders and the download job endpoints
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { loadServer } = require('./helpers/stub-server');
+
+process.env.DOWNLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'towerapi-downloads-test-'));
+const server = loadServer();
+
+// header-only images: enough for sniffImage to read type and size, which is all the builders look at
+function jpeg(w, h){
+  const sof = Buffer.from([0xFF, 0xC0, 0, 17, 8, h >> 8, h & 255, w >> 8, w & 255, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), sof, Buffer.from([0xFF, 0xD9])]);
+}
+function png(w, h){
+  const ihdr = Buffer.alloc(25); ihdr.writeUInt32BE(13, 0); ihdr.write('IHDR', 4, 'ascii'); ihdr.writeUInt32BE(w, 8); ihdr.writeUInt32BE(h, 12); ihdr[16] = 8; ihdr[17] = 2;
+  return Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), ihdr]);
+}
+
+// walk a zip from its end record (following the ZIP64 locator when present) and return { name: Buffer }
+function readZip(buf){
+  const eocd = buf.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+  assert.ok(eocd >= 0, 'end of central directory');
+  let count = buf.readUInt16LE(eocd + 10), start = buf.readUInt32LE(eocd + 16), zip64 = false;
+  if(start === 0xFFFFFFFF){
+    assert.equal(buf.readUInt32LE(eocd - 20), 0x07064b50, 'ZIP64 locator');
+    const rec = Number(buf.readBigUInt64LE(eocd - 12));
+    assert.equal(buf.readUInt32LE(rec), 0x06064b50, 'ZIP64 end record');
+    count = Number(buf.readBigUInt64LE(rec + 32)); start = Number(buf.readBigUInt64LE(rec + 48)); zip64 = true;
+  }
+  const files = {}; const order = [];
+  for(let i = 0, p = start; i < count; i++){
+    assert.equal(buf.readUInt32LE(p), 0x02014b50, 'central directory entry');
+    const nameLen = buf.readUInt16LE(p + 28), extraLen = buf.readUInt16LE(p + 30), commentLen = buf.readUInt16LE(p + 32);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    let offset = buf.readUInt32LE(p + 42);
+    if(offset === 0xFFFFFFFF){ assert.equal(buf.readUInt16LE(p + 46 + nameLen), 0x0001); offset = Number(buf.readBigUInt64LE(p + 46 + nameLen + 4)); }
+    assert.equal(buf.readUInt32LE(offset), 0x04034b50, `local header of ${name}`);
+    assert.equal(buf.readUInt16LE(offset + 8), 0, 'stored');
+    const size = buf.readUInt32LE(offset + 18); const data = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+    files[name] = buf.subarray(data, data + size); order.push(name);
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return { files, order, zip64 };
+}
+function memoryOut(){
+  const chunks = [];
+  const out = new Writable({ write(chunk, enc, cb){ chunks.push(chunk); cb(); } });
+  out.buffer = () => Buffer.concat(chunks);
+  return out;
+}
+
+describe('createZipWriter', () => {
+  async function build(opts){
+    const out = memoryOut(); const zip = server.createZipWriter(out, opts);
+    await zip.add('a.txt', 'hello'); await zip.add('dir/b.bin', Buffer.from([1, 2, 3])); await zip.add('ü.txt', 'x'.repeat(100));
+    await zip.finish();
+    return out.buffer();
+  }
+  it('writes a plain archive while everything fits the 32-bit fields', async () => {
+    const z = readZip(await build());
+    assert.equal(z.zip64, false);
+    assert.deepEqual(z.order, ['a.txt', 'dir/b.bin', 'ü.txt']);
+    assert.equal(z.files['a.txt'].toString(), 'hello');
+    assert.deepEqual([...z.files['dir/b.bin']], [1, 2, 3]);
+  });
+  it('switches offsets and the end record to ZIP64 past the limit', async () => {
+    const z = readZip(await build({ limit: 40 }));
+    assert.equal(z.zip64, true);
+    assert.equal(z.files['ü.txt'].toString(), 'x'.repeat(100), 'entries behind the limit are found through the 64-bit offset');
+    assert.equal(z.files['a.txt'].toString(), 'hello');
+  });
+  it('fails instead of hanging when the output is gone', async () => {
+    const out = memoryOut(); const zip = server.createZipWriter(out);
+    out.on('error', () => {}); out.destroy(new Error('disk full'));
+    await assert.rejects(zip.add('a.txt', 'hello'), /disk full/);
+  });
+});
+
+describe('downloads', () => {
+  let images, api, base, source, token, other; const missing = new Set();
+  let gate = null; // while set, chapter page lists wait for it, which keeps jobs running
+  const pageUrl = (ch, n, ext) => `${images.base}/${ch}/${n}.${ext}`;
+  const CHAPTERS = [1, 2, 3].map(n => ({ chapterId: `${n},9`, chapterNum: n, title: `Chapter ${n}` })).reverse();
+  before(async () => {
+    const srv = http.createServer((req, res) => {
+      const m = req.url.match(/^\/(\d+)\/(\d+)\.(jpg|png)$/);
+      if(!m || missing.has(req.url)){ res.writeHead(404); return res.end(); }
+      res.writeHead(200, { 'Content-Type': m[3] === 'jpg' ? 'image/jpeg' : 'image/png' });
+      const body = m[3] === 'jpg' ? jpeg(600 + Number(m[2]), 900) : png(700, 1000);
+      res.end(m[1] === '9' ? Buffer.concat([body, Buffer.alloc(512 * 1024)]) : body); // chapter 9 pages are large
+    });
+    await new Promise(r => srv.listen(0, '127.0.0.1', r));
+    images = { base: `http://127.0.0.1:${srv.address().port}`, close: () => srv.close() };
+    source = server.registerProvider({
+      id: 'downloads-test', name: 'downloads', base: images.base,
+      home: async () => ({ items: [] }), genres: async () => [], genreListing: async () => ({ items: [] }), search: async () => ({ total: 0, items: [] }),
+      detail: async slug => ({ slug, title: 'Test <Title>', description: 'about', genres: ['Action'], url: `${images.base}/${slug}`, chapters: CHAPTERS }),
+      chapterPages: async (slug, chapter) => {
+        if(gate) await gate.promise;
+        const n = parseInt(chapter, 10);
+        if(n === 9) return { pages: [1, 2, 3].map(i => pageUrl(9, i, 'jpg')) };
+        if(n === 3) return { pages: [] };
+        return { pages: [pageUrl(n, 1, 'jpg'), pageUrl(n, 2, 'jpg'), pageUrl(n, 3, n === 1 ? 'png' : 'jpg')], matchedChapter: CHAPTERS.find(c => c.chapterNum === n) };
+      }
+    }).id;
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+    [token, other] = await Promise.all(['downloader', 'second'].map(async username => (await (await fetch(`${base}/api/auth/register`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password: 'secret123' }) })).json()).token));
+  });
+  after(() => { api.close(); images.close(); server.updateSettings({ 'downloads.maxJobsPerUser': null, 'downloads.maxJobs': null, 'downloads.maxJobBytes': null }); });
+  const download = async (path) => { const r = await fetch(base + path); return { status: r.status, headers: r.headers, body: Buffer.from(await r.arrayBuffer()) }; };
+  const call = async (method, path, body, as = token) => {
+    const headers = as ? { Authorization: `Bearer ${as}` } : {}; if(body) headers['Content-Type'] = 'application/json';
+    const r = await fetch(base + path, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, body: await r.json() };
+  };
+  async function settle(id){
+    for(let i = 0; i < 200; i++){
+      const { job } = (await call('GET', `/api/download/jobs/${id}`)).body;
+      if(job.status === 'done' || job.status === 'failed') return job;
+      await new Promise(r => setTimeout(r, 25));
+    }
+    throw new Error('job did not finish');
+  }
+
+  it('streams one chapter as a CBZ with ComicInfo and skips missing pages', async () => {
+    missing.add('/1/2.jpg');
+    try{
+      const r = await download(`/api/download/test-title/1?format=cbz&source=${source}`);
+      assert.equal(r.status, 200);
+      assert.equal(r.headers.get('content-type'), 'application/vnd.comicbook+zip');
+      assert.match(r.headers.get('content-disposition'), /filename="test-title-ch1\.cbz"/);
+      const z = readZip(r.body);
+      assert.deepEqual(z.order, ['001.jpg', '002.png', 'ComicInfo.xml']);
+      const info = z.files['ComicInfo.xml'].toString();
+      assert.match(info, /<Series>Test &lt;Title&gt;<\/Series>/);
+      assert.match(info, /<PageCount>2<\/PageCount>/);
+      assert.match(info, /<Count>3<\/Count>/);
+    }finally{ missing.delete('/1/2.jpg'); }
+  });
+
+  it('builds a fixed-layout EPUB with the mimetype entry first', async () => {
+    const r = await download(`/api/download/test-title/2?format=epub&source=${source}`);
+    const z = readZip(r.body);
+    assert.equal(z.order[0], 'mimetype');
+    assert.equal(z.files.mimetype.toString(), 'application/epub+zip');
+    const opf = z.files['OEBPS/content.opf'].toString();
+    assert.equal((opf.match(/<itemref /g) || []).length, 3);
+    assert.match(opf, /<meta property="rendition:layout">pre-paginated<\/meta>/);
+    assert.match(z.files['OEBPS/pages/p0001.xhtml'].toString(), /width=601, height=900/);
+    assert.match(z.files['OEBPS/nav.xhtml'].toString(), /<a href="pages\/p0001.xhtml">Chapter 2<\/a>/);
+  });
+
+  it('builds a PDF whose xref points at every object', async () => {
+    const r = await download(`/api/download/test-title/2?format=pdf&source=${source}`);
+    const pdf = r.body.toString('latin1');
+    assert.ok(pdf.startsWith('%PDF-1.4'));
+    assert.match(pdf, /\/Type \/Pages \/Kids \[[^\]]+\] \/Count 3 >>/);
+    assert.match(pdf, /\/MediaBox \[0 0 603 900\]/);
+    const xrefAt = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.ok(pdf.startsWith('xref\n', xrefAt));
+    const rows = pdf.slice(xrefAt).split('\n').filter(l => / 00000 n $/.test(l)).map(l => Number(l.slice(0, 10)));
+    rows.forEach((at, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, at), `object ${i + 1}`));
+  });
+
+  it('runs a chapter range as a job and serves the finished file', async () => {
+    const started = await call('POST', '/api/download/jobs', { source, slug: 'test-title', from: 1, to: 3, format: 'cbz' });
+    assert.equal(started.status, 202);
+    assert.deepEqual(started.body.job.chapters, ['1,9', '2,9', '3,9']);
+    const job = await settle(started.body.job.id);
+    assert.equal(job.status, 'done');
+    assert.deepEqual({ pages: job.pages, missing: job.missingPages, failed: job.progress.failedChapters, done: job.progress.pagesDone }, { pages: 6, missing: 0, failed: 1, done: 6 });
+    assert.equal(job.fileUrl, `/api/download/jobs/${job.id}/file`);
+    assert.equal(job.file, undefined, 'the server path stays private');
+    const file = await download(job.fileUrl);
+    assert.match(file.headers.get('content-disposition'), /filename="test-title-ch1-3\.cbz"/);
+    assert.deepEqual(readZip(file.body).order, ['1/001.jpg', '1/002.jpg', '1/003.png', '2/001.jpg', '2/002.jpg', '2/003.jpg', 'ComicInfo.xml']);
+  });
+
+  it('rejects bad job requests and reports unknown or unfinished jobs', async () => {
+    assert.equal((await call('POST', '/api/download/jobs', { source, slug: 'test-title', from: 1, to: 2, format: 'rar' })).status, 400);
+    assert.equal((await call('POST', '/api/download/jobs', { source, slug: 'test-title' })).status, 400);
+    assert.equal((await call('POST', '/api/download/jobs', { source, slug: 'test-title', from: 40, to: 50 })).status, 404);
+    assert.equal((await call('GET', '/api/download/jobs/nope')).status, 404);
+    const empty = (await call('POST', '/api/download/jobs', { source, slug: 'test-title', chapters: ['3'] })).body.job;
+    const job = await settle(empty.id);
+    assert.deepEqual({ status: job.status, error: job.error }, { status: 'failed', error: 'no pages could be downloaded' });
+    const file = await call('GET', `/api/download/jobs/${job.id}/file`);
+    assert.deepEqual({ status: file.status, code: file.body.code }, { status: 409, code: 'CONFLICT' });
+  });
+
+  it('fails the job when its output file cannot be created', async () => {
+    const dir = process.env.DOWNLOAD_DIR;
+    fs.rmSync(dir, { recursive: true, force: true }); fs.writeFileSync(dir, 'not a directory');
+    try{
+      const started = (await call('POST', '/api/download/jobs', { source, slug: 'test-title', chapters: ['1'] })).body.job;
+      const job = await settle(started.id);
+      assert.equal(job.status, 'failed');
+      assert.match(job.error, /EEXIST|ENOTDIR/);
+      assert.ok(job.finishedAt >= job.createdAt);
+    }finally{ fs.rmSync(dir, { force: true }); fs.mkdirSync(dir); }
+  });
+
+  it('needs a login and caps the jobs queued or running per user and in total', async () => {
+    assert.equal((await call('POST', '/api/download/jobs', { source, slug: 'test-title', chapters: ['1'] }, null)).status, 401);
+    server.updateSettings({ 'downloads.maxJobsPerUser': 1, 'downloads.maxJobs': 2 });
+    let release; gate = { promise: new Promise(r => { release = r; }) };
+    try{
+      const first = await call('POST', '/api/download/jobs', { source, slug: 'test-title', chapters: ['1'] });
+      assert.equal(first.status, 202);
+      const again = await call('POST', '/api/download/jobs', { source, slug: 'test-title', chapters: ['2'] });
+      assert.deepEqual({ status: again.status, code: again.body.code }, { status: 429, code: 'RATE_LIMITED' });
+      assert.equal((await call('POST', '/api/download/jobs', { source, slug: 'test-title', chapters: ['2'] }, other)).status, 202, 'another user has a slot');
+      const third = (await (await fetch(`${base}/api/auth/register`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username: 'third', password: 'secret123' }) })).json()).token;
+      const busy = await call('POST', '/api/download/jobs', { source, slug: 'test-title', chapters: ['1'] }, third);
+      assert.equal(busy.status, 429, 'the global cap');
+      assert.match(busy.body.error, /busy/);
+      release(); gate = null;
+      assert.equal((await settle(first.body.job.id)).status, 'done');
+      assert.equal((await call('POST', '/api/download/jobs', { source, slug: 'test-title', chapters: ['2'] })).status, 202, 'a finished job frees its slot');
+    }finally{ if(gate) release(); gate = null; server.updateSettings({ 'downloads.maxJobsPerUser': null, 'downloads.maxJobs': null }); }
+  });
+
+  it('fails a job whose archive grows past the byte limit and removes the partial file', async () => {
+    server.updateSettings({ 'downloads.maxJobBytes': 1024 * 1024 });
+    try{
+      const started = (await call('POST', '/api/download/jobs', { source, slug: 'test-title', chapters: ['9'] })).body.job;
+      const job = await settle(started.id);
+      assert.deepEqual({ status: job.status, error: job.error }, { status: 'failed', error: 'archive is larger than 1048576 bytes' });
+      await new Promise(r => setTimeout(r, 50));
+      assert.deepEqual(fs.readdirSync(process.env.DOWNLOAD_DIR).filter(f => f.startsWith(job.id)), []);
+    }finally{ server.updateSettings({ 'downloads.maxJobBytes': null }); }
+  });
+});
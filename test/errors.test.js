@@ -0,0 +1,69 @@
+// test/errors.test.js — error envelope, parameter validation and request ids over real HTTP
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer, fixtureSite, loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+
+describe('API errors', () => {
+  let stub, api, base, source;
+  before(async () => {
+    stub = await startStubServer({ routes: { '/Manhwa/test-title/': 'detail.html' } });
+    source = server.registerProvider(server.createManhwaTowerProvider(fixtureSite(stub.base))).id;
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+  });
+  after(() => { api.close(); stub.close(); });
+  const get = async (path, headers) => {
+    const r = await fetch(base + path, { headers });
+    return { status: r.status, id: r.headers.get('x-request-id'), body: await r.json() };
+  };
+
+  it('rejects bad parameters with per-field details', async () => {
+    const r = await get(`/api/search?q=x&page=abc&limit=0&source=${source}`);
+    assert.equal(r.status, 400);
+    assert.equal(r.body.code, 'BAD_REQUEST');
+    assert.deepEqual(r.body.details.map(d => d.param), ['page', 'limit']);
+    assert.equal(r.body.requestId, r.id);
+  });
+
+  it('clamps numbers above the maximum instead of failing', async () => {
+    const r = await get('/api/updates?limit=9999&scope=all');
+    assert.equal(r.status, 200);
+    assert.equal(r.body.ok, true);
+  });
+
+  it('maps an upstream 404 to NOT_FOUND', async () => {
+    const r = await get(`/api/manga/missing-title?source=${source}`);
+    assert.equal(r.status, 404);
+    assert.equal(r.body.code, 'NOT_FOUND');
+    assert.equal(r.body.ok, false);
+    assert.ok(!r.body.error.includes(stub.base), 'upstream urls stay out of client messages');
+  });
+
+  it('rejects unknown sources and download formats', async () => {
+    assert.equal((await get('/api/manga/test-title?source=nope')).status, 400);
+    const r = await get(`/api/download/test-title/10?format=rar&source=${source}`);
+    assert.equal(r.status, 400);
+    assert.match(r.body.error, /format/);
+  });
+
+  it('answers unknown endpoints with a JSON NOT_FOUND', async () => {
+    const r = await get('/api/nope');
+    assert.equal(r.status, 404);
+    assert.equal(r.body.code, 'NOT_FOUND');
+  });
+
+  it('echoes a sane X-Request-Id and replaces a malformed one', async () => {
+    assert.equal((await get('/api/sources', { 'X-Request-Id': 'trace-1234abcd' })).id, 'trace-1234abcd');
+    const r = await get('/api/sources', { 'X-Request-Id': 'bad id!' });
+    assert.match(r.id, /^[0-9a-f-]{36}$/);
+  });
+
+  it('answers malformed JSON bodies with BAD_REQUEST', async () => {
+    const r = await fetch(`${base}/api/auth/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{nope' });
+    assert.equal(r.status, 400);
+    assert.equal((await r.json()).code, 'BAD_REQUEST');
+  });
+});
@@ -0,0 +1,126 @@
+// test/extractors.test.js — run with: node --test test/*.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer, fixtureSite, loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+
+describe('extractHomePage', () => {
+  let stub;
+  before(async () => { stub = await startStubServer({ routes: { '/page/1': 'home-cards.html', '/page/2': 'home-articles.html' } }); });
+  after(() => stub.close());
+
+  it('reads manhwa cards, resolves lazy covers and dedupes fallback anchors', async () => {
+    const items = await server.extractHomePage(1, fixtureSite(stub.base));
+    const byTitle = Object.fromEntries(items.map(it => [it.title, it]));
+    assert.equal(byTitle['Solo Leveling'].link, `${stub.base}/Manhwa/Solo_Leveling/`);
+    assert.equal(byTitle['Solo Leveling'].cover, `${stub.base}/uploads/solo.jpg`);
+    assert.equal(byTitle['Omniscient Reader'].cover, `${stub.base}/uploads/orv.webp`);
+    assert.equal(byTitle['Tower of God'].cover, `${stub.base}/uploads/tog.jpg`);
+    assert.equal(items.filter(it => it.link.endsWith('/Solo_Leveling/')).length, 1);
+    assert.ok(!items.some(it => it.link.includes('about.php')));
+  });
+
+  it('falls back to article/post markup with headings for titles', async () => {
+    const items = await server.extractHomePage(2, fixtureSite(stub.base));
+    assert.deepEqual(items.map(it => it.title).sort(), ['Lookism', 'The Beginning After The End']);
+    const tbate = items.find(it => it.title === 'The Beginning After The End');
+    assert.equal(tbate.cover, `${stub.base}/uploads/tbate.jpg`);
+  });
+
+  it('tries the next pagination pattern when one 404s', async () => {
+    const other = await startStubServer({ routes: { '/?paged=3': 'home-cards.html' } });
+    try{
+      const items = await server.extractHomePage(3, fixtureSite(other.base));
+      assert.ok(items.length >= 3);
+      assert.ok(other.hits.includes('GET /page/3'));
+    }finally{ await other.close(); }
+  });
+});
+
+describe('extractGenresPage', () => {
+  let stub;
+  before(async () => { stub = await startStubServer({ routes: { '/gener.php': 'genres.html' } }); });
+  after(() => stub.close());
+
+  it('collects slug= and /genre/ links once per slug', async () => {
+    const site = fixtureSite(stub.base);
+    const genres = await server.extractGenresPage(undefined, site);
+    const slugs = genres.map(g => g.slug);
+    assert.deepEqual(slugs.slice(0, 3), ['action', 'romance', 'fantasy']);
+    assert.equal(new Set(slugs).size, slugs.length);
+    assert.equal(genres[0].name, 'اکشن');
+    assert.equal(genres[0].link, `${stub.base}/gener.php?slug=action`);
+  });
+});
+
+describe('extractMangaDetail', () => {
+  let stub;
+  before(async () => { stub = await startStubServer({ routes: { '/Manhwa/test-title/': 'detail.html', '/Manhwa/fallback/': 'detail-fallback.html' } }); });
+  after(() => stub.close());
+
+  it('parses title, synopsis, genres, cover and a latest-first chapter list', async () => {
+    const site = fixtureSite(stub.base);
+    const m = await server.extractMangaDetail('test-title', site);
+    assert.equal(m.title, 'Test Title');
+    assert.equal(m.source, site.id);
+    assert.equal(m.description, 'A short synopsis.');
+    assert.deepEqual(m.genres, ['Action', 'Fantasy']);
+    assert.equal(m.status, 'ongoing');
+    assert.equal(m.cover, `${stub.base}/uploads/test-title.jpg`);
+    assert.equal(m.internalId, '77');
+    assert.deepEqual(m.chapters.map(c => c.chapterId), ['11,77', '10,77', '9.5,77', '0']);
+    assert.equal(m.chapters[1].link, `${stub.base}/readerpage.php?Chapter=10,77`);
+    assert.equal(m.chapters[3].internalId, null);
+  });
+
+  it('falls back to h1, meta description, og:image and bare reader links', async () => {
+    const m = await server.extractMangaDetail('fallback', fixtureSite(stub.base));
+    assert.equal(m.title, 'Fallback Title');
+    assert.equal(m.description, 'Only the meta description is available.');
+    assert.equal(m.cover, `${stub.base}/uploads/og-cover.png`);
+    assert.equal(m.status, null, 'no status on the page');
+    assert.equal(m.internalId, '55');
+    assert.deepEqual(m.chapters.slice(0, 2).map(c => c.chapterNum), [2, 1]);
+    assert.equal(m.chapters.length, 3);
+  });
+
+  it('sanitizes the slug before building the upstream url', async () => {
+    const m = await server.extractMangaDetail('test-title/../', fixtureSite(stub.base));
+    assert.equal(m.slug, 'test-title');
+  });
+});
+
+describe('extractReaderPages', () => {
+  let stub;
+  before(async () => {
+    stub = await startStubServer({ routes: {
+      '/read/direct': 'reader-direct.html',
+      '/read/noscript': 'reader-noscript.html',
+      '/read/iframe': 'reader-iframe.html',
+      '/frames/chapter-9.5.html': 'reader-iframe-inner.html',
+      '/read/script': 'reader-script.html',
+      '/read/empty': 'reader-empty.html'
+    } });
+  });
+  after(() => stub.close());
+  const read = path => server.extractReaderPages(`${stub.base}${path}`, fixtureSite(stub.base));
+
+  it('reads src, data-src and the first srcset candidate, without duplicates', async () => {
+    assert.deepEqual(await read('/read/direct'), [1, 2, 3].map(n => `${stub.base}/pages/77/10/${n}.webp`));
+  });
+  it('reads images hidden in noscript blocks', async () => {
+    assert.deepEqual(await read('/read/noscript'), [1, 2].map(n => `${stub.base}/pages/77/11/${n}.jpg`));
+  });
+  it('follows the reader iframe', async () => {
+    assert.deepEqual(await read('/read/iframe'), [1, 2].map(n => `${stub.base}/pages/77/9.5/${n}.png`));
+  });
+  it('picks image url arrays (and loose urls) out of inline scripts', async () => {
+    const pages = await read('/read/script');
+    assert.deepEqual(pages.slice(0, 3), [1, 2, 3].map(n => `${stub.base}/pages/55/2/${n}.jpg`));
+    assert.ok(pages.includes(`${stub.base}/ads/banner.png`));
+  });
+  it('returns an empty list for client-rendered readers', async () => {
+    assert.deepEqual(await read('/read/empty'), []);
+  });
+});
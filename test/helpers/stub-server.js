@@ -0,0 +1,68 @@
+// test/helpers/stub-server.js
+// Local stand-in for the upstream site and its CDN: serves saved HTML from test/fixtures and
+// answers CDN page probes, so the extractors run against real markup without touching the network.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+
+function readFixture(name){ return fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8'); }
+
+// routes: { '/path?query': 'fixture.html' } (matched on the decoded path + query); {{ORIGIN}} in a fixture
+// becomes this server's origin, which is how recorded pages keep their absolute links local
+// cdn: { '<uid>/<mangaName>/<chapter>': pageCount } answers /users/<uid>/<mangaName>/<chapter>/HD/<n>.webp;
+// a key ending in @<quality>.<ext> (e.g. '9/name/1@SD.jpg') serves that url variant instead
+function startStubServer({ routes = {}, cdn = {} } = {}){
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    const url = decodeURIComponent(req.url);
+    hits.push(`${req.method} ${url}`);
+    const page = url.match(/^\/users\/(.+)\/(HD|SD)\/(\d+)\.(webp|jpg|png)$/);
+    if(page){
+      const count = cdn[`${page[1]}@${page[2]}.${page[4]}`] || (page[2] === 'HD' && page[4] === 'webp' ? cdn[page[1]] : 0) || 0;
+      const ok = Number(page[3]) >= 1 && Number(page[3]) <= count;
+      res.writeHead(ok ? 200 : 404, { 'Content-Type': ok ? 'image/webp' : 'text/plain' });
+      return res.end(ok ? 'RIFF0000WEBP' : 'not found');
+    }
+    const fixture = routes[url];
+    if(!fixture){ res.writeHead(404, { 'Content-Type': 'text/plain' }); return res.end('not found'); }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(readFixture(fixture).replace(/\{\{ORIGIN\}\}/g, `http://${req.headers.host}`));
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      resolve({ base, hits, close: () => new Promise(r => server.close(r)) });
+    });
+  });
+}
+
+// a site descriptor for the extractors; unique ids keep cache keys from leaking between stubs
+let seq = 0;
+function fixtureSite(base, { cdn = true } = {}){
+  return { id: `fixture-${++seq}`, name: 'fixture', base, cdnBase: cdn ? base : null };
+}
+
+// require server.js with throwaway data (requiring it starts no timers); CATALOG_CRAWL=0 keeps the first search or
+// browse from seeding the catalog off the real site
+function loadServer(){
+  process.env.DATA_DIR = process.env.DATA_DIR || fs.mkdtempSync(path.join(os.tmpdir(), 'towerapi-test-'));
+  process.env.CATALOG_CRAWL = '0';
+  process.env.UPSTREAM_RATE = process.env.UPSTREAM_RATE || '1000'; // stubs are local; keep the suite fast
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn'; // access lines would drown the test report
+  process.env.API_VALIDATE_RESPONSES = 'strict'; // any response that drifts from /api/openapi.json fails with a 500
+  return require('../../server');
+}
+
+// minimal express-like response recorder for calling route handlers directly
+function fakeResponse(){
+  return {
+    statusCode: 200, body: undefined,
+    status(code){ this.statusCode = code; return this; },
+    json(body){ this.body = body; return this; }
+  };
+}
+
+module.exports = { startStubServer, fixtureSite, loadServer, fakeResponse, FIXTURE_DIR };
@@ -0,0 +1,167 @@
+// test/images.test.js — the image proxy: host allowlist, redirect checks, passthrough/transforms and the bounded disk cache
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fixtureSite, loadServer } = require('./helpers/stub-server');
+
+process.env.IMAGE_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'towerapi-images-test-'));
+const server = loadServer();
+let hasSharp = true; try{ require.resolve('sharp'); }catch(e){ hasSharp = false; }
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8cfc0f01f0005000201a1e5a2d60000000049454e44ae426082', 'hex');
+
+describe('imageHostAllowed', () => {
+  after(() => { delete process.env.IMAGE_PROXY_HOSTS; });
+  it('matches exact hosts and explicit wildcard entries only', () => {
+    process.env.IMAGE_PROXY_HOSTS = '*.images.test, exact.test';
+    assert.equal(server.imageHostAllowed('a.images.test'), true);
+    assert.equal(server.imageHostAllowed('x.y.images.test'), true);
+    assert.equal(server.imageHostAllowed('images.test'), false, 'the wildcard does not cover the bare domain');
+    assert.equal(server.imageHostAllowed('badimages.test'), false);
+    assert.equal(server.imageHostAllowed('exact.test'), true);
+    assert.equal(server.imageHostAllowed('EXACT.test'), true);
+    assert.equal(server.imageHostAllowed('cdn.exact.test'), false, 'subdomains of a plain entry stay out');
+    assert.equal(server.imageHostAllowed('attacker.co.uk'), false);
+  });
+  it('does not widen a host to its parent domain', () => {
+    process.env.IMAGE_PROXY_HOSTS = 'cdn.example.com';
+    assert.equal(server.imageHostAllowed('cdn.example.com'), true);
+    assert.equal(server.imageHostAllowed('evil.example.com'), false);
+    assert.equal(server.imageHostAllowed('example.com'), false);
+    const host = new URL(server.DEFAULT_SITE.base).hostname;
+    assert.equal(server.imageHostAllowed(host), true, 'source hosts are allowed as they are');
+    assert.equal(server.imageHostAllowed(`x.${host}`), false);
+  });
+});
+
+describe('/api/image', () => {
+  let images, api, base; const hits = [];
+  before(async () => {
+    const srv = http.createServer((req, res) => {
+      hits.push(`${req.headers.host.split(':')[0]} ${req.url}`);
+      const port = srv.address().port;
+      if(req.url === '/img.png'){ res.writeHead(200, { 'Content-Type': 'image/png' }); return res.end(PNG); }
+      if(req.url === '/hop'){ res.writeHead(302, { Location: '/img.png' }); return res.end(); }
+      if(req.url === '/away'){ res.writeHead(302, { Location: `http://localhost:${port}/img.png` }); return res.end(); }
+      if(req.url === '/loop'){ res.writeHead(301, { Location: '/loop' }); return res.end(); }
+      if(req.url === '/page.html'){ res.writeHead(200, { 'Content-Type': 'text/html' }); return res.end('<script>alert(1)</script>'); }
+      if(req.url === '/logo.svg'){ res.writeHead(200, { 'Content-Type': 'image/svg+xml' }); return res.end('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>'); }
+      if(req.url === '/huge.png'){ res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': 1 << 20 }); return res.end(); }
+      if(req.url === '/endless.png'){ res.writeHead(200, { 'Content-Type': 'image/png' }); for(let i = 0; i < 64; i++) res.write(Buffer.alloc(1024)); return res.end(); }
+      res.writeHead(404); res.end();
+    });
+    await new Promise(r => srv.listen(0, '127.0.0.1', r));
+    images = { base: `http://127.0.0.1:${srv.address().port}`, close: () => srv.close() };
+    server.registerProvider(server.createManhwaTowerProvider(fixtureSite(images.base)));
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+  });
+  after(() => { api.close(); images.close(); server.updateSettings({ 'images.maxBytes': null }); });
+  const get = async (url, extra = {}) => {
+    const r = await fetch(`${base}/api/image?${new URLSearchParams({ url, ...extra })}`);
+    return { status: r.status, headers: r.headers, body: Buffer.from(await r.arrayBuffer()) };
+  };
+
+  it('passes allowed images through', async () => {
+    const r = await get(`${images.base}/img.png`);
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('content-type'), 'image/png');
+    assert.deepEqual(r.body, PNG);
+    assert.match(r.headers.get('cache-control'), /max-age=604800/);
+    assert.equal(r.headers.get('x-content-type-options'), 'nosniff');
+  });
+
+  it('refuses upstream responses that are not raster images', async () => {
+    for(const [file, type] of [['page.html', 'text/html'], ['logo.svg', 'image/svg+xml']]){
+      for(const extra of [{}, { w: 100, fmt: 'webp' }]){
+        const r = await get(`${images.base}/${file}`, extra);
+        assert.equal(r.status, 400, `${file} ${JSON.stringify(extra)}`);
+        assert.match(r.headers.get('content-type'), /^application\/json/);
+        assert.equal(JSON.parse(r.body).error, `url does not point to an image (${type})`);
+        assert.equal(r.headers.get('x-content-type-options'), 'nosniff');
+      }
+    }
+  });
+
+  it('caps the bytes taken from upstream, with or without a content length', async () => {
+    server.updateSettings({ 'images.maxBytes': 16 * 1024 });
+    const huge = await get(`${images.base}/huge.png`);
+    assert.equal(huge.status, 400);
+    assert.match(JSON.parse(huge.body).error, /larger than 16384 bytes/);
+    await assert.rejects(get(`${images.base}/endless.png`), 'the stream is cut off past the cap');
+    server.updateSettings({ 'images.maxBytes': null });
+    assert.equal((await get(`${images.base}/endless.png`)).body.length, 64 * 1024);
+  });
+
+  it('rejects other hosts and non-http urls', async () => {
+    for(const url of ['http://localhost:1/img.png', 'file:///etc/passwd', 'not a url']){
+      const r = await get(url);
+      assert.equal(r.status, 400, url);
+      assert.equal(JSON.parse(r.body).code, 'BAD_REQUEST');
+    }
+  });
+
+  it('follows redirects only while they stay on allowed hosts', async () => {
+    assert.deepEqual((await get(`${images.base}/hop`)).body, PNG);
+    hits.length = 0;
+    const away = await get(`${images.base}/away`);
+    assert.equal(away.status, 400);
+    assert.match(JSON.parse(away.body).error, /redirects to a host that is not allowed/);
+    assert.equal(away.headers.get('cache-control'), 'no-store');
+    assert.deepEqual(hits, ['127.0.0.1 /away'], 'the disallowed hop is never requested');
+    assert.equal((await get(`${images.base}/loop`)).status, 502);
+  });
+
+  it('passes the original through when transforms are unavailable', { skip: hasSharp && 'sharp is installed' }, async () => {
+    const r = await get(`${images.base}/img.png`, { w: 100, fmt: 'webp' });
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('x-image-transform'), 'unavailable');
+    assert.deepEqual(r.body, PNG);
+  });
+
+  it('transforms images and serves repeats from the disk cache', { skip: !hasSharp && 'sharp is not installed' }, async () => {
+    const first = await get(`${images.base}/img.png`, { w: 100, fmt: 'jpeg', q: 70 });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('content-type'), 'image/jpeg');
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.deepEqual([first.body[0], first.body[1]], [0xFF, 0xD8]);
+    const again = await get(`${images.base}/img.png`, { w: 100, fmt: 'jpeg', q: 70 });
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+    assert.deepEqual(again.body, first.body);
+  });
+});
+
+describe('createImageDiskCache', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'towerapi-image-cache-test-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const files = () => fs.readdirSync(dir).filter(f => !f.endsWith('.type')).sort();
+
+  it('evicts the least recently used files past the entry and byte limits', async () => {
+    const limits = { maxEntries: 3, maxBytes: 100 };
+    const c = server.createImageDiskCache(dir, limits);
+    for(const n of ['a', 'b', 'c']) await c.set(n, Buffer.alloc(10, n), 'image/webp');
+    assert.equal((await c.get('a')).type, 'image/webp');
+    await c.set('d', Buffer.alloc(10), 'image/webp');
+    assert.deepEqual(files(), ['a', 'c', 'd'], 'b was the least recently used');
+    assert.equal(await c.get('b'), null);
+    assert.ok(!fs.existsSync(path.join(dir, 'b.type')));
+    await c.set('e', Buffer.alloc(85), 'image/webp');
+    assert.deepEqual(files(), ['d', 'e']);
+    assert.deepEqual(await c.stats(), { entries: 2, bytes: 95 });
+    limits.maxEntries = 1; await c.trim();
+    assert.deepEqual(files(), ['e']);
+  });
+
+  it('rebuilds its index from the directory', async () => {
+    const c = server.createImageDiskCache(dir, { maxEntries: 10, maxBytes: 1000 });
+    assert.deepEqual(await c.stats(), { entries: 1, bytes: 85 });
+    assert.equal((await c.get('e')).body.length, 85);
+    fs.unlinkSync(path.join(dir, 'e'));
+    assert.equal(await c.get('e'), null, 'a file removed behind its back is a miss');
+    assert.deepEqual(await c.stats(), { entries: 0, bytes: 0 });
+  });
+});
@@ -0,0 +1,151 @@
+// test/metrics.test.js — the metrics registry, /metrics exposition (routes, upstream, cache, reader methods, CDN probes) and structured logs
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { startStubServer, fixtureSite, loadServer, fakeResponse } = require('./helpers/stub-server');
+
+process.env.METRICS_TOKEN = 'scrape-me';
+const server = loadServer();
+
+// value of one sample line, e.g. sample(text, 'cache_lookups_total', { kind: 'detail', result: 'miss' })
+function sample(text, name, labels = {}){
+  const want = Object.entries(labels).map(([k, v]) => `${k}="${v}"`);
+  const line = text.split('\n').find(l => {
+    const m = l.match(/^([a-z_]+)(?:\{(.*)\})? (\S+)$/);
+    return m && m[1] === name && want.every(w => (m[2] || '').split(',').includes(w));
+  });
+  return line ? Number(line.split(' ').pop()) : undefined;
+}
+
+describe('createMetricsRegistry', () => {
+  it('renders HELP and TYPE lines with escaped label values', () => {
+    const reg = server.createMetricsRegistry();
+    const hits = reg.counter('hits_total', 'Hits by path');
+    hits.inc({ path: 'a"b\\c\nd' });
+    hits.inc({ path: 'a"b\\c\nd' }, 2);
+    hits.inc();
+    reg.gauge('temperature', 'Collected at scrape time', () => [[{ room: 'x' }, 21.5], [{}, 3]]);
+    assert.deepEqual(reg.render().split('\n'), [
+      '# HELP hits_total Hits by path', '# TYPE hits_total counter',
+      'hits_total{path="a\\"b\\\\c\\nd"} 3', 'hits_total 1',
+      '# HELP temperature Collected at scrape time', '# TYPE temperature gauge',
+      'temperature{room="x"} 21.5', 'temperature 3', ''
+    ]);
+    assert.deepEqual(hits.values(), [[{ path: 'a"b\\c\nd' }, 3], [{}, 1]]);
+  });
+
+  it('keeps histogram buckets cumulative with +Inf, _sum and _count', () => {
+    const reg = server.createMetricsRegistry();
+    const h = reg.histogram('wait_seconds', 'Waits', [0.1, 1]);
+    for(const v of [0.05, 0.1, 0.5, 3]) h.observe({ op: 'x' }, v);
+    assert.deepEqual(reg.render().split('\n').slice(2, -1), [
+      'wait_seconds_bucket{op="x",le="0.1"} 2', 'wait_seconds_bucket{op="x",le="1"} 3', 'wait_seconds_bucket{op="x",le="+Inf"} 4',
+      'wait_seconds_sum{op="x"} 3.65', 'wait_seconds_count{op="x"} 4'
+    ]);
+  });
+});
+
+describe('/metrics', () => {
+  let stub, api, base, provider;
+  before(async () => {
+    stub = await startStubServer({ routes: { '/Manhwa/test-title/': 'detail.html', '/readerpage.php?Chapter=10,77': 'reader-direct.html' }, cdn: { '77/Test_Title/10': 13 } });
+    provider = server.createManhwaTowerProvider(fixtureSite(stub.base));
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+  });
+  after(() => { api.close(); stub.close(); });
+  const scrape = async () => {
+    const r = await fetch(`${base}/metrics`, { headers: { Authorization: 'Bearer scrape-me' } });
+    assert.equal(r.status, 200);
+    assert.match(r.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    return r.text();
+  };
+
+  it('needs the metrics token when one is configured', async () => {
+    assert.equal((await fetch(`${base}/metrics`)).status, 401);
+    assert.equal((await fetch(`${base}/metrics`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  });
+
+  it('exports a latency histogram per route pattern and status', async () => {
+    await fetch(`${base}/api/sources`);
+    await fetch(`${base}/api/nope`);
+    const text = await scrape();
+    assert.match(text, /# TYPE http_request_duration_seconds histogram/);
+    assert.equal(sample(text, 'http_request_duration_seconds_count', { method: 'GET', route: '/api/sources', status: '200' }), 1);
+    assert.equal(sample(text, 'http_request_duration_seconds_bucket', { route: '/api/sources', le: '+Inf' }), 1);
+    assert.equal(sample(text, 'http_request_duration_seconds_count', { route: '(unmatched)', status: '404' }), 1);
+  });
+
+  it('counts upstream requests, cache lookups, reader methods and CDN probes', async () => {
+    const read = async q => { const res = fakeResponse(); await server.handleReaderQuery({ slug: 'test-title', chapter: '10', ...q }, provider, res); return res.body.method; };
+    assert.equal(await read({}), 'explicit');
+    assert.equal(await read({ mirror: 'cdn' }), 'fallback-discovered');
+    const text = await scrape();
+    const host = new URL(stub.base).host;
+    assert.ok(sample(text, 'upstream_requests_total', { host, method: 'get', status: '200' }) >= 2);
+    assert.ok(sample(text, 'upstream_requests_total', { host, method: 'head', status: '404' }) >= 1, 'probes past the last page are 404s');
+    assert.ok(sample(text, 'upstream_request_duration_seconds_count', { host }) >= 3);
+    assert.equal(sample(text, 'reader_page_resolutions_total', { method: 'explicit' }), 1);
+    assert.equal(sample(text, 'reader_page_resolutions_total', { method: 'fallback-discovered' }), 1);
+    assert.equal(sample(text, 'reader_page_discovery_probes_count', { result: 'found' }), 1);
+    assert.ok(sample(text, 'reader_page_discovery_probes_sum', { result: 'found' }) >= 5, 'doubling up to 16 then bisecting back to 13');
+    assert.equal(sample(text, 'cache_lookups_total', { kind: 'detail', result: 'miss' }), 1);
+    assert.equal(sample(text, 'cache_lookups_total', { kind: 'detail', result: 'hit' }), 1, 'the cdn read reuses the cached detail page');
+    assert.equal(sample(text, 'cache_hit_ratio', { kind: 'detail' }), 0.5);
+    assert.ok(sample(text, 'process_resident_memory_bytes') > 0);
+    assert.ok(sample(text, 'cache_entries') >= 1);
+    assert.equal(typeof sample(text, 'catalog_series'), 'number');
+  });
+
+  it('reports retries, rejected requests and open circuits per upstream host', async () => {
+    // a port nothing listens on: every attempt is a retriable connection error
+    const port = await new Promise(r => { const s = net.createServer().listen(0, '127.0.0.1', () => { const p = s.address().port; s.close(() => r(p)); }); });
+    const down = server.createManhwaTowerProvider(fixtureSite(`http://127.0.0.1:${port}`));
+    const host = `127.0.0.1:${port}`;
+    server.updateSettings({ 'upstream.retries': 1, 'upstream.backoffMs': 0, 'upstream.breakerThreshold': 2, 'upstream.breakerCooldownMs': 60000 });
+    try{
+      await assert.rejects(down.detail('test-title'));
+      assert.equal(sample(await scrape(), 'upstream_circuit_open', { host }), 1);
+      await assert.rejects(down.detail('other-title'));
+      const text = await scrape();
+      assert.equal(sample(text, 'upstream_retries_total', { host }), 1);
+      assert.equal(sample(text, 'upstream_rejected_total', { host }), 1);
+      assert.equal(sample(text, 'upstream_circuit_open', { host: new URL(stub.base).host }), 0);
+    }finally{
+      server.updateSettings({ 'upstream.retries': null, 'upstream.backoffMs': null, 'upstream.breakerThreshold': null, 'upstream.breakerCooldownMs': null });
+    }
+  });
+});
+
+describe('structured logs', () => {
+  // log lines written to stdout/stderr while fn runs, at level "info" (the suite runs at "warn");
+  // the test runner shares stdout, so only our JSON lines are kept
+  async function capture(fn){
+    const lines = []; const writes = [process.stdout.write, process.stderr.write]; const level = server.LOG.level;
+    const keep = write => function(chunk){ if(!String(chunk).startsWith('{"time"')) return write.apply(this, arguments); lines.push(String(chunk)); return true; };
+    process.stdout.write = keep(writes[0]); process.stderr.write = keep(writes[1]);
+    server.LOG.level = 'info';
+    try{ await fn(); } finally{ [process.stdout.write, process.stderr.write] = writes; server.LOG.level = level; }
+    return lines;
+  }
+
+  it('writes one JSON object per line at or above the configured level', async () => {
+    const lines = await capture(() => { server.log('debug', 'hidden'); server.log('info', 'shown', { slug: 'x' }); });
+    assert.equal(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.deepEqual({ level: entry.level, msg: entry.msg, slug: entry.slug }, { level: 'info', msg: 'shown', slug: 'x' });
+    assert.ok(!isNaN(Date.parse(entry.time)));
+  });
+
+  it('tags access lines with the request id and keeps errors structured', async () => {
+    const api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    const lines = await capture(() => fetch(`http://127.0.0.1:${api.address().port}/api/nope`, { headers: { 'X-Request-Id': 'trace-logs-0001' } })).finally(() => api.close());
+    const access = lines.map(l => JSON.parse(l)).find(e => e.msg === 'request');
+    assert.deepEqual({ requestId: access.requestId, status: access.status, route: access.route, url: access.url }, { requestId: 'trace-logs-0001', status: 404, route: '(unmatched)', url: '/api/nope' });
+
+    const [err] = await capture(() => server.log('error', 'boom', { err: { message: 'bad', code: 'E1' } }));
+    assert.deepEqual(JSON.parse(err).err, { message: 'bad', code: 'E1' });
+  });
+});
@@ -0,0 +1,78 @@
+// test/openapi.test.js — the OpenAPI document, response checks and the generated client
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startStubServer, fixtureSite, loadServer } = require('./helpers/stub-server');
+const { createClient, ApiError } = require('../public/api-client.js');
+
+const server = loadServer();
+
+describe('OpenAPI document', () => {
+  it('documents every /api route', () => {
+    const doc = server.openapiDocument();
+    const missing = [];
+    for(const layer of server.app._router.stack){
+      const route = layer.route; if(!route || !route.path.startsWith('/api/')) continue;
+      for(const method of Object.keys(route.methods)){
+        const p = route.path.replace(/:(\w+)/g, '{$1}');
+        if(!(doc.paths[p] && doc.paths[p][method])) missing.push(`${method.toUpperCase()} ${route.path}`);
+      }
+    }
+    assert.deepEqual(missing, []);
+  });
+
+  it('takes parameter constraints from the route validation rules', () => {
+    const params = server.openapiDocument().paths['/api/search'].get.parameters;
+    const limit = params.find(p => p.name === 'limit');
+    assert.deepEqual(limit.schema, { type: 'integer', minimum: 1, maximum: 50, default: 20 });
+    assert.equal(params.find(p => p.name === 'genre').style, 'form');
+    assert.ok(params.some(p => p.$ref === '#/components/parameters/source'));
+  });
+
+  it('flags responses that drift from the schema', () => {
+    const problems = server.checkResponse('GET', '/api/home', 200, { ok: true, source: 'x', page: 1, excludePopular: false, items: [{ title: 'No slug', cover: null, link: null, source: 'x', extra: 1 }] });
+    assert.deepEqual(problems, ['$.items[0].slug: is required', '$.items[0].extra: is not in the schema']);
+    assert.deepEqual(server.checkResponse('GET', '/api/home', 404, { ok: false, error: 'x', code: 'NOT_FOUND' }), []);
+  });
+
+  it('ships a client generated from the current document', () => {
+    const committed = fs.readFileSync(path.join(__dirname, '..', 'public', 'api-client.js'), 'utf8');
+    assert.equal(committed, server.renderApiClient(), 'public/api-client.js is stale: run `node server.js --write-client`');
+  });
+});
+
+describe('generated client', () => {
+  let stub, api, client, source;
+  before(async () => {
+    stub = await startStubServer({ routes: { '/page/1': 'home-cards.html', '/Manhwa/test-title/': 'detail.html', '/readerpage.php?Chapter=10,77': 'reader-direct.html' } });
+    source = server.registerProvider(server.createManhwaTowerProvider(fixtureSite(stub.base))).id;
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    client = createClient({ base: `http://127.0.0.1:${api.address().port}` });
+  });
+  after(() => { api.close(); stub.close(); });
+
+  it('returns normalized series items with a slug on every listing', async () => {
+    const home = await client.getHome({ source });
+    assert.ok(home.items.length > 0);
+    for(const it of home.items){ assert.ok(it.slug); assert.equal(it.source, source); }
+  });
+
+  it('reads a series and its chapter pages', async () => {
+    const { manga } = await client.getManga({ slug: 'test-title', source });
+    assert.equal(manga.title, 'Test Title');
+    const pages = await client.getChapterPages({ slug: 'test-title', chapter: '10', source });
+    assert.equal(pages.method, 'explicit');
+    assert.equal(pages.source, source);
+  });
+
+  it('rejects with ApiError carrying the error code', async () => {
+    await assert.rejects(client.getManga({ slug: 'missing-title', source }), e => e instanceof ApiError && e.status === 404 && e.code === 'NOT_FOUND');
+    await assert.rejects(client.getMe(), e => e.code === 'UNAUTHORIZED');
+  });
+
+  it('builds urls for binary endpoints', () => {
+    assert.match(client.downloadChapterUrl({ slug: 'a b', chapter: '10', format: 'pdf' }), /\/api\/download\/a%20b\/10\?format=pdf$/);
+  });
+});
@@ -0,0 +1,98 @@
+// test/pages.test.js — HTML routes: deep links into the single-page app, server-rendered manga/reader pages, sitemap
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer, loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+
+// content of <meta property|name="key" content="...">, the JSON of a <script id|type> block
+const metaOf = (html, key) => { const m = html.match(new RegExp(`<meta (?:property|name)="${key}" content="([^"]*)">`)); return m && m[1].replace(/&amp;/g, '&'); };
+const scriptJson = (html, attr) => { const start = html.indexOf(`<script ${attr}>`) + attr.length + 9; return JSON.parse(html.slice(start, html.indexOf('</script>', start))); };
+
+describe('HTML pages', () => {
+  let stub, api, base;
+  before(async () => {
+    stub = await startStubServer({ routes: { '/Manhwa/test-title/': 'detail.html' } });
+    server.updateSettings({ 'site.base': stub.base });
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+  });
+  after(() => { api.close(); stub.close(); });
+  const page = async url => { const r = await fetch(base + url); return { status: r.status, type: r.headers.get('content-type'), html: await r.text() }; };
+
+  it('serves the app shell for every client-side route', async () => {
+    for(const url of ['/genre/action', '/genres?genres=Action&sort=title', '/search?q=tower', '/recommendations', '/library', '/offline']){
+      const r = await page(url);
+      assert.equal(r.status, 200, url);
+      assert.match(r.html, /<script src="\/app\.js"><\/script>/, url);
+    }
+    assert.equal((await page('/nope')).status, 404);
+    assert.equal((await page('/manga/a/b')).status, 404);
+  });
+
+  it('renders a manga page with its metadata, structured data and embedded detail', async () => {
+    const { status, type, html } = await page('/manga/test-title');
+    assert.equal(status, 200);
+    assert.match(type, /^text\/html/);
+    assert.match(html, /<title>Test Title — Manhwa Vault<\/title>/);
+    assert.equal(metaOf(html, 'og:title'), 'Test Title — Manhwa Vault');
+    assert.equal(metaOf(html, 'og:url'), `${base}/manga/test-title`);
+    assert.ok(metaOf(html, 'og:image').startsWith(`${base}/`), 'previews need an absolute image url');
+    assert.equal(metaOf(html, 'twitter:card'), 'summary_large_image');
+    assert.match(html, /<h1>Test Title<\/h1>/);
+    assert.match(html, /href="\/reader\?slug=test-title&amp;chapter=10%2C77"/);
+
+    const ld = scriptJson(html, 'type="application/ld+json"');
+    assert.equal(ld['@type'], 'ComicSeries');
+    assert.equal(ld.name, 'Test Title');
+    assert.ok(ld.hasPart.length >= 2 && ld.hasPart.every(p => p['@type'] === 'ComicIssue'));
+    const data = scriptJson(html, 'type="application/json" id="initial-data"');
+    assert.equal(data.slug, 'test-title');
+    assert.equal(data.manga.title, 'Test Title');
+    assert.deepEqual(data.manga.chapters.map(c => c.chapterId), ld.hasPart.map(p => decodeURIComponent(p.url.split('chapter=')[1])));
+  });
+
+  it('uses the configured public url for canonical links', async () => {
+    server.updateSettings({ 'site.publicUrl': 'https://vault.example/' });
+    try{
+      const { html } = await page('/manga/test-title');
+      assert.match(html, /<link rel="canonical" href="https:\/\/vault\.example\/manga\/test-title">/);
+      assert.ok(metaOf(html, 'og:image').startsWith('https://vault.example/'));
+    }finally{ server.updateSettings({ 'site.publicUrl': null }); }
+  });
+
+  it('renders reader pages as a chapter of the series, with its neighbours embedded', async () => {
+    const { status, html } = await page('/reader?slug=test-title&chapter=10');
+    assert.equal(status, 200);
+    const ld = scriptJson(html, 'type="application/ld+json"');
+    assert.equal(ld['@type'], 'ComicIssue');
+    assert.equal(ld.issueNumber, 10);
+    assert.equal(ld.isPartOf.name, 'Test Title');
+    const data = scriptJson(html, 'type="application/json" id="initial-data"');
+    assert.deepEqual({ slug: data.slug, chapter: data.chapter, prev: data.prevChapter.chapterNum, next: data.nextChapter.chapterId }, { slug: 'test-title', chapter: '10', prev: 9.5, next: '11,77' });
+    assert.match(html, /<div id="meta" class="center muted"><a href="\/manga\/test-title">Test Title<\/a>/);
+    assert.match(html, /<script src="\/reader\.js"><\/script>/);
+    assert.doesNotMatch((await page('/reader')).html, /initial-data/, 'a bare /reader is the plain shell');
+  });
+
+  it('answers unknown series with a 404 that still loads the app', async () => {
+    const { status, html } = await page('/manga/no-such-title');
+    assert.equal(status, 404);
+    assert.match(html, /<script src="\/app\.js"><\/script>/);
+    assert.doesNotMatch(html, /initial-data/);
+  });
+
+  it('lists catalogued series in the sitemap and points robots.txt at it', async () => {
+    await page('/manga/test-title'); // detail pages feed the catalog
+    const r = await fetch(`${base}/sitemap.xml`);
+    assert.match(r.headers.get('content-type'), /^application\/xml/);
+    const xml = await r.text();
+    assert.match(xml, /<urlset xmlns="http:\/\/www\.sitemaps\.org\/schemas\/sitemap\/0\.9">/);
+    assert.ok(xml.includes(`<loc>${base}/</loc>`));
+    assert.match(xml, new RegExp(`<url><loc>${base}/manga/test-title</loc><lastmod>\\d{4}-\\d\\d-\\d\\dT`));
+    const robots = await (await fetch(`${base}/robots.txt`)).text();
+    assert.match(robots, /^Disallow: \/api\/$/m);
+    assert.match(robots, new RegExp(`^Sitemap: ${base}/sitemap\\.xml$`, 'm'));
+  });
+});
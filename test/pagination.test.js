@@ -0,0 +1,95 @@
+// test/pagination.test.js — /api/v2 cursor pagination over an in-memory provider
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+
+const item = slug => ({ slug, title: slug.toUpperCase(), cover: null, link: `https://example.test/Manhwa/${slug}/` });
+const homePages = { 1: ['a', 'b', 'c'], 2: ['d', 'e'] };
+const all = Object.values(homePages).flat();
+server.registerProvider({
+  id: 'memory', name: 'Memory', base: 'https://example.test', mirrors: [{ id: 'site', name: 'site' }],
+  async home(p){ return (homePages[p] || []).map(item); },
+  async genres(){ return [{ name: 'Action', slug: 'action', link: 'https://example.test/g/action' }]; },
+  async genreListing(slug, p){ return p === 1 ? ['a', 'c'].map(item) : []; },
+  async detail(slug){ return item(slug); },
+  async chapterPages(){ return null; },
+  async search({ q, limit, offset = 0 }){ const hits = all.filter(s => s >= q); return { total: hits.length, items: hits.slice(offset, offset + limit).map(item) }; }
+});
+
+describe('/api/v2 listings', () => {
+  let api, base;
+  before(async () => { api = server.app.listen(0); await new Promise(r => api.once('listening', r)); base = `http://127.0.0.1:${api.address().port}`; });
+  after(() => api.close());
+  const get = async path => { const r = await fetch(`${base}${path}${path.includes('?') ? '&' : '?'}source=memory`); return { status: r.status, body: await r.json() }; };
+  async function collect(path){
+    const pages = []; let cursor = null;
+    do{
+      const { body } = await get(`${path}?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+      pages.push(body); cursor = body.nextCursor;
+    }while(cursor && pages.length < 10);
+    return pages;
+  }
+
+  it('pages through the home listing across upstream pages', async () => {
+    const pages = await collect('/api/v2/home');
+    assert.deepEqual(pages.map(p => p.items.map(it => it.slug)), [['a', 'b'], ['c', 'd'], ['e']]);
+    assert.deepEqual(pages.map(p => p.hasMore), [true, true, false]);
+    const last = pages[pages.length-1];
+    assert.equal(last.nextCursor, null);
+    assert.equal(last.totalEstimate, 5);
+    assert.equal(last.totalExact, true);
+    assert.equal(pages[0].totalExact, false);
+  });
+
+  it('resumes after the last served item when new series push the page down', async () => {
+    const first = (await get('/api/v2/home?limit=2')).body;
+    homePages[1].unshift('new');
+    try{
+      const next = (await get(`/api/v2/home?limit=2&cursor=${first.nextCursor}`)).body;
+      assert.deepEqual(next.items.map(it => it.slug), ['c', 'd']);
+    }finally{ homePages[1].shift(); }
+  });
+
+  it('reports exact totals for search and keeps the query in the cursor', async () => {
+    const first = (await get('/api/v2/search?q=b&limit=2')).body;
+    assert.deepEqual(first.items.map(it => it.slug), ['b', 'c']);
+    assert.equal(first.totalEstimate, 4);
+    assert.equal(first.totalExact, true);
+    const second = (await get(`/api/v2/search?q=b&limit=2&cursor=${first.nextCursor}`)).body;
+    assert.deepEqual(second.items.map(it => it.slug), ['d', 'e']);
+    assert.equal(second.hasMore, false);
+    const other = await get(`/api/v2/search?q=c&limit=2&cursor=${first.nextCursor}`);
+    assert.equal(other.status, 400);
+  });
+
+  it('rejects cursors from another listing and garbage cursors', async () => {
+    const { body } = await get('/api/v2/home?limit=1');
+    assert.equal((await get(`/api/v2/recommendations?cursor=${body.nextCursor}`)).status, 400);
+    const bad = await get('/api/v2/home?cursor=not-a-cursor');
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.details[0].param, 'cursor');
+  });
+
+  it('serves genres and genre items with the same envelope', async () => {
+    const genres = (await get('/api/v2/genres')).body;
+    assert.deepEqual(genres.items.map(g => g.slug), ['action']);
+    const items = (await get('/api/v2/genres/action/items')).body;
+    assert.deepEqual(items.items.map(it => it.slug), ['a', 'c']);
+    assert.equal(items.hasMore, false);
+    assert.equal(items.genre, 'action');
+  });
+
+  it('keeps the recommendation order stable while paging', async () => {
+    const pages = await collect('/api/v2/recommendations');
+    const slugs = pages.flatMap(p => p.items.map(it => it.slug));
+    assert.deepEqual([...slugs].sort(), all);
+    assert.ok(pages.every(p => p.date === pages[0].date));
+  });
+
+  it('leaves the v1 home paging as it was', async () => {
+    const { body } = await get('/api/home');
+    assert.deepEqual(body.items.map(it => it.slug), ['a', 'b', 'c']);
+  });
+});
@@ -0,0 +1,80 @@
+// test/popularity.test.js — traffic-based popularity: recording, decay windows, genre filter and the /api/popular fallback
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+
+const item = slug => ({ slug, title: slug.toUpperCase(), cover: null, link: `https://example.test/Manhwa/${slug}/` });
+const genresOf = { solo: ['Action'], duke: ['Romance'], tower: ['Action', 'Fantasy'] };
+const provider = server.registerProvider({
+  id: 'pop-memory', name: 'Memory', base: 'https://example.test', mirrors: [{ id: 'site', name: 'site' }],
+  async home(p){ return p === 1 ? ['fresh1', 'fresh2', 'solo'].map(item) : []; },
+  async genres(){ return []; },
+  async genreListing(slug, p){ return p === 1 && slug === 'action' ? ['listed'].map(item) : []; },
+  async detail(slug){ return { ...item(slug), url: item(slug).link, genres: genresOf[slug] || [], chapters: [] }; },
+  async chapterPages(slug){ return { manga: { title: slug.toUpperCase(), genres: genresOf[slug] || [] }, method: 'explicit', pages: ['https://example.test/1.jpg'], pageCount: 1 }; },
+  async search(){ return { total: 0, items: [] }; }
+});
+const HOUR = 60*60*1000; const DAY = 24*HOUR;
+const visitor = (ip, user) => ({ ip, user, provider });
+const meta = slug => ({ title: slug.toUpperCase(), genres: genresOf[slug] });
+
+describe('popularity ranking', () => {
+  const t0 = Date.parse('2026-03-01T00:00:00Z');
+  before(() => {
+    // "duke": heavy reading ten days ago; "solo": a little reading today; "tower": one follow today
+    for(let i = 0; i < 10; i++) server.recordPopularity(visitor(`10.0.0.${i}`), 'read', 'duke', { chapter: '1', meta: meta('duke') }, t0 - 10*DAY);
+    server.recordPopularity(visitor('10.0.1.1'), 'read', 'solo', { chapter: '1', meta: meta('solo') }, t0 - HOUR);
+    server.recordPopularity(visitor('10.0.1.2'), 'view', 'solo', { meta: meta('solo') }, t0 - HOUR);
+    server.recordPopularity(visitor('10.0.1.3', { id: 'u1' }), 'follow', 'tower', { meta: meta('tower') }, t0 - 2*HOUR);
+  });
+
+  it('ranks all time by lifetime weight and trending by recent activity', () => {
+    assert.deepEqual(server.rankPopular(provider, { window: 'all', now: t0 }).map(r => r.slug), ['duke', 'tower', 'solo']);
+    assert.deepEqual(server.rankPopular(provider, { window: 'day', now: t0 }).map(r => r.slug), ['tower', 'solo'], 'ten-day-old reads have decayed out of the day window');
+    assert.deepEqual(server.rankPopular(provider, { window: 'all', now: t0 })[0].stats, { views: 0, reads: 10, follows: 0 });
+  });
+
+  it('filters by genre name', () => {
+    assert.deepEqual(server.rankPopular(provider, { window: 'all', genre: 'action', now: t0 }).map(r => r.slug), ['tower', 'solo']);
+    assert.deepEqual(server.rankPopular(provider, { window: 'all', genre: 'Fantasy', now: t0 }).map(r => r.slug), ['tower']);
+  });
+
+  it('counts a visitor once per series, kind and chapter within the dedupe span', () => {
+    const before = server.rankPopular(provider, { window: 'all', now: t0 }).find(r => r.slug === 'solo').stats.reads;
+    server.recordPopularity(visitor('10.0.1.1'), 'read', 'solo', { chapter: '1' }, t0 - HOUR + 60*1000);
+    assert.equal(server.rankPopular(provider, { window: 'all', now: t0 }).find(r => r.slug === 'solo').stats.reads, before);
+    server.recordPopularity(visitor('10.0.1.1'), 'read', 'solo', { chapter: '2' }, t0);
+    assert.equal(server.rankPopular(provider, { window: 'all', now: t0 }).find(r => r.slug === 'solo').stats.reads, before + 1);
+  });
+});
+
+describe('/api/popular', () => {
+  let api, base;
+  before(async () => { api = server.app.listen(0); await new Promise(r => api.once('listening', r)); base = `http://127.0.0.1:${api.address().port}`; });
+  after(() => api.close());
+  const get = async path => { const r = await fetch(`${base}${path}${path.includes('?') ? '&' : '?'}source=pop-memory`); return { status: r.status, body: await r.json() }; };
+
+  it('records detail views and chapter reads from real requests', async () => {
+    await get('/api/manga/solo'); await get('/api/reader/solo/7');
+    const { body } = await get('/api/popular?window=week&count=2');
+    assert.equal(body.items[0].slug, 'solo');
+    assert.ok(body.items[0].stats.reads >= 2);
+  });
+
+  it('tops up from the source listing and says how many items were ranked', async () => {
+    const { body } = await get('/api/popular?window=all&count=6');
+    assert.equal(body.ranked, 3);
+    assert.deepEqual(body.items.slice(3).map(it => it.slug), ['fresh1', 'fresh2']);
+    assert.ok(!body.items.slice(3).some(it => it.stats));
+    const genre = await get('/api/popular?window=day&genre=action&count=5');
+    assert.ok(genre.body.items.some(it => it.slug === 'listed'), 'genre filler comes from the genre listing');
+  });
+
+  it('rejects unknown windows', async () => {
+    const { status, body } = await get('/api/popular?window=month');
+    assert.equal(status, 400);
+    assert.equal(body.details[0].param, 'window');
+  });
+});
@@ -0,0 +1,70 @@
+// test/providers.test.js — the provider registry: registration checks, MIRROR_BASES, ?source= routing and per-source caching
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer, fixtureSite, loadServer } = require('./helpers/stub-server');
+
+process.env.MIRROR_BASES = 'mirror-a=http://mirror-a.test|http://cdn.mirror-a.test, broken=not a url, nobase';
+const server = loadServer();
+
+describe('registerProvider', () => {
+  it('requires an id and every provider method', () => {
+    assert.throws(() => server.registerProvider({ home(){}, genres(){}, genreListing(){}, detail(){}, chapterPages(){}, search(){} }), /missing an id/);
+    assert.throws(() => server.registerProvider({ id: 'half', home(){}, detail(){} }), /provider half is missing genres, genreListing, chapterPages, search/);
+  });
+});
+
+describe('sources', () => {
+  let a, b, api, base, sourceA, sourceB;
+  const ROUTES = home => ({ '/': home, '/page/1': home, '/page/2': 'home-anchors.html', '/page/3': 'home-anchors.html', '/Manhwa/test-title/': 'detail.html' });
+  before(async () => {
+    a = await startStubServer({ routes: ROUTES('home-cards.html') });
+    b = await startStubServer({ routes: ROUTES('home-articles.html') });
+    sourceA = server.registerProvider(server.createManhwaTowerProvider(fixtureSite(a.base))).id;
+    sourceB = server.registerProvider(server.createManhwaTowerProvider(fixtureSite(b.base, { cdn: false }))).id;
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+  });
+  after(() => { api.close(); a.close(); b.close(); });
+  const get = async path => { const r = await fetch(base + path); return { status: r.status, body: await r.json() }; };
+
+  it('lists the default source, MIRROR_BASES entries and registered providers', async () => {
+    const { sources } = (await get('/api/sources')).body;
+    const byId = Object.fromEntries(sources.map(s => [s.id, s]));
+    assert.equal(sources[0].id, 'manhwa-tower');
+    assert.equal(sources.filter(s => s.default).length, 1);
+    assert.deepEqual({ base: byId['mirror-a'].base, mirrors: byId['mirror-a'].mirrors.map(m => m.id) }, { base: 'http://mirror-a.test', mirrors: ['site', 'cdn'] });
+    assert.ok(!byId.broken && !byId.nobase, 'malformed MIRROR_BASES entries are skipped');
+    assert.deepEqual(byId[sourceB].mirrors.map(m => m.id), ['site'], 'no cdn mirror without a CDN host');
+    assert.ok(server.imageHostAllowed('cdn.mirror-a.test'), 'a mirror\'s hosts join the image allowlist');
+  });
+
+  it('routes each request to the source it names', async () => {
+    const titles = async source => (await get(`/api/home?source=${source}`)).body.items.map(it => it.title);
+    assert.ok((await titles(sourceA)).includes('Solo Leveling'));
+    assert.ok((await titles(sourceB)).includes('Lookism'));
+    assert.ok(!(await titles(sourceB)).includes('Solo Leveling'));
+    const r = await get('/api/home?source=nope');
+    assert.equal(r.status, 400);
+    assert.ok(r.body.sources.includes(sourceA), 'the error lists the known sources');
+  });
+
+  it('keeps cached pages apart per source', async () => {
+    const one = await get(`/api/manga/test-title?source=${sourceA}`);
+    const two = await get(`/api/manga/test-title?source=${sourceB}`);
+    assert.equal(one.body.manga.title, two.body.manga.title);
+    await get(`/api/manga/test-title?source=${sourceA}`);
+    assert.equal(a.hits.filter(h => h === 'GET /Manhwa/test-title/').length, 1);
+    assert.equal(b.hits.filter(h => h === 'GET /Manhwa/test-title/').length, 1);
+  });
+
+  it('searches other sources by scanning their home listing, and only browses the default one', async () => {
+    const r = (await get(`/api/search?q=solo&source=${sourceA}`)).body;
+    assert.equal(r.source, sourceA);
+    assert.equal(r.items[0].title, 'Solo Leveling');
+    assert.equal(r.index, null, 'no catalog index behind it');
+    const browse = await get(`/api/browse?genres=action&source=${sourceA}`);
+    assert.equal(browse.status, 400);
+    assert.match(browse.body.error, /only indexes "manhwa-tower"/);
+  });
+});
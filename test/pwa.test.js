@@ -0,0 +1,42 @@
+// test/pwa.test.js — manifest, icons and service-worker shell are served the way browsers need them
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+
+describe('installable app', () => {
+  let api, base;
+  before(async () => {
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+  });
+  after(() => api.close());
+
+  it('serves the service worker uncached and the rest of public/ for a day', async () => {
+    const sw = await fetch(`${base}/sw.js`);
+    assert.equal(sw.status, 200);
+    assert.equal(sw.headers.get('cache-control'), 'no-cache');
+    assert.match((await fetch(`${base}/app.js`)).headers.get('cache-control'), /max-age=86400/);
+  });
+
+  it('links a manifest whose icons and start url resolve', async () => {
+    for(const page of ['/', '/reader']) assert.match(await (await fetch(base + page)).text(), /<link rel="manifest" href="\/manifest\.webmanifest">/);
+    const r = await fetch(`${base}/manifest.webmanifest`);
+    assert.match(r.headers.get('content-type'), /^application\/manifest\+json/);
+    const manifest = await r.json();
+    assert.equal(manifest.display, 'standalone');
+    assert.ok(manifest.icons.some(i => i.sizes === '512x512'), 'install prompts need a 512px icon');
+    for(const url of [manifest.start_url, ...manifest.icons.map(i => i.src)]) assert.equal((await fetch(base + url)).status, 200, url);
+  });
+
+  it('precaches only shell files that exist', async () => {
+    const src = fs.readFileSync(path.join(__dirname, '..', 'public', 'sw.js'), 'utf8');
+    const shell = JSON.parse(src.match(/const SHELL = (\[.*?\]);/)[1].replace(/'/g, '"'));
+    assert.ok(shell.includes('/offline.js') && shell.includes('/reader'));
+    for(const url of shell) assert.equal((await fetch(base + url)).status, 200, url);
+  });
+});
@@ -0,0 +1,87 @@
+// test/reader-logic.test.js — spread pairing, page-turn direction and per-series reading preferences of the reader
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const logic = require('../public/reader-logic.js');
+
+// localStorage stand-in; throwing: true behaves like storage that refuses writes (quota, private mode)
+function memoryStorage(entries = {}, { throwing = false } = {}){
+  const m = new Map(Object.entries(entries));
+  return {
+    getItem: k => m.has(k) ? m.get(k) : null,
+    setItem: (k, v) => { if(throwing) throw new Error('QuotaExceededError'); m.set(k, String(v)); },
+    dump: () => Object.fromEntries(m)
+  };
+}
+
+describe('spreadAt', () => {
+  const spreads = (count, view) => Array.from({ length: count }, (_, i) => logic.spreadAt(i, count, view));
+
+  it('shows one page at a time outside spread mode', () => {
+    assert.deepEqual(spreads(3, { mode: 'paged', spreadOffset: true }), [[0, 0], [1, 1], [2, 2]]);
+    assert.deepEqual(logic.spreadAt(4, 9, { mode: 'scroll', spreadOffset: false }), [4, 4]);
+  });
+
+  it('keeps the cover alone and pairs the rest like a printed book', () => {
+    assert.deepEqual(spreads(6, { mode: 'spread', spreadOffset: true }), [[0, 0], [1, 2], [1, 2], [3, 4], [3, 4], [5, 5]]);
+    assert.deepEqual(spreads(5, { mode: 'spread', spreadOffset: true }).slice(3), [[3, 4], [3, 4]]);
+  });
+
+  it('pairs from the first page without the cover offset, leaving an odd last page alone', () => {
+    assert.deepEqual(spreads(5, { mode: 'spread', spreadOffset: false }), [[0, 1], [0, 1], [2, 3], [2, 3], [4, 4]]);
+    assert.deepEqual(spreads(1, { mode: 'spread', spreadOffset: false }), [[0, 0]]);
+  });
+});
+
+describe('page-turn direction', () => {
+  it('maps the arrow toward the reading direction to the next page', () => {
+    assert.deepEqual(['ArrowRight', 'ArrowLeft', 'PageDown', 'PageUp', 'n'].map(k => logic.turnForKey(k, 'ltr')), ['next', 'prev', 'next', 'prev', null]);
+    assert.deepEqual(['ArrowRight', 'ArrowLeft', 'PageDown', 'PageUp'].map(k => logic.turnForKey(k, 'rtl')), ['prev', 'next', 'next', 'prev']);
+  });
+
+  it('turns forward on a swipe against the reading direction and ignores short drags', () => {
+    assert.deepEqual([-100, 100, -60, 30].map(dx => logic.turnForSwipe(dx, 'ltr')), ['next', 'prev', null, null]);
+    assert.deepEqual([-100, 100].map(dx => logic.turnForSwipe(dx, 'rtl')), ['prev', 'next']);
+  });
+});
+
+describe('reading preferences', () => {
+  const defaults = Object.fromEntries(Object.entries(logic.PREFS).map(([name, spec]) => [name, spec.def]));
+
+  it('falls back to the built-in defaults without storage', () => {
+    assert.deepEqual(logic.loadPrefs(null, 'any'), defaults);
+    assert.deepEqual(logic.loadPrefs(memoryStorage(), 'any'), defaults);
+  });
+
+  it('layers the series choice over the device choice over the default', () => {
+    const storage = memoryStorage({
+      manhwa_reader_mode: 'paged', manhwa_reader_direction: 'rtl', manhwa_high_quality: '1', manhwa_image_size: '50',
+      manhwa_reader_prefs_solo: JSON.stringify({ mode: 'spread', spreadOffset: false, sizePct: 90 })
+    });
+    assert.deepEqual(logic.loadPrefs(storage, 'solo'), { ...defaults, mode: 'spread', direction: 'rtl', spreadOffset: false, sizePct: 90, highQ: true });
+    assert.deepEqual(logic.loadPrefs(storage, 'other'), { ...defaults, mode: 'paged', direction: 'rtl', sizePct: 50, highQ: true });
+  });
+
+  it('ignores stored values that are out of range or unknown', () => {
+    const storage = memoryStorage({
+      manhwa_reader_mode: 'sideways', manhwa_image_size: '500', manhwa_reader_autoscroll: 'fast',
+      manhwa_reader_prefs_odd: '{"fit":"height","direction":"up","sizePct":10}'
+    });
+    assert.deepEqual(logic.loadPrefs(storage, 'odd'), { ...defaults, fit: 'height' });
+    assert.deepEqual(logic.loadPrefs(memoryStorage({ manhwa_reader_prefs_bad: 'not json', manhwa_reader_fit: 'original' }), 'bad'), { ...defaults, fit: 'original' });
+  });
+
+  it('saves a choice as the device default and for its series only', () => {
+    const storage = memoryStorage();
+    logic.savePref(storage, 'solo', 'direction', 'rtl');
+    logic.savePref(storage, 'solo', 'spreadOffset', false);
+    logic.savePref(storage, 'duo', 'direction', 'ltr');
+    assert.deepEqual(storage.dump(), {
+      manhwa_reader_direction: 'ltr', manhwa_reader_spread_offset: '0',
+      manhwa_reader_prefs_solo: '{"direction":"rtl","spreadOffset":false}', manhwa_reader_prefs_duo: '{"direction":"ltr"}'
+    });
+    assert.equal(logic.loadPrefs(storage, 'solo').direction, 'rtl', 'the series keeps its own choice');
+    assert.equal(logic.loadPrefs(storage, 'new').direction, 'ltr', 'a new series starts from the latest device choice');
+    assert.doesNotThrow(() => logic.savePref(memoryStorage({}, { throwing: true }), 'solo', 'mode', 'paged'));
+    assert.doesNotThrow(() => logic.savePref(null, 'solo', 'mode', 'paged'));
+  });
+});
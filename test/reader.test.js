@@ -0,0 +1,149 @@
+// test/reader.test.js — chapter matching, neighbors and the reader fallbacks (explicit page, CDN discovery, guess)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer, fixtureSite, loadServer, fakeResponse } = require('./helpers/stub-server');
+
+const server = loadServer();
+
+const ROUTES = {
+  '/Manhwa/test-title/': 'detail.html',
+  '/readerpage.php?Chapter=11,77': 'reader-noscript.html',
+  '/readerpage.php?Chapter=10,77': 'reader-direct.html',
+  '/readerpage.php?Chapter=9.5,77': 'reader-iframe.html',
+  '/frames/chapter-9.5.html': 'reader-iframe-inner.html'
+};
+
+describe('matchChapter', () => {
+  const chapters = [
+    { chapterId: '11,77', chapterNum: 11, internalId: '77', title: 'Chapter 11' },
+    { chapterId: '10,77', chapterNum: 10, internalId: '77', title: 'Chapter 10' },
+    { chapterId: '9.5,77', chapterNum: 9.5, internalId: '77', title: 'Chapter 9.5' },
+    { chapterId: '0', chapterNum: 0, internalId: null, title: 'Prologue 0' }
+  ];
+  it('matches full ids, display numbers and title fragments', () => {
+    assert.equal(server.matchChapter(chapters, '10,77').chapterNum, 10);
+    assert.equal(server.matchChapter(chapters, '9.5').chapterId, '9.5,77');
+    assert.equal(server.matchChapter(chapters, '11,999').chapterId, '11,77');
+    assert.equal(server.matchChapter(chapters, 'Prologue').chapterId, '0');
+    assert.equal(server.matchChapter(chapters, '42'), null);
+    assert.equal(server.matchChapter([], '1'), null);
+  });
+  it('reports latest-first neighbors', () => {
+    const n = server.chapterNeighbors(chapters, chapters[1]);
+    assert.equal(n.prevChapter.chapterId, '9.5,77');
+    assert.equal(n.nextChapter.chapterId, '11,77');
+    assert.equal(n.chapterIndex, 3);
+    assert.equal(server.chapterNeighbors(chapters, chapters[0]).nextChapter, null);
+  });
+});
+
+describe('handleReaderQuery', () => {
+  let stub, provider;
+  before(async () => {
+    stub = await startStubServer({ routes: ROUTES, cdn: { '77/Test_Title/10': 13, '77/Test_Title/12': 0 } });
+    provider = server.createManhwaTowerProvider(fixtureSite(stub.base));
+  });
+  after(() => stub.close());
+  async function query(q){ const res = fakeResponse(); await server.handleReaderQuery(q, provider, res); return res; }
+
+  it('serves pages from the chapter reader page', async () => {
+    const res = await query({ slug: 'test-title', chapter: '10' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.method, 'explicit');
+    assert.equal(res.body.confidence, 'exact');
+    assert.equal(res.body.pageCount, 3);
+    assert.equal(res.body.matchedChapter.chapterId, '10,77');
+    assert.equal(res.body.prevChapter.chapterId, '9.5,77');
+    assert.equal(res.body.nextChapter.chapterId, '11,77');
+  });
+
+  it('normalizes underscores in chapter numbers', async () => {
+    const res = await query({ slug: 'test-title', chapter: '9_5' });
+    assert.equal(res.body.matchedChapter.chapterId, '9.5,77');
+    assert.equal(res.body.pages.length, 2);
+  });
+
+  it('discovers the page count on the CDN when asked for the cdn mirror', async () => {
+    const res = await query({ slug: 'test-title', chapter: '10', mirror: 'cdn' });
+    assert.equal(res.body.method, 'fallback-discovered');
+    assert.equal(res.body.confidence, 'exact');
+    assert.equal(res.body.pageCount, 13);
+    assert.equal(res.body.pages[12], `${stub.base}/users/77/Test_Title/10/HD/13.webp`);
+  });
+
+  it('guesses CDN urls when neither the reader page nor the CDN answer', async () => {
+    const res = await query({ slug: 'test-title', chapter: '12' });
+    assert.equal(res.body.method, 'fallback-guess');
+    assert.equal(res.body.confidence, 'guess');
+    assert.equal(res.body.pages.length, 13, 'the length learned from chapter 10 beats the blind 25');
+    assert.equal(res.body.matchedChapter, null);
+  });
+
+  it('rejects missing parameters and unknown mirrors', async () => {
+    const missing = await query({ slug: 'test-title' });
+    assert.equal(missing.statusCode, 400);
+    assert.deepEqual(missing.body.details, [{ in: 'query', param: 'chapter', message: 'is required' }]);
+    const res = await query({ slug: 'test-title', chapter: '10', mirror: 'nope' });
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.mirrors, ['site', 'cdn']);
+  });
+
+  it('reports EXTRACTION_FAILED when a source without a CDN has no readable pages', async () => {
+    const noCdn = server.createManhwaTowerProvider(fixtureSite(stub.base, { cdn: false }));
+    const res = fakeResponse();
+    await server.handleReaderQuery({ slug: 'test-title', chapter: '12' }, noCdn, res);
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.code, 'EXTRACTION_FAILED');
+  });
+});
+
+describe('discoverPageCountByHead', () => {
+  let stub;
+  before(async () => { stub = await startStubServer({ cdn: { '5/Some_Name/3': 1, '5/Some_Name/4': 37, '5/Some_Name/5': 64 } }); });
+  after(() => stub.close());
+  const count = chapter => server.discoverPageCountByHead({ uid: '5', mangaName: 'Some Name', chapter, cdnBase: stub.base });
+
+  it('finds exact counts with HEAD probes', async () => {
+    assert.equal(await count('3'), 1);
+    assert.equal(await count('4'), 37);
+    assert.equal(await count('5'), 64);
+  });
+  it('returns null when the first page is missing', async () => {
+    assert.equal(await count('6'), null);
+  });
+});
+
+describe('discoverChapterPages', () => {
+  let stub;
+  before(async () => { stub = await startStubServer({ cdn: { '8/Long_Name/1': 40, '8/Long_Name/2': 41, '9/Other Name/1@HD.jpg': 7 } }); });
+  after(() => stub.close());
+  const discover = (uid, mangaName, chapter) => server.discoverChapterPages({ uid, mangaName, chapter, cdnBase: stub.base });
+
+  it('tries other qualities, extensions and name encodings', async () => {
+    const r = await discover('9', 'Other Name', '1');
+    assert.equal(r.pageCount, 7);
+    assert.equal(r.variant.key, 'HD/jpg/encoded');
+    assert.equal(r.confidence, 'exact');
+    assert.equal(server.buildFallbackPageUrl({ uid: '9', mangaName: 'Other Name', chapter: '1', page: 7, cdnBase: stub.base, variant: r.variant }), `${stub.base}/users/9/Other%20Name/1/HD/7.jpg`);
+    assert.equal((await discover('9', 'Other Name', '2')), null);
+    assert.match(stub.hits.find(h => h.includes('/users/9/Other Name/2/')), /\/HD\/1\.jpg$/, 'the learned variant is tried first');
+  });
+
+  it('starts from learned chapter lengths', async () => {
+    const first = await discover('8', 'Long Name', '1');
+    assert.equal(first.pageCount, 40);
+    const again = await discover('8', 'Long Name', '1');
+    assert.deepEqual({ pageCount: again.pageCount, probes: again.probes }, { pageCount: 40, probes: 3 }, 'page 1, then 40 and 41');
+    const sibling = await discover('8', 'Long Name', '2');
+    assert.equal(sibling.pageCount, 41);
+    assert.ok(sibling.probes < first.probes, 'a sibling chapter starts at the series length');
+  });
+
+  it('reports a capped count as partial', async () => {
+    server.updateSettings({ 'reader.maxPageCheck': 30 });
+    try{
+      const r = await discover('8', 'Long Name', '2');
+      assert.deepEqual({ pageCount: r.pageCount, confidence: r.confidence }, { pageCount: 30, confidence: 'partial' });
+    }finally{ server.updateSettings({ 'reader.maxPageCheck': null }); }
+  });
+});
@@ -0,0 +1,84 @@
+// test/recommendations.test.js — recommendation scoring (pure) and the anonymous fallback over HTTP
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+const now = Date.parse('2026-01-31T00:00:00Z');
+const entry = (slug, genres) => ({ slug, title: slug.toUpperCase(), cover: null, link: `https://example.test/Manhwa/${slug}/`, genres });
+const catalog = Object.fromEntries([
+  ['hunter', ['Action', 'Fantasy']], ['tower', ['Action', 'Fantasy']], ['mage', ['Fantasy', 'Magic']],
+  ['sword', ['Action', 'Martial Arts']], ['office', ['Romance', 'Drama']], ['cafe', ['Romance', 'Comedy']],
+  ['ghost', ['Horror']], ['chef', ['Cooking']]
+].map(([slug, g]) => [slug, entry(slug, g)]));
+const read = (slugs, at = now) => Object.fromEntries(slugs.map(s => [s, { 1: { page: 1, updatedAt: at } }]));
+const rank = (user, users = [], opts = {}) => server.rankRecommendations({ user, users: [user, ...users], catalog, now, ...opts });
+
+describe('recommendation ranking', () => {
+  it('returns nothing for a user without history (the daily shuffle takes over)', () => {
+    assert.deepEqual(rank({ id: 'new', library: {}, progress: {} }), []);
+  });
+
+  it('scores by genre affinity and explains with the closest series read', () => {
+    const recs = rank({ id: 'u', library: {}, progress: read(['hunter']) }, [], { diversity: 0 });
+    assert.equal(recs[0].entry.slug, 'tower');
+    assert.equal(recs[0].reason.kind, 'genre');
+    assert.deepEqual(recs[0].reason.because, { slug: 'hunter', title: 'HUNTER' });
+    assert.deepEqual(recs[0].reason.genres, ['Action', 'Fantasy']);
+    assert.ok(!recs.some(r => ['office', 'cafe', 'ghost', 'chef'].includes(r.entry.slug)), 'no shared genre, no readers: not a candidate');
+  });
+
+  it('never recommends what the user already follows or reads', () => {
+    const recs = rank({ id: 'u', library: { tower: {} }, progress: read(['hunter']) });
+    assert.ok(!recs.some(r => ['hunter', 'tower'].includes(r.entry.slug)));
+  });
+
+  it('uses other readers of the same series and names the shared one', () => {
+    const user = { id: 'u', library: {}, progress: read(['office']) };
+    const others = [1, 2, 3].map(i => ({ id: `o${i}`, library: {}, progress: read(['office', 'chef']) }));
+    const top = rank(user, others).find(r => r.entry.slug === 'chef');
+    assert.ok(top, 'no shared genre, but every other reader of OFFICE also reads CHEF');
+    assert.equal(top.reason.kind, 'readers');
+    assert.equal(top.reason.readers, 3);
+    assert.equal(top.reason.because.slug, 'office');
+  });
+
+  it('weighs recent reading above old reading', () => {
+    const old = now - 365*24*60*60*1000;
+    const user = { id: 'u', library: {}, progress: { ...read(['office'], old), ...read(['sword'], now) } };
+    assert.equal(rank(user, [], { diversity: 0 })[0].entry.slug, 'hunter');
+  });
+
+  it('caps picks explained by one series and spreads genres when diversity is on', () => {
+    const user = { id: 'u', library: {}, progress: read(['hunter']) };
+    const recs = rank(user, [], { diversity: 0.5 });
+    const bySeed = recs.filter(r => r.reason.because && r.reason.because.slug === 'hunter');
+    assert.ok(bySeed.length <= 2);
+    const wide = rank({ id: 'w', library: {}, progress: read(['hunter', 'office']) }, [], { diversity: 0.9, limit: 2 });
+    assert.notDeepEqual(wide.map(r => r.reason.because.slug).sort(), ['hunter', 'hunter']);
+  });
+});
+
+describe('/api/recommendations', () => {
+  const item = slug => ({ slug, title: slug, cover: null, link: `https://example.test/Manhwa/${slug}/` });
+  server.registerProvider({
+    id: 'recs-memory', name: 'Memory', base: 'https://example.test', mirrors: [{ id: 'site', name: 'site' }],
+    async home(p){ return p === 1 ? ['a', 'b', 'c', 'd'].map(item) : []; },
+    async genres(){ return []; }, async genreListing(){ return []; }, async detail(slug){ return item(slug); },
+    async chapterPages(){ return null; }, async search(){ return { total: 0, items: [] }; }
+  });
+  let api, base;
+  before(async () => { api = server.app.listen(0); await new Promise(r => api.once('listening', r)); base = `http://127.0.0.1:${api.address().port}`; });
+  after(() => api.close());
+
+  it('falls back to the daily shuffle for anonymous readers', async () => {
+    const r = await fetch(`${base}/api/recommendations?count=3&pool_pages=1&source=recs-memory`);
+    const body = await r.json();
+    assert.equal(r.status, 200);
+    assert.equal(body.personalized, false);
+    assert.equal(body.items.length, 3);
+    assert.ok(body.items.every(it => it.reason.kind === 'daily'));
+    const again = await (await fetch(`${base}/api/recommendations?count=3&pool_pages=1&source=recs-memory`)).json();
+    assert.deepEqual(again.items.map(it => it.slug), body.items.map(it => it.slug), 'same picks all day');
+  });
+});
@@ -0,0 +1,153 @@
+// test/updates.test.js — chapter diffing, the update poller per source, the Atom feeds and signed webhooks
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const chapter = n => ({ chapterId: `${n},5`, chapterNum: n, title: `Chapter ${n}`, link: `https://example.test/read/${n}` });
+
+describe('diffChapters', () => {
+  it('records a baseline first, then reports only chapters it has not seen', () => {
+    const detail = { title: 'Diffed', cover: null, chapters: [chapter(2), chapter(1)] };
+    assert.deepEqual(server.diffChapters('diffed', detail), []);
+    assert.deepEqual(server.diffChapters('diffed', detail), []);
+    const events = server.diffChapters('diffed', { ...detail, chapters: [chapter(4), chapter(3), chapter(2)] });
+    assert.deepEqual(events.map(ev => [ev.source, ev.slug, ev.chapterId, ev.mangaTitle]), [['manhwa-tower', 'diffed', '4,5', 'Diffed'], ['manhwa-tower', 'diffed', '3,5', 'Diffed']]);
+    assert.ok(events.every(ev => /^[a-f0-9]{12}$/.test(ev.id) && ev.detectedAt > 0));
+  });
+  it('keeps a separate baseline per source', () => {
+    assert.deepEqual(server.diffChapters('diffed', { title: 'Elsewhere', chapters: [chapter(9)] }, 'mirror-x'), [], 'first sighting on this source');
+    assert.deepEqual(server.diffChapters('diffed', { title: 'Diffed', chapters: [chapter(4), chapter(3), chapter(2)] }), [], 'the default source baseline is untouched');
+  });
+});
+
+describe('updates, feeds and webhooks', () => {
+  let api, base, receiver, source; const tokens = {}; const deliveries = [];
+  const series = { title: 'Polled <Series>', cover: null, chapters: [chapter(1)] };
+  let details = 0;
+  const call = async (method, path, { token, body } = {}) => {
+    const headers = {}; if(token) headers.Authorization = `Bearer ${token}`;
+    if(body !== undefined) headers['Content-Type'] = 'application/json';
+    const r = await fetch(base + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await r.text();
+    return { status: r.status, type: r.headers.get('content-type'), body: /json/.test(r.headers.get('content-type') || '') ? JSON.parse(text) : text };
+  };
+  before(async () => {
+    const srv = http.createServer((req, res) => {
+      let raw = ''; req.on('data', c => raw += c);
+      req.on('end', () => { deliveries.push({ path: req.url, headers: req.headers, raw }); res.writeHead(204); res.end(); });
+    });
+    await new Promise(r => srv.listen(0, '127.0.0.1', r));
+    receiver = { base: `http://127.0.0.1:${srv.address().port}`, close: () => srv.close() };
+    source = server.registerProvider({
+      id: 'updates-test', name: 'updates', base: 'https://updates.test',
+      home: async () => ({ items: [] }), genres: async () => [], genreListing: async () => ({ items: [] }), search: async () => ({ total: 0, items: [] }),
+      chapterPages: async () => ({ pages: [] }),
+      detail: async slug => { details++; return { slug, ...series, chapters: series.chapters.slice() }; }
+    }).id;
+    api = server.app.listen(0);
+    await new Promise(r => api.once('listening', r));
+    base = `http://127.0.0.1:${api.address().port}`;
+    for(const name of ['fan', 'other']) tokens[name] = (await call('POST', '/api/auth/register', { body: { username: name, password: 'secret123' } })).body.token;
+    server.updateSettings({ 'webhooks.privateTargets': 'allow' }); // the receiver listens on loopback
+  });
+  after(() => { api.close(); receiver.close(); server.updateSettings({ 'webhooks.privateTargets': null }); });
+
+  it('polls followed series on the source they were followed from', async () => {
+    const hook = (await call('POST', '/api/webhooks', { token: tokens.fan, body: { url: `${receiver.base}/hook` } })).body.webhook;
+    await call('POST', '/api/webhooks', { token: tokens.fan, body: { url: `${receiver.base}/filtered`, slugs: ['something-else'] } });
+    await call('POST', '/api/webhooks', { token: tokens.other, body: { url: `${receiver.base}/other` } });
+    assert.equal((await call('PUT', `/api/library/polled?source=${source}`, { token: tokens.fan, body: {} })).status, 200);
+    for(let i = 0; i < 50 && !details; i++) await sleep(10); // the follow baselines the chapter list in the background
+    await sleep(10);
+    assert.equal((await call('GET', '/api/library', { token: tokens.fan })).body.items[0].source, source);
+
+    assert.deepEqual(await server.pollUpdates(), { checked: 1, newEvents: 0 });
+    series.chapters = [chapter(2), chapter(1)];
+    assert.deepEqual(await server.pollUpdates(), { checked: 1, newEvents: 1 });
+
+    const mine = (await call('GET', '/api/updates', { token: tokens.fan })).body;
+    assert.equal(mine.scope, 'following');
+    assert.deepEqual(mine.items.map(ev => [ev.source, ev.slug, ev.chapterId]), [[source, 'polled', '2,5']]);
+    assert.equal((await call('GET', '/api/updates?slug=polled')).body.count, 0, 'the same slug on the default source has no events');
+    assert.equal((await call('GET', `/api/updates?slug=polled&source=${source}`)).body.count, 1);
+    assert.equal((await call('GET', '/api/updates', { token: tokens.other })).body.count, 0, 'only followers see it by default');
+    assert.ok((await call('GET', '/api/updates?scope=all', { token: tokens.other })).body.count >= 1);
+
+    for(let i = 0; i < 100 && !deliveries.length; i++) await sleep(10);
+    await sleep(50);
+    assert.deepEqual(deliveries.map(d => d.path), ['/hook'], 'filtered and non-following hooks get nothing');
+    const [d] = deliveries;
+    assert.equal(d.headers['x-tower-event'], 'chapter.new');
+    assert.equal(d.headers['x-tower-signature'], `sha256=${crypto.createHmac('sha256', hook.secret).update(d.raw).digest('hex')}`);
+    assert.deepEqual(JSON.parse(d.raw).events.map(ev => ev.chapterId), ['2,5']);
+    const listed = (await call('GET', '/api/webhooks', { token: tokens.fan })).body.items.find(h => h.id === hook.id);
+    assert.equal(listed.secret, undefined, 'the secret is only shown on creation');
+    assert.ok(listed.lastDeliveryAt > 0);
+  });
+
+  it('serves the detected chapters as Atom feeds', async () => {
+    const all = await call('GET', '/api/feed.xml');
+    assert.match(all.type, /application\/atom\+xml/);
+    assert.match(all.body, /<title>Polled &lt;Series&gt; — Chapter 2<\/title>/);
+    assert.match(all.body, /<link href="https:\/\/example.test\/read\/2"\/>/);
+    const one = await call('GET', `/api/feed/polled.xml?source=${source}`);
+    assert.equal((one.body.match(/<entry>/g) || []).length, 1);
+    assert.match(one.body, /<title>Polled &lt;Series&gt; — new chapters<\/title>/);
+    assert.equal(((await call('GET', '/api/feed/polled.xml')).body.match(/<entry>/g) || []).length, 0, 'keyed by source');
+    assert.equal(((await call('GET', '/api/feed/nothing-here.xml')).body.match(/<entry>/g) || []).length, 0);
+  });
+
+  it('manages webhooks per user', async () => {
+    assert.equal((await call('POST', '/api/webhooks', { token: tokens.other, body: { url: 'ftp://example.test/' } })).status, 400);
+    assert.equal((await call('GET', '/api/webhooks')).status, 401);
+    const mine = (await call('GET', '/api/webhooks', { token: tokens.fan })).body.items;
+    assert.equal(mine.length, 2);
+    assert.equal((await call('DELETE', `/api/webhooks/${mine[0].id}`, { token: tokens.other })).status, 404, 'not theirs');
+    assert.equal((await call('DELETE', `/api/webhooks/${mine[0].id}`, { token: tokens.fan })).status, 200);
+    assert.equal((await call('GET', '/api/webhooks', { token: tokens.fan })).body.count, 1);
+  });
+
+  it('follows and unfollows a series per source', async () => {
+    assert.equal((await call('DELETE', '/api/library/polled', { token: tokens.fan })).status, 200);
+    assert.equal((await call('GET', '/api/library', { token: tokens.fan })).body.count, 1, 'the default-source slug is a different series');
+    assert.equal((await call('GET', `/api/progress/polled?source=${source}`, { token: tokens.fan })).body.following, true);
+    assert.equal((await call('GET', '/api/progress/polled', { token: tokens.fan })).body.following, false);
+    assert.equal((await call('DELETE', `/api/library/polled?source=${source}`, { token: tokens.fan })).status, 200);
+    assert.equal((await call('GET', '/api/library', { token: tokens.fan })).body.count, 0);
+  });
+
+  it('refuses webhooks that point at loopback, private or link-local addresses', async () => {
+    server.updateSettings({ 'webhooks.privateTargets': 'deny' });
+    try{
+      for(const url of ['http://localhost/', 'http://127.0.0.1:8080/', 'http://169.254.169.254/latest/meta-data/', 'http://10.1.2.3/', 'http://192.168.0.10/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://0.0.0.0/']){
+        const r = await call('POST', '/api/webhooks', { token: tokens.other, body: { url } });
+        assert.equal(r.status, 400, url);
+        assert.match(r.body.error, /non-public address/, url);
+      }
+    }finally{ server.updateSettings({ 'webhooks.privateTargets': 'allow' }); }
+  });
+
+  it('checks the address again at delivery time', async () => {
+    const hook = (await call('POST', '/api/webhooks', { token: tokens.other, body: { url: `${receiver.base}/late` } })).body.webhook;
+    assert.equal((await call('PUT', `/api/library/late?source=${source}`, { token: tokens.other, body: {} })).status, 200);
+    await sleep(20);
+    await server.pollUpdates();
+    series.chapters = [chapter(3), chapter(2), chapter(1)];
+    server.updateSettings({ 'webhooks.privateTargets': 'deny' });
+    try{
+      assert.equal((await server.pollUpdates()).newEvents, 1);
+      let listed;
+      for(let i = 0; i < 100; i++){
+        listed = (await call('GET', '/api/webhooks', { token: tokens.other })).body.items.find(h => h.id === hook.id);
+        if(listed.lastError) break;
+        await sleep(10);
+      }
+      assert.match(listed.lastError, /non-public address/);
+      assert.ok(!deliveries.some(d => d.path === '/late'), 'nothing was sent');
+    }finally{ server.updateSettings({ 'webhooks.privateTargets': 'allow' }); }
+  });
+});
@@ -0,0 +1,81 @@
+// test/upstream.test.js — retries, circuit breaker and per-host limits of the shared upstream client
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadServer } = require('./helpers/stub-server');
+
+const server = loadServer();
+
+// scripted upstream: each path answers with the next status from its list (the last one repeats)
+function startScripted(script, { delayMs = 0 } = {}){
+  const seen = {}; let active = 0; let maxActive = 0; const agents = [];
+  const srv = http.createServer((req, res) => {
+    const list = script[req.url] || [404];
+    const n = seen[req.url] = (seen[req.url] || 0) + 1;
+    const status = list[Math.min(n, list.length) - 1];
+    agents.push(req.headers['user-agent']);
+    active++; maxActive = Math.max(maxActive, active);
+    setTimeout(() => { active--; res.writeHead(status, status === 429 ? { 'Retry-After': '0' } : {}); res.end(String(status)); }, delayMs);
+  });
+  return new Promise(resolve => srv.listen(0, '127.0.0.1', () => resolve({
+    base: `http://127.0.0.1:${srv.address().port}`, seen, agents, maxActive: () => maxActive, close: () => new Promise(r => srv.close(r))
+  })));
+}
+const fast = { backoffMs: 5, maxBackoffMs: 20, rate: 1000, burst: 1000 };
+
+describe('upstream client', () => {
+  let up;
+  before(async () => {
+    up = await startScripted({ '/flaky': [503, 502, 200], '/busy': [429, 200], '/missing': [404], '/down': [500], '/slow': [200] }, { delayMs: 0 });
+  });
+  after(() => up.close());
+
+  it('retries 5xx and 429 with backoff, then succeeds', async () => {
+    const client = server.createHttpClient({ ...fast, retries: 3, userAgent: 'fixture-agent/1' });
+    assert.equal((await client.get(`${up.base}/flaky`)).status, 200);
+    assert.equal((await client.get(`${up.base}/busy`)).status, 200);
+    assert.equal(up.seen['/flaky'], 3);
+    assert.equal(up.seen['/busy'], 2);
+    assert.ok(up.agents.every(a => a === 'fixture-agent/1'));
+  });
+
+  it('does not retry client errors', async () => {
+    const client = server.createHttpClient({ ...fast, retries: 3 });
+    await assert.rejects(client.get(`${up.base}/missing`), e => e.response.status === 404);
+    assert.equal(up.seen['/missing'], 1);
+  });
+
+  it('opens the circuit after repeated failures and fails fast until the cooldown', async () => {
+    const client = server.createHttpClient({ ...fast, retries: 0, breakerThreshold: 2, breakerCooldownMs: 80 });
+    await assert.rejects(client.get(`${up.base}/down`));
+    await assert.rejects(client.get(`${up.base}/down`));
+    const before = up.seen['/down'];
+    await assert.rejects(client.get(`${up.base}/flaky`), e => e.code === 'EBREAKEROPEN');
+    assert.equal(up.seen['/down'], before);
+    assert.equal(Object.values(client.stats())[0].breaker, 'open');
+    await new Promise(r => setTimeout(r, 100));
+    assert.equal((await client.get(`${up.base}/slow`)).status, 200); // half-open trial succeeds and closes the circuit
+    assert.equal(Object.values(client.stats())[0].breaker, 'closed');
+  });
+});
+
+describe('upstream client limits', () => {
+  it('bounds concurrent requests per host', async () => {
+    const up = await startScripted({ '/slow': [200] }, { delayMs: 30 });
+    try{
+      const client = server.createHttpClient({ ...fast, concurrency: 2 });
+      await Promise.all(Array.from({ length: 6 }, () => client.get(`${up.base}/slow`)));
+      assert.equal(up.maxActive(), 2);
+    }finally{ await up.close(); }
+  });
+
+  it('spaces requests out to the token-bucket rate', async () => {
+    const up = await startScripted({ '/slow': [200] });
+    try{
+      const client = server.createHttpClient({ ...fast, rate: 20, burst: 1 });
+      const started = Date.now();
+      for(let i = 0; i < 4; i++) await client.get(`${up.base}/slow`);
+      assert.ok(Date.now() - started >= 140, 'three refills at 20/s take ~150ms');
+    }finally{ await up.close(); }
+  });
+});